@@ -4,25 +4,52 @@
 import { Database } from "bun:sqlite";
 
 // Wait Condition Types
-export interface WaitCondition {
+export interface WhereOperators {
+  $eq?: any;
+  $ne?: any;
+  $gt?: any;
+  $gte?: any;
+  $lt?: any;
+  $lte?: any;
+  $in?: any[];
+  $nin?: any[];
+  $exists?: boolean;
+  $regex?: string | RegExp;
+  $options?: string;
+}
+
+/** Keys may be dotted paths ("customer.tier") or nested objects */
+export type WhereClause = Record<string, any | WhereOperators | RegExp>;
+
+export interface EventMatch {
   pattern?: string;
   correlationId?: string;
-  where?: Record<string, any>;
+  user?: string;
+  after?: number;
+  before?: number;
+  within?: number;
+  where?: WhereClause;
+  metadata?: WhereClause;
+}
+
+export interface WaitCondition extends EventMatch {
   minCount?: number;
 }
 
-export interface CountCondition {
-  pattern?: string;
-  correlationId?: string;
+export interface CountCondition extends EventMatch {
   count: number;
-  where?: Record<string, any>;
 }
 
+/** A leaf condition, or a nested group of conditions */
+export type WaitForNode = WaitCondition | WaitForConditions;
+
+/** Keys present on the same object are ANDed together */
 export interface WaitForConditions {
-  all?: WaitCondition[];
-  any?: WaitCondition[];
+  all?: WaitForNode[];
+  any?: WaitForNode[];
   count?: CountCondition;
   sequence?: WaitCondition[];
+  not?: WaitForNode;
   timeout?: number;
 }
 
@@ -36,8 +63,14 @@ export interface EventData {
   correlationId?: string;
   causationId?: number;
   metadata?: Record<string, any>;
+  streamId?: string;
+  expectedVersion?: number;
+  idempotencyKey?: string;
+  outbox?: OutboxMessage[];
   waitFor?: WaitForConditions;
   timeout?: number;
+  onTimeout?: EventData;
+  tenantId?: string;
 }
 
 export interface EventRow {
@@ -51,6 +84,9 @@ export interface EventRow {
   correlation_id: string;
   causation_id: number | null;
   metadata: Record<string, any>;
+  stream_id: string | null;
+  stream_version: number | null;
+  tenant_id: string | null;
 }
 
 export interface EventMetadata {
@@ -63,9 +99,163 @@ export interface EventMetadata {
   correlationId: string;
   causationId: number | null;
   metadata: Record<string, any>;
+  streamId: string | null;
+  streamVersion: number | null;
+  upcastFrom?: { cmd: string; version: number };
 }
 
 // Error Types
+export declare class ConcurrencyError extends Error {
+  constructor(streamId: string, expectedVersion: number, actualVersion: number);
+  streamId: string;
+  expectedVersion: number;
+  actualVersion: number;
+}
+
+// Upcasting Types
+export interface UpcasterOptions {
+  toCmd?: string;
+  toVersion?: number;
+  expand?: boolean;
+}
+
+export interface UpcastEvent {
+  cmd: string;
+  version?: number;
+  data?: Record<string, any>;
+}
+
+export interface UpcasterValidation {
+  valid: boolean;
+  gaps: Array<{ cmd: string; missing: number[] }>;
+  stranded: Array<{ cmd: string; version: number; count: number; stopsAt: number; latest: number }>;
+}
+
+export declare class UpcasterRegistry {
+  constructor(options?: { maxSteps?: number });
+  register(
+    cmd: string,
+    fromVersion: number,
+    upcast: (data: Record<string, any>, event: EventRow) => Record<string, any> | UpcastEvent[],
+    options?: UpcasterOptions,
+  ): this;
+  rename(cmd: string, fromVersion: number, toCmd: string, toVersion?: number): this;
+  has(cmd: string, version: number): boolean;
+  upcast(row: EventRow): Array<EventRow & { upcastFrom?: { cmd: string; version: number } }>;
+  validate(options?: { stored?: Array<{ cmd: string; version: number; count?: number }> }): UpcasterValidation;
+  latestVersion(cmd: string): number;
+  static fromMigrations(migrations: ModelMigrations): UpcasterRegistry;
+}
+
+// Schema Validation Types
+export interface JSONSchema {
+  type?: string | string[];
+  const?: any;
+  enum?: any[];
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  format?: "date-time" | "date" | "email" | "uuid" | "uri";
+  minimum?: number;
+  maximum?: number;
+  exclusiveMinimum?: number;
+  exclusiveMaximum?: number;
+  multipleOf?: number;
+  items?: JSONSchema | boolean;
+  minItems?: number;
+  maxItems?: number;
+  uniqueItems?: boolean;
+  required?: string[];
+  properties?: Record<string, JSONSchema | boolean>;
+  additionalProperties?: JSONSchema | boolean;
+  allOf?: Array<JSONSchema | boolean>;
+  anyOf?: Array<JSONSchema | boolean>;
+  oneOf?: Array<JSONSchema | boolean>;
+  not?: JSONSchema | boolean;
+}
+
+export interface SchemaError {
+  path: string;
+  keyword: string;
+  message: string;
+}
+
+export declare class SchemaValidationError extends Error {
+  constructor(cmd: string, version: number, errors: SchemaError[]);
+  cmd: string;
+  version: number;
+  errors: SchemaError[];
+  index?: number;
+  failures?: Array<{ index: number; cmd: string; version: number; errors: SchemaError[] }>;
+}
+
+export declare class SchemaRegistry {
+  constructor(options?: { requireSchema?: boolean });
+  register(cmd: string, version: number, schema: JSONSchema | boolean): this;
+  get(cmd: string, version?: number): JSONSchema | boolean | null;
+  validate(cmd: string, version: number | undefined, data: any): SchemaError[];
+  assert(cmd: string, version: number | undefined, data: any): void;
+}
+
+export interface HistoryValidationResult {
+  valid: boolean;
+  checked: number;
+  failed: number;
+  failures: Array<{ id: number; cmd: string; version: number; errors: SchemaError[] }>;
+}
+
+// Hash Chain Types
+export type SigningKey = string | Buffer | import("crypto").KeyObject;
+
+export interface HashChainOptions {
+  key?: SigningKey;
+  keyFile?: string;
+  checkpointEvery?: number;
+}
+
+export interface ChainCheckpoint {
+  id: number;
+  event_id: number;
+  hash: string;
+  created_at: number;
+  algorithm: "hmac-sha256" | "ed25519" | null;
+  signature: string | null;
+}
+
+export interface ChainVerificationResult {
+  valid: boolean;
+  checked: number;
+  lastVerifiedId: number | null;
+  firstBroken: {
+    id: number;
+    reason:
+      | "missing-hash"
+      | "prev-hash-mismatch"
+      | "hash-mismatch"
+      | "checkpoint-mismatch"
+      | "bad-signature"
+      | "missing-event";
+    checkpointId?: number;
+  } | null;
+}
+
+export declare class ChainVerifier {
+  constructor(options?: {
+    prevHash?: string | null;
+    checkpoints?: ChainCheckpoint[];
+    key?: SigningKey;
+  });
+  check(row: EventRow & { hash?: string | null; prev_hash?: string | null }): boolean;
+  result(): ChainVerificationResult;
+}
+
+export declare function hashEventRow(row: Record<string, any>, prevHash: string | null): string;
+export declare function verifyCheckpointSignature(checkpoint: ChainCheckpoint, key: SigningKey): boolean;
+
+// Multi-tenancy
+export declare function assertTenantId(tenantId: string): string;
+export declare function tenantPath(path: string, tenantId?: string | null): string;
+
 export interface ErrorObject {
   msg: string;
   error?: Error;
@@ -80,6 +270,10 @@ export interface ErrorObject {
   causation_id: number | null;
   metadata: Record<string, any>;
   res?: any;
+  rolledBack?: boolean;
+  validationErrors?: SchemaError[];
+  index?: number;
+  reactionChain?: string[];
 }
 
 // Pending Event Types
@@ -96,9 +290,11 @@ export interface PendingEvent {
 export interface WaitConditionRow {
   id: number;
   pending_event_id: number;
-  condition_type: 'all_condition' | 'any_condition' | 'count_condition' | 'sequence_condition';
+  condition_type: 'all_condition' | 'any_condition' | 'count_condition' | 'sequence_condition' | 'not_condition';
   condition_data: string;
   satisfied: boolean;
+  trigger_cmd: string;
+  trigger_correlation_id: string;
 }
 
 export interface PendingEventResult {
@@ -107,8 +303,8 @@ export interface PendingEventResult {
 }
 
 // Callback Types
-export type CommandCallback = (result: any, row: EventRow) => void;
-export type ErrorCallback = (error: ErrorObject) => void;
+export type CommandCallback = (result: any, row: EventRow) => void | Promise<void>;
+export type ErrorCallback = (error: ErrorObject) => void | Promise<void>;
 
 export interface CallbackObject {
   [commandName: string]: CommandCallback;
@@ -151,10 +347,196 @@ export interface QueueOptions {
   risky?: boolean;
   reset?: boolean;
   datetime?: () => number;
+  timeUnit?: "s" | "ms";
+  upcasters?: UpcasterRegistry;
+  schemas?: SchemaRegistry;
+  idempotency?: { ttl?: number | null };
+  outbox?: boolean | { cmds?: string[] };
+  reactors?: { maxDepth?: number; allowCycles?: boolean };
+  hashChain?: boolean | HashChainOptions;
   cache?: CacheOptions;
   indexes?: IndexConfiguration;
+  tenantId?: string;
+  archive?: boolean | ArchiveOptions;
+  payloads?: PayloadOptions;
+  serializer?: SerializerOption;
+  encryption?: FieldEncryptionOptions;
+}
+
+// Field-level encryption with crypto-shredding (initQueue({ encryption }))
+export interface FieldEncryptionOptions {
+  shredder?: CryptoShredder | string;
+  fields?: Record<string, string[] | { fields: string[]; subject?: string }>;
+  subject?: string;
+  tombstone?: any;
+}
+
+export interface EncryptedValue {
+  encrypted: string;
+  iv: string;
+  authTag: string;
+  keyId: string;
+  version?: number;
+}
+
+export interface MasterKeyOptions {
+  masterKey?: string | Uint8Array;
+  masterKeyFile?: string;
+  masterKeyEnv?: string;
+}
+
+export declare class CryptoShredder {
+  constructor(keyDbPath?: string, options?: MasterKeyOptions);
+  generateUserKey(userId: string | number): Promise<string>;
+  ensureUserKey(userId: string | number): string;
+  hasKey(keyId: string, version?: number): boolean;
+  rotateUserKey(userId: string | number): Promise<{ keyId: string; version: number }>;
+  rotateMasterKey(newMasterKey: string | Uint8Array): Promise<{ rewrapped: number; masterKeyId: string }>;
+  retireOldKeyVersions(userId: string | number): Promise<number>;
+  watchKeyUse(check: (keyId: string) => Iterable<number>): void;
+  encrypt(data: any, keyId: string): EncryptedValue;
+  decrypt(encryptedData: EncryptedValue): any;
+  reencrypt(encryptedData: EncryptedValue): EncryptedValue | null;
+  deleteUserData(userId: string | number): Promise<{ keyId: string; deleted: boolean }>;
+  purgeOldKeys(daysOld?: number): Promise<any>;
+}
+
+export declare class FieldEncryptor {
+  constructor(options?: FieldEncryptionOptions);
+  shredder: CryptoShredder;
+  tombstone: any;
+  encrypt<T extends Record<string, any>>(cmd: string, data: T): T;
+  decrypt<T extends Record<string, any>>(cmd: string, data: T): T;
+  reencrypt<T extends Record<string, any>>(cmd: string, data: T): T | null;
+  readonly cmds: string[];
+}
+
+export interface Principal {
+  id: string | number;
+  roles: string[];
+  [key: string]: any;
+}
+
+/** The columns access rules see */
+export interface EventHeader {
+  id: number;
+  cmd: string;
+  user: string | null;
+  ip: string | null;
+  datetime: number | null;
+  correlation_id: string | null;
+  causation_id: number | null;
+  stream_id: string | null;
+  tenant_id: string | null;
+}
+
+export interface AccessRole {
+  cmds?: '*' | string[] | Record<string, true | ((event: EventHeader, principal: Principal) => boolean)>;
+  users?: 'self' | Array<string | null> | ((user: string | null, principal: Principal) => boolean);
+  where?: (event: EventHeader, principal: Principal) => boolean;
+}
+
+export interface ReadAuditEntry {
+  id: number;
+  read_at: number;
+  principal_id: string;
+  roles: string[];
+  tenant_id: string | null;
+  source: 'queue' | 'queryEngine';
+  method: string;
+  event_ids: number[];
+  denied: number;
+}
+
+export declare class AccessPolicy {
+  constructor(options?: {
+    roles?: Record<string, AccessRole>;
+    audit?: { dbName?: string } | false;
+    datetime?: () => number;
+  });
+  roles: Record<string, AccessRole>;
+  canRead(principal: Principal, event: Partial<EventRow>): boolean;
+  filter<T extends Partial<EventRow>>(principal: Principal, events: T[]): T[];
+  forQueue(queue: EventQueue, principal: Principal): EventQueue;
+  forQueryEngine(engine: EventQueryEngine, principal: Principal): Partial<EventQueryEngine>;
+  forBulkOperations(bulk: BulkOperations, principal: Principal): BulkOperations;
+  auditLog(options?: {
+    principalId?: string | number;
+    eventId?: number;
+    since?: number;
+    limit?: number;
+  }): ReadAuditEntry[];
+  close(): void;
+}
+
+// Serializers for data, metadata, pending events and snapshots
+export interface Serializer {
+  name: string;
+  encode(value: any): string | Uint8Array;
+  decode(stored: string | Uint8Array): any;
+}
+
+export type SerializerOption = 'json' | 'msgpack' | 'cbor' | Serializer;
+
+export declare const serializers: { json: Serializer; msgpack: Serializer; cbor: Serializer };
+export declare function resolveSerializer(serializer?: SerializerOption): Serializer;
+export declare function encodeMsgpack(value: any): Uint8Array;
+export declare function decodeMsgpack(bytes: Uint8Array): any;
+export declare function encodeCbor(value: any): Uint8Array;
+export declare function decodeCbor(bytes: Uint8Array): any;
+
+// Compressed and offloaded payloads (initQueue({ payloads }))
+export type PayloadCodecName = 'gzip' | 'zstd';
+
+export interface PayloadOptions {
+  compress?: boolean | { cmds?: string[] | null; minSize?: number | null; codec?: PayloadCodecName };
+  offload?: { minSize?: number; storage?: FileStorageManager | FileStorageOptions; codec?: PayloadCodecName };
+}
+
+export declare class PayloadEncoder {
+  constructor(options?: PayloadOptions);
+  encode(
+    cmd: string,
+    data: string | Uint8Array,
+    metadata: string | Uint8Array,
+  ): { data: string | Uint8Array | null; metadata: string | Uint8Array | null; payload: Uint8Array | null; payload_encoding: string | null };
+  decode<T extends Record<string, any> | null>(row: T): T;
+}
+
+export declare function decodePayload<T extends Record<string, any> | null>(row: T, storage?: FileStorageManager): T;
+
+// Cold storage for old events (initQueue({ archive }))
+export interface ArchiveOptions {
+  dir?: string;
+  segmentSize?: number;
+  cacheSize?: number;
 }
 
+export interface ArchiveSegment {
+  id: number;
+  path: string;
+  first_id: number;
+  last_id: number;
+  event_count: number;
+  min_datetime: number;
+  max_datetime: number;
+  checksum: string;
+  last_hash: string | null;
+  created_at: number;
+}
+
+export interface ArchiveVerificationResult {
+  valid: boolean;
+  segments: Array<
+    ArchiveSegment & { valid: boolean; reason: 'missing-file' | 'checksum-mismatch' | 'count-mismatch' | null }
+  >;
+}
+
+// Reactors return follow-up events to store as consequences of the event
+export type Reactor = (
+  event: EventRow,
+) => EventData | EventData[] | null | undefined | Promise<EventData | EventData[] | null | undefined>;
+
 // Event Context for storeWithContext
 export interface EventContext {
   correlationId?: string;
@@ -170,19 +552,81 @@ export interface EventLineage {
   children: EventRow[];
 }
 
+// Replay bounds: a bare number is an event id; Dates and ISO strings are times
+export type ReplayBound =
+  | number
+  | Date
+  | string
+  | { id: number }
+  | { time: number | Date | string };
+
+export interface ReplayAsOfResult {
+  asOf: number;
+  lastEventId: number;
+  count: number;
+}
+
 // Event Queue
 export interface EventQueue {
   _queries: Record<string, any>;
+  _db: Database;
   store(event: EventData, model: Model, callback: CallbackObject): Promise<any>;
+  storeAsync(event: EventData, model?: Model, callback?: CallbackObject): Promise<any>;
   execute(row: EventRow, model: Model, callback: CallbackObject): any;
+  executeAsync(row: EventRow, model: Model, callback?: CallbackObject): Promise<any>;
   retrieveByID(id: number): EventRow | undefined;
   cycleThrough(
     model: Model,
     doneCB?: () => void,
     whileCB?: CallbackObject,
-    options?: { start?: number; stop?: number | null },
+    options?: { start?: ReplayBound; stop?: ReplayBound | null },
   ): void;
-  getTransaction(correlationId: string): EventRow[];
+  cycleThroughAsync(
+    model: Model,
+    doneCB?: (() => void | Promise<void>) | null,
+    whileCB?: CallbackObject,
+    options?: { start?: ReplayBound; stop?: ReplayBound | null },
+  ): Promise<void>;
+  replayAsOf(
+    model: Model,
+    asOf: Date | string | number | { time: number | Date | string },
+    whileCB?: CallbackObject,
+  ): ReplayAsOfResult;
+  getTransaction(correlationId: string, options?: { streamId?: string }): EventRow[];
+  getStreamVersion(streamId: string, tenantId?: string | null): number;
+  findByIdempotencyKey(key: string): (EventRow & { duplicate: true }) | null;
+  pruneIdempotencyKeys(): number;
+  hasOutbox(): boolean;
+  readonly tenantId: string | null;
+  forTenant(tenantId: string): EventQueue;
+  on(cmd: string, handler: Reactor): () => boolean;
+  off(cmd: string, handler: Reactor): boolean;
+  validateUpcasters(registry?: UpcasterRegistry): UpcasterValidation;
+  validateHistory(
+    options?: { fromId?: number; toId?: number | null; maxFailures?: number },
+    registry?: SchemaRegistry,
+  ): HistoryValidationResult;
+  isHashChained(): boolean;
+  verifyChain(options?: { fromId?: number; toId?: number | null; key?: SigningKey }): ChainVerificationResult;
+  createChainCheckpoint(): ChainCheckpoint | null;
+  getChainCheckpoints(options?: { fromId?: number; toId?: number | null }): ChainCheckpoint[];
+  archiveEvents(options: {
+    before?: Date | string | number;
+    olderThanDays?: number;
+    segmentSize?: number;
+  }): { archived: number; segments: ArchiveSegment[] };
+  listArchiveSegments(): ArchiveSegment[];
+  verifyArchive(): ArchiveVerificationResult;
+  restoreArchiveSegment(segmentId: number): { restored: number; firstId: number; lastId: number };
+  reencryptFields(options?: { batchSize?: number; afterId?: number }): {
+    scanned: number;
+    reencrypted: number;
+    lastId: number;
+    done: boolean;
+  };
+  keyVersionsInUse(keyId: string): number[];
+  recoverModel(model: Model, whileCB?: CallbackObject): RecoverModelResult;
+  getEventsAfter(afterId: number, options?: { limit?: number }): EventRow[];
   getChildEvents(eventId: number): EventRow[];
   getEventLineage(eventId: number): EventLineage | null;
   storeWithContext(
@@ -196,13 +640,46 @@ export interface EventQueue {
   storeWhen(event: EventData, model: Model, callback: CallbackObject): PendingEventResult | Promise<any>;
   checkAllPendingEvents(): PendingEvent[];
   executeReadyEvents(model: Model, callback: CallbackObject): { pendingEvent: PendingEvent; result: any }[];
-  expirePendingEvents(): PendingEvent[];
-  cancelPendingEvent(pendingEventId: number): boolean;
+  expirePendingEvents(model?: Model, callback?: CallbackObject): PendingEvent[];
+  cancelPendingEvent(pendingEventId: number, model?: Model, callback?: CallbackObject): boolean;
+  startScheduler(options: { model: Model; callbacks?: CallbackObject; interval?: number }): void;
+  stopScheduler(): void;
   getPendingEventsByCorrelation(correlationId: string): PendingEvent[];
+
+  // Live change feed
+  subscribe(options?: SubscribeOptions): EventSubscription;
   
   reset?: () => void; // Only available when risky: true
 }
 
+// Subscription Types
+export interface SubscribeOptions {
+  cmd?: string | null;
+  correlationId?: string | null;
+  user?: string | null;
+  streamId?: string | null;
+  fromId?: number;
+  batchSize?: number;
+  pollInterval?: number;
+}
+
+export declare class EventSubscription implements AsyncIterableIterator<EventRow> {
+  readonly position: number;
+  readonly closed: boolean;
+  next(): Promise<IteratorResult<EventRow>>;
+  return(): Promise<IteratorResult<EventRow>>;
+  [Symbol.asyncIterator](): AsyncIterableIterator<EventRow>;
+  notify(): void;
+  unsubscribe(): void;
+  pause(ms: number): Promise<void>;
+}
+
+export interface FollowOptions {
+  pollInterval?: number;
+  retryDelay?: number;
+  maxRetryDelay?: number;
+}
+
 // Model Types
 export type ModelMethod = (
   data: Record<string, any>,
@@ -217,8 +694,16 @@ export interface ModelMigrations {
   [commandName: string]: MigrationFunction[];
 }
 
+export interface RecoverModelResult {
+  from: number;
+  lastEventId: number;
+  replayed: number;
+}
+
 export interface ModelOptions {
   dbName?: string;
+  db?: Database;
+  trackApplied?: boolean;
   init?: {
     create?: boolean;
     strict?: boolean;
@@ -231,6 +716,7 @@ export interface ModelOptions {
     db: Database,
   ) => Record<string, ModelMethod>;
   migrations?: () => ModelMigrations;
+  upcasters?: UpcasterRegistry;
   reset?:
     | string[]
     | ["move"]
@@ -251,6 +737,9 @@ export interface Model {
   _done: (row: EventRow, result: any) => void;
   _error: (error: ErrorObject) => void;
   _migrations: ModelMigrations;
+  _upcasters: UpcasterRegistry | null;
+  _lastApplied: (() => number) | null;
+  _markApplied: ((id: number) => void) | null;
   get(cmd: string, data: Record<string, any>): any;
   all(cmd: string, data: Record<string, any>): any[];
   [methodName: string]: any;
@@ -264,6 +753,8 @@ export interface SnapshotOptions {
     strict?: boolean;
   };
   noWAL?: boolean;
+  tenantId?: string;
+  serializer?: SerializerOption;
 }
 
 export interface SnapshotMetadata {
@@ -338,6 +829,222 @@ export declare class SnapshotManager {
   close(): void;
 }
 
+// Projection Runner Types
+export interface ProjectionRunnerOptions {
+  eventQueue: EventQueue;
+  dbName?: string;
+  init?: {
+    create?: boolean;
+    strict?: boolean;
+  };
+  noWAL?: boolean;
+  batchSize?: number;
+  onError?: (error: Error) => void;
+}
+
+export interface ProjectionRegistration {
+  callbacks?: CallbackObject;
+  reset?: (model: Model) => void | Promise<void>;
+}
+
+export interface ProjectionStatus {
+  name: string;
+  checkpoint: number;
+  lag: number;
+  rebuilding: boolean;
+}
+
+export interface RebuildResult {
+  success: boolean;
+  name: string;
+  fromSnapshot: boolean;
+  replayFrom: number;
+  applied: number;
+}
+
+export declare class ProjectionRunner {
+  constructor(options: ProjectionRunnerOptions);
+  register(name: string, model: Model, options?: ProjectionRegistration): this;
+  getCheckpoint(name: string): number;
+  catchUp(name?: string): Record<string, number>;
+  start(options?: FollowOptions): Promise<void>;
+  stop(): Promise<void>;
+  rebuild(name: string, options?: { snapshots?: SnapshotManager }): Promise<RebuildResult>;
+  getStatus(): ProjectionStatus[];
+  close(): Promise<void>;
+}
+
+// Outbox Types
+export interface OutboxMessage {
+  topic: string;
+  payload?: any;
+}
+
+export interface OutboxEntry {
+  id: number;
+  eventId: number;
+  topic: string;
+  payload: any;
+  status: "pending" | "delivered" | "failed";
+  attempts: number;
+  nextAttemptAt: number;
+  lastError: string | null;
+  createdAt: number;
+  deliveredAt: number | null;
+}
+
+export type OutboxHandler = (event: EventRow, entry: OutboxEntry) => any;
+
+export interface OutboxDispatcherOptions {
+  eventQueue: EventQueue;
+  handlers?: Record<string, OutboxHandler>;
+  maxAttempts?: number;
+  retryDelay?: number;
+  maxRetryDelay?: number;
+  leaseMs?: number;
+  batchSize?: number;
+}
+
+export interface OutboxStatus {
+  pending: number;
+  delivered: number;
+  failed: number;
+  oldestPendingAge: number | null;
+}
+
+export declare class OutboxDispatcher {
+  constructor(options: OutboxDispatcherOptions);
+  register(topic: string, handler: OutboxHandler): this;
+  dispatch(): Promise<{ delivered: number; retried: number; failed: number }>;
+  start(options?: { pollInterval?: number }): void;
+  stop(): Promise<void>;
+  get(id: number): OutboxEntry | null;
+  list(options?: {
+    status?: "pending" | "delivered" | "failed";
+    topic?: string;
+    eventId?: number;
+    limit?: number;
+    offset?: number;
+  }): OutboxEntry[];
+  getStatus(): OutboxStatus;
+  retry(id: number): OutboxEntry | null;
+  retryFailed(options?: { topic?: string }): number;
+  purgeDelivered(olderThan?: number): number;
+}
+
+// Partitioned Queue Types
+export interface PartitionedQueueOptions {
+  dir?: string;
+  partitionBy?: "month" | "day" | "stream";
+  partitions?: number;
+  now?: () => number;
+  queue?: QueueOptions;
+}
+
+export interface PartitionInfo {
+  name: string;
+  path: string;
+  status: "active" | "sealed" | "archived";
+  createdAt: number;
+  sealedAt: number | null;
+  archivedAt: number | null;
+  eventCount: number;
+  firstId: number | null;
+  lastId: number | null;
+}
+
+export declare class PartitionedQueue {
+  constructor(options?: PartitionedQueueOptions);
+  partitionFor(event?: Partial<EventData>): string;
+  store(event: EventData, model: Model, callback: CallbackObject): any;
+  storeAsync(event: EventData, model?: Model, callback?: CallbackObject): Promise<any>;
+  storeBulk(events: EventData[], model?: Model, callback?: CallbackObject): Array<{ row: EventRow; result: any }>;
+  retrieveByID(id: number): EventRow | null;
+  getTransaction(correlationId: string, options?: { streamId?: string }): EventRow[];
+  getEventsAfter(afterId: number, options?: { limit?: number }): EventRow[];
+  getStreamVersion(streamId: string): number;
+  cycleThrough(
+    model: Model,
+    doneCB?: (() => void) | null,
+    whileCB?: CallbackObject,
+    options?: { start?: number; stop?: number | null },
+  ): void;
+  cycleThroughAsync(
+    model: Model,
+    doneCB?: (() => void | Promise<void>) | null,
+    whileCB?: CallbackObject,
+    options?: { start?: number; stop?: number | null },
+  ): Promise<void>;
+  streamEvents(options?: StreamingOptions): AsyncGenerator<EventRow[], void, unknown>;
+  listPartitions(): PartitionInfo[];
+  seal(name: string): PartitionInfo;
+  archive(name: string, archiveDir?: string): PartitionInfo;
+  close(): void;
+}
+
+// Saga Types
+export interface SagaContext {
+  sagaId: number;
+  correlationId: string;
+  emit(event: EventData): void;
+  compensateWith(event: EventData): void;
+  timeout(name: string, ms: number): void;
+  clearTimeout(name: string): void;
+  complete(): void;
+  fail(reason?: string): void;
+}
+
+export interface SagaDefinition<S = Record<string, any>> {
+  startsOn: string[];
+  initialState?: (event: EventRow) => S;
+  handlers?: Record<string, (state: S, event: EventRow, ctx: SagaContext) => S | void>;
+  timeouts?: Record<string, (state: S, ctx: SagaContext) => S | void>;
+}
+
+export interface SagaManagerOptions {
+  eventQueue: EventQueue;
+  model?: Model;
+  callbacks?: CallbackObject;
+  upcasters?: UpcasterRegistry;
+  name?: string;
+  batchSize?: number;
+  onError?: (error: Error) => void;
+}
+
+export interface SagaInstance {
+  id: number;
+  name: string;
+  correlationId: string;
+  status: "running" | "completed" | "failed";
+  state: Record<string, any>;
+  error: string | null;
+  lastEventId: number | null;
+  startedAt: number;
+  updatedAt: number;
+  pendingCompensations: number;
+  timeouts: Array<{ name: string; dueAt: number }>;
+}
+
+export declare class SagaManager {
+  constructor(options: SagaManagerOptions);
+  define<S = Record<string, any>>(name: string, definition: SagaDefinition<S>): this;
+  getCheckpoint(): number;
+  catchUp(): number;
+  checkTimeouts(now?: number): number;
+  start(options?: FollowOptions): Promise<void>;
+  stop(): Promise<void>;
+  get(id: number): SagaInstance | null;
+  find(name: string, correlationId: string): SagaInstance | null;
+  list(options?: {
+    name?: string;
+    status?: "running" | "completed" | "failed";
+    limit?: number;
+    offset?: number;
+  }): SagaInstance[];
+  getStatus(): Record<string, { running: number; completed: number; failed: number }>;
+  abort(id: number, reason?: string): SagaInstance | null;
+}
+
 // File Storage Types
 export interface FileStorageOptions {
   baseDir?: string;
@@ -494,9 +1201,12 @@ export declare class FileStorageManager {
   constructor(options?: FileStorageOptions);
 
   storeFile(buffer: Buffer, metadata: FileMetadata): Promise<FileReference>;
+  storeFileSync(buffer: Buffer | Uint8Array, metadata: FileMetadata): FileReference;
   getFile(fileId: string): Promise<Buffer>;
+  getFileSync(fileId: string): Buffer;
   getFileMetadata(fileId: string): Promise<FileReference>;
   deleteFile(fileId: string): Promise<boolean>;
+  deleteFileSync(fileId: string): boolean;
   
   storeFileVersion(parentId: string, buffer: Buffer, metadata: FileMetadata): Promise<FileReference>;
   getFileVersions(fileId: string): Promise<FileReference[]>;
@@ -615,7 +1325,8 @@ export interface CriticalPath {
 }
 
 export declare class EventQueryEngine {
-  constructor(dbPath: string);
+  constructor(dbPath: string, options?: { tenantId?: string });
+  readonly tenantId: string | null;
 
   // Root Event Detection (#10)
   getRootEvents(): EventRow[];
@@ -683,6 +1394,8 @@ export interface StreamingOptions {
   correlationId?: string | null;
   user?: string | null;
   cmd?: string | null;
+  streamId?: string | null;
+  raw?: boolean;
 }
 
 // Bulk Operations Types
@@ -695,6 +1408,8 @@ export interface BulkExportOptions {
   cmd?: string | null;
   includeMetadata?: boolean;
   includeHeaders?: boolean;
+  includeChain?: boolean;
+  raw?: boolean;
 }
 
 export interface BulkImportOptions {
@@ -811,7 +1526,7 @@ export interface EventQueue {
     model: Model,
     doneCB: () => void,
     whileCB?: EventCallbacks,
-    options?: { start?: number; stop?: number | null }
+    options?: { start?: ReplayBound; stop?: ReplayBound | null }
   ): void;
   getTransaction(correlationId: string): EventRow[];
   getChildEvents(eventId: number): EventRow[];
@@ -870,6 +1585,7 @@ export class BulkOperations {
   constructor(eventQueue: EventQueue);
 
   exportToJSONL(filePath: string, options?: BulkExportOptions): Promise<{ success: boolean; totalExported: number }>;
+  exportChainCheckpoints(filePath: string, options?: { startId?: number; endId?: number | null }): Promise<{ success: boolean; totalExported: number }>;
   importFromJSONL(filePath: string, options?: BulkImportOptions): Promise<BulkImportResult>;
   exportToCSV(filePath: string, options?: BulkExportOptions): Promise<{ success: boolean; totalExported: number }>;
   batchProcess(
@@ -1221,4 +1937,8 @@ export class DeveloperToolsSuite {
 export function initQueue(options?: QueueOptions): EventQueue;
 export function modelSetup(options?: ModelOptions): Model;
 export function initSnapshots(options?: SnapshotOptions): SnapshotManager;
+export function initProjections(options: ProjectionRunnerOptions): ProjectionRunner;
+export function initOutbox(options: OutboxDispatcherOptions): OutboxDispatcher;
+export function initSagas(options: SagaManagerOptions): SagaManager;
+export function initPartitionedQueue(options?: PartitionedQueueOptions): PartitionedQueue;
 export declare const eventCallbacks: EventCallbacks;
@@ -1,6 +1,18 @@
-import { initQueue, eventCallbacks } from "./lib/event-source.js";
+import { initQueue, eventCallbacks, ConcurrencyError } from "./lib/event-source.js";
+import { EventSubscription } from "./lib/subscription.js";
+import { ChainVerifier, hashEventRow, verifyCheckpointSignature } from "./lib/hash-chain.js";
 import { modelSetup } from "./lib/model.js";
+import { UpcasterRegistry } from "./lib/upcasting.js";
+import { SchemaRegistry, SchemaValidationError } from "./lib/schema-validation.js";
 import { initSnapshots, SnapshotManager } from "./lib/snapshot.js";
+import { initProjections, ProjectionRunner } from "./lib/projection-runner.js";
+import { initOutbox, OutboxDispatcher } from "./lib/outbox.js";
+import { initSagas, SagaManager } from "./lib/saga.js";
+import { assertTenantId, tenantPath } from "./lib/tenancy.js";
+import { initPartitionedQueue, PartitionedQueue } from "./lib/partitioned-queue.js";
+import { PayloadEncoder, decodePayload } from "./lib/payloads.js";
+import { FieldEncryptor } from "./lib/field-encryption.js";
+import { serializers, resolveSerializer, encodeMsgpack, decodeMsgpack, encodeCbor, decodeCbor } from "./lib/serializers.js";
 import { FileStorageManager } from "./lib/file-storage.js";
 import { FileProcessor } from "./lib/file-processor.js";
 import { EventQueryEngine } from "./lib/event-querying.js";
@@ -11,15 +23,43 @@ import { PrivacyManager, CryptoShredder, PersonalDataStore, ConsentManager, Data
 import { AutoDataClassifier, ConsentManagementSystem, DataRetentionPolicyManager, PrivacyImpactAssessment, DataBreachNotificationManager } from "./lib/privacy-controls.js";
 import ComplianceReportingManager, { ComplianceDashboard, DataProcessingActivityLogger, ConsentTrackingReporter, DataSubjectRequestTracker, RegulatoryAuditTrail } from "./lib/compliance-reporting.js";
 import { BulkOperations } from "./lib/bulk-operations.js";
+import { AccessPolicy } from "./lib/access-control.js";
 import { BackgroundJobQueue, EventJobProcessor } from "./lib/background-jobs.js";
 import { EventVisualizerPro, GDPRComplianceChecker, EventSourcingDebugger, SchemaMigrationHelper, DeveloperToolsSuite } from "./lib/developer-tools.js";
 
 export {
   initQueue,
   eventCallbacks,
+  ConcurrencyError,
+  EventSubscription,
+  ChainVerifier,
+  hashEventRow,
+  verifyCheckpointSignature,
   modelSetup,
+  UpcasterRegistry,
+  SchemaRegistry,
+  SchemaValidationError,
   initSnapshots,
   SnapshotManager,
+  initProjections,
+  ProjectionRunner,
+  initOutbox,
+  OutboxDispatcher,
+  initSagas,
+  SagaManager,
+  assertTenantId,
+  tenantPath,
+  initPartitionedQueue,
+  PartitionedQueue,
+  PayloadEncoder,
+  decodePayload,
+  serializers,
+  resolveSerializer,
+  encodeMsgpack,
+  decodeMsgpack,
+  encodeCbor,
+  decodeCbor,
+  FieldEncryptor,
   FileStorageManager,
   FileProcessor,
   EventQueryEngine,
@@ -53,6 +93,7 @@ export {
   RegulatoryAuditTrail,
   // Performance & Bulk Operations
   BulkOperations,
+  AccessPolicy,
   BackgroundJobQueue,
   EventJobProcessor,
   // Developer Tools
@@ -0,0 +1,309 @@
+import { Database } from "bun:sqlite";
+import { existsSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { BulkOperations } from "./bulk-operations.js";
+
+/**
+ * Read-side access control for events
+ * A policy names roles, each allowing some cmds and optionally only some rows
+ * (by the event's user, or any test of its columns). A principal { id, roles }
+ * may read an event if any of its roles allows it. forQueue, forQueryEngine
+ * and forBulkOperations give a principal read-only views that drop what it
+ * may not read, and every read through them is written to an audit log.
+ */
+
+// The columns rules see, the same for every source
+const headerColumns = ["id", "cmd", "user", "ip", "datetime", "correlation_id", "causation_id", "stream_id", "tenant_id"];
+const header = (row) => Object.fromEntries(headerColumns.map((column) => [column, row[column] ?? null]));
+
+const checkPrincipal = (principal) => {
+  if (principal?.id == null || !Array.isArray(principal.roles)) {
+    throw new Error("A principal needs an id and an array of roles");
+  }
+  return principal;
+};
+
+// Whether a role's cmds rule lets the principal read this event
+function cmdAllowed(cmds, row, principal) {
+  if (cmds === "*") return true;
+  if (Array.isArray(cmds)) return cmds.includes(row.cmd);
+  const rule = cmds?.[row.cmd];
+  return typeof rule === "function" ? Boolean(rule(row, principal)) : rule === true;
+}
+
+function userAllowed(users, row, principal) {
+  if (users === undefined) return true;
+  if (users === "self") return row.user != null && String(row.user) === String(principal.id);
+  if (Array.isArray(users)) return users.includes(row.user);
+  return Boolean(users(row.user, principal));
+}
+
+// Queue methods returning one row, a list of rows, or a page of them
+const queueRowMethods = ["retrieveByID", "retrieveByIDCached", "findByIdempotencyKey"];
+const queueListMethods = ["getTransaction", "getTransactionCached", "getChildEvents"];
+const queuePageMethods = [
+  "getByCorrelationIdPaginated",
+  "getChildEventsPaginated",
+  "getEventsByUserPaginated",
+  "getEventsByCmdPaginated",
+  "getEventsInTimeRangePaginated",
+];
+const queueWriteMethods = ["store", "storeAsync", "storeBulk", "storeWhen", "storeWithContext"];
+
+// EventQueryEngine methods returning event rows, and ones returning a number about one event
+const engineListMethods = [
+  "getRootEvents",
+  "getRootEventsInTimeRange",
+  "getRootEventsByType",
+  "getRootEventsByUser",
+  "getChildEvents",
+  "getDescendantEvents",
+  "getDirectChildren",
+  "getChildrenByType",
+  "getCousinEvents",
+  "getSiblingEvents",
+  "getRelatedEvents",
+  "getEventFamily",
+  "getEventBranches",
+  "findOrphanedEvents",
+  "getEventsByCorrelationId",
+];
+const engineScalarMethods = ["getEventDepth", "getEventInfluence"];
+
+export class AccessPolicy {
+  /**
+   * @param {Object} options
+   * @param {Object} options.roles - role -> { cmds, users, where }:
+   *   cmds is '*', a list of cmds, or cmd -> true | (event, principal) => boolean;
+   *   users is 'self' (the principal's own events), a list of users, or
+   *   (user, principal) => boolean; where is (event, principal) => boolean.
+   *   Rules see the event's id, cmd, user, ip, datetime, correlation_id,
+   *   causation_id, stream_id and tenant_id.
+   * @param {Object|false} options.audit - { dbName } for the read audit log
+   *   ('data/read-audit.sqlite' by default), or false for none
+   * @param {Function} options.datetime - Clock for audit entries
+   */
+  constructor({ roles = {}, audit = {}, datetime = Date.now } = {}) {
+    this.roles = roles;
+    this.datetime = datetime;
+    this.db = null;
+    if (audit === false) return;
+
+    const dbName = audit.dbName ?? "data/read-audit.sqlite";
+    const dbDir = dirname(dbName);
+    if (!existsSync(dbDir)) {
+      mkdirSync(dbDir, { recursive: true });
+    }
+    this.db = new Database(dbName, { create: true, strict: true });
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS read_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        read_at INTEGER NOT NULL,
+        principal_id TEXT NOT NULL,
+        roles TEXT NOT NULL,
+        tenant_id TEXT,
+        source TEXT NOT NULL,
+        method TEXT NOT NULL,
+        event_ids TEXT NOT NULL,
+        denied INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+    this.db.exec("CREATE INDEX IF NOT EXISTS idx_read_audit_principal ON read_audit (principal_id, read_at)");
+    this.queries = {
+      record: this.db.prepare(`
+        INSERT INTO read_audit (read_at, principal_id, roles, tenant_id, source, method, event_ids, denied)
+        VALUES ($readAt, $principalId, $roles, $tenantId, $source, $method, $eventIds, $denied)
+      `),
+      list: this.db.prepare(`
+        SELECT * FROM read_audit
+        WHERE ($principalId IS NULL OR principal_id = $principalId)
+          AND ($since IS NULL OR read_at >= $since)
+          AND ($eventId IS NULL OR EXISTS (SELECT 1 FROM json_each(event_ids) WHERE value = $eventId))
+        ORDER BY id DESC
+        LIMIT $limit
+      `),
+    };
+  }
+
+  /**
+   * Whether the principal may read an event
+   * @param {Object} principal - { id, roles }
+   * @param {Object} row - The event, or at least its header columns
+   * @returns {boolean}
+   */
+  canRead(principal, row) {
+    checkPrincipal(principal);
+    const event = header(row);
+    return principal.roles.some((name) => {
+      const role = this.roles[name];
+      return (
+        role &&
+        cmdAllowed(role.cmds, event, principal) &&
+        userAllowed(role.users, event, principal) &&
+        (!role.where || Boolean(role.where(event, principal)))
+      );
+    });
+  }
+
+  /**
+   * The events the principal may read, in order
+   * @param {Object} principal - { id, roles }
+   * @param {Array} rows - Events
+   * @returns {Array} Readable events
+   */
+  filter(principal, rows) {
+    return rows.filter((row) => this.canRead(principal, row));
+  }
+
+  /**
+   * A read-only view of a queue for one principal. Reads return only what the
+   * principal may read (an unreadable event reads as not found) and are
+   * audited; writes throw.
+   * @param {Object} queue - From initQueue
+   * @param {Object} principal - { id, roles }
+   * @returns {Object} Queue view
+   */
+  forQueue(queue, principal) {
+    checkPrincipal(principal);
+    const read = (method, rows) => this._guard(principal, queue.tenantId, "queue", method, rows, (row) => row);
+    const view = { tenantId: queue.tenantId, principal };
+
+    for (const method of queueRowMethods) {
+      view[method] = (...args) => {
+        const row = queue[method](...args);
+        return row ? (read(method, [row])[0] ?? null) : row;
+      };
+    }
+    for (const method of queueListMethods) {
+      view[method] = (...args) => read(method, queue[method](...args));
+    }
+    // A page is filtered after it is read, so it can come back short; the
+    // total would count events the principal can't read, so it is left out
+    for (const method of queuePageMethods) {
+      view[method] = (...args) => {
+        const page = queue[method](...args);
+        return { ...page, events: read(method, page.events), totalCount: null };
+      };
+    }
+    for (const method of queueWriteMethods) {
+      view[method] = () => {
+        throw new Error(`${method} is not available on a read-only view of the queue`);
+      };
+    }
+
+    // Reads on past batches with nothing readable, so an empty result still
+    // means the end, and resuming from the last id returned skips nothing
+    view.getEventsAfter = (afterId, options = {}) => {
+      const limit = options.limit ?? 1000;
+      const batches = [];
+      let batch;
+      do {
+        batch = queue.getEventsAfter(afterId, { ...options, limit });
+        batches.push(...batch);
+        afterId = batch.at(-1)?.id;
+      } while (batch.length === limit && !batches.some((row) => this.canRead(principal, row)));
+      return read("getEventsAfter", batches);
+    };
+
+    view.getEventLineage = (eventId) => {
+      const lineage = queue.getEventLineage(eventId);
+      if (!lineage) return lineage;
+      const { event, parent, children } = lineage;
+      const readable = new Set(read("getEventLineage", [event, parent, ...children].filter(Boolean)));
+      if (!readable.has(event)) return null;
+      return {
+        event,
+        parent: readable.has(parent) ? parent : null,
+        children: children.filter((child) => readable.has(child)),
+      };
+    };
+
+    // A checkpoint signs the chain over every event, readable or not, so it
+    // can't be filtered; refuse rather than leave the method missing
+    view.getChainCheckpoints = () => {
+      throw new Error("Chain checkpoints cover events the principal may not read; they aren't available on a read view");
+    };
+
+    view.streamEvents = async function* (options) {
+      for await (const batch of queue.streamEvents(options)) {
+        const readable = read("streamEvents", batch);
+        if (readable.length) yield readable;
+      }
+    };
+
+    return view;
+  }
+
+  /**
+   * A view of an EventQueryEngine for one principal, with the methods that
+   * return events. Rows are checked against the engine's own database.
+   * @param {EventQueryEngine} engine - Query engine
+   * @param {Object} principal - { id, roles }
+   * @returns {Object} Engine view
+   */
+  forQueryEngine(engine, principal) {
+    checkPrincipal(principal);
+    // Some of the engine's queries return only some columns, so rules are
+    // checked against the stored row
+    const lookup = engine.db.query(`SELECT * FROM queue WHERE id = $id`);
+    const stored = (row) => lookup.get({ $id: row.id }) ?? row;
+    const read = (method, rows) => this._guard(principal, engine.tenantId, "queryEngine", method, rows, stored);
+    const view = { tenantId: engine.tenantId, principal };
+
+    for (const method of engineListMethods) {
+      view[method] = (...args) => read(method, engine[method](...args));
+    }
+    // A number about an event the principal can't read comes back as for a missing event
+    for (const method of engineScalarMethods) {
+      view[method] = (eventId) => (read(method, [{ id: eventId }]).length ? engine[method](eventId) : 0);
+    }
+    return view;
+  }
+
+  /**
+   * BulkOperations that read through forQueue, for exports of what the
+   * principal may read; imports and migrations throw
+   * @param {BulkOperations} bulk - Bulk operations on a queue
+   * @param {Object} principal - { id, roles }
+   * @returns {BulkOperations}
+   */
+  forBulkOperations(bulk, principal) {
+    return new BulkOperations(this.forQueue(bulk.eventQueue, principal));
+  }
+
+  /**
+   * Entries of the read audit log, newest first
+   * @param {Object} options - { principalId, eventId, since, limit }
+   * @returns {Array} { id, read_at, principal_id, roles, tenant_id, source, method, event_ids, denied }
+   */
+  auditLog({ principalId = null, eventId = null, since = null, limit = 100 } = {}) {
+    if (!this.db) {
+      throw new Error("The read audit log is not enabled; pass audit: { dbName } to AccessPolicy");
+    }
+    return this.queries.list
+      .all({ principalId: principalId == null ? null : String(principalId), eventId, since, limit })
+      .map((entry) => ({ ...entry, roles: JSON.parse(entry.roles), event_ids: JSON.parse(entry.event_ids) }));
+  }
+
+  // Filter rows read through a view and record the read
+  _guard(principal, tenantId, source, method, rows, stored) {
+    const readable = rows.filter((row) => this.canRead(principal, stored(row)));
+    if (this.db) {
+      this.queries.record.run({
+        readAt: this.datetime(),
+        principalId: String(principal.id),
+        roles: JSON.stringify(principal.roles),
+        tenantId: tenantId ?? null,
+        source,
+        method,
+        eventIds: JSON.stringify(readable.map((row) => row.id)),
+        denied: rows.length - readable.length,
+      });
+    }
+    return readable;
+  }
+
+  close() {
+    this.db?.close();
+  }
+}
@@ -24,6 +24,8 @@ class BulkOperations {
       user = null,
       cmd = null,
       includeMetadata = true,
+      includeChain = false,
+      raw = includeChain, // chained rows must be exported as stored to verify
     } = options;
 
     const writeStream = createWriteStream(filePath, { encoding: 'utf8' });
@@ -37,6 +39,7 @@ class BulkOperations {
         correlationId,
         user,
         cmd,
+        raw,
       })) {
         for (const event of batch) {
           const exportData = {
@@ -55,6 +58,14 @@ class BulkOperations {
             exportData.metadata = event.metadata;
           }
 
+          // Everything an auditor needs to recompute the row hash
+          if (includeChain) {
+            exportData.stream_id = event.stream_id;
+            exportData.stream_version = event.stream_version;
+            exportData.hash = event.hash;
+            exportData.prev_hash = event.prev_hash;
+          }
+
           writeStream.write(JSON.stringify(exportData) + '\n');
           totalExported++;
         }
@@ -68,6 +79,28 @@ class BulkOperations {
     }
   }
 
+  /**
+   * Export signed hash chain checkpoints as JSON Lines, to ship alongside an
+   * exportToJSONL({ includeChain: true }) file for the same id range
+   */
+  async exportChainCheckpoints(filePath, options = {}) {
+    const { startId = 0, endId = null } = options;
+    const checkpoints = this.eventQueue.getChainCheckpoints({
+      fromId: startId,
+      toId: endId,
+    });
+
+    const writeStream = createWriteStream(filePath, { encoding: 'utf8' });
+    for (const checkpoint of checkpoints) {
+      writeStream.write(JSON.stringify(checkpoint) + '\n');
+    }
+    await new Promise((resolve, reject) => {
+      writeStream.on('error', reject);
+      writeStream.end(resolve);
+    });
+    return { success: true, totalExported: checkpoints.length };
+  }
+
   /**
    * Import events from JSON Lines format
    */
@@ -215,6 +248,7 @@ class BulkOperations {
       user = null,
       cmd = null,
       includeHeaders = true,
+      raw = false,
     } = options;
 
     const writeStream = createWriteStream(filePath, { encoding: 'utf8' });
@@ -229,6 +263,7 @@ class BulkOperations {
         correlationId,
         user,
         cmd,
+        raw,
       })) {
         if (isFirstBatch && includeHeaders) {
           writeStream.write('id,version,datetime,user,ip,cmd,data,correlation_id,causation_id,metadata\n');
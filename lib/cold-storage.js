@@ -0,0 +1,74 @@
+import { createHash } from "crypto";
+import { existsSync, readFileSync, renameSync, writeFileSync } from "fs";
+import { gunzipSync, gzipSync } from "zlib";
+
+/**
+ * Cold storage helpers for archived events
+ * A segment is a gzip file of JSONL, one event per line with every stored
+ * column, so the row can be put back exactly. data and metadata keep the text
+ * they were stored as (the hash chain covers that text); bytes from another
+ * serializer are kept as { base64 }. The queue keeps the segment's id range
+ * and the SHA-256 of the file, which is checked whenever the segment is read.
+ */
+
+// Columns that may hold bytes
+const payloadColumns = ["data", "metadata"];
+
+/**
+ * Hex SHA-256 of a segment file's bytes
+ * @param {Buffer} bytes - File contents
+ * @returns {string} Checksum
+ */
+export function segmentChecksum(bytes) {
+  return createHash("sha256").update(bytes).digest("hex");
+}
+
+/**
+ * Write rows (as stored in the queue) to a segment file. The file is written
+ * under a temporary name and renamed, so a crash never leaves half a segment.
+ * @param {string} path - Segment file path
+ * @param {Array} rows - Queue rows in id order
+ * @returns {string} Checksum of the written file
+ */
+export function writeSegment(path, rows) {
+  const lines = rows.map((row) => {
+    const line = { ...row };
+    for (const column of payloadColumns) {
+      if (line[column] instanceof Uint8Array) {
+        line[column] = { base64: Buffer.from(line[column]).toString("base64") };
+      }
+    }
+    return JSON.stringify(line);
+  });
+  const bytes = gzipSync(lines.join("\n") + "\n");
+  writeFileSync(`${path}.tmp`, bytes);
+  renameSync(`${path}.tmp`, path);
+  return segmentChecksum(bytes);
+}
+
+/**
+ * Read a segment back into rows as stored in the queue, checking it first
+ * @param {string} path - Segment file path
+ * @param {string} checksum - Expected SHA-256; omit to skip the check
+ * @returns {Array} Queue rows in id order
+ */
+export function readSegment(path, checksum) {
+  if (!existsSync(path)) {
+    throw new Error(`Archive segment ${path} is missing`);
+  }
+  const bytes = readFileSync(path);
+  if (checksum && segmentChecksum(bytes) !== checksum) {
+    throw new Error(`Archive segment ${path} does not match its checksum`);
+  }
+  return gunzipSync(bytes)
+    .toString("utf8")
+    .split("\n")
+    .filter(Boolean)
+    .map((text) => {
+      const row = JSON.parse(text);
+      for (const column of payloadColumns) {
+        if (row[column]?.base64 !== undefined) row[column] = Buffer.from(row[column].base64, "base64");
+      }
+      return row;
+    });
+}
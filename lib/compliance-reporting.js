@@ -1009,6 +1009,21 @@ class RegulatoryAuditTrail {
       }
     });
 
+    // Check the event log itself when it is hash chained
+    const eventQueue = this.options.eventQueue;
+    if (eventQueue && typeof eventQueue.isHashChained === 'function' && eventQueue.isHashChained()) {
+      const chain = eventQueue.verifyChain();
+      integrity.hashChain = chain;
+      if (!chain.valid) {
+        integrity.consistency = false;
+        integrity.issues.push({
+          type: 'hash-chain',
+          eventId: chain.firstBroken.id,
+          description: `Event log hash chain broken (${chain.firstBroken.reason})`
+        });
+      }
+    }
+
     return integrity;
   }
 
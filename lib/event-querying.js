@@ -1,8 +1,17 @@
 import { Database } from "bun:sqlite";
+import { tenantView } from "./tenancy.js";
 
 export class EventQueryEngine {
-  constructor(dbPath) {
+  /**
+   * @param {string} dbPath - Path to the event queue database
+   * @param {Object} options - { tenantId } to query only that tenant's events
+   */
+  constructor(dbPath, options = {}) {
     this.db = new Database(dbPath);
+    this.tenantId = options.tenantId ?? null;
+    // A temporary view named queue shadows the table on this connection, so
+    // every query below sees only the tenant's rows
+    if (this.tenantId !== null) tenantView(this.db, "queue", this.tenantId, "queue");
     this._prepareQueries();
   }
 
@@ -1,6 +1,19 @@
 import { Database } from "bun:sqlite";
-import { existsSync, mkdirSync } from "fs";
-import { dirname } from "path";
+import { existsSync, mkdirSync, rmSync } from "fs";
+import { dirname, join } from "path";
+import { EventSubscription } from "./subscription.js";
+import { SchemaValidationError } from "./schema-validation.js";
+import { assertTenantId, tenantView } from "./tenancy.js";
+import { readSegment, writeSegment } from "./cold-storage.js";
+import { PayloadEncoder } from "./payloads.js";
+import { resolveSerializer, serializerMarker, serializerNamed } from "./serializers.js";
+import { FieldEncryptor } from "./field-encryption.js";
+import {
+  ChainVerifier,
+  hashEventRow,
+  loadSigningKey,
+  signCheckpoint,
+} from "./hash-chain.js";
 
 // Simple LRU cache implementation for query results
 class QueryCache {
@@ -108,6 +121,403 @@ const eventCallbacks = {
   done: () => {},
 };
 
+// Raised when an append names an expectedVersion that no longer matches the stream
+class ConcurrencyError extends Error {
+  constructor(streamId, expectedVersion, actualVersion) {
+    super(
+      `Concurrency conflict on stream ${streamId}: expected version ${expectedVersion} but stream is at ${actualVersion}`,
+    );
+    this.name = "ConcurrencyError";
+    this.streamId = streamId;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+}
+
+// Thrown inside an insert's transaction when another writer already holds a
+// live claim on the event's idempotency key, to roll the insert back
+class IdempotencyConflict extends Error {
+  constructor(key) {
+    super(`Idempotency key ${key} is already claimed`);
+    this.name = "IdempotencyConflict";
+    this.key = key;
+  }
+}
+
+// Columns returned for every event row read back from the queue
+// payload and payload_encoding hold encoded payloads, and serializer names what
+// wrote data and metadata; rows are decoded as they're read
+const rowColumns =
+  "id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata, stream_id, stream_version, tenant_id, payload, payload_encoding, serializer";
+
+// forTenant passes its connection under this key, so a tenant handle shares
+// the queue's connection instead of opening (or resetting) the file again
+const sharedConnection = Symbol("sharedConnection");
+const connectionSubscriptions = new WeakMap();
+
+// Idempotency keys are namespaced by tenant so two tenants can use the same key
+const scopedKey = (key, tenant) =>
+  tenant == null ? String(key) : `${tenant}\u001f${key}`;
+
+// Older databases predate some columns; CREATE TABLE IF NOT EXISTS won't add them
+const addMissingColumns = (db, table, columns) => {
+  const existing = new Set(
+    db.query(`PRAGMA table_info(${table})`).all().map((col) => col.name),
+  );
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.has(name)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+    }
+  }
+};
+
+// Yields hot rows (in id order) with the rows of archived segments (sorted by
+// first_id) read back in between them; an archived range never overlaps a hot row
+function* mergeArchived(hotRows, segments, segmentRows) {
+  let next = 0;
+  for (const row of hotRows) {
+    while (next < segments.length && segments[next].first_id < row.id) {
+      yield* segmentRows(segments[next++]);
+    }
+    yield row;
+  }
+  while (next < segments.length) yield* segmentRows(segments[next++]);
+}
+
+const isThenable = (value) =>
+  value !== null &&
+  (typeof value === "object" || typeof value === "function") &&
+  typeof value.then === "function";
+
+// Runs the command's handler, returning its result (a promise when the handler
+// is async). Models set up with trackApplied record the event id in the same
+// model transaction as the handler's writes, so their handlers must be
+// synchronous: an async handler would write after that transaction commits.
+const runModelHandler = (row, model) => {
+  if (!model._markApplied) return dispatchModelHandler(row, model);
+  return model._db.transaction(() => {
+    const res = dispatchModelHandler(row, model);
+    if (isThenable(res)) {
+      // Its outcome is reported through this error, not as an unhandled rejection
+      res.then(undefined, () => {});
+      throw new Error(
+        `${row.cmd} returned a promise; handlers of a model with trackApplied must be synchronous`,
+      );
+    }
+    model._markApplied(row.id);
+    return res;
+  })();
+};
+
+// A failed event still counts as applied, so recovery doesn't retry it forever
+const markFailedApplied = (row, model) => {
+  if (model._markApplied && row.id != null) model._markApplied(row.id);
+};
+
+// Dispatches an (already upcast) event to the command's handler
+const dispatchModelHandler = (row, model) => {
+  const {
+    id,
+    version,
+    datetime,
+    user,
+    ip,
+    cmd,
+    data,
+    correlation_id,
+    causation_id,
+    metadata,
+    stream_id,
+    stream_version,
+    upcastFrom,
+  } = row;
+
+  const meta = {
+    datetime,
+    user,
+    ip,
+    cmd,
+    id,
+    version,
+    correlationId: correlation_id,
+    causationId: causation_id,
+    metadata,
+    streamId: stream_id,
+    streamVersion: stream_version,
+    upcastFrom,
+  };
+  if (model[cmd]) {
+    return model[cmd](data, meta);
+  } else if (model._queries[cmd]) {
+    //simple pass through to query
+    return model.get(cmd, data);
+  }
+  return model._default(data, meta);
+};
+
+const successCallback = (cb, cmd) =>
+  (cb && (cb[cmd] || cb._default)) || eventCallbacks.void._default;
+
+const errorCallback = (cb) => (cb && cb._error) || eventCallbacks.void._error;
+
+const executionError = (error, row, res) => {
+  const { user, ip, cmd } = row;
+  return {
+    msg: `${user} at ${ip} initiated  ${cmd} that led to an error: ${error.message}`,
+    error,
+    res,
+    data: row.data,
+    user,
+    ip,
+    cmd,
+    id: row.id,
+    version: row.version,
+    datetime: row.datetime,
+    correlation_id: row.correlation_id,
+    causation_id: row.causation_id,
+    metadata: row.metadata,
+    stream_id: row.stream_id,
+    stream_version: row.stream_version,
+    tenant_id: row.tenant_id,
+  };
+};
+
+// Reactor failures go to the error callback only; the triggering event is
+// already stored and its model ran
+const reactorError = (cb, error, cause, path) =>
+  errorCallback(cb)({
+    ...executionError(error, cause),
+    msg: `Reactor for ${cause.cmd} failed: ${error.message}`,
+    reactionChain: [...path, cause.cmd],
+  });
+
+// Wait condition filters. Everything but $regex is compiled to SQL so a
+// condition only counts the rows it needs; SQLite has no regex function, so
+// $regex is checked in JS over the rows the rest of the filter lets through.
+const whereOperators = new Set([
+  "$eq", "$ne", "$gt", "$gte", "$lt", "$lte", "$in", "$nin", "$exists", "$regex", "$options",
+]);
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  Object.keys(value).some((key) => key.startsWith("$"));
+
+// { "a.b": 1, c: { d: { $gt: 2 } } } -> [[["a", "b"], 1], [["c", "d"], { $gt: 2 }]]
+const flattenWhere = (where, prefix = []) =>
+  Object.entries(where).flatMap(([key, condition]) => {
+    const path = [...prefix, ...key.split(".")];
+    if (
+      condition !== null &&
+      typeof condition === "object" &&
+      !Array.isArray(condition) &&
+      !isOperatorObject(condition) &&
+      Object.keys(condition).length
+    ) {
+      return flattenWhere(condition, path);
+    }
+    return [[path, condition]];
+  });
+
+const jsonPath = (segments) =>
+  "$" + segments.map((s) => (/^\d+$/.test(s) ? `[${s}]` : `."${s.replace(/"/g, '\\"')}"`)).join("");
+
+const getPath = (value, segments) =>
+  segments.reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), value);
+
+// json_extract hands back booleans as 1/0 and objects as JSON text
+const sqlValue = (value) => {
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (value !== null && typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+const operatorsOf = (condition) =>
+  isOperatorObject(condition) ? Object.entries(condition) : [["$eq", condition]];
+
+const checkOperators = (where) => {
+  for (const [path, condition] of flattenWhere(where)) {
+    for (const [operator, expected] of operatorsOf(condition)) {
+      if (!whereOperators.has(operator)) {
+        throw new Error(`Unknown where operator ${operator} on ${path.join(".")}`);
+      }
+      if ((operator === "$in" || operator === "$nin") && !Array.isArray(expected)) {
+        throw new Error(`${operator} on ${path.join(".")} needs an array`);
+      }
+    }
+  }
+};
+
+// Appends the SQL for a where clause on a JSON column to clauses/params;
+// returns true if part of it ($regex) has to be checked in JS
+const whereToSql = (column, where, clauses, params) => {
+  let needsJs = false;
+  for (const [path, condition] of flattenWhere(where)) {
+    const p = `p${Object.keys(params).length}`;
+    params[p] = jsonPath(path);
+    const expr = `json_extract(${column}, $${p})`;
+    for (const [operator, expected] of operatorsOf(condition)) {
+      const v = `p${Object.keys(params).length}`;
+      switch (operator) {
+        case "$eq":
+          if (expected === null) {
+            clauses.push(`${expr} IS NULL`);
+            continue;
+          }
+          clauses.push(`${expr} = $${v}`);
+          break;
+        case "$ne":
+          clauses.push(`${expr} IS NOT $${v}`);
+          break;
+        case "$gt":
+          clauses.push(`${expr} > $${v}`);
+          break;
+        case "$gte":
+          clauses.push(`${expr} >= $${v}`);
+          break;
+        case "$lt":
+          clauses.push(`${expr} < $${v}`);
+          break;
+        case "$lte":
+          clauses.push(`${expr} <= $${v}`);
+          break;
+        case "$in":
+          clauses.push(`${expr} IN (SELECT value FROM json_each($${v}))`);
+          params[v] = JSON.stringify(expected);
+          continue;
+        case "$nin":
+          clauses.push(`(${expr} IS NULL OR ${expr} NOT IN (SELECT value FROM json_each($${v})))`);
+          params[v] = JSON.stringify(expected);
+          continue;
+        case "$exists":
+          clauses.push(`json_type(${column}, $${p}) IS ${expected ? "NOT NULL" : "NULL"}`);
+          continue;
+        case "$regex":
+          needsJs = true;
+          continue;
+        default:
+          continue;
+      }
+      params[v] = sqlValue(expected);
+    }
+  }
+  return needsJs;
+};
+
+// SQLite reads JSON true and false as 1 and 0, so the JS filter compares them the same way
+const asSqlScalar = (value) => (typeof value === "boolean" ? Number(value) : value);
+
+// JS version of the same filter, for $regex and for callers holding parsed data
+const matchesWhere = (data, where) =>
+  flattenWhere(where).every(([path, condition]) => {
+    const raw = getPath(data, path);
+    const value = asSqlScalar(raw);
+    return operatorsOf(condition).every(([operator, expected]) => {
+      switch (operator) {
+        case "$eq":
+          return expected !== null && typeof expected === "object"
+            ? JSON.stringify(raw) === JSON.stringify(expected)
+            : value === asSqlScalar(expected) || (expected === null && value === undefined);
+        case "$ne":
+          return value !== asSqlScalar(expected);
+        case "$gt":
+          return value > expected;
+        case "$gte":
+          return value >= expected;
+        case "$lt":
+          return value < expected;
+        case "$lte":
+          return value <= expected;
+        case "$in":
+          return expected.map(asSqlScalar).includes(value);
+        case "$nin":
+          return !expected.map(asSqlScalar).includes(value);
+        case "$exists":
+          return (value !== undefined) === Boolean(expected);
+        case "$regex":
+          return typeof value === "string" && new RegExp(expected, condition.$options).test(value);
+        case "$options":
+          return true;
+        default:
+          return false;
+      }
+    });
+  });
+
+// A waitFor tree: all/any/sequence hold arrays of nodes, count holds a count
+// condition and not a single node; several keys on one node are ANDed. Any
+// object without them is a leaf condition. Leaves are stored as wait
+// conditions with a path such as "all.1.any.0" saying where they sit.
+const waitForKeys = ["all", "any", "count", "sequence", "not"];
+
+const nodeKeys = (node) =>
+  waitForKeys.filter((key) => node[key] !== null && typeof node[key] === "object");
+
+const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+// Leaves of a waitFor tree, as { path, type, condition, index }
+const waitForLeaves = (node, path = "") =>
+  nodeKeys(node).flatMap((key) => {
+    const value = node[key];
+    const at = childPath(path, key);
+    if (key === "count") {
+      return [{ path: at, type: "count_condition", condition: value }];
+    }
+    if (key === "not") {
+      if (Array.isArray(value)) throw new Error(`not at ${at} takes a single condition`);
+      return nodeKeys(value).length
+        ? waitForLeaves(value, at)
+        : [{ path: at, type: "not_condition", condition: value }];
+    }
+    if (!Array.isArray(value)) throw new Error(`${key} at ${at} takes an array of conditions`);
+    return value.flatMap((child, index) => {
+      if (!nodeKeys(child).length) {
+        return [{ path: `${at}.${index}`, type: `${key}_condition`, condition: child, index }];
+      }
+      if (key === "sequence") throw new Error(`Steps of the sequence at ${at} must be single conditions`);
+      return waitForLeaves(child, `${at}.${index}`);
+    });
+  });
+
+// Conditions stored before nested waitFor have no path; theirs follows from
+// their type, since they could only sit at the top level
+const conditionPath = (type, data) => {
+  if (data.path !== undefined) return data.path;
+  if (type === "count_condition") return "count";
+  if (type === "sequence_condition") return `sequence.${data.order}`;
+  return `${type.replace("_condition", "")}.${data.index}`;
+};
+
+const waitForSatisfied = (node, path, satisfiedPaths) => {
+  const keys = nodeKeys(node);
+  if (!keys.length) return satisfiedPaths.has(path);
+  return keys.every((key) => {
+    const value = node[key];
+    const at = childPath(path, key);
+    switch (key) {
+      case "count":
+        return satisfiedPaths.has(at);
+      case "not":
+        return !waitForSatisfied(value, at, satisfiedPaths);
+      case "any":
+        return value.some((child, index) => waitForSatisfied(child, `${at}.${index}`, satisfiedPaths));
+      default:
+        return value.length > 0 && value.every((child, index) => waitForSatisfied(child, `${at}.${index}`, satisfiedPaths));
+    }
+  });
+};
+
+// RegExp objects don't survive JSON.stringify; store them as $regex/$options
+const serializeCondition = (condition) =>
+  JSON.stringify(condition, (key, value) => {
+    if (value instanceof RegExp) return { $regex: value.source, $options: value.flags };
+    if (value && value.$regex instanceof RegExp) {
+      return { $options: value.$regex.flags, ...value, $regex: value.$regex.source };
+    }
+    return value;
+  });
+
 //stateDB should have db which is open database connection, methods for executing commands,
 //queries for storing db queries, and roles for saying who can do what commands.
 // options: {dbInit: {create:true, strict:true}, hash:{} for pwds, noWal:false}
@@ -138,23 +548,178 @@ const initQueue = function (options = {}) {
   // Initialize query cache if enabled
   const queryCache = cache.enabled ? new QueryCache(cache.maxSize, cache.ttl) : null;
 
-  // Ensure the directory exists
-  const dbDir = dirname(dbName);
-  if (!existsSync(dbDir)) {
-    mkdirSync(dbDir, { recursive: true });
-  }
+  // A tenant-scoped handle reads and writes only that tenant's events
+  const tenantId = options.tenantId == null ? null : assertTenantId(options.tenantId);
+
+  let db = options[sharedConnection];
+  if (!db) {
+    // Ensure the directory exists
+    const dbDir = dirname(dbName);
+    if (!existsSync(dbDir)) {
+      mkdirSync(dbDir, { recursive: true });
+    }
 
-  const db = new Database(dbName, init);
-  if (options.WAL) db.exec("PRAGMA journal_mode = WAL;");
-  if (options.reset) {
-    db.query("DROP TABLE IF EXISTS queue").run();
-    db.query("DROP TABLE IF EXISTS pending_events").run();
-    db.query("DROP TABLE IF EXISTS wait_conditions").run();
+    db = new Database(dbName, init);
+    if (options.WAL) db.exec("PRAGMA journal_mode = WAL;");
+    if (options.reset) {
+      db.query("DROP TABLE IF EXISTS queue").run();
+      db.query("DROP TABLE IF EXISTS pending_events").run();
+      db.query("DROP TABLE IF EXISTS wait_conditions").run();
+      db.query("DROP TABLE IF EXISTS idempotency_keys").run();
+      db.query("DROP TABLE IF EXISTS outbox").run();
+      db.query("DROP TABLE IF EXISTS chain_checkpoints").run();
+      db.query("DROP TABLE IF EXISTS archive_segments").run();
+      db.query("DROP TABLE IF EXISTS archived_events").run();
+      db.query("DROP TABLE IF EXISTS sagas").run();
+      db.query("DROP TABLE IF EXISTS saga_timeouts").run();
+      db.query("DROP TABLE IF EXISTS saga_checkpoints").run();
+    }
   }
   const create = db.query(
-    "CREATE TABLE IF NOT EXISTS queue ( id INTEGER PRIMARY KEY AUTOINCREMENT, version INTEGER DEFAULT 1, datetime INTEGER NOT NULL, user TEXT, ip TEXT, cmd TEXT NOT NULL, data TEXT, correlation_id TEXT, causation_id INTEGER, metadata TEXT); ",
+    "CREATE TABLE IF NOT EXISTS queue ( id INTEGER PRIMARY KEY AUTOINCREMENT, version INTEGER DEFAULT 1, datetime INTEGER NOT NULL, user TEXT, ip TEXT, cmd TEXT NOT NULL, data TEXT, correlation_id TEXT, causation_id INTEGER, metadata TEXT, stream_id TEXT, stream_version INTEGER, tenant_id TEXT, payload BLOB, payload_encoding TEXT, serializer TEXT); ",
   );
   create.run();
+  addMissingColumns(db, "queue", {
+    stream_id: "TEXT",
+    stream_version: "INTEGER",
+    tenant_id: "TEXT",
+    payload: "BLOB",
+    payload_encoding: "TEXT",
+    serializer: "TEXT",
+  });
+
+  // Compressed and offloaded payloads (options.payloads = { compress, offload })
+  const payloads = new PayloadEncoder(options.payloads);
+  const decodeRow = (row) => payloads.decode(row);
+
+  // data, metadata and pending events are written with options.serializer
+  // ('json', 'msgpack', 'cbor' or a custom one) and read with whichever
+  // serializer the row names, so rows written before a switch still read
+  const serializer = resolveSerializer(options.serializer);
+  const marker = serializerMarker(serializer);
+  const deserialize = (stored, name) => serializerNamed(name, serializer).decode(stored);
+
+  // Per-cmd fields encrypted with the subject's CryptoShredder key
+  // (options.encryption = { shredder, fields, subject, tombstone })
+  const fieldEncryption = options.encryption ? new FieldEncryptor(options.encryption) : null;
+  const encryptFields = (cmd, data) => (fieldEncryption ? fieldEncryption.encrypt(cmd, data) : data);
+  const decryptFields = (cmd, data) => (fieldEncryption ? fieldEncryption.decrypt(cmd, data) : data);
+
+  // A row as stored, in place: payload decoded, then data and metadata deserialized
+  const storedRow = (row) => {
+    if (!row) return row;
+    decodeRow(row);
+    const name = row.serializer;
+    delete row.serializer;
+    row.data = row.data == null ? null : deserialize(row.data, name);
+    row.metadata = row.metadata ? deserialize(row.metadata, name) : {};
+    return row;
+  };
+
+  // A row as read: as stored, with its encrypted fields decrypted
+  const parseRow = (row) => {
+    if (!storedRow(row) || !fieldEncryption) return row;
+    row.data = fieldEncryption.decrypt(row.cmd, row.data);
+    return row;
+  };
+
+  // Optional tamper-evident log: each row stores a hash of its contents chained
+  // to the previous row's hash, with signed checkpoints every checkpointEvery rows
+  const chain = options.hashChain
+    ? {
+        key: loadSigningKey(options.hashChain),
+        checkpointEvery: options.hashChain.checkpointEvery ?? 1000,
+      }
+    : null;
+  if (chain) {
+    addMissingColumns(db, "queue", { hash: "TEXT", prev_hash: "TEXT" });
+    db.query(`
+      CREATE TABLE IF NOT EXISTS chain_checkpoints (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL,
+        hash TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        algorithm TEXT,
+        signature TEXT
+      )
+    `).run();
+  }
+
+  // Idempotency keys map a caller's request key to the event it stored. They
+  // live apart from the queue so an expired key can be dropped or reclaimed
+  // without touching the event row.
+  db.query(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      key TEXT PRIMARY KEY,
+      event_id INTEGER NOT NULL,
+      created_at INTEGER NOT NULL,
+      expires_at INTEGER
+    )
+  `).run();
+  db.query("CREATE INDEX IF NOT EXISTS idx_idempotency_expires ON idempotency_keys(expires_at)").run();
+
+  // Transactional outbox: side effects recorded in the event's own transaction
+  // and delivered later by an OutboxDispatcher, so a crash can't lose them
+  const outbox = options.outbox
+    ? { cmds: options.outbox === true ? null : options.outbox.cmds ?? null }
+    : null;
+  if (outbox) {
+    db.query(`
+      CREATE TABLE IF NOT EXISTS outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event_id INTEGER NOT NULL,
+        topic TEXT NOT NULL,
+        payload TEXT,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'delivered', 'failed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        delivered_at INTEGER
+      )
+    `).run();
+    db.query("CREATE INDEX IF NOT EXISTS idx_outbox_due ON outbox(status, next_attempt_at)").run();
+    db.query("CREATE INDEX IF NOT EXISTS idx_outbox_event ON outbox(event_id)").run();
+  }
+
+  // Cold storage: old events moved out of the queue into gzip JSONL segments.
+  // archived_events indexes each archived event's segment, cause and correlation.
+  const archive = options.archive
+    ? {
+        dir: options.archive.dir ?? "data/archive",
+        segmentSize: options.archive.segmentSize ?? 10000,
+        cacheSize: options.archive.cacheSize ?? 4,
+      }
+    : null;
+  if (archive) {
+    db.query(`
+      CREATE TABLE IF NOT EXISTS archive_segments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        path TEXT NOT NULL,
+        first_id INTEGER NOT NULL,
+        last_id INTEGER NOT NULL,
+        event_count INTEGER NOT NULL,
+        min_datetime INTEGER,
+        max_datetime INTEGER,
+        checksum TEXT NOT NULL,
+        last_hash TEXT,
+        created_at INTEGER NOT NULL
+      )
+    `).run();
+    db.query(`
+      CREATE TABLE IF NOT EXISTS archived_events (
+        id INTEGER PRIMARY KEY,
+        segment_id INTEGER NOT NULL,
+        causation_id INTEGER,
+        correlation_id TEXT,
+        stream_id TEXT,
+        stream_version INTEGER,
+        tenant_id TEXT
+      )
+    `).run();
+    db.query("CREATE INDEX IF NOT EXISTS idx_archived_causation ON archived_events(causation_id)").run();
+    db.query("CREATE INDEX IF NOT EXISTS idx_archived_segment ON archived_events(segment_id)").run();
+  }
 
   // Create pending events table for wait conditions
   const createPendingEvents = db.query(`
@@ -165,10 +730,13 @@ const initQueue = function (options = {}) {
       created_at INTEGER NOT NULL,
       expires_at INTEGER,
       correlation_id TEXT,
-      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'ready', 'expired', 'executed', 'cancelled'))
+      status TEXT DEFAULT 'pending' CHECK(status IN ('pending', 'ready', 'expired', 'executed', 'cancelled')),
+      tenant_id TEXT,
+      serializer TEXT
     );
   `);
   createPendingEvents.run();
+  addMissingColumns(db, "pending_events", { tenant_id: "TEXT", serializer: "TEXT" });
 
   // Create wait conditions table for tracking individual conditions
   const createWaitConditions = db.query(`
@@ -178,10 +746,28 @@ const initQueue = function (options = {}) {
       condition_type TEXT NOT NULL,
       condition_data TEXT NOT NULL,
       satisfied BOOLEAN DEFAULT FALSE,
+      trigger_cmd TEXT NOT NULL DEFAULT '',
+      trigger_correlation_id TEXT NOT NULL DEFAULT '',
       FOREIGN KEY (pending_event_id) REFERENCES pending_events(id) ON DELETE CASCADE
     );
   `);
   createWaitConditions.run();
+  // Wait conditions from before the trigger columns get them from their data
+  const hasTriggers = db
+    .query("PRAGMA table_info(wait_conditions)")
+    .all()
+    .some((col) => col.name === "trigger_cmd");
+  if (!hasTriggers) {
+    addMissingColumns(db, "wait_conditions", {
+      trigger_cmd: "TEXT NOT NULL DEFAULT ''",
+      trigger_correlation_id: "TEXT NOT NULL DEFAULT ''",
+    });
+    db.query(`
+      UPDATE wait_conditions SET
+        trigger_cmd = COALESCE(json_extract(condition_data, '$.pattern'), ''),
+        trigger_correlation_id = COALESCE(json_extract(condition_data, '$.correlationId'), '')
+    `).run();
+  }
 
   // Create indexes based on configuration
   if (indexes.correlation_id) {
@@ -209,100 +795,161 @@ const initQueue = function (options = {}) {
     db.query("CREATE INDEX IF NOT EXISTS idx_composite_user_datetime ON queue(user, datetime)").run();
   }
 
+  // Stream versions back optimistic concurrency, so this index is always on;
+  // it also catches a second process racing us to the same version. Each
+  // tenant has its own streams, so the tenant is part of the key (this
+  // replaces the older idx_stream_version, which wasn't tenant-aware).
+  db.query("DROP INDEX IF EXISTS idx_stream_version").run();
+  db.query(
+    "CREATE UNIQUE INDEX IF NOT EXISTS idx_tenant_stream_version ON queue(ifnull(tenant_id, ''), stream_id, stream_version) WHERE stream_id IS NOT NULL",
+  ).run();
+  db.query("CREATE INDEX IF NOT EXISTS idx_tenant ON queue(tenant_id, id)").run();
+
   // Create indexes for pending events tables
   db.query("CREATE INDEX IF NOT EXISTS idx_pending_status ON pending_events(status)").run();
   db.query("CREATE INDEX IF NOT EXISTS idx_pending_correlation ON pending_events(correlation_id)").run();
   db.query("CREATE INDEX IF NOT EXISTS idx_pending_expires ON pending_events(expires_at)").run();
+  db.query("CREATE INDEX IF NOT EXISTS idx_pending_tenant ON pending_events(tenant_id, status)").run();
   db.query("CREATE INDEX IF NOT EXISTS idx_wait_conditions_pending ON wait_conditions(pending_event_id)").run();
   db.query("CREATE INDEX IF NOT EXISTS idx_wait_conditions_satisfied ON wait_conditions(satisfied)").run();
+  db.query("CREATE INDEX IF NOT EXISTS idx_wait_conditions_trigger ON wait_conditions(trigger_cmd, trigger_correlation_id)").run();
+
+  // Reads go through these names: the tables themselves, or for a scoped
+  // handle temporary views holding only its tenant's rows
+  const events = tenantId === null ? "queue" : tenantView(db, "queue", tenantId);
+  const pending =
+    tenantId === null ? "pending_events" : tenantView(db, "pending_events", tenantId);
 
   const queries = {
     create,
     cycle: db.prepare(
-      "SELECT id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata FROM queue WHERE id >= $start ORDER BY id LIMIT 1000 OFFSET $offset",
+      `SELECT ${rowColumns} FROM ${events} WHERE id >= $start ORDER BY id LIMIT 1000 OFFSET $offset`,
     ),
     cycleStop: db.prepare(
-      "SELECT id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata FROM queue WHERE id >= $start AND id < $stop ORDER BY id LIMIT 1000 OFFSET $offset",
+      `SELECT ${rowColumns} FROM ${events} WHERE id >= $start AND id < $stop ORDER BY id LIMIT 1000 OFFSET $offset`,
+    ),
+    getAfterId: db.prepare(
+      `SELECT ${rowColumns} FROM ${events} WHERE id > $afterId ORDER BY id LIMIT $limit`,
+    ),
+    getStoredVersions: db.prepare(
+      `SELECT cmd, version, COUNT(*) AS count FROM ${events} GROUP BY cmd, version ORDER BY cmd, version`,
+    ),
+    countAtOrBefore: db.prepare(
+      `SELECT MAX(id) AS lastEventId, COUNT(*) AS count FROM ${events} WHERE datetime <= $time`,
     ),
     getRowByID: db.prepare(
-      "SELECT id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata FROM queue WHERE id = $id",
+      `SELECT ${rowColumns} FROM ${events} WHERE id = $id`,
     ),
     storeRow: db.prepare(
-      "INSERT INTO queue (version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata) VALUES($version,$datetime,$user,$ip,$cmd,$data,$correlation_id,$causation_id,$metadata) RETURNING *",
+      `INSERT INTO queue (id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata, stream_id, stream_version, tenant_id, payload, payload_encoding, serializer) VALUES($id,$version,$datetime,$user,$ip,$cmd,$data,$correlation_id,$causation_id,$metadata,$stream_id,$stream_version,$tenant_id,$payload,$payload_encoding,$serializer) RETURNING ${rowColumns}`,
     ),
     getLastRow: db.prepare(
-      "SELECT id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata FROM queue ORDER BY id DESC LIMIT 1",
+      `SELECT ${rowColumns} FROM ${events} ORDER BY id DESC LIMIT 1`,
     ),
     getByCorrelationId: db.prepare(
-      "SELECT id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata FROM queue WHERE correlation_id = $correlationId ORDER BY id",
+      `SELECT ${rowColumns} FROM ${events} WHERE correlation_id = $correlationId ORDER BY id`,
+    ),
+    getByCorrelationIdAndStream: db.prepare(
+      `SELECT ${rowColumns} FROM ${events} WHERE correlation_id = $correlationId AND stream_id = $streamId ORDER BY id`,
+    ),
+    getStreamVersion: db.prepare(
+      `SELECT COALESCE(MAX(stream_version), 0) AS version FROM ${events} WHERE stream_id = $streamId AND tenant_id IS $tenant`,
     ),
     getChildEvents: db.prepare(
-      "SELECT id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata FROM queue WHERE causation_id = $causationId ORDER BY id",
+      `SELECT ${rowColumns} FROM ${events} WHERE causation_id = $causationId ORDER BY id`,
     ),
     
     // Paginated queries for large result sets
     getByCorrelationIdPaginated: db.prepare(
-      "SELECT id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata FROM queue WHERE correlation_id = $correlationId ORDER BY id LIMIT $limit OFFSET $offset",
+      `SELECT ${rowColumns} FROM ${events} WHERE correlation_id = $correlationId ORDER BY id LIMIT $limit OFFSET $offset`,
     ),
     getChildEventsPaginated: db.prepare(
-      "SELECT id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata FROM queue WHERE causation_id = $causationId ORDER BY id LIMIT $limit OFFSET $offset",
+      `SELECT ${rowColumns} FROM ${events} WHERE causation_id = $causationId ORDER BY id LIMIT $limit OFFSET $offset`,
     ),
     getEventsByUserPaginated: db.prepare(
-      "SELECT id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata FROM queue WHERE user = $user ORDER BY datetime DESC LIMIT $limit OFFSET $offset",
+      `SELECT ${rowColumns} FROM ${events} WHERE user = $user ORDER BY datetime DESC LIMIT $limit OFFSET $offset`,
     ),
     getEventsByCmdPaginated: db.prepare(
-      "SELECT id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata FROM queue WHERE cmd = $cmd ORDER BY datetime DESC LIMIT $limit OFFSET $offset",
+      `SELECT ${rowColumns} FROM ${events} WHERE cmd = $cmd ORDER BY datetime DESC LIMIT $limit OFFSET $offset`,
     ),
     getEventsInTimeRangePaginated: db.prepare(
-      "SELECT id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata FROM queue WHERE datetime >= $start AND datetime <= $end ORDER BY datetime DESC LIMIT $limit OFFSET $offset",
+      `SELECT ${rowColumns} FROM ${events} WHERE datetime >= $start AND datetime <= $end ORDER BY datetime DESC LIMIT $limit OFFSET $offset`,
     ),
     
     // Count queries for pagination
     countByCorrelationId: db.prepare(
-      "SELECT COUNT(*) as count FROM queue WHERE correlation_id = $correlationId",
+      `SELECT COUNT(*) as count FROM ${events} WHERE correlation_id = $correlationId`,
     ),
     countChildEvents: db.prepare(
-      "SELECT COUNT(*) as count FROM queue WHERE causation_id = $causationId",
+      `SELECT COUNT(*) as count FROM ${events} WHERE causation_id = $causationId`,
     ),
     countEventsByUser: db.prepare(
-      "SELECT COUNT(*) as count FROM queue WHERE user = $user",
+      `SELECT COUNT(*) as count FROM ${events} WHERE user = $user`,
     ),
     countEventsByCmd: db.prepare(
-      "SELECT COUNT(*) as count FROM queue WHERE cmd = $cmd",
+      `SELECT COUNT(*) as count FROM ${events} WHERE cmd = $cmd`,
     ),
     countEventsInTimeRange: db.prepare(
-      "SELECT COUNT(*) as count FROM queue WHERE datetime >= $start AND datetime <= $end",
+      `SELECT COUNT(*) as count FROM ${events} WHERE datetime >= $start AND datetime <= $end`,
     ),
     
     // Bulk operations
+    // Idempotency keys; an expired key may be claimed again
+    getIdempotencyKey: db.prepare(
+      "SELECT event_id FROM idempotency_keys WHERE key = $key AND (expires_at IS NULL OR expires_at > $now)",
+    ),
+    claimIdempotencyKey: db.prepare(
+      `INSERT INTO idempotency_keys (key, event_id, created_at, expires_at) VALUES ($key, $event_id, $created_at, $expires_at)
+       ON CONFLICT(key) DO UPDATE SET event_id = excluded.event_id, created_at = excluded.created_at, expires_at = excluded.expires_at
+       WHERE idempotency_keys.expires_at IS NOT NULL AND idempotency_keys.expires_at <= excluded.created_at
+       RETURNING event_id`,
+    ),
+    pruneIdempotencyKeys: db.prepare(
+      "DELETE FROM idempotency_keys WHERE expires_at IS NOT NULL AND expires_at <= $now",
+    ),
+
     bulkInsert: db.prepare(
-      "INSERT INTO queue (version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      "INSERT INTO queue (id, version, datetime, user, ip, cmd, data, correlation_id, causation_id, metadata, stream_id, stream_version, tenant_id, payload, payload_encoding, serializer) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
     ),
     
     // Pending events queries
     storePendingEvent: db.prepare(
-      "INSERT INTO pending_events (event_data, wait_conditions, created_at, expires_at, correlation_id, status) VALUES ($event_data, $wait_conditions, $created_at, $expires_at, $correlation_id, $status) RETURNING *",
+      "INSERT INTO pending_events (event_data, wait_conditions, created_at, expires_at, correlation_id, status, tenant_id, serializer) VALUES ($event_data, $wait_conditions, $created_at, $expires_at, $correlation_id, $status, $tenant_id, $serializer) RETURNING *",
     ),
     getPendingEventsByStatus: db.prepare(
-      "SELECT * FROM pending_events WHERE status = $status ORDER BY created_at",
+      `SELECT * FROM ${pending} WHERE status = $status ORDER BY created_at`,
     ),
     getPendingEventById: db.prepare(
-      "SELECT * FROM pending_events WHERE id = $id",
+      `SELECT * FROM ${pending} WHERE id = $id`,
     ),
     updatePendingEventStatus: db.prepare(
       "UPDATE pending_events SET status = $status WHERE id = $id",
     ),
+    // Moves a pending event on only if it is still in the status expected
+    claimPendingEvent: db.prepare(
+      "UPDATE pending_events SET status = $status WHERE id = $id AND status = $from",
+    ),
     deletePendingEvent: db.prepare(
       "DELETE FROM pending_events WHERE id = $id",
     ),
     getExpiredPendingEvents: db.prepare(
-      "SELECT * FROM pending_events WHERE expires_at IS NOT NULL AND expires_at < $now AND status = 'pending'",
+      `SELECT * FROM ${pending} WHERE expires_at IS NOT NULL AND expires_at < $now AND status = 'pending'`,
     ),
     
     // Wait conditions queries
     storeWaitCondition: db.prepare(
-      "INSERT INTO wait_conditions (pending_event_id, condition_type, condition_data, satisfied) VALUES ($pending_event_id, $condition_type, $condition_data, $satisfied)",
+      "INSERT INTO wait_conditions (pending_event_id, condition_type, condition_data, satisfied, trigger_cmd, trigger_correlation_id) VALUES ($pending_event_id, $condition_type, $condition_data, $satisfied, $trigger_cmd, $trigger_correlation_id)",
     ),
+    // The trigger map: pending events with an open condition this event could
+    // satisfy. '' in a trigger column means the condition doesn't narrow on it.
+    getTriggeredPendingEvents: db.prepare(`
+      SELECT DISTINCT wc.pending_event_id AS id FROM wait_conditions wc
+      JOIN ${pending} pe ON pe.id = wc.pending_event_id
+      WHERE wc.trigger_cmd IN ($cmd, '')
+        AND wc.trigger_correlation_id IN ($correlationId, '')
+        AND wc.satisfied = FALSE
+        AND pe.status = 'pending'
+    `),
     getWaitConditions: db.prepare(
       "SELECT * FROM wait_conditions WHERE pending_event_id = $pending_event_id",
     ),
@@ -313,7 +960,7 @@ const initQueue = function (options = {}) {
       "SELECT * FROM wait_conditions WHERE pending_event_id = $pending_event_id AND satisfied = FALSE",
     ),
     getReadyPendingEvents: db.prepare(`
-      SELECT pe.* FROM pending_events pe
+      SELECT pe.* FROM ${pending} pe
       WHERE pe.status = 'pending' 
       AND NOT EXISTS (
         SELECT 1 FROM wait_conditions wc 
@@ -322,17 +969,662 @@ const initQueue = function (options = {}) {
     `),
   };
 
+  const chainQueries = chain && {
+    getPrevHash: db.prepare(
+      "SELECT id, hash FROM queue WHERE id < $id ORDER BY id DESC LIMIT 1",
+    ),
+    setHash: db.prepare(
+      "UPDATE queue SET hash = $hash, prev_hash = $prevHash WHERE id = $id",
+    ),
+    getChainBatch: db.prepare(
+      `SELECT ${rowColumns}, hash, prev_hash FROM queue WHERE id > $afterId AND ($toId IS NULL OR id <= $toId) ORDER BY id LIMIT $limit`,
+    ),
+    getLastHashed: db.prepare(
+      "SELECT id, hash FROM queue WHERE hash IS NOT NULL ORDER BY id DESC LIMIT 1",
+    ),
+    insertCheckpoint: db.prepare(
+      "INSERT INTO chain_checkpoints (event_id, hash, created_at, algorithm, signature) VALUES ($event_id, $hash, $created_at, $algorithm, $signature) RETURNING *",
+    ),
+    getLastCheckpoint: db.prepare(
+      "SELECT event_id FROM chain_checkpoints ORDER BY event_id DESC LIMIT 1",
+    ),
+    getCheckpoints: db.prepare(
+      "SELECT * FROM chain_checkpoints WHERE event_id >= $fromId AND ($toId IS NULL OR event_id <= $toId) ORDER BY event_id",
+    ),
+  };
+
+  const archiveQueries = archive && {
+    listSegments: db.prepare("SELECT * FROM archive_segments ORDER BY first_id"),
+    getSegment: db.prepare("SELECT * FROM archive_segments WHERE id = $id"),
+    insertSegment: db.prepare(`
+      INSERT INTO archive_segments (path, first_id, last_id, event_count, min_datetime, max_datetime, checksum, last_hash, created_at)
+      VALUES ($path, $first_id, $last_id, $event_count, $min_datetime, $max_datetime, $checksum, $last_hash, $created_at)
+      RETURNING *
+    `),
+    deleteSegment: db.prepare("DELETE FROM archive_segments WHERE id = $id"),
+    indexEvent: db.prepare(`
+      INSERT INTO archived_events (id, segment_id, causation_id, correlation_id, stream_id, stream_version, tenant_id)
+      VALUES ($id, $segment_id, $causation_id, $correlation_id, $stream_id, $stream_version, $tenant_id)
+    `),
+    unindexSegment: db.prepare("DELETE FROM archived_events WHERE segment_id = $segment_id"),
+    findEvent: db.prepare("SELECT segment_id FROM archived_events WHERE id = $id"),
+    findChildren: db.prepare(
+      "SELECT id, segment_id FROM archived_events WHERE causation_id = $causationId ORDER BY id",
+    ),
+    getStreamVersion: db.prepare(
+      "SELECT COALESCE(MAX(stream_version), 0) AS version FROM archived_events WHERE stream_id = $streamId AND tenant_id IS $tenant",
+    ),
+    firstHotAfter: db.prepare("SELECT MIN(id) AS id FROM queue WHERE datetime >= $before"),
+    columnNames: db.prepare("SELECT name FROM pragma_table_info('queue')"),
+    hotBatch: db.prepare(
+      "SELECT * FROM queue WHERE ($stopId IS NULL OR id < $stopId) ORDER BY id LIMIT $limit",
+    ),
+    deleteRange: db.prepare("DELETE FROM queue WHERE id >= $firstId AND id <= $lastId"),
+    lastHashBefore: db.prepare(
+      "SELECT last_id, last_hash FROM archive_segments WHERE last_id < $id ORDER BY last_id DESC LIMIT 1",
+    ),
+  };
+
+  // Segments read back recently, most recent last: segment id -> Map of id -> row
+  const segmentCache = new Map();
+  const segmentRowsById = (segment) => {
+    let rows = segmentCache.get(segment.id);
+    if (rows) {
+      segmentCache.delete(segment.id);
+    } else {
+      rows = new Map(readSegment(segment.path, segment.checksum).map((row) => [row.id, row]));
+      if (segmentCache.size >= archive.cacheSize) {
+        segmentCache.delete(segmentCache.keys().next().value);
+      }
+    }
+    segmentCache.set(segment.id, rows);
+    return rows;
+  };
+
+  // The columns read queries select, so an archived row reads like a hot one
+  const eventColumns = rowColumns.split(", ");
+  const asEventRow = (row) =>
+    Object.fromEntries(eventColumns.map((column) => [column, row[column] ?? null]));
+
+  // An archived row as the queue stored it, or null; a scoped handle only
+  // sees its own tenant's
+  const archivedRow = (id) => {
+    const indexed = archive && archiveQueries.findEvent.get({ id });
+    if (!indexed) return null;
+    const row = segmentRowsById(archiveQueries.getSegment.get({ id: indexed.segment_id })).get(id);
+    return row && (tenantId === null || row.tenant_id === tenantId) ? asEventRow(row) : null;
+  };
+
+  // An archived segment's rows (every stored column), optionally filtered;
+  // for a scoped handle only its tenant's
+  const archivedRows = function* (segment, keep = () => true) {
+    for (const row of segmentRowsById(segment).values()) {
+      if ((tenantId === null || row.tenant_id === tenantId) && keep(row)) yield { ...row };
+    }
+  };
+
+  // The archived rows after an id, in id order, with the hot rows after it
+  const withArchivedAfter = function* (hotRows, afterId) {
+    const segments = archiveQueries.listSegments.all().filter((segment) => segment.last_id > afterId);
+    for (const row of mergeArchived(hotRows, segments, (segment) => archivedRows(segment, (row) => row.id > afterId))) {
+      yield asEventRow(row);
+    }
+  };
+
+  // How many archived events were stored at or before a time, and the last of
+  // them; segments wholly before it are counted without being read
+  const archivedAtOrBefore = (time) => {
+    let count = 0;
+    let lastEventId = 0;
+    for (const segment of archiveQueries.listSegments.all()) {
+      if (segment.min_datetime > time) continue;
+      if (tenantId === null && segment.max_datetime <= time) {
+        count += segment.event_count;
+        lastEventId = Math.max(lastEventId, segment.last_id);
+        continue;
+      }
+      for (const row of archivedRows(segment, (row) => row.datetime <= time)) {
+        count++;
+        lastEventId = Math.max(lastEventId, row.id);
+      }
+    }
+    return { count, lastEventId };
+  };
+
+  // Hash of the row before id on the chain, which may have been archived
+  const prevHashBefore = (id) => {
+    const hot = chainQueries.getPrevHash.get({ id });
+    const archived = archive && archiveQueries.lastHashBefore.get({ id });
+    if (archived && (!hot || archived.last_id > hot.id)) return archived.last_hash;
+    return hot?.hash ?? null;
+  };
+
+  const writeCheckpoint = (eventId, hash) => {
+    const checkpoint = { event_id: eventId, hash, created_at: Date.now() };
+    const { algorithm = null, signature = null } = chain.key
+      ? signCheckpoint(checkpoint, chain.key)
+      : {};
+    return chainQueries.insertCheckpoint.get({ ...checkpoint, algorithm, signature });
+  };
+
+  // Hashes a freshly inserted row onto the chain; call inside the insert's transaction
+  const linkRow = (id) => {
+    const row = decodeRow(queries.getRowByID.get({ id }));
+    const prevHash = prevHashBefore(id);
+    const hash = hashEventRow(row, prevHash);
+    chainQueries.setHash.run({ id, hash, prevHash });
+
+    const lastCheckpoint = chainQueries.getLastCheckpoint.get()?.event_id ?? 0;
+    if (chain.checkpointEvery && id - lastCheckpoint >= chain.checkpointEvery) {
+      writeCheckpoint(id, hash);
+    }
+  };
+
+  // Keys expire after ttl ms of wall-clock time (24 hours by default); a null
+  // ttl keeps them forever
+  const idempotencyTTL =
+    options.idempotency && "ttl" in options.idempotency
+      ? options.idempotency.ttl
+      : 24 * 60 * 60 * 1000;
+
+  // Records the key against a row just inserted; call inside the insert's transaction
+  const claimIdempotencyKey = (key, eventId) => {
+    const now = Date.now();
+    const claimed = queries.claimIdempotencyKey.get({
+      key,
+      event_id: eventId,
+      created_at: now,
+      expires_at: idempotencyTTL == null ? null : now + idempotencyTTL,
+    });
+    if (!claimed) throw new IdempotencyConflict(key);
+  };
+
+  const insertOutboxEntry = outbox && db.prepare(
+    "INSERT INTO outbox (event_id, topic, payload, next_attempt_at, created_at) VALUES ($event_id, $topic, $payload, $now, $now)",
+  );
+
+  // Queues the row's side effects: one entry named after the cmd when the cmd
+  // is covered, plus any explicit { topic, payload } messages. Call inside the
+  // insert's transaction.
+  const enqueueOutbox = (row, messages = []) => {
+    const now = Date.now();
+    if (!outbox.cmds || outbox.cmds.includes(row.cmd)) {
+      insertOutboxEntry.run({ event_id: row.id, topic: row.cmd, payload: null, now });
+    }
+    for (const { topic, payload = null } of messages) {
+      if (!topic) throw new Error(`Outbox message for ${row.cmd} has no topic`);
+      insertOutboxEntry.run({
+        event_id: row.id,
+        topic,
+        payload: payload === null ? null : JSON.stringify(payload),
+        now,
+      });
+    }
+  };
+
+  // Payload schemas checked before anything is written
+  const schemas = options.schemas || null;
+
+  // Queue-level upcasters apply to every read and every model
+  const upcasters = options.upcasters || null;
+  const upcast = (row) => (upcasters ? upcasters.upcast(row) : [row]);
+
+  const requireArchive = () => {
+    if (!archive) {
+      throw new Error("Cold storage is not enabled; pass the archive option to initQueue");
+    }
+    if (tenantId !== null) {
+      throw new Error("The archive covers every tenant; manage it from the unscoped queue");
+    }
+  };
+
+  const requireChain = () => {
+    if (!chain) {
+      throw new Error("Hash chaining is not enabled; pass the hashChain option to initQueue");
+    }
+    if (tenantId !== null) {
+      throw new Error("The hash chain covers every tenant; use it from the unscoped queue");
+    }
+  };
+
+  // The tenant an event is written for: a scoped handle's own tenant, which an
+  // event may repeat but not change, or on the unscoped queue the event's tenantId
+  const tenantFor = (requested) => {
+    if (tenantId === null) return requested == null ? null : assertTenantId(requested);
+    if (requested != null && requested !== tenantId) {
+      throw new Error(`This queue is scoped to tenant ${tenantId}; it can't write events for tenant ${requested}`);
+    }
+    return tenantId;
+  };
+
+  // A partition of a PartitionedQueue gets its ids from the partitioned
+  // queue's global sequence, and continues streams begun in earlier
+  // partitions. Without these options ids come from AUTOINCREMENT.
+  const nextId = options._nextId ?? (() => null);
+  const priorStreamVersion = options._priorStreamVersion ?? (() => 0);
+  const streamVersion = (streamId, tenant) =>
+    queries.getStreamVersion.get({ streamId, tenant }).version ||
+    (archive && archiveQueries.getStreamVersion.get({ streamId, tenant }).version) ||
+    priorStreamVersion(streamId, tenant);
+
+  // Next version for a stream, checking it against the caller's expectation.
+  // Must run inside the same transaction as the insert that uses it.
+  const nextStreamVersion = (streamId, expectedVersion, tenant) => {
+    const current = streamVersion(streamId, tenant);
+    if (
+      expectedVersion !== undefined &&
+      expectedVersion !== null &&
+      expectedVersion !== current
+    ) {
+      throw new ConcurrencyError(streamId, expectedVersion, current);
+    }
+    return current + 1;
+  };
+
+  const appendToStream = db.transaction((params, expectedVersion) =>
+    queries.storeRow.get({
+      ...params,
+      stream_version: nextStreamVersion(params.stream_id, expectedVersion, params.tenant_id),
+    }),
+  );
+
+  const insertRow = (params, expectedVersion) =>
+    params.stream_id == null
+      ? queries.storeRow.get(params)
+      : appendToStream(params, expectedVersion);
+
+  // With chaining on, the hash is written in the same transaction as the row
+  const insertEvent = chain
+    ? db.transaction((params, expectedVersion) => {
+        const row = insertRow(params, expectedVersion);
+        linkRow(row.id);
+        return row;
+      })
+    : insertRow;
+
+  // Idempotency keys and outbox entries share the event's transaction, so a
+  // row never exists without them (or they without it)
+  const insertEventWithExtras = db.transaction((params, expectedVersion, key, messages) => {
+    const row = insertEvent(params, expectedVersion);
+    if (key != null) claimIdempotencyKey(key, row.id);
+    if (outbox) enqueueOutbox(row, messages);
+    return row;
+  });
+
+  // Another connection can claim the version between our read and insert;
+  // the unique index turns that into a constraint error we report as a conflict
+  const asConcurrencyError = (error, streamId, expectedVersion, tenant) => {
+    if (error instanceof ConcurrencyError) return error;
+    if (
+      streamId != null &&
+      String(error.code || "").startsWith("SQLITE_CONSTRAINT") &&
+      /stream_id|stream_version/.test(error.message)
+    ) {
+      const current = streamVersion(streamId, tenant);
+      return new ConcurrencyError(streamId, expectedVersion, current);
+    }
+    return null;
+  };
+
+  // Date and ISO-string bounds are converted to whatever unit datetime() stores.
+  // Unless timeUnit says otherwise, a sample under 1e11 is taken to be seconds
+  // (1e11 ms is 1973, 1e11 s is far in the future).
+  let timeUnit = options.timeUnit;
+  const toStoredTime = (value) => {
+    const ms = value instanceof Date ? value.getTime() : Date.parse(value);
+    if (Number.isNaN(ms)) {
+      throw new Error(`Invalid time for replay bound: ${value}`);
+    }
+    if (!timeUnit) {
+      timeUnit = Math.abs(datetime()) < 1e11 ? "s" : "ms";
+    }
+    return timeUnit === "s" ? Math.floor(ms / 1000) : ms;
+  };
+
+  // Replay bounds: a bare number is an event id; Dates and strings are times;
+  // { id } and { time } tag a value explicitly (a tagged number time is already
+  // in stored units)
+  const resolveReplayBound = (bound) => {
+    if (bound === undefined || bound === null) return {};
+    if (typeof bound === "number") return { id: bound };
+    if (bound instanceof Date || typeof bound === "string") {
+      return { time: toStoredTime(bound) };
+    }
+    if (typeof bound === "object" && "id" in bound) return { id: bound.id };
+    if (typeof bound === "object" && "time" in bound) {
+      const time =
+        typeof bound.time === "number" ? bound.time : toStoredTime(bound.time);
+      return { time, inclusive: Boolean(bound.inclusive) };
+    }
+    throw new Error(`Unrecognised replay bound: ${JSON.stringify(bound)}`);
+  };
+
+  const replayStatements = new Map();
+  const replayQuery = (start, stop) => {
+    const from = resolveReplayBound(start ?? 0);
+    const to = resolveReplayBound(stop || null); // stop: 0 has always meant "no stop"
+    // Events always replay in id order; time bounds only filter
+    const clauses = [];
+    const params = {};
+    if (from.id !== undefined) {
+      clauses.push("id >= $start");
+      params.start = from.id;
+    } else {
+      clauses.push("datetime >= $startTime");
+      params.startTime = from.time;
+    }
+    if (to.id !== undefined) {
+      clauses.push("id < $stop");
+      params.stop = to.id;
+    } else if (to.time !== undefined) {
+      clauses.push(to.inclusive ? "datetime <= $stopTime" : "datetime < $stopTime");
+      params.stopTime = to.time;
+    }
+    const sql = `SELECT ${rowColumns} FROM ${events} WHERE ${clauses.join(" AND ")} ORDER BY id LIMIT 1000 OFFSET $offset`;
+    if (!replayStatements.has(sql)) {
+      replayStatements.set(sql, db.prepare(sql));
+    }
+    return { statement: replayStatements.get(sql), params, from, to };
+  };
+
+  // Rows to replay in id order, reading archived segments in where they fall
+  const replayRows = function* (start, stop) {
+    const { statement, params, from, to } = replayQuery(start, stop);
+    const hotRows = function* () {
+      let offset = 0;
+      while (true) {
+        const results = statement.all({ offset, ...params });
+        if (!results.length) return;
+        yield* results;
+        offset += results.length;
+      }
+    };
+    if (!archive) {
+      yield* hotRows();
+      return;
+    }
+
+    const inBounds = (row) =>
+      (from.id !== undefined ? row.id >= from.id : row.datetime >= from.time) &&
+      (to.id !== undefined
+        ? row.id < to.id
+        : to.time === undefined || (to.inclusive ? row.datetime <= to.time : row.datetime < to.time));
+    const segments = archiveQueries.listSegments
+      .all()
+      .filter(
+        (segment) =>
+          (from.id === undefined || segment.last_id >= from.id) &&
+          (to.id === undefined || segment.first_id < to.id),
+      );
+    for (const row of mergeArchived(hotRows(), segments, (segment) => archivedRows(segment, inBounds))) {
+      yield asEventRow(row);
+    }
+  };
+
+  // Reactors by cmd; options.reactors = { maxDepth, allowCycles } bounds how far
+  // a chain of reactions may run
+  const reactors = new Map();
+  const reactorLimits = {
+    maxDepth: options.reactors?.maxDepth ?? 10,
+    allowCycles: Boolean(options.reactors?.allowCycles),
+  };
+  // What reactors see of a stored row; an event that failed to upcast was
+  // already reported by execute, so nothing reacts to it
+  const reactionEvents = (row) => {
+    if (!reactors.size) return [];
+    try {
+      return upcast(row);
+    } catch {
+      return [];
+    }
+  };
+
+  // Set by startScheduler: the model and callbacks pending events are stored with
+  let scheduler = null;
+
+  // Live subscriptions are woken whenever this connection stores events,
+  // whichever tenant handle stored them
+  if (!connectionSubscriptions.has(db)) connectionSubscriptions.set(db, new Set());
+  const subscriptions = connectionSubscriptions.get(db);
+  const notifySubscriptions = () => {
+    for (const subscription of subscriptions) {
+      subscription.notify();
+    }
+  };
+
   const methods = {
+    // Returns the event as upcast; one that expands into several comes back as
+    // the stored row with the upcast events in expandsTo
     retrieveByID(id) {
-      const row = queries.getRowByID.get({ id });
-      if (row) {
-        row.data = JSON.parse(row.data);
-        row.metadata = JSON.parse(row.metadata || "{}");
+      const row = parseRow(queries.getRowByID.get({ id }) ?? archivedRow(id));
+      if (!row) return row;
+      const events = upcast(row);
+      return events.length === 1 ? events[0] : { ...row, expandsTo: events };
+    },
+
+    store(event, model, cb) {
+      if (!model) {
+        model = this._model;
+      } //_model is default fallback to avoid having to always put in model
+      if (!cb) {
+        cb = this._cb || eventCallbacks.void;
+      }
+      return this._store(event, model, cb, []);
+    },
+
+    // path holds the cmds of the events that caused this one, for reactors
+    _store(event, model, cb, path) {
+      if (model && model._db === db) {
+        const handled = this._commitAtomic(event, model, cb);
+        if (!handled || handled.duplicate) return handled;
+        for (const { row, res } of handled) {
+          try {
+            successCallback(cb, row.cmd)(res, row);
+            model._done(row, res);
+          } catch (error) {
+            const errObj = executionError(error, row, res);
+            errorCallback(cb)(errObj);
+            model._error(errObj);
+          }
+        }
+        this._afterStore(handled.map(({ row }) => row));
+        this._react(handled.map(({ row }) => row), model, cb, path);
+        return handled.length === 1 ? handled[0].res : handled.map(({ res }) => res);
+      }
+      const row = this._appendEvent(event, cb);
+      if (!row || row.duplicate) return row;
+      const result = this.execute(row, model, cb);
+      this._afterStore([row]);
+      this._react(reactionEvents(row), model, cb, path);
+      return result;
+    },
+
+    // Same as store, but awaits async model methods and callbacks before resolving
+    async storeAsync(event, model, cb) {
+      if (!model) {
+        model = this._model;
+      }
+      if (!cb) {
+        cb = this._cb || eventCallbacks.void;
+      }
+      return this._storeAsync(event, model, cb, []);
+    },
+
+    async _storeAsync(event, model, cb, path) {
+      if (model && model._db === db) {
+        // The handler still has to be synchronous; only the callbacks are awaited
+        const handled = this._commitAtomic(event, model, cb);
+        if (!handled || handled.duplicate) return handled;
+        for (const { row, res } of handled) {
+          try {
+            await successCallback(cb, row.cmd)(res, row);
+            await model._done(row, res);
+          } catch (error) {
+            const errObj = executionError(error, row, res);
+            await errorCallback(cb)(errObj);
+            await model._error(errObj);
+          }
+        }
+        this._afterStore(handled.map(({ row }) => row));
+        await this._reactAsync(handled.map(({ row }) => row), model, cb, path);
+        return handled.length === 1 ? handled[0].res : handled.map(({ res }) => res);
+      }
+      const row = this._appendEvent(event, cb);
+      if (!row || row.duplicate) return row;
+      const result = await this.executeAsync(row, model, cb);
+      this._afterStore([row]);
+      await this._reactAsync(reactionEvents(row), model, cb, path);
+      return result;
+    },
+
+    /**
+     * Register a reactor: handler(event) runs after an event with this cmd is
+     * stored, and any events it returns are stored as its consequences, with
+     * causationId and correlationId taken from the triggering event. Reactors
+     * run only when events are stored, never on replay.
+     * @param {string} cmd - Command to react to
+     * @param {Function} handler - (event) => event | event[] | null, or a promise of one
+     * @returns {Function} Call it to remove the reactor
+     */
+    on(cmd, handler) {
+      if (typeof handler !== "function") {
+        throw new Error(`Reactor for ${cmd} must be a function`);
+      }
+      if (!reactors.has(cmd)) reactors.set(cmd, new Set());
+      reactors.get(cmd).add(handler);
+      return () => this.off(cmd, handler);
+    },
+
+    off(cmd, handler) {
+      const handlers = reactors.get(cmd);
+      if (!handlers) return false;
+      const removed = handlers.delete(handler);
+      if (!handlers.size) reactors.delete(cmd);
+      return removed;
+    },
+
+    _react(events, model, cb, path) {
+      const storeFollowUps = (result, cause) => {
+        for (const event of this._followUps(result, cause, cb, path)) {
+          try {
+            this._store(event, model, cb, [...path, cause.cmd]);
+          } catch (error) {
+            reactorError(cb, error, cause, path);
+          }
+        }
+      };
+      for (const cause of events) {
+        for (const handler of reactors.get(cause.cmd) || []) {
+          let result;
+          try {
+            result = handler(cause);
+          } catch (error) {
+            reactorError(cb, error, cause, path);
+            continue;
+          }
+          if (isThenable(result)) {
+            // store() can't wait; the follow-ups are stored once it settles
+            result.then(
+              (followUps) => storeFollowUps(followUps, cause),
+              (error) => reactorError(cb, error, cause, path),
+            );
+          } else {
+            storeFollowUps(result, cause);
+          }
+        }
+      }
+    },
+
+    async _reactAsync(events, model, cb, path) {
+      for (const cause of events) {
+        for (const handler of reactors.get(cause.cmd) || []) {
+          let result;
+          try {
+            result = await handler(cause);
+          } catch (error) {
+            await reactorError(cb, error, cause, path);
+            continue;
+          }
+          for (const event of this._followUps(result, cause, cb, path)) {
+            try {
+              await this._storeAsync(event, model, cb, [...path, cause.cmd]);
+            } catch (error) {
+              await reactorError(cb, error, cause, path);
+            }
+          }
+        }
+      }
+    },
+
+    // The events a reactor returned, linked to their cause; any that would run
+    // too deep or back into a cmd already in the chain are reported and dropped
+    _followUps(result, cause, cb, path) {
+      const followUps = result == null ? [] : Array.isArray(result) ? result : [result];
+      const chain = [...path, cause.cmd];
+      const events = [];
+      for (const followUp of followUps) {
+        if (chain.length > reactorLimits.maxDepth) {
+          reactorError(cb, new Error(
+            `Reaction ${chain.join(" -> ")} -> ${followUp.cmd} exceeds the maximum depth of ${reactorLimits.maxDepth}`,
+          ), cause, path);
+          continue;
+        }
+        if (!reactorLimits.allowCycles && chain.includes(followUp.cmd)) {
+          reactorError(cb, new Error(
+            `Reaction cycle: ${chain.join(" -> ")} -> ${followUp.cmd}`,
+          ), cause, path);
+          continue;
+        }
+        events.push({
+          user: cause.user,
+          ip: cause.ip,
+          ...followUp,
+          causationId: cause.id,
+          correlationId: cause.correlation_id,
+        });
+      }
+      return events;
+    },
+
+    // For a model sharing the queue's connection: append the event and run its
+    // handler in one transaction, so a throwing handler leaves no event behind.
+    // Returns [{ row, res }] per upcast event, the original row for a repeated
+    // idempotency key, or undefined if nothing was committed.
+    _commitAtomic(event, model, cb) {
+      let row;
+      const written = [];
+      const commit = db.transaction(() => {
+        row = this._appendEvent(event, cb, written);
+        if (!row || row.duplicate) return;
+        return this._upcastForModel(row, model).map((upcast) => {
+          const res = runModelHandler(upcast, model);
+          if (isThenable(res)) {
+            throw new Error(
+              `${upcast.cmd} returned a promise; handlers sharing the event database must be synchronous`,
+            );
+          }
+          return { row: upcast, res };
+        });
+      });
+      try {
+        const handled = commit();
+        if (row?.duplicate) return row;
+        return row ? handled : undefined;
+      } catch (error) {
+        payloads.discard(written);
+        // Conflicts were already reported by _appendEvent; a failed write has no row
+        if (!row || error instanceof ConcurrencyError) throw error;
+        const errObj = { ...executionError(error, row), rolledBack: true };
+        errorCallback(cb)(errObj);
+        model._error(errObj);
+        return;
       }
-      return row;
     },
 
-    store(
+    // Writes the row; returns it parsed, or undefined if the event was rejected.
+    // A live idempotency key returns the row it first stored, marked duplicate.
+    // Files offloaded for the payload are collected in written.
+    _appendEvent(
       {
         user = "",
         ip = "",
@@ -342,16 +1634,16 @@ const initQueue = function (options = {}) {
         correlationId,
         causationId,
         metadata = {},
+        streamId,
+        expectedVersion,
+        idempotencyKey,
+        outbox: outboxMessages,
+        tenantId: requestedTenant,
       },
-      model,
       cb,
+      written = [],
     ) {
-      if (!model) {
-        model = this._model;
-      } //_model is default fallback to avoid having to always put in model
-      if (!cb) {
-        cb = this._cb || eventCallbacks.void;
-      }
+      const tenant = tenantFor(requestedTenant);
       if (!cmd) {
         cb._error({
           msg: `No command given; aborting`,
@@ -364,6 +1656,33 @@ const initQueue = function (options = {}) {
         return;
       }
 
+      const validationErrors = schemas ? schemas.validate(cmd, version, data) : [];
+      if (validationErrors.length) {
+        const error = new SchemaValidationError(cmd, version, validationErrors);
+        cb._error({
+          msg: error.message,
+          error,
+          validationErrors,
+          priority: 2,
+          user,
+          ip,
+          cmd,
+          version,
+          data,
+        });
+        return;
+      }
+
+      if (outboxMessages && !outbox) {
+        throw new Error(`${cmd} has outbox messages but the outbox is not enabled; pass the outbox option to initQueue`);
+      }
+
+      const storedKey = idempotencyKey == null ? null : scopedKey(idempotencyKey, tenant);
+      if (storedKey != null) {
+        const original = this._findByStoredKey(storedKey);
+        if (original) return original;
+      }
+
       // Generate correlation ID if not provided
       if (!correlationId && !causationId) {
         correlationId = crypto.randomUUID();
@@ -375,142 +1694,556 @@ const initQueue = function (options = {}) {
         }
       }
 
-      const row = queries.storeRow.get({
-        version,
-        datetime: datetime(),
-        user,
-        ip,
-        cmd,
-        data: JSON.stringify(data),
-        correlation_id: correlationId,
-        causation_id: causationId,
-        metadata: JSON.stringify(metadata),
-      });
-      row.data = JSON.parse(row.data); //Would use the raw data, but this ensures that this is replayable as stringify to parse is not idempotent for odd cases
-      row.metadata = JSON.parse(row.metadata || "{}");
-      const result = this.execute(row, model, cb);
-      
-      // Check pending events after storing new event (non-blocking)
-      setTimeout(() => {
+      // Encryption refuses a user whose key was deleted; report it like any other rejected event
+      let encrypted;
+      try {
+        encrypted = encryptFields(cmd, data);
+      } catch (error) {
+        cb._error({
+          msg: error.message,
+          error,
+          priority: 2,
+          user,
+          ip,
+          cmd,
+          data,
+        });
+        return;
+      }
+
+      const stored = { data: serializer.encode(encrypted), metadata: serializer.encode(metadata) };
+      const params = {
+        id: nextId(),
+        version,
+        datetime: datetime(),
+        user,
+        ip,
+        cmd,
+        correlation_id: correlationId,
+        causation_id: causationId,
+        stream_id: streamId ?? null,
+        stream_version: null,
+        tenant_id: tenant,
+        serializer: marker,
+        ...payloads.encode(cmd, stored.data, stored.metadata, written),
+      };
+      let row;
+      try {
+        row =
+          storedKey == null && !outbox
+            ? insertEvent(params, expectedVersion)
+            : insertEventWithExtras(params, expectedVersion, storedKey, outboxMessages);
+      } catch (error) {
+        // The row was never stored, so neither is its offloaded payload
+        payloads.discard(written);
+        // Another writer stored this key between our lookup and insert
+        if (error instanceof IdempotencyConflict) {
+          return this._findByStoredKey(storedKey);
+        }
+        const conflict = asConcurrencyError(error, streamId, expectedVersion, tenant);
+        if (!conflict) throw error;
+        // Report like any other store failure, then throw so callers awaiting store() see it
+        cb._error({
+          msg: conflict.message,
+          error: conflict,
+          priority: 2,
+          user,
+          ip,
+          cmd,
+          data,
+          streamId,
+          expectedVersion,
+        });
+        throw conflict;
+      }
+      // Read back what was written rather than decoding the payload again. Would
+      // use the raw data, but this ensures that this is replayable as serializing
+      // then deserializing is not idempotent for odd cases
+      return parseRow(Object.assign(row, stored, { payload: null, payload_encoding: null }));
+    },
+
+    // The event a live idempotency key first stored, as stored (not upcast) and
+    // marked duplicate: true; null if the key is unknown or expired
+    findByIdempotencyKey(key) {
+      return this._findByStoredKey(scopedKey(key, tenantId));
+    },
+
+    // Looks up a key as stored, i.e. already namespaced by its tenant
+    _findByStoredKey(storedKey) {
+      const claim = queries.getIdempotencyKey.get({ key: storedKey, now: Date.now() });
+      if (!claim) return null;
+      const row = parseRow(queries.getRowByID.get({ id: claim.event_id }));
+      if (!row) return null;
+      return { ...row, duplicate: true };
+    },
+
+    hasOutbox() {
+      return Boolean(outbox);
+    },
+
+    // The tenant this handle is scoped to; null for the unscoped queue
+    tenantId,
+
+    // A handle on the same connection that only reads and writes one tenant's
+    // events, pending events and idempotency keys
+    forTenant(id) {
+      if (tenantId !== null) {
+        throw new Error(`This queue is already scoped to tenant ${tenantId}`);
+      }
+      return initQueue({
+        ...options,
+        tenantId: assertTenantId(id),
+        reset: false,
+        risky: false,
+        [sharedConnection]: db,
+      });
+    },
+
+    // Deletes expired idempotency keys; returns how many were removed
+    pruneIdempotencyKeys() {
+      return queries.pruneIdempotencyKeys.run({ now: Date.now() }).changes;
+    },
+
+    _afterStore(rows) {
+      notifySubscriptions();
+      this._schedulePendingCheck(rows);
+    },
+
+    // Check the pending events the stored rows could satisfy (non-blocking);
+    // with the scheduler running, the ones that became ready are executed too
+    _schedulePendingCheck(rows) {
+      setTimeout(() => {
+        try {
+          // Only check if pending events tables exist
+          if (this._hasPendingEventsTables()) {
+            this._checkTriggeredPendingEvents(rows);
+            if (scheduler) this.executeReadyEvents(scheduler.model, scheduler.callbacks);
+          }
+        } catch (error) {
+          // Silently ignore errors for backward compatibility
+        }
+      }, 0);
+    },
+
+    //This just runs through a command and executes it
+    //It is generic
+    // it requires a method for every command
+    // the state should be a database that the method will manipulate
+    // the cb is a callback that activates any notifications, etc that need to happen
+    // cb should habe an error method which can be null to suppress any error stuff
+    // model: {queries, methods, migrations}
+    execute(row, model, cb) {
+      let events;
+      try {
+        events = this._upcastForModel(row, model);
+      } catch (error) {
+        markFailedApplied(row, model);
+        const errObj = executionError(error, row);
+        errorCallback(cb)(errObj);
+        model._error(errObj);
+        return;
+      }
+      // An expanded event runs each of its parts and returns their results
+      if (events.length === 1) return this._executeEvent(events[0], model, cb);
+      return events.map((event) => this._executeEvent(event, model, cb));
+    },
+
+    _executeEvent(row, model, cb) {
+      let res;
+      try {
+        res = runModelHandler(row, model);
+        // An async handler goes the executeAsync way: its callbacks run once
+        // it settles, either the success ones or the error ones
+        if (isThenable(res)) return this._executeEventAsync(row, model, cb, res);
+        successCallback(cb, row.cmd)(res, row); //res is whatever returned for cb to take an action. Probably some data and some webpages to update, notify
+        model._done(row, res);
+        return res; //may be useful info
+      } catch (error) {
+        markFailedApplied(row, model);
+        const errObj = executionError(error, row, res);
+        errorCallback(cb)(errObj);
+        model._error(errObj);
+        return;
+      }
+    },
+
+    // execute for async model methods: awaits the handler, the callback and
+    // model._done in turn, and routes any rejection to the error callbacks
+    async executeAsync(row, model, cb) {
+      let events;
+      try {
+        events = this._upcastForModel(row, model);
+      } catch (error) {
+        markFailedApplied(row, model);
+        const errObj = executionError(error, row);
+        await errorCallback(cb)(errObj);
+        await model._error(errObj);
+        return;
+      }
+      const results = [];
+      for (const event of events) {
+        results.push(await this._executeEventAsync(event, model, cb));
+      }
+      return events.length === 1 ? results[0] : results;
+    },
+
+    // pending is the promise of a handler execute() already started
+    async _executeEventAsync(row, model, cb, pending) {
+      let res;
+      try {
+        res = await (pending ?? runModelHandler(row, model));
+        await successCallback(cb, row.cmd)(res, row);
+        await model._done(row, res);
+        return res;
+      } catch (error) {
+        markFailedApplied(row, model);
+        const errObj = executionError(error, row, res);
+        await errorCallback(cb)(errObj);
+        await model._error(errObj);
+        return;
+      }
+    },
+
+    // Scan stored events against the schema for their cmd and version, e.g.
+    // after registering schemas on a queue that already has history
+    validateHistory({ fromId = 1, toId = null, maxFailures = 100 } = {}, registry = schemas) {
+      if (!registry) {
+        throw new Error("No schema registry to validate against; pass one or set the schemas option");
+      }
+      let afterId = fromId - 1;
+      let checked = 0;
+      let failed = 0;
+      const failures = [];
+
+      while (true) {
+        const batch = this.getEventsAfter(afterId).filter(
+          (row) => toId === null || row.id <= toId,
+        );
+        if (!batch.length) break;
+        for (const row of batch) {
+          checked++;
+          const errors = registry.validate(row.cmd, row.version, row.data);
+          if (errors.length) {
+            failed++;
+            if (failures.length < maxFailures) {
+              failures.push({ id: row.id, cmd: row.cmd, version: row.version, errors });
+            }
+          }
+        }
+        afterId = batch[batch.length - 1].id;
+      }
+
+      return { valid: failed === 0, checked, failed, failures };
+    },
+
+    // Queue-level upcasters first, then the model's own (its upcasters or migrations)
+    _upcastForModel(row, model) {
+      const events = upcast(row);
+      return model._upcasters
+        ? events.flatMap((event) => model._upcasters.upcast(event))
+        : events;
+    },
+
+    // Checks the upcaster chains, including every (cmd, version) actually stored
+    validateUpcasters(registry = upcasters) {
+      if (!registry) {
+        throw new Error("No upcaster registry to validate; pass one or set the upcasters option");
+      }
+      return registry.validate({ stored: queries.getStoredVersions.all() });
+    },
+
+    // Get all events with the same correlation ID, optionally narrowed to one stream
+    getTransaction(correlationId, { streamId } = {}) {
+      const rows =
+        streamId == null
+          ? queries.getByCorrelationId.all({ correlationId })
+          : queries.getByCorrelationIdAndStream.all({ correlationId, streamId });
+      return rows.map(parseRow);
+    },
+
+    // Next batch of events after an id, in id order, archived ones included;
+    // used to resume from a checkpoint
+    getEventsAfter(afterId, { limit = 1000 } = {}) {
+      const hot = queries.getAfterId.all({ afterId, limit });
+      if (!archive) return hot.map(parseRow);
+      const rows = [];
+      for (const row of withArchivedAfter(hot, afterId)) {
+        if (rows.push(parseRow(row)) >= limit) break;
+      }
+      return rows;
+    },
+
+    // Startup recovery for a model kept in its own database: replays every event
+    // after the last one the model recorded applying (needs trackApplied)
+    recoverModel(model, whileCB = eventCallbacks.void) {
+      if (!model || !model._lastApplied) {
+        throw new Error("recoverModel needs a model set up with trackApplied: true");
+      }
+      const from = model._lastApplied();
+      let lastEventId = from;
+      let replayed = 0;
+      while (true) {
+        const batch = this.getEventsAfter(lastEventId);
+        if (!batch.length) break;
+        for (const row of batch) {
+          this.execute(row, model, whileCB);
+        }
+        lastEventId = batch[batch.length - 1].id;
+        replayed += batch.length;
+      }
+      return { from, lastEventId, replayed };
+    },
+
+    // Move events stored before a cutoff out of the queue into gzip JSONL
+    // segments of at most segmentSize events. Ids are kept, and reads that look
+    // an event up by id, by cause or in replay still find it.
+    archiveEvents({ before, olderThanDays, segmentSize = archive?.segmentSize } = {}) {
+      requireArchive();
+      if (before === undefined) {
+        if (olderThanDays === undefined) {
+          throw new Error("archiveEvents needs a cutoff: before or olderThanDays");
+        }
+        before = new Date(Date.now() - olderThanDays * 86400000);
+      }
+      const cutoff = typeof before === "number" ? before : toStoredTime(before);
+      // Archive whole id ranges: stop at the first event on or after the cutoff
+      const stopId = archiveQueries.firstHotAfter.get({ before: cutoff }).id;
+      mkdirSync(archive.dir, { recursive: true });
+
+      const segments = [];
+      while (true) {
+        // Segments hold plain payloads; they are compressed as a whole
+        const rows = archiveQueries.hotBatch.all({ stopId, limit: segmentSize }).map(decodeRow);
+        if (!rows.length) break;
+        const first = rows[0];
+        const last = rows[rows.length - 1];
+        const path = join(archive.dir, `events-${first.id}-${last.id}.jsonl.gz`);
+        const checksum = writeSegment(path, rows);
+        const datetimes = rows.map((row) => row.datetime);
+        db.transaction(() => {
+          const segment = archiveQueries.insertSegment.get({
+            path,
+            first_id: first.id,
+            last_id: last.id,
+            event_count: rows.length,
+            min_datetime: Math.min(...datetimes),
+            max_datetime: Math.max(...datetimes),
+            checksum,
+            last_hash: last.hash ?? null,
+            created_at: Date.now(),
+          });
+          for (const row of rows) {
+            archiveQueries.indexEvent.run({
+              id: row.id,
+              segment_id: segment.id,
+              causation_id: row.causation_id,
+              correlation_id: row.correlation_id,
+              stream_id: row.stream_id,
+              stream_version: row.stream_version,
+              tenant_id: row.tenant_id,
+            });
+          }
+          archiveQueries.deleteRange.run({ firstId: first.id, lastId: last.id });
+          segments.push(segment);
+        })();
+      }
+      return {
+        segments,
+        archived: segments.reduce((sum, segment) => sum + segment.event_count, 0),
+      };
+    },
+
+    listArchiveSegments() {
+      requireArchive();
+      return archiveQueries.listSegments.all();
+    },
+
+    // Check every segment file against its checksum and event count
+    verifyArchive() {
+      requireArchive();
+      const segments = archiveQueries.listSegments.all().map((segment) => {
+        let reason = null;
         try {
-          // Only check if pending events tables exist
-          if (this._hasPendingEventsTables()) {
-            this.checkAllPendingEvents();
-          }
-        } catch (error) {
-          // Silently ignore errors for backward compatibility
+          const rows = readSegment(segment.path, segment.checksum);
+          if (rows.length !== segment.event_count) reason = "count-mismatch";
+        } catch {
+          reason = existsSync(segment.path) ? "checksum-mismatch" : "missing-file";
         }
-      }, 0);
-      
-      return result;
+        return { ...segment, valid: reason === null, reason };
+      });
+      return { valid: segments.every((segment) => segment.valid), segments };
     },
 
-    //This just runs through a command and executes it
-    //It is generic
-    // it requires a method for every command
-    // the state should be a database that the method will manipulate
-    // the cb is a callback that activates any notifications, etc that need to happen
-    // cb should habe an error method which can be null to suppress any error stuff
-    // model: {queries, methods, migrations}
-    execute(row, model, cb) {
-      const {
-        id,
-        version,
-        datetime,
-        user,
-        ip,
-        cmd,
-        data,
-        correlation_id,
-        causation_id,
-        metadata,
-      } = row;
-      let res;
+    // Put a segment's events back into the queue, with their ids, and remove
+    // the segment file
+    restoreArchiveSegment(segmentId) {
+      requireArchive();
+      const segment = archiveQueries.getSegment.get({ id: segmentId });
+      if (!segment) {
+        throw new Error(`No archive segment ${segmentId}`);
+      }
+      const rows = readSegment(segment.path, segment.checksum);
+      const columns = archiveQueries.columnNames.all().map(({ name }) => name);
+      const insert = db.prepare(
+        `INSERT INTO queue (${columns.join(", ")}) VALUES (${columns.map((column) => `$${column}`).join(", ")})`,
+      );
+      db.transaction(() => {
+        for (const row of rows) {
+          insert.run(Object.fromEntries(columns.map((column) => [column, row[column] ?? null])));
+        }
+        archiveQueries.unindexSegment.run({ segment_id: segment.id });
+        archiveQueries.deleteSegment.run({ id: segment.id });
+      })();
+      segmentCache.delete(segment.id);
+      rmSync(segment.path, { force: true });
+      return { restored: rows.length, firstId: segment.first_id, lastId: segment.last_id };
+    },
+
+    // Moves encrypted fields onto the newest version of their keys, a batch at
+    // a time: returns { scanned, reencrypted, lastId, done }, and is resumed with
+    // afterId: lastId. Archived events and pending events are left as they are.
+    reencryptFields({ batchSize = 500, afterId = 0 } = {}) {
+      if (!fieldEncryption) {
+        throw new Error("Field encryption is not enabled; pass the encryption option to initQueue");
+      }
+      if (chain) {
+        throw new Error("Re-encrypting rewrites stored events, which would break the hash chain");
+      }
+      const rows = db
+        .query(
+          `SELECT ${rowColumns} FROM ${events} WHERE id > $afterId AND cmd IN (SELECT value FROM json_each($cmds)) ORDER BY id LIMIT $limit`,
+        )
+        .all({ afterId, cmds: JSON.stringify(fieldEncryption.cmds), limit: batchSize });
+      const update = db.query(
+        "UPDATE queue SET data = $data, metadata = $metadata, payload = $payload, payload_encoding = $payload_encoding WHERE id = $id",
+      );
+
+      let reencrypted = 0;
+      const written = [];
       try {
-        // Apply migrations if needed
-        let processedData = data;
-        if (model._migrations && model._migrations[cmd]) {
-          const cmdMigrations = model._migrations[cmd];
-          for (let v = version; v < cmdMigrations.length + 1; v++) {
-            if (cmdMigrations[v - 1]) {
-              processedData = cmdMigrations[v - 1](processedData);
-            }
+        db.transaction(() => {
+          for (const row of rows) {
+            // Written back with the serializer the row already uses
+            const codec = serializerNamed(row.serializer, serializer);
+            storedRow(row);
+            const data = fieldEncryption.reencrypt(row.cmd, row.data);
+            if (!data) continue;
+            update.run({ id: row.id, ...payloads.encode(row.cmd, codec.encode(data), codec.encode(row.metadata), written) });
+            reencrypted++;
           }
+        })();
+      } catch (error) {
+        payloads.discard(written);
+        throw error;
+      }
+      if (reencrypted && queryCache) queryCache.clear();
+      return { scanned: rows.length, reencrypted, lastId: rows.at(-1)?.id ?? afterId, done: rows.length < batchSize };
+    },
+
+    // The versions of keyId that stored ciphertext still uses: in hot and
+    // archived events, records embedding a pending event's data, and pending
+    // events that haven't run. Rows that can't hold it are skipped unparsed.
+    keyVersionsInUse(keyId) {
+      if (!fieldEncryption) {
+        throw new Error("Field encryption is not enabled; pass the encryption option to initQueue");
+      }
+      const versions = new Set();
+      const collect = (data) => {
+        for (const envelope of fieldEncryption.envelopes(data)) {
+          if (envelope.keyId === keyId) versions.add(envelope.version ?? 1);
         }
+      };
+      const mayHold = (row) =>
+        row.payload_encoding != null || row.serializer != null || String(row.data).includes(keyId);
+
+      const batch = db.query(`
+        SELECT ${rowColumns} FROM ${events}
+        WHERE id > $afterId AND (payload_encoding IS NOT NULL OR serializer IS NOT NULL OR instr(data, $keyId) > 0)
+        ORDER BY id LIMIT 1000
+      `);
+      for (let rows = batch.all({ afterId: 0, keyId }); rows.length; rows = batch.all({ afterId: rows.at(-1).id, keyId })) {
+        for (const row of rows) collect(storedRow(row).data);
+      }
+      if (archive) {
+        for (const segment of archiveQueries.listSegments.all()) {
+          for (const row of archivedRows(segment, mayHold)) collect(storedRow(asEventRow(row)).data);
+        }
+      }
+      const waiting = db
+        .query(`SELECT event_data, serializer FROM ${pending} WHERE status IN ('pending', 'ready')`)
+        .all();
+      for (const { event_data, serializer: name } of waiting) {
+        if (event_data.includes(keyId)) collect(deserialize(event_data, name));
+      }
+      return [...versions].sort((a, b) => a - b);
+    },
 
-        if (model[cmd]) {
-          res = model[cmd](processedData, {
-            datetime,
-            user,
-            ip,
-            cmd,
-            id,
-            version,
-            correlationId: correlation_id,
-            causationId: causation_id,
-            metadata,
-          });
-        } else if (model._queries[cmd]) {
-          //simple pass through to query
-          res = model.get(cmd, processedData);
-        } else {
-          res = model._default(processedData, {
-            datetime,
-            user,
-            ip,
-            cmd,
-            id,
-            version,
-            correlationId: correlation_id,
-            causationId: causation_id,
-            metadata,
-          });
+    isHashChained() {
+      return Boolean(chain);
+    },
+
+    // Walks the hash chain over [fromId, toId] and reports the first broken link:
+    // an edited, deleted or reordered row, or a checkpoint that no longer matches
+    verifyChain({ fromId = 1, toId = null, key } = {}) {
+      requireChain();
+      const verifier = new ChainVerifier({
+        prevHash: prevHashBefore(fromId),
+        checkpoints: this.getChainCheckpoints({ fromId, toId }),
+        key: key || chain.key,
+      });
+
+      const hotRows = function* () {
+        let afterId = fromId - 1;
+        while (true) {
+          const batch = chainQueries.getChainBatch.all({ afterId, toId, limit: 1000 });
+          if (!batch.length) return;
+          yield* batch.map(decodeRow);
+          afterId = batch[batch.length - 1].id;
         }
-        const onDefault = (cb && (cb[cmd] || cb._default)) || eventCallbacks.void._default;
-        onDefault(res, row); //res is whatever returned for cb to take an action. Probably some data and some webpages to update, notify
-        model._done(row, res);
-        return res; //may be useful info
-      } catch (error) {
-        const errObj = {
-          msg: `${user} at ${ip} initiated  ${cmd} that led to an error: ${error.message}`,
-          error,
-          res,
-          data,
-          user,
-          ip,
-          cmd,
-          id,
-          version,
-          datetime,
-          correlation_id,
-          causation_id,
-          metadata,
-        };
-        const onError = (cb && cb._error) || eventCallbacks.void._error;
-        onError(errObj);
-        model._error(errObj);
-        return;
+      };
+      // Archived rows are checked too; they keep the hash they were stored with
+      const segments = archive
+        ? archiveQueries.listSegments
+            .all()
+            .filter((segment) => segment.last_id >= fromId && (toId === null || segment.first_id <= toId))
+        : [];
+      const inRange = (row) => row.id >= fromId && (toId === null || row.id <= toId);
+      for (const row of mergeArchived(hotRows(), segments, (segment) => archivedRows(segment, inRange))) {
+        if (!verifier.check(row)) return verifier.result();
       }
+      return verifier.result();
+    },
+
+    // Sign the current chain head now rather than waiting for checkpointEvery
+    createChainCheckpoint() {
+      requireChain();
+      const head = chainQueries.getLastHashed.get();
+      return head ? writeCheckpoint(head.id, head.hash) : null;
+    },
+
+    getChainCheckpoints({ fromId = 1, toId = null } = {}) {
+      requireChain();
+      return chainQueries.getCheckpoints.all({ fromId, toId });
     },
 
-    // Get all events with the same correlation ID
-    getTransaction(correlationId) {
-      return queries.getByCorrelationId.all({ correlationId }).map((row) => ({
-        ...row,
-        data: JSON.parse(row.data),
-        metadata: JSON.parse(row.metadata || "{}"),
-      }));
+    // Current version of a stream; 0 when nothing has been appended to it yet
+    // (on the unscoped queue, pass a tenant id for a tenant's stream)
+    getStreamVersion(streamId, tenant = tenantId) {
+      return streamVersion(streamId, tenantFor(tenant));
     },
 
     // Get direct children of an event
     getChildEvents(eventId) {
-      return queries.getChildEvents
-        .all({ causationId: eventId })
-        .map((row) => ({
-          ...row,
-          data: JSON.parse(row.data),
-          metadata: JSON.parse(row.metadata || "{}"),
-        }));
+      const rows = queries.getChildEvents.all({ causationId: eventId });
+      if (archive) {
+        const archived = archiveQueries.findChildren
+          .all({ causationId: eventId })
+          .map(({ id }) => archivedRow(id))
+          .filter(Boolean);
+        rows.push(...archived);
+        rows.sort((a, b) => a.id - b.id);
+      }
+      return rows.map(parseRow);
     },
 
     // Get event lineage (parent and children)
@@ -580,34 +2313,46 @@ const initQueue = function (options = {}) {
       whileCB = eventCallbacks.void,
       { start, stop } = { start: 0, stop: null },
     ) {
-      let offset = 0;
-      let fun;
-      if (stop) {
-        if (typeof stop === "number") {
-          fun = queries.cycleStop;
-        } else if (typeof stop === "string") {
-          //figure out a date thing
-        }
-      } else {
-        fun = queries.cycle;
-      }
-      while (true) {
-        let results = fun.all({ offset, start, stop });
-        //console.log(results);
-        if (!results.length) {
-          break;
-        }
-        for (const row of results) {
-          row.data = JSON.parse(row.data);
-          row.metadata = JSON.parse(row.metadata || "{}");
-          this.execute(row, model, whileCB);
-        } //mainly do nothing, but have error property
-        offset += results.length;
-      }
+      for (const row of replayRows(start, stop)) {
+        this.execute(parseRow(row), model, whileCB);
+      } //mainly do nothing, but have error property
       doneCB(); //prep pages
       return;
     },
 
+    // cycleThrough for async model methods: each event finishes before the next starts
+    async cycleThroughAsync(
+      model,
+      doneCB,
+      whileCB = eventCallbacks.void,
+      { start, stop } = { start: 0, stop: null },
+    ) {
+      for (const row of replayRows(start, stop)) {
+        await this.executeAsync(parseRow(row), model, whileCB);
+      }
+      if (doneCB) await doneCB();
+    },
+
+    // Rebuild a model as it stood at a moment in time by replaying every event
+    // stored at or before asOf. Pass a fresh model; existing state is not cleared.
+    replayAsOf(model, asOf, whileCB = eventCallbacks.void) {
+      const bound = resolveReplayBound(
+        typeof asOf === "number" ? { time: asOf } : asOf,
+      );
+      if (bound.time === undefined) {
+        throw new Error("replayAsOf needs a time, not an event id");
+      }
+      const stop = { time: bound.time, inclusive: true };
+      this.cycleThrough(model, () => {}, whileCB, { start: 0, stop });
+      const hot = queries.countAtOrBefore.get({ time: bound.time });
+      const archived = archive ? archivedAtOrBefore(bound.time) : { count: 0, lastEventId: 0 };
+      return {
+        asOf: bound.time,
+        lastEventId: Math.max(hot.lastEventId ?? 0, archived.lastEventId),
+        count: hot.count + archived.count,
+      };
+    },
+
     // Cached query methods for performance
     retrieveByIDCached(id) {
       if (!queryCache) return this.retrieveByID(id);
@@ -644,11 +2389,7 @@ const initQueue = function (options = {}) {
       const totalCount = queries.countByCorrelationId.get({ correlationId }).count;
       const events = queries.getByCorrelationIdPaginated
         .all({ correlationId, limit, offset })
-        .map((row) => ({
-          ...row,
-          data: JSON.parse(row.data),
-          metadata: JSON.parse(row.metadata || "{}"),
-        }));
+        .map(parseRow);
 
       return {
         events,
@@ -662,11 +2403,7 @@ const initQueue = function (options = {}) {
       const totalCount = queries.countChildEvents.get({ causationId: eventId }).count;
       const events = queries.getChildEventsPaginated
         .all({ causationId: eventId, limit, offset })
-        .map((row) => ({
-          ...row,
-          data: JSON.parse(row.data),
-          metadata: JSON.parse(row.metadata || "{}"),
-        }));
+        .map(parseRow);
 
       return {
         events,
@@ -680,11 +2417,7 @@ const initQueue = function (options = {}) {
       const totalCount = queries.countEventsByUser.get({ user }).count;
       const events = queries.getEventsByUserPaginated
         .all({ user, limit, offset })
-        .map((row) => ({
-          ...row,
-          data: JSON.parse(row.data),
-          metadata: JSON.parse(row.metadata || "{}"),
-        }));
+        .map(parseRow);
 
       return {
         events,
@@ -698,11 +2431,7 @@ const initQueue = function (options = {}) {
       const totalCount = queries.countEventsByCmd.get({ cmd }).count;
       const events = queries.getEventsByCmdPaginated
         .all({ cmd, limit, offset })
-        .map((row) => ({
-          ...row,
-          data: JSON.parse(row.data),
-          metadata: JSON.parse(row.metadata || "{}"),
-        }));
+        .map(parseRow);
 
       return {
         events,
@@ -716,11 +2445,7 @@ const initQueue = function (options = {}) {
       const totalCount = queries.countEventsInTimeRange.get({ start, end }).count;
       const events = queries.getEventsInTimeRangePaginated
         .all({ start, end, limit, offset })
-        .map((row) => ({
-          ...row,
-          data: JSON.parse(row.data),
-          metadata: JSON.parse(row.metadata || "{}"),
-        }));
+        .map(parseRow);
 
       return {
         events,
@@ -736,6 +2461,40 @@ const initQueue = function (options = {}) {
         throw new Error("Events must be a non-empty array");
       }
 
+      // Check every payload before writing any, so a bad event can't land half a batch
+      if (schemas) {
+        const failures = [];
+        events.forEach(({ cmd, version = 1, data = {} }, index) => {
+          const errors = cmd ? schemas.validate(cmd, version, data) : [];
+          if (errors.length) failures.push({ index, cmd, version, errors });
+        });
+        if (failures.length) {
+          const [first] = failures;
+          const error = new SchemaValidationError(first.cmd, first.version, first.errors);
+          error.index = first.index;
+          error.failures = failures;
+          if (cb) {
+            for (const { index, cmd, version, errors } of failures) {
+              cb._error({
+                msg: `Bulk event ${index} (${cmd} v${version}) failed schema validation`,
+                error,
+                validationErrors: errors,
+                priority: 2,
+                index,
+                cmd,
+                version,
+                data: events[index].data,
+              });
+            }
+          }
+          throw error;
+        }
+      }
+
+      // Offloaded payload files, deleted again if the batch rolls back
+      const written = [];
+      // The event being written, so a conflict names its stream
+      let inserting = null;
       const transaction = db.transaction((eventsArray) => {
         const results = [];
         
@@ -749,23 +2508,64 @@ const initQueue = function (options = {}) {
             correlationId,
             causationId,
             metadata = {},
+            streamId = null,
+            expectedVersion,
+            idempotencyKey,
+            outbox: outboxMessages,
+            tenantId: requestedTenant,
           } = event;
+          const tenant = tenantFor(requestedTenant);
 
           if (!cmd) {
             throw new Error(`No command given for event; aborting bulk insert`);
           }
+          if (outboxMessages && !outbox) {
+            throw new Error(`${cmd} has outbox messages but the outbox is not enabled; pass the outbox option to initQueue`);
+          }
+
+          // A repeated key, including one earlier in this batch, is not stored again
+          const storedKey = idempotencyKey == null ? null : scopedKey(idempotencyKey, tenant);
+          if (storedKey != null) {
+            const original = this._findByStoredKey(storedKey);
+            if (original) {
+              results.push({ row: original, result: null });
+              continue;
+            }
+          }
 
+          // A conflict here throws and rolls back the whole batch
+          inserting = { streamId, expectedVersion, tenant };
+          const streamVersion =
+            streamId == null ? null : nextStreamVersion(streamId, expectedVersion, tenant);
+
+          const payload = payloads.encode(
+            cmd,
+            serializer.encode(encryptFields(cmd, data)),
+            serializer.encode(metadata),
+            written,
+          );
           const storedEvent = queries.bulkInsert.run(
+            nextId(),
             version,
             datetime(),
             user,
             ip,
             cmd,
-            JSON.stringify(data),
+            payload.data,
             correlationId,
             causationId,
-            JSON.stringify(metadata)
+            payload.metadata,
+            streamId,
+            streamVersion,
+            tenant,
+            payload.payload,
+            payload.payload_encoding,
+            marker
           );
+          if (chain) linkRow(storedEvent.lastInsertRowid);
+          if (storedKey != null) {
+            claimIdempotencyKey(storedKey, storedEvent.lastInsertRowid);
+          }
 
           const row = {
             id: storedEvent.lastInsertRowid,
@@ -778,7 +2578,11 @@ const initQueue = function (options = {}) {
             correlation_id: correlationId,
             causation_id: causationId,
             metadata,
+            stream_id: streamId,
+            stream_version: streamVersion,
+            tenant_id: tenant,
           };
+          if (outbox) enqueueOutbox(row, outboxMessages);
 
           // Execute the event if model and callback are provided
           if (model && cb) {
@@ -797,7 +2601,18 @@ const initQueue = function (options = {}) {
         queryCache.clear();
       }
 
-      return transaction(events);
+      try {
+        const results = transaction(events);
+        notifySubscriptions();
+        return results;
+      } catch (error) {
+        payloads.discard(written);
+        throw (
+          (inserting &&
+            asConcurrencyError(error, inserting.streamId, inserting.expectedVersion, inserting.tenant)) ||
+          error
+        );
+      }
     },
 
     // Streaming export for large datasets
@@ -807,26 +2622,31 @@ const initQueue = function (options = {}) {
       endId = null,
       correlationId = null,
       user = null,
-      cmd = null 
+      cmd = null,
+      streamId = null,
+      raw = false, // skip upcasting and decryption, e.g. to export exactly what was stored
     } = {}) {
       let currentId = startId;
       
       while (true) {
         let query, params;
         
-        if (correlationId) {
-          query = "SELECT * FROM queue WHERE correlation_id = ? AND id >= ? ORDER BY id LIMIT ?";
+        if (streamId) {
+          query = `SELECT * FROM ${events} WHERE stream_id = ? AND id >= ? ORDER BY id LIMIT ?`;
+          params = [streamId, currentId, batchSize];
+        } else if (correlationId) {
+          query = `SELECT * FROM ${events} WHERE correlation_id = ? AND id >= ? ORDER BY id LIMIT ?`;
           params = [correlationId, currentId, batchSize];
         } else if (user) {
-          query = "SELECT * FROM queue WHERE user = ? AND id >= ? ORDER BY id LIMIT ?";
+          query = `SELECT * FROM ${events} WHERE user = ? AND id >= ? ORDER BY id LIMIT ?`;
           params = [user, currentId, batchSize];
         } else if (cmd) {
-          query = "SELECT * FROM queue WHERE cmd = ? AND id >= ? ORDER BY id LIMIT ?";
+          query = `SELECT * FROM ${events} WHERE cmd = ? AND id >= ? ORDER BY id LIMIT ?`;
           params = [cmd, currentId, batchSize];
         } else {
           query = endId 
-            ? "SELECT * FROM queue WHERE id >= ? AND id <= ? ORDER BY id LIMIT ?"
-            : "SELECT * FROM queue WHERE id >= ? ORDER BY id LIMIT ?";
+            ? `SELECT * FROM ${events} WHERE id >= ? AND id <= ? ORDER BY id LIMIT ?`
+            : `SELECT * FROM ${events} WHERE id >= ? ORDER BY id LIMIT ?`;
           params = endId ? [currentId, endId, batchSize] : [currentId, batchSize];
         }
 
@@ -837,11 +2657,8 @@ const initQueue = function (options = {}) {
           break;
         }
 
-        const processedBatch = batch.map(row => ({
-          ...row,
-          data: JSON.parse(row.data),
-          metadata: JSON.parse(row.metadata || "{}")
-        }));
+        const parsedBatch = batch.map(raw ? storedRow : parseRow);
+        const processedBatch = raw ? parsedBatch : parsedBatch.flatMap(upcast);
 
         yield processedBatch;
         
@@ -853,6 +2670,56 @@ const initQueue = function (options = {}) {
       }
     },
 
+    // Live change feed: catches up from fromId, then yields new events as they land.
+    // Omitting fromId starts after the current last event.
+    subscribe({
+      cmd = null,
+      correlationId = null,
+      user = null,
+      streamId = null,
+      fromId,
+      batchSize = 100,
+      pollInterval = 1000,
+    } = {}) {
+      const filters = [];
+      const params = {};
+      if (cmd) {
+        filters.push("cmd = $cmd");
+        params.cmd = cmd;
+      }
+      if (correlationId) {
+        filters.push("correlation_id = $correlationId");
+        params.correlationId = correlationId;
+      }
+      if (user) {
+        filters.push("user = $user");
+        params.user = user;
+      }
+      if (streamId) {
+        filters.push("stream_id = $streamId");
+        params.streamId = streamId;
+      }
+      const statement = db.prepare(
+        `SELECT ${rowColumns} FROM ${events} WHERE id > $afterId${filters.map((f) => ` AND ${f}`).join("")} ORDER BY id LIMIT $limit`,
+      );
+
+      const lastId =
+        fromId === undefined || fromId === null
+          ? (queries.getLastRow.get()?.id ?? 0)
+          : fromId - 1;
+
+      const subscription = new EventSubscription({
+        fetch: (afterId, limit) =>
+          statement.all({ ...params, afterId, limit }).map(parseRow),
+        lastId,
+        batchSize,
+        pollInterval,
+        onClose: (sub) => subscriptions.delete(sub),
+      });
+      subscriptions.add(subscription);
+      return subscription;
+    },
+
     // Cache management methods
     clearCache() {
       if (queryCache) {
@@ -886,6 +2753,8 @@ const initQueue = function (options = {}) {
         metadata = {},
         waitFor,
         timeout,
+        onTimeout,
+        tenantId: requestedTenant,
       } = event;
 
       if (!waitFor) {
@@ -896,21 +2765,33 @@ const initQueue = function (options = {}) {
       if (!cmd) {
         throw new Error("No command given");
       }
+      const tenant = tenantFor(requestedTenant);
+      if (onTimeout && !onTimeout.cmd) {
+        throw new Error("onTimeout needs a cmd");
+      }
+
+      // Reject a malformed tree or filter now rather than leaving a condition that can never match
+      for (const { condition } of waitForLeaves(waitFor)) {
+        if (condition.where) checkOperators(condition.where);
+        if (condition.metadata) checkOperators(condition.metadata);
+      }
 
       // Generate correlation ID if not provided
       const finalCorrelationId = correlationId || 
         (causationId ? this.retrieveByID(causationId)?.correlation_id : crypto.randomUUID());
 
-      // Serialize the event for storage
-      const eventData = JSON.stringify({
+      // Serialize the event for storage, with its fields encrypted as they will be in the queue
+      const eventData = serializer.encode({
         cmd,
-        data,
+        data: encryptFields(cmd, data),
         user,
         ip,
         version,
         correlationId: finalCorrelationId,
         causationId,
         metadata,
+        onTimeout: onTimeout && { ...onTimeout, data: encryptFields(onTimeout.cmd, onTimeout.data) },
+        tenantId: tenant ?? undefined,
       });
 
       // Calculate expiration time
@@ -925,6 +2806,8 @@ const initQueue = function (options = {}) {
         expires_at: expiresAt,
         correlation_id: finalCorrelationId,
         status: 'pending',
+        tenant_id: tenant,
+        serializer: marker,
       });
 
       const pendingEventId = result.lastInsertRowid;
@@ -934,79 +2817,48 @@ const initQueue = function (options = {}) {
 
       // Check if conditions are already satisfied
       this._checkPendingEventConditions(pendingEventId);
+      if (scheduler) this._schedulePendingCheck([]);
 
       return { pendingEventId: pendingEventId, status: 'pending' };
     },
 
     _parseAndStoreWaitConditions(pendingEventId, waitFor) {
-      const conditions = [];
-
-      if (waitFor.all) {
-        waitFor.all.forEach((condition, index) => {
-          conditions.push({
-            pending_event_id: pendingEventId,
-            condition_type: 'all_condition',
-            condition_data: JSON.stringify({ ...condition, index }),
-            satisfied: false,
-          });
-        });
-      }
-
-      if (waitFor.any) {
-        waitFor.any.forEach((condition, index) => {
-          conditions.push({
-            pending_event_id: pendingEventId,
-            condition_type: 'any_condition',
-            condition_data: JSON.stringify({ ...condition, index }),
-            satisfied: false,
-          });
-        });
-      }
-
-      if (waitFor.count) {
-        conditions.push({
+      // Store each leaf condition, indexed by the cmd and correlation id that
+      // can satisfy it; path places it in the waitFor tree
+      for (const { path, type, condition, index } of waitForLeaves(waitFor)) {
+        const extra = type === 'sequence_condition' ? { index, order: index } : index === undefined ? {} : { index };
+        queries.storeWaitCondition.run({
           pending_event_id: pendingEventId,
-          condition_type: 'count_condition',
-          condition_data: JSON.stringify(waitFor.count),
+          condition_type: type,
+          condition_data: serializeCondition({ ...condition, ...extra, path }),
           satisfied: false,
+          trigger_cmd: condition.pattern ?? '',
+          trigger_correlation_id: condition.correlationId ?? '',
         });
       }
-
-      if (waitFor.sequence) {
-        waitFor.sequence.forEach((condition, index) => {
-          conditions.push({
-            pending_event_id: pendingEventId,
-            condition_type: 'sequence_condition',
-            condition_data: JSON.stringify({ ...condition, index, order: index }),
-            satisfied: false,
-          });
-        });
-      }
-
-      // Store all conditions
-      conditions.forEach(condition => {
-        queries.storeWaitCondition.run({
-          pending_event_id: condition.pending_event_id,
-          condition_type: condition.condition_type,
-          condition_data: condition.condition_data,
-          satisfied: condition.satisfied,
-        });
-      });
     },
 
-    _evaluateCondition(condition, recentEventId = null) {
-      const conditionData = JSON.parse(condition.condition_data);
+    // A tenant's pending event only counts events of the same tenant
+    _evaluateCondition(condition, satisfiedPaths = new Set(), tenant = null) {
+      const conditionData = {
+        ...JSON.parse(condition.condition_data),
+        ...(tenant == null ? {} : { tenantId: tenant }),
+      };
       
       switch (condition.condition_type) {
         case 'all_condition':
         case 'any_condition':
+        case 'not_condition':
           return this._evaluatePatternCondition(conditionData);
           
         case 'count_condition':
           return this._evaluateCountCondition(conditionData);
           
         case 'sequence_condition':
-          return this._evaluateSequenceCondition(conditionData, condition.pending_event_id);
+          return this._evaluateSequenceCondition(
+            { ...conditionData, path: conditionPath(condition.condition_type, conditionData) },
+            satisfiedPaths,
+          );
           
         default:
           return false;
@@ -1014,70 +2866,82 @@ const initQueue = function (options = {}) {
     },
 
     _evaluatePatternCondition(conditionData) {
-      const { pattern, correlationId, where, minCount = 1 } = conditionData;
-      
-      // Build query based on condition
-      let events;
-      if (correlationId) {
-        events = queries.getByCorrelationId.all({ correlationId });
-      } else {
-        // If no correlationId specified, we can't evaluate this condition
-        return false;
-      }
-
-      // Filter by pattern (command)
-      if (pattern) {
-        events = events.filter(event => event.cmd === pattern);
-      }
-
-      // Filter by additional conditions
-      if (where) {
-        events = events.filter(event => {
-          const data = JSON.parse(event.data);
-          return this._matchesWhere(data, where);
-        });
-      }
-
-      return events.length >= minCount;
+      return this._countMatchingEvents(conditionData, conditionData.minCount ?? 1) >= (conditionData.minCount ?? 1);
     },
 
     _evaluateCountCondition(conditionData) {
-      const { pattern, correlationId, count, where } = conditionData;
-      
-      let events;
-      if (correlationId) {
-        events = queries.getByCorrelationId.all({ correlationId });
-      } else {
-        return false;
-      }
+      return this._countMatchingEvents(conditionData, conditionData.count) >= conditionData.count;
+    },
 
-      // Filter by pattern
-      if (pattern) {
-        events = events.filter(event => event.cmd === pattern);
-      }
+    // Counts events matching a condition, stopping once `enough` are found.
+    // Every part of a condition is optional: pattern (cmd), correlationId, user,
+    // after/before (datetime bounds), within (no older than that long ago),
+    // where (on data) and metadata (on metadata).
+    _countMatchingEvents(conditionData, enough) {
+      const { pattern, correlationId, user, after, before, within, where, metadata, tenantId: tenant } = conditionData;
+      const clauses = [];
+      const params = {};
+      const bind = (clause, value) => {
+        const p = `p${Object.keys(params).length}`;
+        params[p] = value;
+        clauses.push(clause.replace("?", `$${p}`));
+      };
 
-      // Filter by where conditions
-      if (where) {
-        events = events.filter(event => {
-          const data = JSON.parse(event.data);
-          return this._matchesWhere(data, where);
-        });
+      if (tenant != null) bind("tenant_id = ?", tenant);
+      if (pattern) bind("cmd = ?", pattern);
+      if (correlationId) bind("correlation_id = ?", correlationId);
+      if (user !== undefined) bind("user = ?", user);
+      if (after !== undefined) bind("datetime > ?", after);
+      if (before !== undefined) bind("datetime < ?", before);
+      if (within !== undefined) bind("datetime >= ?", datetime() - within);
+
+      const filter = (...extra) => {
+        const all = [...clauses, ...extra];
+        return all.length ? `WHERE ${all.join(" AND ")}` : "";
+      };
+      const countWhere = (...extra) =>
+        db
+          .query(`SELECT COUNT(*) AS count FROM (SELECT 1 FROM ${events} ${filter(...extra)} LIMIT $limit)`)
+          .get({ ...params, limit: enough }).count;
+      if (!where && !metadata) return countWhere();
+
+      // json_extract can only filter rows whose data and metadata are stored
+      // as JSON text; compressed, offloaded or binary-serialized rows are
+      // decoded and matched in JS
+      const plain = "payload_encoding IS NULL AND serializer IS NULL";
+      const jsonClauses = [];
+      const dataInJs = where ? whereToSql("data", where, jsonClauses, params) : false;
+      const metadataInJs = metadata ? whereToSql("metadata", metadata, jsonClauses, params) : false;
+      const jsonMatch = jsonClauses.length ? jsonClauses.join(" AND ") : "1";
+
+      let count = 0;
+      let matchInJs;
+      if (dataInJs || metadataInJs) {
+        // $regex: every row is matched in JS, after SQL narrows the plain ones
+        matchInJs = `CASE WHEN ${plain} THEN ${jsonMatch} ELSE 1 END`;
+      } else {
+        count = countWhere(plain, `(${jsonMatch})`);
+        if (count >= enough) return count;
+        matchInJs = `NOT (${plain})`;
       }
 
-      return events.length >= count;
+      const rows = db
+        .query(`SELECT id, cmd, data, metadata, payload, payload_encoding, serializer FROM ${events} ${filter(matchInJs)} ORDER BY id`)
+        .all(params);
+      for (const row of rows) {
+        parseRow(row);
+        if (where && !matchesWhere(row.data, where)) continue;
+        if (metadata && !matchesWhere(row.metadata, metadata)) continue;
+        if (++count >= enough) break;
+      }
+      return count;
     },
 
-    _evaluateSequenceCondition(conditionData, pendingEventId) {
-      // For sequence conditions, we need to check if all previous sequence conditions are satisfied
-      const allSequenceConditions = queries.getWaitConditions.all({ pending_event_id: pendingEventId })
-        .filter(c => c.condition_type === 'sequence_condition')
-        .sort((a, b) => JSON.parse(a.condition_data).order - JSON.parse(b.condition_data).order);
-
-      const currentOrder = conditionData.order;
-      
-      // Check if all previous sequence conditions are satisfied
-      for (let i = 0; i < currentOrder; i++) {
-        if (!allSequenceConditions[i] || !allSequenceConditions[i].satisfied) {
+    _evaluateSequenceCondition(conditionData, satisfiedPaths) {
+      // A step only counts once every earlier step of its sequence is satisfied
+      const sequencePath = conditionData.path.slice(0, conditionData.path.lastIndexOf('.'));
+      for (let i = 0; i < conditionData.order; i++) {
+        if (!satisfiedPaths.has(`${sequencePath}.${i}`)) {
           return false;
         }
       }
@@ -1087,41 +2951,7 @@ const initQueue = function (options = {}) {
     },
 
     _matchesWhere(data, where) {
-      for (const [key, condition] of Object.entries(where)) {
-        const value = data[key];
-        
-        if (typeof condition === 'object' && condition !== null) {
-          // Handle operators like { $gte: 80 }
-          for (const [operator, expectedValue] of Object.entries(condition)) {
-            switch (operator) {
-              case '$gte':
-                if (!(value >= expectedValue)) return false;
-                break;
-              case '$gt':
-                if (!(value > expectedValue)) return false;
-                break;
-              case '$lte':
-                if (!(value <= expectedValue)) return false;
-                break;
-              case '$lt':
-                if (!(value < expectedValue)) return false;
-                break;
-              case '$eq':
-                if (value !== expectedValue) return false;
-                break;
-              case '$ne':
-                if (value === expectedValue) return false;
-                break;
-              default:
-                return false;
-            }
-          }
-        } else {
-          // Direct equality check
-          if (value !== condition) return false;
-        }
-      }
-      return true;
+      return matchesWhere(data, where);
     },
 
     _checkPendingEventConditions(pendingEventId) {
@@ -1133,60 +2963,28 @@ const initQueue = function (options = {}) {
       const waitConditions = JSON.parse(pendingEvent.wait_conditions);
       const conditions = queries.getWaitConditions.all({ pending_event_id: pendingEventId });
 
-      // Evaluate each condition and update satisfaction status
+      const satisfiedPaths = new Set(
+        conditions
+          .filter(c => c.satisfied)
+          .map(c => conditionPath(c.condition_type, JSON.parse(c.condition_data))),
+      );
+
+      // Evaluate each open condition and update satisfaction status; once
+      // satisfied, a condition stays satisfied
       for (const condition of conditions) {
-        const isSatisfied = this._evaluateCondition(condition);
+        if (condition.satisfied) continue;
+        const isSatisfied = this._evaluateCondition(condition, satisfiedPaths, pendingEvent.tenant_id);
         
-        if (isSatisfied && !condition.satisfied) {
+        if (isSatisfied) {
           // Update condition as satisfied
           queries.updateWaitConditionSatisfied.run({ id: condition.id, satisfied: true });
           condition.satisfied = true;
+          satisfiedPaths.add(conditionPath(condition.condition_type, JSON.parse(condition.condition_data)));
         }
       }
 
-      // Check if event is ready to execute based on wait type
-      let isReady = true; // Start with true, and set to false if any required condition is not met
-      
-      if (waitConditions.all) {
-        // All 'all_condition' types must be satisfied
-        const allConditions = conditions.filter(c => c.condition_type === 'all_condition');
-        const satisfiedAllConditions = allConditions.filter(c => c.satisfied);
-        if (allConditions.length === 0 || satisfiedAllConditions.length !== allConditions.length) {
-          isReady = false;
-        }
-      }
-      
-      if (waitConditions.any) {
-        // At least one 'any_condition' type must be satisfied  
-        const anyConditions = conditions.filter(c => c.condition_type === 'any_condition');
-        const satisfiedAnyConditions = anyConditions.filter(c => c.satisfied);
-        if (anyConditions.length === 0 || satisfiedAnyConditions.length === 0) {
-          isReady = false;
-        }
-      }
-      
-      if (waitConditions.count) {
-        // The count condition must be satisfied
-        const countConditions = conditions.filter(c => c.condition_type === 'count_condition');
-        const satisfiedCountConditions = countConditions.filter(c => c.satisfied);
-        if (countConditions.length === 0 || satisfiedCountConditions.length === 0) {
-          isReady = false;
-        }
-      }
-      
-      if (waitConditions.sequence) {
-        // All sequence conditions must be satisfied
-        const sequenceConditions = conditions.filter(c => c.condition_type === 'sequence_condition');
-        const satisfiedSequenceConditions = sequenceConditions.filter(c => c.satisfied);
-        if (sequenceConditions.length === 0 || satisfiedSequenceConditions.length !== sequenceConditions.length) {
-          isReady = false;
-        }
-      }
-
-      // If no wait conditions are specified, the event should not be ready
-      if (!waitConditions.all && !waitConditions.any && !waitConditions.count && !waitConditions.sequence) {
-        isReady = false;
-      }
+      // Ready once the waitFor tree as a whole holds
+      const isReady = waitForSatisfied(waitConditions, "", satisfiedPaths);
 
       if (isReady) {
         queries.updatePendingEventStatus.run({ id: pendingEventId, status: 'ready' });
@@ -1196,6 +2994,23 @@ const initQueue = function (options = {}) {
       return false;
     },
 
+    // Re-evaluates only the pending events with an open condition that one of
+    // the rows could satisfy, found through the trigger index
+    _checkTriggeredPendingEvents(rows) {
+      const ids = new Set();
+      for (const row of rows) {
+        for (const { id } of queries.getTriggeredPendingEvents.all({
+          cmd: row.cmd,
+          correlationId: row.correlation_id ?? '',
+        })) {
+          ids.add(id);
+        }
+      }
+      for (const id of ids) {
+        this._checkPendingEventConditions(id);
+      }
+    },
+
     checkAllPendingEvents() {
       const pendingEvents = queries.getPendingEventsByStatus.all({ status: 'pending' });
       
@@ -1214,7 +3029,8 @@ const initQueue = function (options = {}) {
 
       for (const pendingEvent of readyEvents) {
         try {
-          const eventData = JSON.parse(pendingEvent.event_data);
+          const { onTimeout, ...eventData } = deserialize(pendingEvent.event_data, pendingEvent.serializer);
+          eventData.data = decryptFields(eventData.cmd, eventData.data);
           
           // Execute the event
           const result = this.store(eventData, model, callbacks);
@@ -1231,24 +3047,111 @@ const initQueue = function (options = {}) {
       return executedEvents;
     },
 
-    expirePendingEvents() {
+    // With a model (given, or the scheduler's), each expiry is stored as a
+    // pendingEventExpired event, followed by the pending event's onTimeout
+    // fallback if it has one
+    expirePendingEvents(model = scheduler?.model, callbacks = scheduler?.callbacks) {
       const now = datetime();
-      const expiredEvents = queries.getExpiredPendingEvents.all({ now });
-      
-      for (const event of expiredEvents) {
-        queries.updatePendingEventStatus.run({ id: event.id, status: 'expired' });
+      const expiredEvents = queries.getExpiredPendingEvents.all({ now }).filter(
+        (event) => queries.claimPendingEvent.run({ id: event.id, status: 'expired', from: 'pending' }).changes,
+      );
+
+      if (model) {
+        for (const pendingEvent of expiredEvents) {
+          try {
+            const expired = this._recordPendingOutcome(pendingEvent, 'pendingEventExpired', model, callbacks);
+            const { onTimeout, user, ip } = deserialize(pendingEvent.event_data, pendingEvent.serializer);
+            if (onTimeout && expired) {
+              this.store({
+                user,
+                ip,
+                ...onTimeout,
+                data: decryptFields(onTimeout.cmd, onTimeout.data),
+                correlationId: expired.correlation_id,
+                causationId: expired.id,
+                tenantId: pendingEvent.tenant_id,
+              }, model, callbacks);
+            }
+          } catch (error) {
+            console.error(`Failed to record expiry of pending event ${pendingEvent.id}:`, error);
+          }
+        }
       }
 
       return expiredEvents;
     },
 
-    cancelPendingEvent(pendingEventId) {
+    // With a model (given, or the scheduler's), the cancellation is stored as a
+    // pendingEventCancelled event
+    cancelPendingEvent(pendingEventId, model = scheduler?.model, callbacks = scheduler?.callbacks) {
       const pendingEvent = queries.getPendingEventById.get({ id: pendingEventId });
-      if (pendingEvent && pendingEvent.status === 'pending') {
-        queries.updatePendingEventStatus.run({ id: pendingEventId, status: 'cancelled' });
-        return true;
+      if (!pendingEvent || !queries.claimPendingEvent.run({ id: pendingEventId, status: 'cancelled', from: 'pending' }).changes) {
+        return false;
+      }
+      if (model) {
+        this._recordPendingOutcome(pendingEvent, 'pendingEventCancelled', model, callbacks);
+      }
+      return true;
+    },
+
+    // Stores what became of a pending event in its correlation group, caused by
+    // whatever caused the pending event. The idempotency key keeps it to one
+    // record per pending event and is how the stored row is found again.
+    // Encrypted fields of the pending event's data stay encrypted in the record.
+    _recordPendingOutcome(pendingEvent, cmd, model, callbacks) {
+      const { cmd: pendingCmd, data, user, ip, causationId } = deserialize(pendingEvent.event_data, pendingEvent.serializer);
+      const idempotencyKey = `${cmd}:${pendingEvent.id}`;
+      this.store({
+        cmd,
+        user,
+        ip,
+        data: {
+          pendingEventId: pendingEvent.id,
+          cmd: pendingCmd,
+          data,
+          createdAt: pendingEvent.created_at,
+          expiresAt: pendingEvent.expires_at,
+        },
+        correlationId: pendingEvent.correlation_id,
+        causationId,
+        idempotencyKey,
+        tenantId: pendingEvent.tenant_id,
+      }, model, callbacks);
+      return this._findByStoredKey(scopedKey(idempotencyKey, pendingEvent.tenant_id));
+    },
+
+    /**
+     * Run pending events without being asked: ready ones are executed as soon as
+     * they become ready, and every interval ms timed-out ones are expired (storing
+     * pendingEventExpired and any onTimeout fallback) and time-based conditions
+     * are checked again. Cancellations are stored as pendingEventCancelled.
+     * @param {Object} options - { model, callbacks, interval } (interval default 1000 ms)
+     */
+    startScheduler({ model, callbacks, interval = 1000 } = {}) {
+      if (!model) {
+        throw new Error("The pending event scheduler needs a model to store events with");
+      }
+      this.stopScheduler();
+      scheduler = { model, callbacks, timer: setInterval(() => this._runScheduler(), interval) };
+      this._runScheduler();
+    },
+
+    stopScheduler() {
+      if (!scheduler) return;
+      clearInterval(scheduler.timer);
+      scheduler = null;
+    },
+
+    _runScheduler() {
+      if (!scheduler) return;
+      const { model, callbacks } = scheduler;
+      try {
+        this.expirePendingEvents(model, callbacks);
+        this.checkAllPendingEvents();
+        this.executeReadyEvents(model, callbacks);
+      } catch (error) {
+        console.error("Pending event scheduler failed:", error);
       }
-      return false;
     },
 
     getPendingEventsByCorrelation(correlationId) {
@@ -1276,7 +3179,12 @@ const initQueue = function (options = {}) {
     };
   }
 
-  return { _queries: queries, ...methods };
+  const queue = { _queries: queries, _db: db, ...methods };
+  // Tenant handles share this connection, so the unscoped queue answers for all of them
+  if (fieldEncryption && tenantId === null) {
+    fieldEncryption.shredder.watchKeyUse((keyId) => queue.keyVersionsInUse(keyId));
+  }
+  return queue;
 };
 
-export { initQueue, eventCallbacks };
+export { initQueue, eventCallbacks, ConcurrencyError };
@@ -0,0 +1,129 @@
+import { CryptoShredder } from "./privacy-manager.js";
+
+/**
+ * Field-level encryption of event data
+ * Chosen fields of chosen cmds are encrypted with the key of the event's
+ * subject (data.userId unless told otherwise), held by a CryptoShredder. The
+ * stored value is { $encrypted: { encrypted, iv, authTag, keyId, version } }; the rest
+ * of the event stays readable. Once the subject's key is deleted the fields
+ * read back as the tombstone, so replay carries on with the data gone.
+ */
+
+const ENCRYPTED = "$encrypted";
+
+const isEncrypted = (value) => value !== null && typeof value === "object" && ENCRYPTED in value;
+
+export class FieldEncryptor {
+  /**
+   * @param {Object} options
+   * @param {CryptoShredder|string} options.shredder - The key store, or the
+   *   path of its database ('data/gdpr-keys.sqlite' by default)
+   * @param {Object} options.fields - cmd -> field names, or { fields, subject }
+   * @param {string} options.subject - data key holding the subject's id
+   * @param {*} options.tombstone - What a field reads as once its key is deleted
+   */
+  constructor({ shredder, fields = {}, subject = "userId", tombstone = "[deleted]" } = {}) {
+    this.shredder = shredder instanceof CryptoShredder ? shredder : new CryptoShredder(shredder);
+    this.tombstone = tombstone;
+    this.rules = new Map(
+      Object.entries(fields).map(([cmd, rule]) => [
+        cmd,
+        Array.isArray(rule) ? { fields: rule, subject } : { subject, ...rule },
+      ]),
+    );
+  }
+
+  /**
+   * A copy of data with the cmd's fields encrypted; data is returned as is for
+   * other cmds. Fields that are null or missing are left alone.
+   * @param {string} cmd - Event command
+   * @param {Object} data - Event data
+   * @returns {Object} Data to store
+   */
+  encrypt(cmd, data) {
+    const rule = this.rules.get(cmd);
+    if (!rule || !data) return data;
+    const present = rule.fields.filter((field) => data[field] != null);
+    if (!present.length) return data;
+
+    const subjectId = data[rule.subject];
+    if (subjectId == null) {
+      throw new Error(`${cmd} encrypts ${present.join(", ")} but has no data.${rule.subject} to key them by`);
+    }
+    const keyId = this.shredder.ensureUserKey(subjectId);
+    const encrypted = { ...data };
+    for (const field of present) {
+      encrypted[field] = { [ENCRYPTED]: this.shredder.encrypt(data[field], keyId) };
+    }
+    return encrypted;
+  }
+
+  /**
+   * A copy of data with its encrypted fields decrypted, or the tombstone where
+   * the key has been deleted
+   * @param {string} cmd - Event command
+   * @param {Object} data - Data as stored
+   * @returns {Object} Data as given to store()
+   */
+  decrypt(cmd, data) {
+    const rule = this.rules.get(cmd);
+    if (!rule || !data || typeof data !== "object") return data;
+    let decrypted = data;
+    for (const field of rule.fields) {
+      if (!isEncrypted(data[field])) continue;
+      if (decrypted === data) decrypted = { ...data };
+      decrypted[field] = this.decryptValue(data[field][ENCRYPTED], cmd, field);
+    }
+    return decrypted;
+  }
+
+  /**
+   * A copy of stored data with its encrypted fields moved to the newest
+   * version of their keys, or null if none needed it
+   * @param {string} cmd - Event command
+   * @param {Object} data - Data as stored
+   * @returns {Object|null} Data to store instead
+   */
+  reencrypt(cmd, data) {
+    const rule = this.rules.get(cmd);
+    if (!rule || !data || typeof data !== "object") return null;
+    let reencrypted = null;
+    for (const field of rule.fields) {
+      if (!isEncrypted(data[field])) continue;
+      const envelope = this.shredder.reencrypt(data[field][ENCRYPTED]);
+      if (!envelope) continue;
+      reencrypted ??= { ...data };
+      reencrypted[field] = { [ENCRYPTED]: envelope };
+    }
+    return reencrypted;
+  }
+
+  /**
+   * Every encrypted envelope in a value, at any depth, so records that embed
+   * another event's stored data are found too
+   * @param {*} value - Data as stored
+   * @returns {Iterable<Object>} { encrypted, iv, authTag, keyId, version }
+   */
+  *envelopes(value) {
+    if (value === null || typeof value !== "object") return;
+    if (isEncrypted(value)) {
+      yield value[ENCRYPTED];
+      return;
+    }
+    for (const child of Object.values(value)) yield* this.envelopes(child);
+  }
+
+  // The cmds with encrypted fields
+  get cmds() {
+    return [...this.rules.keys()];
+  }
+
+  decryptValue(envelope, cmd, field) {
+    if (!this.shredder.hasKey(envelope.keyId, envelope.version ?? 1)) return this.tombstone;
+    const value = this.shredder.decrypt(envelope);
+    if (value === null) {
+      throw new Error(`Could not decrypt ${field} of a ${cmd} event; it was altered or the key doesn't match`);
+    }
+    return value;
+  }
+}
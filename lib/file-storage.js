@@ -142,7 +142,7 @@ export class FileStorageManager {
     };
   }
 
-  async storeFile(buffer, metadata) {
+  _checkFileArguments(buffer, metadata) {
     if (!buffer || buffer.length === 0) {
       throw new Error("File buffer cannot be empty");
     }
@@ -158,6 +158,10 @@ export class FileStorageManager {
     if (!metadata.mimeType) {
       throw new Error("MIME type is required");
     }
+  }
+
+  async storeFile(buffer, metadata) {
+    this._checkFileArguments(buffer, metadata);
 
     // Comprehensive file validation using FileProcessor
     const validationResult = await this.processor.validateFile(buffer, metadata);
@@ -171,6 +175,18 @@ export class FileStorageManager {
       metadata.validationWarnings = validationResult.warnings;
     }
 
+    return this._writeFile(buffer, metadata);
+  }
+
+  // Store content the application generated itself (such as event payloads
+  // offloaded by the queue) without content validation; synchronous so it
+  // can run inside a write
+  storeFileSync(buffer, metadata) {
+    this._checkFileArguments(buffer, metadata);
+    return this._writeFile(buffer, metadata);
+  }
+
+  _writeFile(buffer, metadata) {
     // Generate unique file ID
     const fileId = randomUUID();
     
@@ -256,6 +272,10 @@ export class FileStorageManager {
   }
 
   async getFile(fileId) {
+    return this.getFileSync(fileId);
+  }
+
+  getFileSync(fileId) {
     const fileMetadata = this._queries.getFileById.get(fileId);
     
     if (!fileMetadata) {
@@ -295,6 +315,11 @@ export class FileStorageManager {
   }
 
   async deleteFile(fileId) {
+    return this.deleteFileSync(fileId);
+  }
+
+  // Synchronous, so a write that stored a file and then failed can remove it
+  deleteFileSync(fileId) {
     const fileMetadata = this._queries.getFileById.get(fileId);
     
     if (!fileMetadata) {
@@ -1,6 +1,7 @@
 import { Database } from "bun:sqlite";
 import { renameSync, unlinkSync, existsSync, mkdirSync } from "fs";
 import { dirname } from "path";
+import { UpcasterRegistry } from "./upcasting.js";
 
 const modelSetup = (options = {}) => {
   const defult =
@@ -19,11 +20,14 @@ const modelSetup = (options = {}) => {
       _done: () => {},
       _error: () => {},
       _migrations: {},
+      _upcasters: options.upcasters || null,
     };
   }
 
   const {
     dbName = "data/model.sqlite",
+    db: sharedDb, // e.g. queue._db, so events and model changes commit together
+    trackApplied = false,
     init = { create: true, strict: true },
     deletions = " ",
     tables,
@@ -34,7 +38,7 @@ const modelSetup = (options = {}) => {
     error = null,
   } = options;
   // this allows for wiping out existing model and starting fresh
-  if (options.reset) {
+  if (options.reset && !sharedDb) {
     const reset = options.reset;
 
     // [] => move data/model.sqlite to data/old-model.sqlite
@@ -70,19 +74,41 @@ const modelSetup = (options = {}) => {
     }
   }
 
-  // Ensure the directory exists
-  const dbDir = dirname(dbName);
-  if (!existsSync(dbDir)) {
-    mkdirSync(dbDir, { recursive: true });
+  let db = sharedDb;
+  if (!db) {
+    // Ensure the directory exists
+    const dbDir = dirname(dbName);
+    if (!existsSync(dbDir)) {
+      mkdirSync(dbDir, { recursive: true });
+    }
+
+    db = new Database(dbName, init);
+    if (options.WAL) db.exec("PRAGMA journal_mode = WAL;");
   }
 
-  const db = new Database(dbName, init);
-  if (options.WAL) db.exec("PRAGMA journal_mode = WAL;");
+  // Last event id applied to this model, kept in the model's own database so it
+  // commits with the changes it describes; queue.recoverModel replays past it
+  let applied = null;
+  if (trackApplied) {
+    db.query(
+      "CREATE TABLE IF NOT EXISTS _applied_events (id INTEGER PRIMARY KEY CHECK (id = 1), last_event_id INTEGER NOT NULL)",
+    ).run();
+    applied = {
+      read: db.query("SELECT last_event_id FROM _applied_events WHERE id = 1"),
+      write: db.query(
+        "INSERT INTO _applied_events (id, last_event_id) VALUES (1, ?1) ON CONFLICT(id) DO UPDATE SET last_event_id = MAX(last_event_id, ?1)",
+      ),
+    };
+  }
 
   if (tables) {
     tables(db);
   }
 
+  if (migrations && options.upcasters) {
+    throw new Error("Pass either migrations or upcasters to modelSetup, not both");
+  }
+
   const qs = queries ? queries(db) : {};
   const ms = methods ? methods(qs, db) : {};
   const migs = migrations ? migrations() : {};
@@ -94,6 +120,11 @@ const modelSetup = (options = {}) => {
     _done: done ?? (() => {}), //row, res is arguments for recording that the event happened.
     _error: error ?? (() => {}), // receives an error object for storing
     _migrations: migs,
+    // Positional migrations are kept for reference; execute runs the registry
+    _upcasters:
+      options.upcasters || (migrations ? UpcasterRegistry.fromMigrations(migs) : null),
+    _lastApplied: applied ? () => applied.read.get()?.last_event_id ?? 0 : null,
+    _markApplied: applied ? (id) => applied.write.run(id) : null,
     ...ms,
     get(cmd, data) {
       try {
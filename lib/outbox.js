@@ -0,0 +1,278 @@
+/**
+ * Outbox dispatcher for event sourcing
+ * Delivers the side effects a queue created with the outbox option records in
+ * each event's transaction. Delivery is at least once: an entry is leased
+ * before its handler runs and only marked delivered after the handler
+ * succeeds, so a crash mid-delivery means the entry is delivered again once
+ * the lease runs out. Handlers should therefore tolerate duplicates.
+ */
+export class OutboxDispatcher {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventQueue - Queue created with the outbox option
+   * @param {Object} options.handlers - { topic: handler, _default: handler }, the
+   *   same shape as a callback object; handler(event, entry) may be async
+   * @param {number} options.maxAttempts - Attempts before an entry is marked failed (default 5)
+   * @param {number} options.retryDelay - Milliseconds before the first retry,
+   *   doubling after each failure (default 1000)
+   * @param {number} options.maxRetryDelay - Cap on the retry delay (default 5 minutes)
+   * @param {number} options.leaseMs - How long a delivery may run before another
+   *   dispatcher may take the entry over (default 30 seconds)
+   * @param {number} options.batchSize - Entries claimed per round (default 100)
+   */
+  constructor(options = {}) {
+    const {
+      eventQueue,
+      handlers = {},
+      maxAttempts = 5,
+      retryDelay = 1000,
+      maxRetryDelay = 5 * 60 * 1000,
+      leaseMs = 30000,
+      batchSize = 100,
+    } = options;
+
+    if (!eventQueue) {
+      throw new Error("OutboxDispatcher requires an eventQueue");
+    }
+    if (!eventQueue.hasOutbox()) {
+      throw new Error("The event queue has no outbox; pass the outbox option to initQueue");
+    }
+
+    this.eventQueue = eventQueue;
+    this.handlers = new Map(Object.entries(handlers));
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.leaseMs = leaseMs;
+    this.batchSize = batchSize;
+    this._timer = null;
+    this._running = null;
+    this._stopped = false;
+
+    const db = eventQueue._db;
+    this.queries = {
+      // Leasing pushes next_attempt_at past the lease, which is what keeps a
+      // second dispatcher off the entry while its handler runs
+      claimDue: db.prepare(`
+        UPDATE outbox SET next_attempt_at = $leaseUntil
+        WHERE id IN (
+          SELECT id FROM outbox
+          WHERE status = 'pending' AND next_attempt_at <= $now
+            AND ($all = 1 OR topic IN (SELECT value FROM json_each($topics)))
+          ORDER BY id LIMIT $limit
+        )
+        RETURNING *
+      `),
+      markDelivered: db.prepare(
+        "UPDATE outbox SET status = 'delivered', attempts = attempts + 1, delivered_at = $now, last_error = NULL WHERE id = $id",
+      ),
+      markRetry: db.prepare(
+        "UPDATE outbox SET attempts = attempts + 1, next_attempt_at = $nextAttemptAt, last_error = $error WHERE id = $id",
+      ),
+      markFailed: db.prepare(
+        "UPDATE outbox SET status = 'failed', attempts = attempts + 1, last_error = $error WHERE id = $id",
+      ),
+      getEntry: db.prepare("SELECT * FROM outbox WHERE id = $id"),
+      listEntries: db.prepare(`
+        SELECT * FROM outbox
+        WHERE ($status IS NULL OR status = $status)
+          AND ($topic IS NULL OR topic = $topic)
+          AND ($eventId IS NULL OR event_id = $eventId)
+        ORDER BY id LIMIT $limit OFFSET $offset
+      `),
+      countByStatus: db.prepare("SELECT status, COUNT(*) AS count FROM outbox GROUP BY status"),
+      oldestPending: db.prepare("SELECT MIN(created_at) AS created_at FROM outbox WHERE status = 'pending'"),
+      retryEntry: db.prepare(
+        "UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = $now, last_error = NULL, delivered_at = NULL WHERE id = $id RETURNING *",
+      ),
+      retryFailed: db.prepare(
+        "UPDATE outbox SET status = 'pending', attempts = 0, next_attempt_at = $now, last_error = NULL WHERE status = 'failed' AND ($topic IS NULL OR topic = $topic)",
+      ),
+      purgeDelivered: db.prepare(
+        "DELETE FROM outbox WHERE status = 'delivered' AND delivered_at <= $before",
+      ),
+    };
+  }
+
+  /**
+   * Register the handler for a topic; `_default` handles topics with no handler
+   * of their own
+   * @param {string} topic - Topic, which is the cmd for entries the queue adds itself
+   * @param {Function} handler - (event, entry) => any; throw or reject to retry
+   * @returns {OutboxDispatcher} this, for chaining
+   */
+  register(topic, handler) {
+    if (this.handlers.has(topic)) {
+      throw new Error(`Outbox handler for ${topic} is already registered`);
+    }
+    this.handlers.set(topic, handler);
+    return this;
+  }
+
+  /**
+   * Deliver every entry that is due, one round of at most batchSize entries at
+   * a time, until none are left. Entries for topics without a handler (and no
+   * `_default`) are left pending for a dispatcher that has one.
+   * @returns {Promise<Object>} { delivered, retried, failed }
+   */
+  async dispatch() {
+    const counts = { delivered: 0, retried: 0, failed: 0 };
+    while (true) {
+      const now = Date.now();
+      const entries = this.queries.claimDue.all({
+        now,
+        leaseUntil: now + this.leaseMs,
+        all: this.handlers.has("_default") ? 1 : 0,
+        topics: JSON.stringify([...this.handlers.keys()]),
+        limit: this.batchSize,
+      });
+      if (!entries.length) return counts;
+
+      for (const entry of entries.sort((a, b) => a.id - b.id)) {
+        counts[await this._deliver(entry)]++;
+      }
+    }
+  }
+
+  /**
+   * Dispatch now and then every pollInterval ms until stopped
+   * @param {Object} options - { pollInterval } in ms (default 1000)
+   */
+  start(options = {}) {
+    if (this._timer || this._running) return;
+    const pollInterval = options.pollInterval ?? 1000;
+    this._stopped = false;
+    const tick = async () => {
+      this._timer = null;
+      this._running = this.dispatch().catch(() => {});
+      await this._running;
+      this._running = null;
+      if (!this._stopped) this._timer = setTimeout(tick, pollInterval);
+    };
+    tick();
+  }
+
+  /**
+   * Stop polling; waits for a delivery round already under way
+   */
+  async stop() {
+    this._stopped = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._running) await this._running;
+  }
+
+  /**
+   * One outbox entry, or null
+   * @param {number} id - Outbox entry id
+   * @returns {Object|null} Entry
+   */
+  get(id) {
+    const entry = this.queries.getEntry.get({ id });
+    return entry ? formatEntry(entry) : null;
+  }
+
+  /**
+   * Outbox entries, oldest first
+   * @param {Object} options - { status, topic, eventId, limit, offset }
+   * @returns {Array} Entries
+   */
+  list(options = {}) {
+    const { status = null, topic = null, eventId = null, limit = 100, offset = 0 } = options;
+    return this.queries.listEntries
+      .all({ status, topic, eventId, limit, offset })
+      .map(formatEntry);
+  }
+
+  /**
+   * Entry counts by status, and the age of the oldest pending entry
+   * @returns {Object} { pending, delivered, failed, oldestPendingAge }
+   */
+  getStatus() {
+    const status = { pending: 0, delivered: 0, failed: 0 };
+    for (const { status: name, count } of this.queries.countByStatus.all()) {
+      status[name] = count;
+    }
+    const oldest = this.queries.oldestPending.get().created_at;
+    status.oldestPendingAge = oldest === null ? null : Date.now() - oldest;
+    return status;
+  }
+
+  /**
+   * Put an entry back in the queue with a fresh set of attempts, whatever its
+   * status; use it to replay a failed side effect, or to resend a delivered one
+   * @param {number} id - Outbox entry id
+   * @returns {Object|null} Updated entry, or null if there is none
+   */
+  retry(id) {
+    const entry = this.queries.retryEntry.get({ id, now: Date.now() });
+    return entry ? formatEntry(entry) : null;
+  }
+
+  /**
+   * Retry every failed entry, or every failed entry for one topic
+   * @param {Object} options - { topic }
+   * @returns {number} Number of entries requeued
+   */
+  retryFailed(options = {}) {
+    return this.queries.retryFailed.run({ topic: options.topic ?? null, now: Date.now() }).changes;
+  }
+
+  /**
+   * Delete delivered entries older than olderThan ms
+   * @param {number} olderThan - Age in ms (default 0, every delivered entry)
+   * @returns {number} Number of entries deleted
+   */
+  purgeDelivered(olderThan = 0) {
+    return this.queries.purgeDelivered.run({ before: Date.now() - olderThan }).changes;
+  }
+
+  async _deliver(entry) {
+    const handler = this.handlers.get(entry.topic) || this.handlers.get("_default");
+    const attempt = entry.attempts + 1;
+    try {
+      const event = this.eventQueue.retrieveByID(entry.event_id);
+      if (!event) {
+        throw new Error(`Event ${entry.event_id} for outbox entry ${entry.id} no longer exists`);
+      }
+      await handler(event, formatEntry({ ...entry, attempts: attempt }));
+      this.queries.markDelivered.run({ id: entry.id, now: Date.now() });
+      return "delivered";
+    } catch (error) {
+      const message = error?.message ?? String(error);
+      if (attempt >= this.maxAttempts) {
+        this.queries.markFailed.run({ id: entry.id, error: message });
+        return "failed";
+      }
+      const delay = Math.min(this.retryDelay * 2 ** (attempt - 1), this.maxRetryDelay);
+      this.queries.markRetry.run({
+        id: entry.id,
+        error: message,
+        nextAttemptAt: Date.now() + delay,
+      });
+      return "retried";
+    }
+  }
+}
+
+const formatEntry = (entry) => ({
+  id: entry.id,
+  eventId: entry.event_id,
+  topic: entry.topic,
+  payload: entry.payload === null ? null : JSON.parse(entry.payload),
+  status: entry.status,
+  attempts: entry.attempts,
+  nextAttemptAt: entry.next_attempt_at,
+  lastError: entry.last_error,
+  createdAt: entry.created_at,
+  deliveredAt: entry.delivered_at,
+});
+
+/**
+ * Convenience function to create an outbox dispatcher
+ * @param {Object} options - Configuration options
+ * @returns {OutboxDispatcher} Outbox dispatcher instance
+ */
+export function initOutbox(options = {}) {
+  return new OutboxDispatcher(options);
+}
@@ -0,0 +1,480 @@
+import { Database } from "bun:sqlite";
+import { createHash } from "crypto";
+import { chmodSync, copyFileSync, existsSync, mkdirSync, unlinkSync } from "fs";
+import { basename, join } from "path";
+import { initQueue, eventCallbacks } from "./event-source.js";
+
+/**
+ * Partitioned event queue
+ * Spreads one event log over several SQLite files, one per month or day, or one
+ * per hash bucket of the stream id. A catalog database next to the partitions
+ * hands out event ids from a single sequence, so ids stay globally unique and
+ * reads that span partitions come back in global id order, as from one queue.
+ * Old partitions can be sealed (made read-only) and then archived (moved to
+ * another directory), and stay readable either way.
+ */
+export class PartitionedQueue {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory for the catalog and partition files (default "data/events")
+   * @param {string} options.partitionBy - "month", "day" or "stream" (default "month")
+   * @param {number} options.partitions - Hash buckets with partitionBy "stream" (default 16)
+   * @param {Function} options.now - Clock that picks the time partition, in ms (default Date.now)
+   * @param {Object} options.queue - initQueue options for every partition; dbName is set per partition
+   */
+  constructor(options = {}) {
+    const {
+      dir = "data/events",
+      partitionBy = "month",
+      partitions = 16,
+      now = () => Date.now(),
+      queue = {},
+    } = options;
+
+    if (!["month", "day", "stream"].includes(partitionBy)) {
+      throw new Error(`Unknown partitionBy ${partitionBy}; use month, day or stream`);
+    }
+    if (partitionBy === "stream" && !(Number.isInteger(partitions) && partitions > 0)) {
+      throw new Error("partitions must be a positive integer");
+    }
+
+    this.dir = dir;
+    this.partitionBy = partitionBy;
+    this.partitions = partitions;
+    this.now = now;
+    this.queueOptions = queue;
+    this._open = new Map();
+
+    if (!existsSync(dir)) {
+      mkdirSync(dir, { recursive: true });
+    }
+    this.catalog = new Database(join(dir, "catalog.sqlite"), { create: true, strict: true });
+    this.catalog.exec("PRAGMA journal_mode = WAL;");
+    this.catalog.exec(`
+      CREATE TABLE IF NOT EXISTS partitions (
+        name TEXT PRIMARY KEY,
+        path TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'active' CHECK(status IN ('active', 'sealed', 'archived')),
+        created_at INTEGER NOT NULL,
+        sealed_at INTEGER,
+        archived_at INTEGER
+      );
+      CREATE TABLE IF NOT EXISTS partition_settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS event_sequence (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        last_id INTEGER NOT NULL
+      );
+      INSERT OR IGNORE INTO event_sequence (id, last_id) VALUES (1, 0);
+    `);
+
+    // Routing is fixed once events are written; a different scheme would look
+    // for events in the wrong files
+    const scheme = partitionBy === "stream" ? `stream:${partitions}` : partitionBy;
+    this.catalog
+      .query("INSERT OR IGNORE INTO partition_settings (key, value) VALUES ('partitionBy', $scheme)")
+      .run({ scheme });
+    const stored = this.catalog
+      .query("SELECT value FROM partition_settings WHERE key = 'partitionBy'")
+      .get().value;
+    if (stored !== scheme) {
+      throw new Error(`The partitioned queue in ${dir} was created with partitionBy ${stored}, not ${scheme}`);
+    }
+
+    this.queries = {
+      nextId: this.catalog.prepare(
+        "UPDATE event_sequence SET last_id = last_id + 1 WHERE id = 1 RETURNING last_id",
+      ),
+      getPartition: this.catalog.prepare("SELECT * FROM partitions WHERE name = $name"),
+      listPartitions: this.catalog.prepare("SELECT * FROM partitions ORDER BY name"),
+      addPartition: this.catalog.prepare(
+        "INSERT INTO partitions (name, path, created_at) VALUES ($name, $path, $now) RETURNING *",
+      ),
+      sealPartition: this.catalog.prepare(
+        "UPDATE partitions SET status = 'sealed', sealed_at = $now WHERE name = $name AND status = 'active'",
+      ),
+      archivePartition: this.catalog.prepare(
+        "UPDATE partitions SET status = 'archived', archived_at = $now, path = $path WHERE name = $name",
+      ),
+    };
+  }
+
+  /**
+   * Name of the partition an event is written to: "2024-05" by month,
+   * "2024-05-17" by day (both UTC, from the clock), or "stream-03" for the
+   * hash bucket of the event's streamId, falling back to its correlationId
+   * @param {Object} event - Event as passed to store
+   * @returns {string} Partition name
+   */
+  partitionFor(event = {}) {
+    if (this.partitionBy === "stream") {
+      const key = String(event.streamId ?? event.correlationId ?? "");
+      const bucket = createHash("sha256").update(key).digest().readUInt32BE(0) % this.partitions;
+      return `stream-${String(bucket).padStart(String(this.partitions - 1).length, "0")}`;
+    }
+    const iso = new Date(this.now()).toISOString();
+    return this.partitionBy === "month" ? iso.slice(0, 7) : iso.slice(0, 10);
+  }
+
+  /**
+   * Store an event in its partition. Unlike a single queue, the correlation id
+   * is resolved before routing, so an event inherits its correlation id from
+   * a cause stored in any partition.
+   * @returns {*} Whatever the partition queue's store returns
+   */
+  store(event, model, cb) {
+    const prepared = this._prepare(event);
+    return this._duplicate(prepared) ?? this._writable(this.partitionFor(prepared)).store(prepared, model, cb);
+  }
+
+  /**
+   * store for async models
+   * @returns {Promise<*>} Whatever the partition queue's storeAsync resolves to
+   */
+  async storeAsync(event, model, cb) {
+    const prepared = this._prepare(event);
+    return this._duplicate(prepared) ?? this._writable(this.partitionFor(prepared)).storeAsync(prepared, model, cb);
+  }
+
+  /**
+   * Store events in bulk. Events are grouped by partition and each group is
+   * written in one transaction; a batch that spans partitions is not atomic
+   * as a whole. Results come back in the order of the events.
+   * @returns {Array} [{ row, result }] as from a queue's storeBulk
+   */
+  storeBulk(events, model, cb) {
+    const groups = new Map();
+    events.forEach((event, index) => {
+      const prepared = this._prepare(event);
+      const name = this.partitionFor(prepared);
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push({ event: prepared, index });
+    });
+
+    const results = new Array(events.length);
+    for (const [name, group] of groups) {
+      const stored = this._writable(name).storeBulk(group.map(({ event }) => event), model, cb);
+      group.forEach(({ index }, i) => {
+        results[index] = stored[i];
+      });
+    }
+    return results;
+  }
+
+  /**
+   * The event with this id, from whichever partition holds it
+   * @param {number} id - Global event id
+   * @returns {Object|null} Event as from a queue's retrieveByID
+   */
+  retrieveByID(id) {
+    for (const { queue } of this._readable()) {
+      const row = queue.retrieveByID(id);
+      if (row) return row;
+    }
+    return null;
+  }
+
+  /**
+   * Every event with a correlation id, across partitions, in id order
+   */
+  getTransaction(correlationId, options = {}) {
+    return this._readable()
+      .flatMap(({ queue }) => queue.getTransaction(correlationId, options))
+      .sort((a, b) => a.id - b.id);
+  }
+
+  /**
+   * Next events after an id, across partitions, in id order
+   */
+  getEventsAfter(afterId, { limit = 1000 } = {}) {
+    return this._readable()
+      .flatMap(({ queue }) => queue.getEventsAfter(afterId, { limit }))
+      .sort((a, b) => a.id - b.id)
+      .slice(0, limit);
+  }
+
+  /**
+   * Current version of a stream, wherever its events are
+   */
+  getStreamVersion(streamId) {
+    return Math.max(0, ...this._readable().map(({ queue }) => queue.getStreamVersion(streamId)));
+  }
+
+  /**
+   * Replay every partition through a model in global id order
+   * @param {Object} bounds - { start, stop } event ids; stop is exclusive
+   */
+  cycleThrough(model, doneCB, whileCB = eventCallbacks.void, { start = 0, stop = null } = {}) {
+    for (const { row, queue } of this._rowsInOrder(start, stop)) {
+      queue.execute(row, model, whileCB);
+    }
+    if (doneCB) doneCB();
+  }
+
+  /**
+   * cycleThrough for async models: each event finishes before the next starts
+   */
+  async cycleThroughAsync(model, doneCB, whileCB = eventCallbacks.void, { start = 0, stop = null } = {}) {
+    for (const { row, queue } of this._rowsInOrder(start, stop)) {
+      await queue.executeAsync(row, model, whileCB);
+    }
+    if (doneCB) await doneCB();
+  }
+
+  /**
+   * Stream events from every partition in global id order, in batches; takes
+   * the same options as a queue's streamEvents
+   */
+  async *streamEvents(options = {}) {
+    const { batchSize = 1000 } = options;
+    const cursors = this._readable().map(({ queue }) => ({
+      batches: queue.streamEvents(options),
+      rows: [],
+      pos: 0,
+      done: false,
+    }));
+
+    let batch = [];
+    while (true) {
+      let next = null;
+      for (const cursor of cursors) {
+        if (cursor.pos === cursor.rows.length && !cursor.done) {
+          const { value, done } = await cursor.batches.next();
+          cursor.rows = done ? [] : value;
+          cursor.pos = 0;
+          cursor.done = done;
+        }
+        if (cursor.pos < cursor.rows.length && (!next || head(cursor).id < head(next).id)) {
+          next = cursor;
+        }
+      }
+      if (!next) break;
+      batch.push(next.rows[next.pos++]);
+      if (batch.length >= batchSize) {
+        yield batch;
+        batch = [];
+      }
+    }
+    if (batch.length) yield batch;
+  }
+
+  /**
+   * Partitions in the catalog with their event counts and id ranges
+   * @returns {Array} [{ name, path, status, createdAt, sealedAt, archivedAt, eventCount, firstId, lastId }]
+   */
+  listPartitions() {
+    return this.queries.listPartitions.all().map((partition) => {
+      const { queue } = this._partition(partition.name);
+      const stats = queue._db
+        .query("SELECT COUNT(*) AS count, MIN(id) AS firstId, MAX(id) AS lastId FROM queue")
+        .get();
+      return {
+        name: partition.name,
+        path: partition.path,
+        status: partition.status,
+        createdAt: partition.created_at,
+        sealedAt: partition.sealed_at,
+        archivedAt: partition.archived_at,
+        eventCount: stats.count,
+        firstId: stats.firstId,
+        lastId: stats.lastId,
+      };
+    });
+  }
+
+  /**
+   * Make a partition read-only: its file is compacted, switched out of WAL,
+   * reopened read-only and its permissions set to read-only. Writes routed to
+   * a sealed partition throw. A time partition the clock still points at
+   * can't be sealed.
+   * @param {string} name - Partition name
+   * @returns {Object} The partition as listed by listPartitions
+   */
+  seal(name) {
+    const partition = this.queries.getPartition.get({ name });
+    if (!partition) throw new Error(`No partition named ${name}`);
+    if (partition.status !== "active") throw new Error(`Partition ${name} is already ${partition.status}`);
+    if (this.partitionBy !== "stream" && name === this.partitionFor()) {
+      throw new Error(`Partition ${name} is still being written to`);
+    }
+
+    const { queue } = this._partition(name);
+    queue._db.exec("PRAGMA journal_mode = DELETE;");
+    queue._db.exec("VACUUM;");
+    queue._db.close();
+    this._open.delete(name);
+
+    chmodSync(partition.path, 0o444);
+    this.queries.sealPartition.run({ name, now: Date.now() });
+    return this.listPartitions().find((p) => p.name === name);
+  }
+
+  /**
+   * Move a sealed partition's file into an archive directory. The copy is
+   * checked (integrity and event count) before the original is removed, and
+   * the partition stays readable from its new place.
+   * @param {string} name - Partition name
+   * @param {string} archiveDir - Destination directory (default <dir>/archive)
+   * @returns {Object} The partition as listed by listPartitions
+   */
+  archive(name, archiveDir = join(this.dir, "archive")) {
+    const partition = this.queries.getPartition.get({ name });
+    if (!partition) throw new Error(`No partition named ${name}`);
+    if (partition.status !== "sealed") {
+      throw new Error(`Partition ${name} is ${partition.status}; seal it before archiving`);
+    }
+
+    const { queue } = this._partition(name);
+    const expected = queue._db.query("SELECT COUNT(*) AS count FROM queue").get().count;
+    queue._db.close();
+    this._open.delete(name);
+
+    if (!existsSync(archiveDir)) {
+      mkdirSync(archiveDir, { recursive: true });
+    }
+    const path = join(archiveDir, basename(partition.path));
+    if (existsSync(path)) throw new Error(`${path} already exists`);
+    copyFileSync(partition.path, path);
+
+    const copy = new Database(path, { readonly: true });
+    const integrity = copy.query("PRAGMA integrity_check").get().integrity_check;
+    const count = copy.query("SELECT COUNT(*) AS count FROM queue").get().count;
+    copy.close();
+    if (integrity !== "ok" || count !== expected) {
+      unlinkSync(path);
+      throw new Error(`Archived copy of partition ${name} failed verification; the original was kept`);
+    }
+
+    chmodSync(path, 0o444);
+    unlinkSync(partition.path);
+    this.queries.archivePartition.run({ name, path, now: Date.now() });
+    return this.listPartitions().find((p) => p.name === name);
+  }
+
+  /**
+   * Close the catalog and every open partition
+   */
+  close() {
+    for (const { queue } of this._open.values()) queue._db.close();
+    this._open.clear();
+    this.catalog.close();
+  }
+
+  // Resolve the correlation id here: a partition would only find a cause
+  // stored in itself, and stream routing may need the id
+  _prepare(event) {
+    if (event.correlationId) return event;
+    const correlationId = event.causationId
+      ? this.retrieveByID(event.causationId)?.correlation_id
+      : crypto.randomUUID();
+    return correlationId ? { ...event, correlationId } : event;
+  }
+
+  // An idempotency key stored in any partition counts; the partition the
+  // event routes to checks its own keys as usual
+  _duplicate(event) {
+    if (event.idempotencyKey == null) return null;
+    for (const { queue } of this._readable()) {
+      const original = queue.findByIdempotencyKey(event.idempotencyKey);
+      if (original) return original;
+    }
+    return null;
+  }
+
+  // Partition for writing, created on first use
+  _writable(name) {
+    const partition =
+      this.queries.getPartition.get({ name }) ??
+      this.queries.addPartition.get({ name, path: join(this.dir, `${name}.sqlite`), now: Date.now() });
+    if (partition.status !== "active") {
+      throw new Error(`Partition ${name} is ${partition.status}; it no longer takes events`);
+    }
+    return this._partition(name).queue;
+  }
+
+  // Every partition in the catalog, opened, in name order
+  _readable() {
+    return this.queries.listPartitions.all().map(({ name }) => this._partition(name));
+  }
+
+  _partition(name) {
+    if (this._open.has(name)) return this._open.get(name);
+    const partition = this.queries.getPartition.get({ name });
+    const { reset, risky, ...queueOptions } = this.queueOptions;
+    const queue =
+      partition.status === "active"
+        ? initQueue({
+            ...queueOptions,
+            dbName: partition.path,
+            _nextId: () => this.queries.nextId.get().last_id,
+            _priorStreamVersion: (streamId, tenant) => this._priorStreamVersion(name, streamId, tenant),
+          })
+        : initQueue({
+            ...queueOptions,
+            WAL: false,
+            dbName: partition.path,
+            init: { readonly: true, strict: true },
+          });
+    const opened = { name, queue };
+    this._open.set(name, opened);
+    return opened;
+  }
+
+  // Time partitions continue streams begun in earlier ones; a stream never
+  // spans hash buckets
+  _priorStreamVersion(name, streamId, tenant) {
+    if (this.partitionBy === "stream") return 0;
+    return Math.max(
+      0,
+      ...this.queries.listPartitions
+        .all()
+        .filter((partition) => partition.name < name)
+        .map((partition) => this._partition(partition.name).queue.getStreamVersion(streamId, tenant)),
+    );
+  }
+
+  // Rows from every partition with start <= id < stop, merged into global id
+  // order, each with the partition queue that holds it
+  *_rowsInOrder(start, stop) {
+    const cursors = this._readable().map(({ queue }) => ({
+      queue,
+      afterId: start - 1,
+      rows: [],
+      pos: 0,
+      done: false,
+    }));
+
+    while (true) {
+      let next = null;
+      for (const cursor of cursors) {
+        if (cursor.pos === cursor.rows.length && !cursor.done) {
+          cursor.rows = cursor.queue.getEventsAfter(cursor.afterId, { limit: 1000 });
+          cursor.pos = 0;
+          cursor.done = cursor.rows.length === 0;
+          if (!cursor.done) cursor.afterId = cursor.rows[cursor.rows.length - 1].id;
+        }
+        if (cursor.pos < cursor.rows.length && (!next || head(cursor).id < head(next).id)) {
+          next = cursor;
+        }
+      }
+      if (!next) return;
+      const row = next.rows[next.pos++];
+      if (stop !== null && row.id >= stop) return;
+      yield { row, queue: next.queue };
+    }
+  }
+}
+
+// The next row a merge cursor has buffered
+const head = (cursor) => cursor.rows[cursor.pos];
+
+/**
+ * Convenience function to create a partitioned queue
+ * @param {Object} options - Configuration options
+ * @returns {PartitionedQueue} Partitioned queue instance
+ */
+export function initPartitionedQueue(options = {}) {
+  return new PartitionedQueue(options);
+}
@@ -0,0 +1,160 @@
+import { FileStorageManager } from "./file-storage.js";
+
+/**
+ * Payload encoding for queue rows
+ * A plain row keeps data and metadata as serialized (JSON text unless the
+ * queue has another serializer). An encoded row has both NULL and its payload
+ * in the payload BLOB, tagged by payload_encoding:
+ *   gzip, zstd - the compressed pair of data and metadata: JSON [data, metadata]
+ *                for text, or a length-prefixed frame for binary serializers
+ *   file       - the JSON of a reference to a FileStorageManager file, which
+ *                holds the compressed pair
+ * Every read path of the queue decodes rows, so callers see plain rows either way.
+ */
+
+export const payloadCodecs = {
+  gzip: {
+    compress: (bytes) => Bun.gzipSync(bytes),
+    decompress: (bytes) => Bun.gunzipSync(bytes),
+  },
+  zstd: {
+    compress: (bytes) => Bun.zstdCompressSync(bytes),
+    decompress: (bytes) => Bun.zstdDecompressSync(bytes),
+  },
+};
+
+const codecFor = (name) => {
+  const codec = payloadCodecs[name];
+  if (!codec) {
+    throw new Error(`Unknown payload codec ${name}; use one of ${Object.keys(payloadCodecs).join(", ")}`);
+  }
+  return codec;
+};
+
+// The option object for a rule given as true or as options
+const ruleOptions = (rule, defaults) => (rule === true ? defaults : rule ? { ...defaults, ...rule } : null);
+
+export class PayloadEncoder {
+  /**
+   * @param {Object} options
+   * @param {boolean|Object} options.compress - true, or { cmds, minSize, codec }:
+   *   compress the payloads of the listed cmds, and any payload of at least
+   *   minSize bytes (1024 with compress: true)
+   * @param {Object} options.offload - { minSize, storage, codec }: payloads of
+   *   at least minSize bytes (1 MiB by default) go to storage, a
+   *   FileStorageManager or its options
+   */
+  constructor({ compress, offload } = {}) {
+    this.compress = ruleOptions(compress, { cmds: null, minSize: compress?.cmds ? null : 1024, codec: "gzip" });
+    this.offload = ruleOptions(offload, { minSize: 1048576, codec: "gzip" });
+    if (this.compress) codecFor(this.compress.codec);
+    if (this.offload) {
+      codecFor(this.offload.codec);
+      const { storage } = this.offload;
+      this.storage = storage instanceof FileStorageManager ? storage : new FileStorageManager(storage);
+    }
+  }
+
+  /**
+   * Column values for a payload given as serialized
+   * @param {string} cmd - Event command
+   * @param {string|Uint8Array} data - Serialized data
+   * @param {string|Uint8Array} metadata - Serialized metadata
+   * @param {Array} [written] - Collects the ids of files this writes, for discard()
+   * @returns {Object} { data, metadata, payload, payload_encoding }
+   */
+  encode(cmd, data, metadata, written) {
+    const size = Buffer.byteLength(data) + Buffer.byteLength(metadata);
+    if (this.offload && size >= this.offload.minSize) {
+      const bytes = codecFor(this.offload.codec).compress(packPair(data, metadata));
+      const file = this.storage.storeFileSync(bytes, {
+        originalName: `${cmd}.payload`,
+        mimeType: "application/octet-stream",
+      });
+      // A file with the same content is shared, and not the new row's to delete
+      if (written && !file.isDuplicate) written.push(file.id);
+      const reference = { fileId: file.id, codec: this.offload.codec, size, checksum: file.checksum };
+      return encoded(Buffer.from(JSON.stringify(reference)), "file");
+    }
+    const rule = this.compress;
+    if (rule && (rule.cmds?.includes(cmd) || (rule.minSize != null && size >= rule.minSize))) {
+      return encoded(codecFor(rule.codec).compress(packPair(data, metadata)), rule.codec);
+    }
+    return { data, metadata, payload: null, payload_encoding: null };
+  }
+
+  /**
+   * Delete the files encode() wrote for rows that were never committed
+   * @param {Array} written - File ids collected by encode(); emptied
+   */
+  discard(written) {
+    for (const fileId of written.splice(0)) this.storage.deleteFileSync(fileId);
+  }
+
+  /**
+   * Turn a row read with its payload columns back into a plain row, in place
+   * @param {Object} row - Queue row, or null
+   * @returns {Object} The same row
+   */
+  decode(row) {
+    return decodePayload(row, this.storage);
+  }
+}
+
+// A binary pair is 0x00, then each value as a uint32 length and its bytes
+const BINARY_PAIR = 0x00;
+
+function packPair(data, metadata) {
+  if (typeof data === "string" && typeof metadata === "string") {
+    return JSON.stringify([data, metadata]);
+  }
+  const parts = [data, metadata].map((value) => Buffer.from(value));
+  const frame = Buffer.alloc(1 + 8 + parts[0].length + parts[1].length);
+  frame[0] = BINARY_PAIR;
+  let offset = 1;
+  for (const part of parts) {
+    frame.writeUInt32BE(part.length, offset);
+    part.copy(frame, offset + 4);
+    offset += 4 + part.length;
+  }
+  return frame;
+}
+
+function unpackPair(bytes) {
+  const frame = Buffer.from(bytes);
+  if (frame[0] !== BINARY_PAIR) return JSON.parse(frame.toString("utf8"));
+  const dataLength = frame.readUInt32BE(1);
+  const data = frame.subarray(5, 5 + dataLength);
+  const metadataLength = frame.readUInt32BE(5 + dataLength);
+  return [data, frame.subarray(9 + dataLength, 9 + dataLength + metadataLength)];
+}
+
+const encoded = (payload, encoding) => ({ data: null, metadata: null, payload, payload_encoding: encoding });
+
+/**
+ * Decode a row's payload in place and drop the payload columns. Offloaded
+ * payloads need the FileStorageManager they were written to.
+ * @param {Object} row - Queue row, or null
+ * @param {FileStorageManager} storage - Storage for offloaded payloads
+ * @returns {Object} The same row
+ */
+export function decodePayload(row, storage) {
+  if (!row) return row;
+  const { payload, payload_encoding: encoding } = row;
+  delete row.payload;
+  delete row.payload_encoding;
+  if (!encoding) return row;
+
+  let bytes;
+  if (encoding === "file") {
+    const reference = JSON.parse(Buffer.from(payload).toString("utf8"));
+    if (!storage) {
+      throw new Error(`Event ${row.id} has its payload in file ${reference.fileId}; pass payloads.offload.storage to read it`);
+    }
+    bytes = codecFor(reference.codec).decompress(storage.getFileSync(reference.fileId));
+  } else {
+    bytes = codecFor(encoding).decompress(payload);
+  }
+  [row.data, row.metadata] = unpackPair(bytes);
+  return row;
+}
@@ -271,6 +271,8 @@ export const commonProcessors = {
     };
   },
 
+  // In-memory and per process; for retries that must survive a restart, give
+  // the event an idempotencyKey instead
   deduplicate(options = {}) {
     const { windowMs = 60000, keyGenerator = (event) => `${event.cmd}-${JSON.stringify(event.data)}` } = options;
     const seen = new Map();
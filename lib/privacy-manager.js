@@ -1,7 +1,8 @@
-import { randomBytes, createCipheriv, createDecipheriv, randomUUID } from 'crypto';
+import { randomBytes, createCipheriv, createDecipheriv, createHash, randomUUID } from 'crypto';
 import { Database } from 'bun:sqlite';
-import { writeFileSync, mkdirSync, existsSync } from 'fs';
+import { writeFileSync, readFileSync, mkdirSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
+import { tenantPath } from './tenancy.js';
 
 /**
  * PrivacyManager - Standardized GDPR helper methods for EventLite Sourcing
@@ -25,8 +26,26 @@ export class PrivacyManager {
       ...options
     };
 
+    // A tenant's keys, personal data and exports are kept in its own files;
+    // a tenant-scoped event queue brings its tenant along
+    this.tenantId = options.tenantId ?? options.eventQueue?.tenantId ?? null;
+    if (this.tenantId !== null) {
+      for (const name of ['keyDbPath', 'personalDbPath', 'exportDir']) {
+        this.options[name] = tenantPath(this.options[name], this.tenantId);
+      }
+      for (const path of [this.options.keyDbPath, this.options.personalDbPath]) {
+        if (path !== ':memory:' && !existsSync(dirname(path))) {
+          mkdirSync(dirname(path), { recursive: true });
+        }
+      }
+    }
+
     // Initialize crypto shredder
-    this.cryptoShredder = new CryptoShredder(this.options.keyDbPath);
+    this.cryptoShredder = new CryptoShredder(this.options.keyDbPath, {
+      masterKey: this.options.masterKey,
+      masterKeyFile: this.options.masterKeyFile,
+      masterKeyEnv: this.options.masterKeyEnv
+    });
     
     // Initialize personal data store
     this.personalStore = new PersonalDataStore(this.options.personalDbPath);
@@ -500,43 +519,234 @@ export class PrivacyManager {
   }
 }
 
+// Environment variable read for the master key when none is passed
+const MASTER_KEY_ENV = 'EVENTLITE_MASTER_KEY';
+
+// A 32-byte master key given as bytes, or as hex or base64 text
+function parseMasterKey(value, source) {
+  let key;
+  if (typeof value === 'string') {
+    const text = value.trim();
+    key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  } else {
+    key = Buffer.from(value);
+  }
+  if (key.length !== 32) {
+    throw new Error(`The master key from ${source} must be 32 bytes, given raw or as hex or base64`);
+  }
+  return key;
+}
+
+// The master key from the options, a key file or the environment; null if none is set
+function resolveMasterKey({ masterKey, masterKeyFile, masterKeyEnv = MASTER_KEY_ENV }) {
+  if (masterKey) return parseMasterKey(masterKey, 'the masterKey option');
+  if (masterKeyFile) {
+    const bytes = readFileSync(masterKeyFile);
+    return parseMasterKey(bytes.length === 32 ? bytes : bytes.toString('utf8'), masterKeyFile);
+  }
+  if (process.env[masterKeyEnv]) return parseMasterKey(process.env[masterKeyEnv], `$${masterKeyEnv}`);
+  return null;
+}
+
+// Identifies a master key without revealing it
+const masterKeyId = (key) => createHash('sha256').update(key).digest('hex').slice(0, 16);
+
 /**
  * CryptoShredder - Handles encryption key management for GDPR compliance
+ *
+ * Each user has versioned data keys; encrypt uses the newest version and the
+ * ciphertext records which one, so older ciphertexts still decrypt after a
+ * rotation. With a master key (the masterKey option, a masterKeyFile, or the
+ * EVENTLITE_MASTER_KEY environment variable) data keys are stored wrapped by
+ * it with AES-256-GCM; without one they are stored as they are. Deleting a
+ * user's data deletes every version of their key.
  */
 class CryptoShredder {
-  constructor(keyDbPath = 'data/gdpr-keys.sqlite') {
+  /**
+   * @param {string} keyDbPath - Key database path
+   * @param {Object} options - { masterKey, masterKeyFile, masterKeyEnv }
+   */
+  constructor(keyDbPath = 'data/gdpr-keys.sqlite', options = {}) {
     this.db = new Database(keyDbPath, { create: true });
     this.algorithm = 'aes-256-gcm';
+    this.masterKey = resolveMasterKey(options);
+    this.keyUseChecks = [];
 
     this.db.exec(`
-      CREATE TABLE IF NOT EXISTS encryption_keys (
-        key_id TEXT PRIMARY KEY,
+      CREATE TABLE IF NOT EXISTS data_keys (
+        key_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
         key_data BLOB NOT NULL,
+        master_key_id TEXT,
         created_at INTEGER DEFAULT (unixepoch()),
-        deleted_at INTEGER
+        deleted_at INTEGER,
+        PRIMARY KEY (key_id, version)
       )
     `);
+    this._migrateUnversionedKeys();
 
     this.queries = {
-      store: this.db.prepare('INSERT INTO encryption_keys (key_id, key_data) VALUES (?, ?)'),
-      get: this.db.prepare('SELECT key_data FROM encryption_keys WHERE key_id = ? AND deleted_at IS NULL'),
-      delete: this.db.prepare('UPDATE encryption_keys SET deleted_at = unixepoch() WHERE key_id = ?'),
-      purge: this.db.prepare('DELETE FROM encryption_keys WHERE deleted_at < ?')
+      store: this.db.prepare('INSERT INTO data_keys (key_id, version, key_data, master_key_id) VALUES (?, ?, ?, ?)'),
+      get: this.db.prepare('SELECT * FROM data_keys WHERE key_id = ? AND version = ? AND deleted_at IS NULL'),
+      latest: this.db.prepare('SELECT * FROM data_keys WHERE key_id = ? ORDER BY version DESC LIMIT 1'),
+      live: this.db.prepare('SELECT * FROM data_keys WHERE deleted_at IS NULL AND (master_key_id IS NULL OR ?)'),
+      rewrap: this.db.prepare('UPDATE data_keys SET key_data = ?, master_key_id = ? WHERE key_id = ? AND version = ?'),
+      retire: this.db.prepare('DELETE FROM data_keys WHERE key_id = ? AND version < ?'),
+      delete: this.db.prepare('UPDATE data_keys SET deleted_at = unixepoch() WHERE key_id = ? AND deleted_at IS NULL'),
+      purge: this.db.prepare('DELETE FROM data_keys WHERE deleted_at < ?')
     };
+
+    // Keys stored before there was a master key get wrapped now
+    if (this.masterKey) this._rewrapKeys(this.masterKey, false);
+  }
+
+  // Keys from before versioning, in encryption_keys, become version 1. The old
+  // table is kept as encryption_keys_legacy so a downgrade can still read it.
+  _migrateUnversionedKeys() {
+    const legacy = this.db
+      .prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'encryption_keys'")
+      .get();
+    if (!legacy) return;
+    this.db.transaction(() => {
+      this.db.exec(`
+        INSERT OR IGNORE INTO data_keys (key_id, version, key_data, created_at, deleted_at)
+        SELECT key_id, 1, key_data, created_at, deleted_at FROM encryption_keys
+      `);
+      this.db.exec('ALTER TABLE encryption_keys RENAME TO encryption_keys_legacy');
+    })();
+  }
+
+  _wrap(key, keyId, version, masterKey = this.masterKey) {
+    if (!masterKey) return key;
+    const iv = randomBytes(12);
+    const cipher = createCipheriv(this.algorithm, masterKey, iv);
+    cipher.setAAD(Buffer.from(`${keyId}:${version}`));
+    const wrapped = Buffer.concat([cipher.update(key), cipher.final()]);
+    return Buffer.concat([iv, cipher.getAuthTag(), wrapped]);
+  }
+
+  _unwrap(row) {
+    if (row.master_key_id === null) return Buffer.from(row.key_data);
+    if (!this.masterKey) {
+      throw new Error(`Data key ${row.key_id} v${row.version} is wrapped; pass the master key`);
+    }
+    if (row.master_key_id !== masterKeyId(this.masterKey)) {
+      throw new Error(`Data key ${row.key_id} v${row.version} is wrapped by master key ${row.master_key_id}, not the one given`);
+    }
+    const bytes = Buffer.from(row.key_data);
+    const decipher = createDecipheriv(this.algorithm, this.masterKey, bytes.subarray(0, 12));
+    decipher.setAAD(Buffer.from(`${row.key_id}:${row.version}`));
+    decipher.setAuthTag(bytes.subarray(12, 28));
+    return Buffer.concat([decipher.update(bytes.subarray(28)), decipher.final()]);
+  }
+
+  _storeKey(keyId, version) {
+    const masterId = this.masterKey ? masterKeyId(this.masterKey) : null;
+    this.queries.store.run(keyId, version, this._wrap(randomBytes(32), keyId, version), masterId);
+  }
+
+  // Re-wrap live keys under newMasterKey; all of them, or just the unwrapped ones
+  _rewrapKeys(newMasterKey, all) {
+    const newId = masterKeyId(newMasterKey);
+    const rows = this.queries.live.all(all ? 1 : 0);
+    this.db.transaction(() => {
+      for (const row of rows) {
+        const key = this._unwrap(row);
+        this.queries.rewrap.run(this._wrap(key, row.key_id, row.version, newMasterKey), newId, row.key_id, row.version);
+      }
+    })();
+    return rows.length;
   }
 
   async generateUserKey(userId) {
-    const key = randomBytes(32);
+    return this.ensureUserKey(userId);
+  }
+
+  // The user's key id, creating the key on first use. Synchronous, for store();
+  // throws for a user whose data has been deleted rather than starting a new key
+  ensureUserKey(userId) {
     const keyId = `user-key-${userId}`;
-    this.queries.store.run(keyId, key);
+    const latest = this.queries.latest.get(keyId);
+    if (!latest) {
+      this._storeKey(keyId, 1);
+    } else if (latest.deleted_at !== null) {
+      throw new Error(`The data of user ${userId} has been deleted; its key can't be used again`);
+    }
     return keyId;
   }
 
+  /**
+   * Whether a key (or one version of it) can still decrypt
+   * @param {string} keyId - Key id
+   * @param {number} version - Key version; any live version if omitted
+   * @returns {boolean}
+   */
+  hasKey(keyId, version) {
+    const row = version === undefined ? this.queries.latest.get(keyId) : this.queries.get.get(keyId, version);
+    return Boolean(row && row.deleted_at === null);
+  }
+
+  /**
+   * Start a new version of the user's key. New ciphertexts use it; older ones
+   * keep decrypting with theirs until reencrypt moves them over.
+   * @param {string} userId - User identifier
+   * @returns {Promise<Object>} { keyId, version }
+   */
+  async rotateUserKey(userId) {
+    const keyId = this.ensureUserKey(userId);
+    const version = this.queries.latest.get(keyId).version + 1;
+    this._storeKey(keyId, version);
+    return { keyId, version };
+  }
+
+  /**
+   * Re-wrap every live data key under a new master key, leaving the data they
+   * encrypt untouched. The shredder uses the new key from then on; store it
+   * where the old one was read from before reopening.
+   * @param {string|Buffer} newMasterKey - 32 bytes, raw or as hex or base64
+   * @returns {Promise<Object>} { rewrapped, masterKeyId }
+   */
+  async rotateMasterKey(newMasterKey) {
+    const key = parseMasterKey(newMasterKey, 'rotateMasterKey');
+    const rewrapped = this._rewrapKeys(key, true);
+    this.masterKey = key;
+    return { rewrapped, masterKeyId: masterKeyId(key) };
+  }
+
+  /**
+   * Have retireOldKeyVersions ask before deleting a version. initQueue
+   * registers its queue here when its field encryption uses this shredder.
+   * @param {Function} check - keyId -> iterable of the versions stored data still uses
+   */
+  watchKeyUse(check) {
+    this.keyUseChecks.push(check);
+  }
+
+  /**
+   * Delete the versions of a user's key older than the newest, once reencrypt
+   * has moved every ciphertext off them. Refuses while a watched queue still
+   * holds ciphertext under one of them.
+   * @param {string} userId - User identifier
+   * @returns {Promise<number>} Versions deleted
+   */
+  async retireOldKeyVersions(userId) {
+    const keyId = `user-key-${userId}`;
+    const latest = this.queries.latest.get(keyId);
+    if (!latest) return 0;
+    for (const check of this.keyUseChecks) {
+      const stale = [...check(keyId)].filter((version) => version < latest.version);
+      if (stale.length) {
+        throw new Error(`${keyId} v${Math.min(...stale)} still encrypts stored events; re-encrypt them before retiring it`);
+      }
+    }
+    return this.queries.retire.run(keyId, latest.version).changes;
+  }
+
   encrypt(data, keyId) {
-    const keyRow = this.queries.get.get(keyId);
-    if (!keyRow) throw new Error('Encryption key not found');
+    const keyRow = this.queries.latest.get(keyId);
+    if (!keyRow || keyRow.deleted_at !== null) throw new Error('Encryption key not found');
 
-    const key = keyRow.key_data;
+    const key = this._unwrap(keyRow);
     const iv = randomBytes(16);
     const cipher = createCipheriv(this.algorithm, key, iv);
 
@@ -549,18 +759,20 @@ class CryptoShredder {
       encrypted,
       iv: iv.toString('hex'),
       authTag: authTag.toString('hex'),
-      keyId
+      keyId,
+      version: keyRow.version
     };
   }
 
   decrypt(encryptedData) {
     if (!encryptedData || !encryptedData.keyId) return null;
 
-    const keyRow = this.queries.get.get(encryptedData.keyId);
+    // Ciphertexts from before versioning were made with version 1
+    const keyRow = this.queries.get.get(encryptedData.keyId, encryptedData.version ?? 1);
     if (!keyRow) return null;
 
+    const key = this._unwrap(keyRow);
     try {
-      const key = keyRow.key_data;
       const decipher = createDecipheriv(
         this.algorithm,
         key,
@@ -578,6 +790,22 @@ class CryptoShredder {
     }
   }
 
+  /**
+   * The ciphertext re-encrypted with the newest version of its key, or null
+   * when it already uses it or the key has been deleted
+   * @param {Object} encryptedData - Output of encrypt
+   * @returns {Object|null} New ciphertext
+   */
+  reencrypt(encryptedData) {
+    const latest = this.queries.latest.get(encryptedData.keyId);
+    if (!latest || latest.deleted_at !== null || latest.version === (encryptedData.version ?? 1)) return null;
+    const data = this.decrypt(encryptedData);
+    if (data === null) {
+      throw new Error(`Could not decrypt a ciphertext for ${encryptedData.keyId} to re-encrypt it`);
+    }
+    return this.encrypt(data, encryptedData.keyId);
+  }
+
   async deleteUserData(userId) {
     const keyId = `user-key-${userId}`;
     this.queries.delete.run(keyId);
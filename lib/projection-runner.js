@@ -0,0 +1,285 @@
+import { Database } from "bun:sqlite";
+import { existsSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { eventCallbacks } from "./event-source.js";
+import { followSubscription } from "./subscription.js";
+
+/**
+ * Projection runner for event sourcing
+ * Keeps several named models up to date with the event queue, recording how far
+ * each one has got so a restart resumes instead of replaying from the start.
+ * Checkpoints are saved after every batch, so a crash mid-batch re-applies at
+ * most one batch of events to that projection.
+ */
+export class ProjectionRunner {
+  constructor(options = {}) {
+    const {
+      eventQueue,
+      dbName = "data/projections.sqlite",
+      init = { create: true, strict: true },
+      batchSize = 500,
+      onError = (error) => console.error("Projection catch-up failed:", error),
+    } = options;
+
+    if (!eventQueue) {
+      throw new Error("ProjectionRunner requires an eventQueue");
+    }
+
+    this.eventQueue = eventQueue;
+    this.batchSize = batchSize;
+    this.onError = onError;
+    this.projections = new Map();
+    this.subscription = null;
+
+    // Ensure directory exists
+    const dbDir = dirname(dbName);
+    if (!existsSync(dbDir)) {
+      mkdirSync(dbDir, { recursive: true });
+    }
+
+    this.db = new Database(dbName, init);
+    if (!options.noWAL) this.db.exec("PRAGMA journal_mode = WAL;");
+
+    this.db
+      .query(
+        `
+      CREATE TABLE IF NOT EXISTS projection_checkpoints (
+        name TEXT PRIMARY KEY,
+        last_event_id INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      )
+    `,
+      )
+      .run();
+
+    this.queries = {
+      getCheckpoint: this.db.prepare(
+        "SELECT last_event_id FROM projection_checkpoints WHERE name = $name",
+      ),
+      saveCheckpoint: this.db.prepare(`
+        INSERT INTO projection_checkpoints (name, last_event_id, updated_at)
+        VALUES ($name, $lastEventId, $updatedAt)
+        ON CONFLICT(name) DO UPDATE SET last_event_id = $lastEventId, updated_at = $updatedAt
+      `),
+    };
+  }
+
+  /**
+   * Register a model to be kept up to date
+   * @param {string} name - Unique projection name, also used as the snapshot model name
+   * @param {Object} model - Model from modelSetup
+   * @param {Object} options - { callbacks, reset } where reset(model) clears the
+   *   projection's state before a rebuild (defaults to emptying every model table;
+   *   required for a model sharing the queue's database)
+   * @returns {ProjectionRunner} this, for chaining
+   */
+  register(name, model, options = {}) {
+    if (this.projections.has(name)) {
+      throw new Error(`Projection ${name} is already registered`);
+    }
+    this.projections.set(name, {
+      name,
+      model,
+      callbacks: options.callbacks || eventCallbacks.void,
+      reset: options.reset || ((target) => clearModelTables(target, this.eventQueue)),
+      rebuilding: false,
+    });
+    return this;
+  }
+
+  /**
+   * Id of the last event applied to a projection (0 if it has never run)
+   * @param {string} name - Projection name
+   * @returns {number} Event id
+   */
+  getCheckpoint(name) {
+    return this.queries.getCheckpoint.get({ name })?.last_event_id ?? 0;
+  }
+
+  /**
+   * Apply every event after the checkpoint to one projection, or to all of them
+   * @param {string} [name] - Projection name; omit to catch up everything
+   * @returns {Object} Number of events applied, keyed by projection name
+   */
+  catchUp(name) {
+    const names = name ? [name] : [...this.projections.keys()];
+    const applied = {};
+    for (const projectionName of names) {
+      const projection = this._getProjection(projectionName);
+      if (projection.rebuilding && !name) continue;
+      applied[projectionName] = this._catchUpProjection(projection);
+    }
+    return applied;
+  }
+
+  /**
+   * Catch every projection up, then keep them current as new events are stored.
+   * A catch-up that throws while following (e.g. from a callback that rethrows
+   * handler errors) goes to onError and is retried with a growing pause.
+   * @param {Object} options - { pollInterval } passed to the queue subscription,
+   *   { retryDelay, maxRetryDelay } for the pause (default 1000 and 30000 ms)
+   */
+  async start(options = {}) {
+    if (this.subscription) return;
+    this.catchUp();
+
+    this.subscription = this.eventQueue.subscribe({
+      pollInterval: options.pollInterval,
+    });
+    // The subscription only tells us something new landed; each projection
+    // reads from its own checkpoint
+    this._loop = followSubscription(this.subscription, () => this.catchUp(), {
+      onError: this.onError,
+      retryDelay: options.retryDelay,
+      maxRetryDelay: options.maxRetryDelay,
+    });
+  }
+
+  /**
+   * Stop following new events; checkpoints are kept
+   */
+  async stop() {
+    if (!this.subscription) return;
+    this.subscription.unsubscribe();
+    this.subscription = null;
+    await this._loop;
+    this._loop = null;
+  }
+
+  /**
+   * Rebuild one projection from scratch without touching the others
+   * @param {string} name - Projection name
+   * @param {Object} options - { snapshots } a SnapshotManager to seed state from
+   *   the latest snapshot saved under this projection's name
+   * @returns {Object} Rebuild result with where replay started and how many events ran
+   */
+  async rebuild(name, options = {}) {
+    const projection = this._getProjection(name);
+    const { snapshots } = options;
+
+    projection.rebuilding = true;
+    try {
+      let replayFrom = 1;
+      let restored = null;
+
+      if (snapshots) {
+        const lastEvent = this.eventQueue._queries.getLastRow.get()?.id ?? 0;
+        restored = await snapshots.restoreSnapshot(name, lastEvent, projection.model);
+      }
+
+      if (restored && restored.success) {
+        replayFrom = restored.replayFrom;
+      } else {
+        await projection.reset(projection.model);
+      }
+
+      this._saveCheckpoint(name, replayFrom - 1);
+      projection.rebuilding = false;
+      // Synchronous, so no live event can slip in between replay and handing
+      // the projection back to the live loop
+      const applied = this._catchUpProjection(projection);
+
+      return {
+        success: true,
+        name,
+        fromSnapshot: Boolean(restored && restored.success),
+        replayFrom,
+        applied,
+      };
+    } finally {
+      projection.rebuilding = false;
+    }
+  }
+
+  /**
+   * Checkpoint and lag for every registered projection
+   * @returns {Array} [{ name, checkpoint, lag, rebuilding }]
+   */
+  getStatus() {
+    const last = this.eventQueue._queries.getLastRow.get()?.id ?? 0;
+    return [...this.projections.values()].map((projection) => {
+      const checkpoint = this.getCheckpoint(projection.name);
+      return {
+        name: projection.name,
+        checkpoint,
+        lag: last - checkpoint,
+        rebuilding: projection.rebuilding,
+      };
+    });
+  }
+
+  /**
+   * Stop following events and close the checkpoint database
+   */
+  async close() {
+    await this.stop();
+    this.db.close();
+  }
+
+  _getProjection(name) {
+    const projection = this.projections.get(name);
+    if (!projection) {
+      throw new Error(`Unknown projection: ${name}`);
+    }
+    return projection;
+  }
+
+  _catchUpProjection(projection) {
+    let checkpoint = this.getCheckpoint(projection.name);
+    let applied = 0;
+
+    while (true) {
+      const batch = this.eventQueue.getEventsAfter(checkpoint, {
+        limit: this.batchSize,
+      });
+      if (!batch.length) break;
+
+      for (const row of batch) {
+        this.eventQueue.execute(row, projection.model, projection.callbacks);
+      }
+      checkpoint = batch[batch.length - 1].id;
+      applied += batch.length;
+      this._saveCheckpoint(projection.name, checkpoint);
+    }
+
+    return applied;
+  }
+
+  _saveCheckpoint(name, lastEventId) {
+    this.queries.saveCheckpoint.run({
+      name,
+      lastEventId,
+      updatedAt: Date.now(),
+    });
+  }
+}
+
+// Default rebuild reset: empty every table in the model database. On the
+// queue's own database that would take the event log with it, so refuse.
+function clearModelTables(model, eventQueue) {
+  const db = model._db;
+  if (!db || typeof db.query !== "function") return;
+  if (db === eventQueue._db) {
+    throw new Error(
+      "Projection model shares the event database; register it with a reset that clears only its own tables",
+    );
+  }
+
+  const tables = db
+    .query(
+      "SELECT name FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%'",
+    )
+    .all();
+  for (const { name } of tables) {
+    db.query(`DELETE FROM ${name}`).run();
+  }
+}
+
+/**
+ * Convenience function to create a projection runner
+ * @param {Object} options - Configuration options
+ * @returns {ProjectionRunner} Projection runner instance
+ */
+export function initProjections(options = {}) {
+  return new ProjectionRunner(options);
+}
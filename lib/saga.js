@@ -0,0 +1,539 @@
+import { eventCallbacks } from "./event-source.js";
+import { modelSetup } from "./model.js";
+import { followSubscription } from "./subscription.js";
+
+/**
+ * Sagas (process managers) for event sourcing
+ * A saga follows one business process across several events, keyed by the
+ * events' correlation id. Its state, pending timeouts and compensating events
+ * are persisted in the event database, and each step's state change, the
+ * events it emits and the saga checkpoint commit in a single transaction, so a
+ * restart resumes exactly where it stopped.
+ *
+ * A step that throws, calls ctx.fail(), or lets a timeout expire fails the
+ * saga: the compensating events registered with ctx.compensateWith() are
+ * stored newest first and the saga is marked failed. So does an emitted event
+ * the queue refuses to store, e.g. one that fails schema validation.
+ */
+export class SagaManager {
+  /**
+   * @param {Object} options
+   * @param {Object} options.eventQueue - Queue to follow and to store emitted events in
+   * @param {Object} options.model - Model emitted events run against (default a silent stub)
+   * @param {Object} options.callbacks - Callbacks for emitted events (default void)
+   * @param {Object} options.upcasters - Extra UpcasterRegistry applied to events before handlers see them
+   * @param {string} options.name - Checkpoint name, for running more than one manager (default "sagas")
+   * @param {number} options.batchSize - Events read per batch (default 500)
+   * @param {Function} options.onError - Receives errors from catching up or
+   *   checking timeouts after start() (default logs them)
+   */
+  constructor(options = {}) {
+    const {
+      eventQueue,
+      model = modelSetup({ stub: true, default: () => "" }),
+      callbacks = eventCallbacks.void,
+      upcasters = null,
+      name = "sagas",
+      batchSize = 500,
+      onError = (error) => console.error("Saga manager failed:", error),
+    } = options;
+
+    if (!eventQueue) {
+      throw new Error("SagaManager requires an eventQueue");
+    }
+
+    this.eventQueue = eventQueue;
+    this.model = model;
+    this.callbacks = callbacks;
+    this.upcasters = upcasters;
+    this.name = name;
+    this.batchSize = batchSize;
+    this.onError = onError;
+    this.definitions = new Map();
+    this.subscription = null;
+    this._timer = null;
+
+    const db = eventQueue._db;
+    this.db = db;
+    db.query(`
+      CREATE TABLE IF NOT EXISTS sagas (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        correlation_id TEXT NOT NULL,
+        status TEXT NOT NULL CHECK(status IN ('running', 'completed', 'failed')),
+        state TEXT NOT NULL,
+        compensations TEXT NOT NULL DEFAULT '[]',
+        error TEXT,
+        last_event_id INTEGER,
+        started_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL,
+        UNIQUE(name, correlation_id)
+      )
+    `).run();
+    db.query(`
+      CREATE TABLE IF NOT EXISTS saga_timeouts (
+        saga_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        due_at INTEGER NOT NULL,
+        PRIMARY KEY (saga_id, name)
+      )
+    `).run();
+    db.query(`
+      CREATE TABLE IF NOT EXISTS saga_checkpoints (
+        name TEXT PRIMARY KEY,
+        last_event_id INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      )
+    `).run();
+    db.query("CREATE INDEX IF NOT EXISTS idx_sagas_status ON sagas(status)").run();
+    db.query("CREATE INDEX IF NOT EXISTS idx_saga_timeouts_due ON saga_timeouts(due_at)").run();
+
+    this.queries = {
+      getCheckpoint: db.prepare(
+        "SELECT last_event_id FROM saga_checkpoints WHERE name = $name",
+      ),
+      saveCheckpoint: db.prepare(`
+        INSERT INTO saga_checkpoints (name, last_event_id, updated_at)
+        VALUES ($name, $lastEventId, $updatedAt)
+        ON CONFLICT(name) DO UPDATE SET last_event_id = $lastEventId, updated_at = $updatedAt
+      `),
+      findSaga: db.prepare(
+        "SELECT * FROM sagas WHERE name = $name AND correlation_id = $correlationId",
+      ),
+      getSaga: db.prepare("SELECT * FROM sagas WHERE id = $id"),
+      insertSaga: db.prepare(`
+        INSERT INTO sagas (name, correlation_id, status, state, started_at, updated_at)
+        VALUES ($name, $correlationId, 'running', $state, $now, $now)
+        RETURNING *
+      `),
+      updateSaga: db.prepare(`
+        UPDATE sagas SET status = $status, state = $state, compensations = $compensations,
+          error = $error, last_event_id = $lastEventId, updated_at = $now
+        WHERE id = $id
+      `),
+      listSagas: db.prepare(`
+        SELECT * FROM sagas
+        WHERE ($name IS NULL OR name = $name) AND ($status IS NULL OR status = $status)
+        ORDER BY id LIMIT $limit OFFSET $offset
+      `),
+      countSagas: db.prepare(
+        "SELECT name, status, COUNT(*) AS count FROM sagas GROUP BY name, status",
+      ),
+      setTimeout: db.prepare(`
+        INSERT INTO saga_timeouts (saga_id, name, due_at) VALUES ($sagaId, $name, $dueAt)
+        ON CONFLICT(saga_id, name) DO UPDATE SET due_at = $dueAt
+      `),
+      clearTimeout: db.prepare(
+        "DELETE FROM saga_timeouts WHERE saga_id = $sagaId AND name = $name",
+      ),
+      clearTimeouts: db.prepare("DELETE FROM saga_timeouts WHERE saga_id = $sagaId"),
+      getTimeouts: db.prepare(
+        "SELECT name, due_at FROM saga_timeouts WHERE saga_id = $sagaId ORDER BY due_at",
+      ),
+      getDueTimeouts: db.prepare(
+        "SELECT saga_id, name, due_at FROM saga_timeouts WHERE due_at <= $now ORDER BY due_at, saga_id",
+      ),
+    };
+  }
+
+  /**
+   * Define a saga
+   * @param {string} name - Saga name
+   * @param {Object} definition
+   * @param {string[]} definition.startsOn - Commands that start an instance for
+   *   their correlation id when none exists yet
+   * @param {Function} definition.initialState - (event) => state (default {})
+   * @param {Object} definition.handlers - { cmd: (state, event, ctx) => new state },
+   *   returning undefined keeps the state
+   * @param {Object} definition.timeouts - { name: (state, ctx) => new state } run
+   *   when a timeout set with ctx.timeout(name, ms) expires; without one the
+   *   saga fails
+   * @returns {SagaManager} this, for chaining
+   */
+  define(name, definition = {}) {
+    if (this.definitions.has(name)) {
+      throw new Error(`Saga ${name} is already defined`);
+    }
+    const { startsOn = [], initialState = () => ({}), handlers = {}, timeouts = {} } = definition;
+    if (!startsOn.length) {
+      throw new Error(`Saga ${name} needs at least one startsOn command`);
+    }
+    this.definitions.set(name, { name, startsOn, initialState, handlers, timeouts });
+    return this;
+  }
+
+  /**
+   * Id of the last event the sagas have seen (0 before the first run)
+   * @returns {number} Event id
+   */
+  getCheckpoint() {
+    return this.queries.getCheckpoint.get({ name: this.name })?.last_event_id ?? 0;
+  }
+
+  /**
+   * Feed every event after the checkpoint to the sagas
+   * @returns {number} Number of events read
+   */
+  catchUp() {
+    let checkpoint = this.getCheckpoint();
+    let read = 0;
+
+    while (true) {
+      const batch = this.eventQueue.getEventsAfter(checkpoint, { limit: this.batchSize });
+      if (!batch.length) break;
+
+      for (const row of batch) {
+        this.db.transaction(() => {
+          for (const event of this.eventQueue._upcastForModel(row, { _upcasters: this.upcasters })) {
+            this._handleEvent(event);
+          }
+          this._saveCheckpoint(row.id);
+        })();
+        checkpoint = row.id;
+        read++;
+      }
+    }
+
+    return read;
+  }
+
+  /**
+   * Run the handlers of every timeout that is due
+   * @param {number} now - Current time in ms (default Date.now())
+   * @returns {number} Number of timeouts that fired
+   */
+  checkTimeouts(now = Date.now()) {
+    const due = this.queries.getDueTimeouts.all({ now });
+    for (const { saga_id: sagaId, name } of due) {
+      this.db.transaction(() => {
+        this.queries.clearTimeout.run({ sagaId, name });
+        const saga = this.queries.getSaga.get({ id: sagaId });
+        if (!saga || saga.status !== "running") return;
+        const definition = this.definitions.get(saga.name);
+        if (!definition) return;
+
+        const onTimeout = definition.timeouts[name];
+        if (onTimeout) {
+          this._runStep(saga, null, (state, ctx) => onTimeout(state, ctx));
+        } else {
+          this._fail(loadSaga(saga), null, `Step ${name} timed out`);
+        }
+      })();
+    }
+    return due.length;
+  }
+
+  /**
+   * Catch up, then follow new events and check timeouts every pollInterval ms.
+   * Errors after that go to onError; a failed catch-up is retried with a
+   * growing pause, a failed timeout check on the next tick.
+   * @param {Object} options - { pollInterval } (default 1000), { retryDelay,
+   *   maxRetryDelay } for the pause (default 1000 and 30000 ms)
+   */
+  async start(options = {}) {
+    if (this.subscription) return;
+    const pollInterval = options.pollInterval ?? 1000;
+    this.catchUp();
+    this.checkTimeouts();
+
+    this.subscription = this.eventQueue.subscribe({ pollInterval });
+    this._loop = followSubscription(this.subscription, () => this.catchUp(), {
+      onError: this.onError,
+      retryDelay: options.retryDelay,
+      maxRetryDelay: options.maxRetryDelay,
+    });
+    this._timer = setInterval(() => {
+      try {
+        this.checkTimeouts();
+      } catch (error) {
+        this.onError(error);
+      }
+    }, pollInterval);
+  }
+
+  /**
+   * Stop following events and checking timeouts; saga state is kept
+   */
+  async stop() {
+    clearInterval(this._timer);
+    this._timer = null;
+    if (!this.subscription) return;
+    this.subscription.unsubscribe();
+    this.subscription = null;
+    await this._loop;
+    this._loop = null;
+  }
+
+  /**
+   * One saga instance, or null
+   * @param {number} id - Saga id
+   * @returns {Object|null} { id, name, correlationId, status, state, error, timeouts, ... }
+   */
+  get(id) {
+    const saga = this.queries.getSaga.get({ id });
+    return saga ? this._describe(saga) : null;
+  }
+
+  /**
+   * The instance of a saga for a correlation id, or null
+   */
+  find(name, correlationId) {
+    const saga = this.queries.findSaga.get({ name, correlationId });
+    return saga ? this._describe(saga) : null;
+  }
+
+  /**
+   * Saga instances, oldest first
+   * @param {Object} options - { name, status, limit, offset }
+   * @returns {Array} Instances
+   */
+  list(options = {}) {
+    const { name = null, status = null, limit = 100, offset = 0 } = options;
+    return this.queries.listSagas
+      .all({ name, status, limit, offset })
+      .map((saga) => this._describe(saga));
+  }
+
+  /**
+   * Instance counts per saga name and status
+   * @returns {Object} { [name]: { running, completed, failed } }
+   */
+  getStatus() {
+    const status = {};
+    for (const name of this.definitions.keys()) {
+      status[name] = { running: 0, completed: 0, failed: 0 };
+    }
+    for (const { name, status: state, count } of this.queries.countSagas.all()) {
+      status[name] ??= { running: 0, completed: 0, failed: 0 };
+      status[name][state] = count;
+    }
+    return status;
+  }
+
+  /**
+   * Fail a running saga by hand, storing its compensating events
+   * @param {number} id - Saga id
+   * @param {string} reason - Recorded as the saga's error
+   * @returns {Object|null} The failed saga, or null if it wasn't running
+   */
+  abort(id, reason = "Aborted") {
+    const saga = this.queries.getSaga.get({ id });
+    if (!saga || saga.status !== "running") return null;
+    this.db.transaction(() => this._fail(loadSaga(saga), null, reason))();
+    return this.get(id);
+  }
+
+  _handleEvent(event) {
+    for (const definition of this.definitions.values()) {
+      let saga = this.queries.findSaga.get({
+        name: definition.name,
+        correlationId: event.correlation_id,
+      });
+      if (!saga) {
+        if (!definition.startsOn.includes(event.cmd) || !event.correlation_id) continue;
+        let state;
+        try {
+          state = definition.initialState(event);
+        } catch (error) {
+          // Nothing was started, so there is nothing to compensate; record the failure
+          saga = this._insert(definition.name, event.correlation_id, {});
+          this._fail(loadSaga(saga), event, error.message);
+          continue;
+        }
+        saga = this._insert(definition.name, event.correlation_id, state ?? {});
+      } else if (saga.status !== "running") {
+        continue;
+      }
+
+      const handler = definition.handlers[event.cmd];
+      if (handler) {
+        this._runStep(saga, event, (state, ctx) => handler(state, event, ctx));
+      } else {
+        this._save(loadSaga(saga), event);
+      }
+    }
+  }
+
+  // Runs one handler and applies what it asked for; call inside a transaction
+  _runStep(row, event, step) {
+    const saga = loadSaga(row);
+    const effects = { emitted: [], compensations: [], timeouts: [], outcome: null, reason: null };
+    const ctx = {
+      sagaId: saga.id,
+      correlationId: saga.correlationId,
+      emit(followUp) {
+        effects.emitted.push(followUp);
+      },
+      compensateWith(compensation) {
+        effects.compensations.push(compensation);
+      },
+      timeout(name, ms) {
+        effects.timeouts.push({ name, ms });
+      },
+      clearTimeout(name) {
+        effects.timeouts.push({ name, ms: null });
+      },
+      complete() {
+        effects.outcome = "completed";
+      },
+      fail(reason) {
+        effects.outcome = "failed";
+        effects.reason = reason;
+      },
+    };
+
+    let next;
+    try {
+      next = step(structuredClone(saga.state), ctx);
+      if (next && typeof next.then === "function") {
+        throw new Error(`Saga ${saga.name} handlers must be synchronous`);
+      }
+    } catch (error) {
+      // Nothing the failed step asked for is applied
+      this._fail(saga, event, error.message);
+      return;
+    }
+
+    if (next !== undefined) saga.state = next;
+    saga.compensations.push(...effects.compensations);
+    for (const followUp of effects.emitted) {
+      try {
+        this._emit(saga, event, followUp);
+      } catch (error) {
+        // A follow-up the queue refused fails the step, compensating what it did
+        if (!(error instanceof RefusedEvent)) throw error;
+        this._fail(saga, event, error.message);
+        return;
+      }
+    }
+    for (const { name, ms } of effects.timeouts) {
+      if (ms === null) {
+        this.queries.clearTimeout.run({ sagaId: saga.id, name });
+      } else {
+        this.queries.setTimeout.run({ sagaId: saga.id, name, dueAt: Date.now() + ms });
+      }
+    }
+
+    if (effects.outcome === "failed") {
+      this._fail(saga, event, effects.reason ?? "Failed");
+    } else if (effects.outcome === "completed") {
+      saga.status = "completed";
+      saga.compensations = [];
+      this.queries.clearTimeouts.run({ sagaId: saga.id });
+      this._save(saga, event);
+    } else {
+      this._save(saga, event);
+    }
+  }
+
+  // Stores the compensating events newest first and marks the saga failed
+  _fail(saga, event, reason) {
+    // A refused compensation doesn't stop the others; it's added to the error
+    const refused = [];
+    for (const compensation of [...saga.compensations].reverse()) {
+      try {
+        this._emit(saga, event, compensation);
+      } catch (error) {
+        if (!(error instanceof RefusedEvent)) throw error;
+        refused.push(error.message);
+      }
+    }
+    saga.status = "failed";
+    saga.error = [reason, ...refused].join("; ");
+    saga.compensations = [];
+    this.queries.clearTimeouts.run({ sagaId: saga.id });
+    this._save(saga, event);
+  }
+
+  // Stores an event for the saga; throws if the queue refused it, which store()
+  // reports only through the error callback
+  _emit(saga, event, followUp) {
+    let refused = null;
+    const callbacks = {
+      ...this.callbacks,
+      _error: (err) => {
+        // Handler errors carry the stored row's id; a refused or rolled back event has none
+        if (err.id == null || err.rolledBack) refused ??= err;
+        return this.callbacks._error?.(err);
+      },
+    };
+    this.eventQueue.store(
+      {
+        ...followUp,
+        causationId: event?.id ?? saga.lastEventId ?? undefined,
+        correlationId: saga.correlationId,
+        metadata: { ...followUp.metadata, saga: saga.name, sagaId: saga.id },
+      },
+      this.model,
+      callbacks,
+    );
+    if (refused) {
+      throw new RefusedEvent(`${followUp.cmd ?? "An event with no cmd"} was not stored: ${refused.msg}`);
+    }
+  }
+
+  _insert(name, correlationId, state) {
+    return this.queries.insertSaga.get({
+      name,
+      correlationId,
+      state: JSON.stringify(state),
+      now: Date.now(),
+    });
+  }
+
+  _save(saga, event) {
+    this.queries.updateSaga.run({
+      id: saga.id,
+      status: saga.status,
+      state: JSON.stringify(saga.state),
+      compensations: JSON.stringify(saga.compensations),
+      error: saga.error,
+      lastEventId: event?.id ?? saga.lastEventId,
+      now: Date.now(),
+    });
+  }
+
+  _saveCheckpoint(lastEventId) {
+    this.queries.saveCheckpoint.run({
+      name: this.name,
+      lastEventId,
+      updatedAt: Date.now(),
+    });
+  }
+
+  _describe(row) {
+    const { compensations, ...saga } = loadSaga(row);
+    return {
+      ...saga,
+      pendingCompensations: compensations.length,
+      timeouts: this.queries.getTimeouts
+        .all({ sagaId: row.id })
+        .map(({ name, due_at }) => ({ name, dueAt: due_at })),
+    };
+  }
+}
+
+// Thrown by _emit when the queue refused an event rather than storing it
+class RefusedEvent extends Error {}
+
+const loadSaga = (row) => ({
+  id: row.id,
+  name: row.name,
+  correlationId: row.correlation_id,
+  status: row.status,
+  state: JSON.parse(row.state),
+  compensations: JSON.parse(row.compensations ?? "[]"),
+  error: row.error,
+  lastEventId: row.last_event_id,
+  startedAt: row.started_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * Convenience function to create a saga manager
+ * @param {Object} options - Configuration options
+ * @returns {SagaManager} Saga manager instance
+ */
+export function initSagas(options = {}) {
+  return new SagaManager(options);
+}
@@ -0,0 +1,224 @@
+/**
+ * Payload schemas for event sourcing
+ * A registry of schemas per (cmd, version), checked before an event is written.
+ * Schemas use a subset of JSON Schema, implemented here so there is nothing to
+ * install: type, enum, const, required, properties, additionalProperties,
+ * items, minItems, maxItems, uniqueItems, minLength, maxLength, pattern,
+ * format, minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf,
+ * anyOf, oneOf, allOf and not.
+ */
+
+export class SchemaValidationError extends Error {
+  constructor(cmd, version, errors) {
+    super(
+      `Event ${cmd} v${version} failed schema validation: ${errors
+        .map((error) => `${error.path || "data"} ${error.message}`)
+        .join("; ")}`,
+    );
+    this.name = "SchemaValidationError";
+    this.cmd = cmd;
+    this.version = version;
+    this.errors = errors;
+  }
+}
+
+export class SchemaRegistry {
+  /**
+   * @param {Object} options - { requireSchema } rejects commands with no schema
+   *   registered for their version (default false: they pass unchecked)
+   */
+  constructor(options = {}) {
+    this.schemas = new Map();
+    this.requireSchema = Boolean(options.requireSchema);
+  }
+
+  /**
+   * Register the schema for one command version
+   * @param {string} cmd - Command name
+   * @param {number} version - Event version
+   * @param {Object} schema - JSON Schema (subset) for the event's data
+   * @returns {SchemaRegistry} this, for chaining
+   */
+  register(cmd, version, schema) {
+    this.schemas.set(keyOf(cmd, version), schema);
+    return this;
+  }
+
+  get(cmd, version = 1) {
+    return this.schemas.get(keyOf(cmd, version)) || null;
+  }
+
+  /**
+   * Check an event's data against its schema
+   * @param {string} cmd - Command name
+   * @param {number} version - Event version
+   * @param {*} data - Event data
+   * @returns {Array} Errors as { path, keyword, message }; empty when valid
+   */
+  validate(cmd, version = 1, data) {
+    const schema = this.get(cmd, version);
+    if (!schema) {
+      return this.requireSchema
+        ? [{ path: "", keyword: "schema", message: `has no schema registered for ${cmd} v${version}` }]
+        : [];
+    }
+    const errors = [];
+    checkValue(schema, data, "", errors);
+    return errors;
+  }
+
+  /**
+   * Like validate, but throws a SchemaValidationError
+   */
+  assert(cmd, version = 1, data) {
+    const errors = this.validate(cmd, version, data);
+    if (errors.length) throw new SchemaValidationError(cmd, version, errors);
+  }
+}
+
+const keyOf = (cmd, version) => `${cmd}\u0000${version}`;
+
+const formats = {
+  "date-time": (value) => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+  date: (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uuid: (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  uri: (value) => {
+    try {
+      new URL(value);
+      return true;
+    } catch {
+      return false;
+    }
+  },
+};
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return type === actual || (type === "number" && actual === "integer");
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const childPath = (path, key) =>
+  typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+// Appends every problem with value to errors; returns nothing
+function checkValue(schema, value, path, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, keyword: "false", message: "is not allowed" });
+    return;
+  }
+
+  const fail = (keyword, message) => errors.push({ path, keyword, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(type, value))) {
+      fail("type", `must be ${types.join(" or ")}, got ${typeOf(value)}`);
+      return; // the remaining keywords assume the right type
+    }
+  }
+
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    fail("const", `must equal ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.some((option) => isEqual(option, value))) {
+    fail("enum", `must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail("minLength", `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail("maxLength", `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) {
+      fail("pattern", `must match ${schema.pattern}`);
+    }
+    if (schema.format && formats[schema.format] && !formats[schema.format](value)) {
+      fail("format", `must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail("minimum", `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail("maximum", `must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail("exclusiveMinimum", `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail("exclusiveMaximum", `must be < ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+      fail("multipleOf", `must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail("minItems", `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail("maxItems", `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems) {
+      const seen = new Set(value.map((item) => JSON.stringify(item)));
+      if (seen.size !== value.length) fail("uniqueItems", "must not contain duplicates");
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => checkValue(schema.items, item, childPath(path, index), errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: childPath(path, key), keyword: "required", message: "is required" });
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (key in properties) {
+        checkValue(properties[key], child, childPath(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), keyword: "additionalProperties", message: "is not allowed" });
+      } else if (typeof schema.additionalProperties === "object") {
+        checkValue(schema.additionalProperties, child, childPath(path, key), errors);
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach((sub) => checkValue(sub, value, path, errors));
+  }
+  if (schema.anyOf && !schema.anyOf.some((sub) => passes(sub, value))) {
+    fail("anyOf", "must match at least one allowed schema");
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((sub) => passes(sub, value)).length;
+    if (matches !== 1) fail("oneOf", `must match exactly one allowed schema, matched ${matches}`);
+  }
+  if (schema.not && passes(schema.not, value)) {
+    fail("not", "must not match the excluded schema");
+  }
+}
+
+const passes = (schema, value) => {
+  const errors = [];
+  checkValue(schema, value, "", errors);
+  return errors.length === 0;
+};
@@ -0,0 +1,700 @@
+/**
+ * Serializers for event data, metadata, pending events and snapshots
+ * JSON is the default and what rows written before serializers existed hold.
+ * MessagePack and CBOR are implemented here and keep the values JSON loses:
+ * Dates, BigInts, Maps and binary data (Buffers and typed arrays, read back as
+ * Buffers). A serializer is { name, encode(value), decode(stored) }; rows
+ * written by anything but JSON are marked with the serializer's name.
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+// Growable big-endian output buffer
+class Writer {
+  constructor() {
+    this.bytes = new Uint8Array(256);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  reserve(size) {
+    if (this.length + size <= this.bytes.length) return;
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + size) capacity *= 2;
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  u8(value) {
+    this.reserve(1);
+    this.bytes[this.length++] = value;
+  }
+
+  u16(value) {
+    this.reserve(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  u32(value) {
+    this.reserve(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+
+  u64(value) {
+    this.reserve(8);
+    this.view.setBigUint64(this.length, BigInt(value));
+    this.length += 8;
+  }
+
+  i8(value) {
+    this.reserve(1);
+    this.view.setInt8(this.length++, value);
+  }
+
+  i16(value) {
+    this.reserve(2);
+    this.view.setInt16(this.length, value);
+    this.length += 2;
+  }
+
+  i32(value) {
+    this.reserve(4);
+    this.view.setInt32(this.length, value);
+    this.length += 4;
+  }
+
+  i64(value) {
+    this.reserve(8);
+    this.view.setBigInt64(this.length, BigInt(value));
+    this.length += 8;
+  }
+
+  f64(value) {
+    this.reserve(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  raw(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+// Big-endian input cursor that fails on truncated data
+class Reader {
+  constructor(bytes, format) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+    this.format = format;
+  }
+
+  need(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new Error(`Unexpected end of ${this.format} data`);
+    }
+    const at = this.offset;
+    this.offset += size;
+    return at;
+  }
+
+  u8() {
+    return this.bytes[this.need(1)];
+  }
+
+  u16() {
+    return this.view.getUint16(this.need(2));
+  }
+
+  u32() {
+    return this.view.getUint32(this.need(4));
+  }
+
+  u64() {
+    return safeNumber(this.view.getBigUint64(this.need(8)));
+  }
+
+  i8() {
+    return this.view.getInt8(this.need(1));
+  }
+
+  i16() {
+    return this.view.getInt16(this.need(2));
+  }
+
+  i32() {
+    return this.view.getInt32(this.need(4));
+  }
+
+  i64() {
+    return safeNumber(this.view.getBigInt64(this.need(8)));
+  }
+
+  f16() {
+    const half = this.u16();
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+    const magnitude =
+      exponent === 0
+        ? fraction * 2 ** -24
+        : exponent === 31
+          ? fraction === 0 ? Infinity : NaN
+          : (fraction + 1024) * 2 ** (exponent - 25);
+    return half & 0x8000 ? -magnitude : magnitude;
+  }
+
+  f32() {
+    return this.view.getFloat32(this.need(4));
+  }
+
+  f64() {
+    return this.view.getFloat64(this.need(8));
+  }
+
+  take(size) {
+    const at = this.need(size);
+    return this.bytes.subarray(at, at + size);
+  }
+
+  text(size) {
+    return textDecoder.decode(this.take(size));
+  }
+
+  // Read the whole input as one value
+  done(value) {
+    if (this.offset !== this.bytes.length) {
+      throw new Error(`Unexpected bytes after the ${this.format} value`);
+    }
+    return value;
+  }
+}
+
+// 64-bit integers come back as numbers when they fit exactly
+const safeNumber = (value) =>
+  value <= BigInt(Number.MAX_SAFE_INTEGER) && value >= BigInt(Number.MIN_SAFE_INTEGER) ? Number(value) : value;
+
+const asBytes = (value) =>
+  value instanceof ArrayBuffer ? new Uint8Array(value) : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+
+const isBinary = (value) => value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+
+// Object keys from decoded maps; "__proto__" becomes an own property as with JSON.parse
+const setKey = (object, key, value) => {
+  if (key === "__proto__") {
+    Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+  } else {
+    object[key] = value;
+  }
+};
+
+// Properties of a plain object that serialize, skipping the ones JSON skips
+const entriesOf = (object) =>
+  Object.entries(object).filter(([, value]) => value !== undefined && typeof value !== "function");
+
+// Dates that don't hold a time serialize as null, as with JSON
+const invalidDate = (value) => value instanceof Date && Number.isNaN(value.getTime());
+
+// ---------------------------------------------------------------------------
+// MessagePack (https://github.com/msgpack/msgpack/blob/master/spec.md)
+// Dates use the timestamp extension (-1); BigInts (1) and Maps (2) use
+// application extension types.
+
+const EXT_TIMESTAMP = -1;
+const EXT_BIGINT = 1;
+const EXT_MAP = 2;
+
+function packValue(w, value) {
+  if (value === null || value === undefined || invalidDate(value)) return w.u8(0xc0);
+  if (value === false) return w.u8(0xc2);
+  if (value === true) return w.u8(0xc3);
+  if (typeof value === "number") return packNumber(w, value);
+  if (typeof value === "string") return packString(w, value);
+  if (typeof value === "bigint") return packExt(w, EXT_BIGINT, textEncoder.encode(value.toString()));
+  if (typeof value !== "object") {
+    throw new TypeError(`Can't serialize a ${typeof value} as MessagePack`);
+  }
+  if (value instanceof Date) return packExt(w, EXT_TIMESTAMP, timestamp(value.getTime()));
+  if (isBinary(value)) return packBinary(w, asBytes(value));
+  if (value instanceof Map) {
+    const entries = new Writer();
+    packValue(entries, [...value]);
+    return packExt(w, EXT_MAP, entries.result());
+  }
+  if (Array.isArray(value)) {
+    packLength(w, value.length, 0x90, 0xdc, 0xdd, 16);
+    for (const item of value) packValue(w, item);
+    return;
+  }
+  if (typeof value.toJSON === "function") return packValue(w, value.toJSON());
+  const entries = entriesOf(value);
+  packLength(w, entries.length, 0x80, 0xde, 0xdf, 16);
+  for (const [key, item] of entries) {
+    packString(w, key);
+    packValue(w, item);
+  }
+}
+
+function packNumber(w, n) {
+  if (!Number.isSafeInteger(n) || Object.is(n, -0)) {
+    w.u8(0xcb);
+    return w.f64(n);
+  }
+  if (n >= 0) {
+    if (n < 0x80) return w.u8(n);
+    if (n < 0x100) {
+      w.u8(0xcc);
+      return w.u8(n);
+    }
+    if (n < 0x10000) {
+      w.u8(0xcd);
+      return w.u16(n);
+    }
+    if (n < 0x100000000) {
+      w.u8(0xce);
+      return w.u32(n);
+    }
+    w.u8(0xcf);
+    return w.u64(n);
+  }
+  if (n >= -0x20) return w.u8(n & 0xff);
+  if (n >= -0x80) {
+    w.u8(0xd0);
+    return w.i8(n);
+  }
+  if (n >= -0x8000) {
+    w.u8(0xd1);
+    return w.i16(n);
+  }
+  if (n >= -0x80000000) {
+    w.u8(0xd2);
+    return w.i32(n);
+  }
+  w.u8(0xd3);
+  return w.i64(n);
+}
+
+// A fix header when the length is under fixLimit, else a 16 or 32 bit length
+function packLength(w, length, fix, type16, type32, fixLimit) {
+  if (length < fixLimit) return w.u8(fix | length);
+  if (length < 0x10000) {
+    w.u8(type16);
+    return w.u16(length);
+  }
+  w.u8(type32);
+  return w.u32(length);
+}
+
+function packString(w, value) {
+  const bytes = textEncoder.encode(value);
+  if (bytes.length < 32) {
+    w.u8(0xa0 | bytes.length);
+  } else if (bytes.length < 0x100) {
+    w.u8(0xd9);
+    w.u8(bytes.length);
+  } else {
+    packLength(w, bytes.length, 0, 0xda, 0xdb, 0);
+  }
+  w.raw(bytes);
+}
+
+function packBinary(w, bytes) {
+  if (bytes.length < 0x100) {
+    w.u8(0xc4);
+    w.u8(bytes.length);
+  } else {
+    packLength(w, bytes.length, 0, 0xc5, 0xc6, 0);
+  }
+  w.raw(bytes);
+}
+
+const fixExt = { 1: 0xd4, 2: 0xd5, 4: 0xd6, 8: 0xd7, 16: 0xd8 };
+
+function packExt(w, type, bytes) {
+  if (fixExt[bytes.length]) {
+    w.u8(fixExt[bytes.length]);
+  } else if (bytes.length < 0x100) {
+    w.u8(0xc7);
+    w.u8(bytes.length);
+  } else {
+    packLength(w, bytes.length, 0, 0xc8, 0xc9, 0);
+  }
+  w.i8(type);
+  w.raw(bytes);
+}
+
+// timestamp 96: nanoseconds then signed seconds, which covers every Date
+function timestamp(ms) {
+  const seconds = Math.floor(ms / 1000);
+  const w = new Writer();
+  w.u32((ms - seconds * 1000) * 1e6);
+  w.i64(seconds);
+  return w.result();
+}
+
+function unpackValue(r) {
+  const b = r.u8();
+  if (b < 0x80) return b;
+  if (b < 0x90) return unpackMap(r, b & 0x0f);
+  if (b < 0xa0) return unpackArray(r, b & 0x0f);
+  if (b < 0xc0) return r.text(b & 0x1f);
+  if (b >= 0xe0) return b - 0x100;
+  switch (b) {
+    case 0xc0: return null;
+    case 0xc2: return false;
+    case 0xc3: return true;
+    case 0xc4: return Buffer.from(r.take(r.u8()));
+    case 0xc5: return Buffer.from(r.take(r.u16()));
+    case 0xc6: return Buffer.from(r.take(r.u32()));
+    case 0xc7: return unpackExt(r, r.u8());
+    case 0xc8: return unpackExt(r, r.u16());
+    case 0xc9: return unpackExt(r, r.u32());
+    case 0xca: return r.f32();
+    case 0xcb: return r.f64();
+    case 0xcc: return r.u8();
+    case 0xcd: return r.u16();
+    case 0xce: return r.u32();
+    case 0xcf: return r.u64();
+    case 0xd0: return r.i8();
+    case 0xd1: return r.i16();
+    case 0xd2: return r.i32();
+    case 0xd3: return r.i64();
+    case 0xd4: return unpackExt(r, 1);
+    case 0xd5: return unpackExt(r, 2);
+    case 0xd6: return unpackExt(r, 4);
+    case 0xd7: return unpackExt(r, 8);
+    case 0xd8: return unpackExt(r, 16);
+    case 0xd9: return r.text(r.u8());
+    case 0xda: return r.text(r.u16());
+    case 0xdb: return r.text(r.u32());
+    case 0xdc: return unpackArray(r, r.u16());
+    case 0xdd: return unpackArray(r, r.u32());
+    case 0xde: return unpackMap(r, r.u16());
+    case 0xdf: return unpackMap(r, r.u32());
+    default: throw new Error(`Invalid MessagePack byte 0x${b.toString(16)}`);
+  }
+}
+
+function unpackArray(r, length) {
+  const array = new Array(length);
+  for (let i = 0; i < length; i++) array[i] = unpackValue(r);
+  return array;
+}
+
+function unpackMap(r, size) {
+  const object = {};
+  for (let i = 0; i < size; i++) {
+    const key = unpackValue(r);
+    setKey(object, String(key), unpackValue(r));
+  }
+  return object;
+}
+
+function unpackExt(r, length) {
+  const type = r.i8();
+  const data = r.take(length);
+  switch (type) {
+    case EXT_TIMESTAMP: return unpackTimestamp(data);
+    case EXT_BIGINT: return BigInt(textDecoder.decode(data));
+    case EXT_MAP: return new Map(decodeMsgpack(data));
+    default: return { extType: type, data: Buffer.from(data) };
+  }
+}
+
+function unpackTimestamp(data) {
+  const r = new Reader(data, "MessagePack timestamp");
+  if (data.length === 4) return new Date(r.u32() * 1000);
+  if (data.length === 8) {
+    const high = r.u32();
+    const low = r.u32();
+    const nanoseconds = high >>> 2;
+    const seconds = (high & 0x3) * 0x100000000 + low;
+    return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6));
+  }
+  if (data.length === 12) {
+    const nanoseconds = r.u32();
+    const seconds = Number(r.i64());
+    return new Date(seconds * 1000 + Math.floor(nanoseconds / 1e6));
+  }
+  throw new Error(`Invalid MessagePack timestamp of ${data.length} bytes`);
+}
+
+/**
+ * Encode a value as MessagePack
+ * @param {*} value - Value to encode
+ * @returns {Uint8Array} Encoded bytes
+ */
+export function encodeMsgpack(value) {
+  const w = new Writer();
+  packValue(w, value);
+  return w.result();
+}
+
+/**
+ * Decode MessagePack bytes
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @returns {*} Decoded value
+ */
+export function decodeMsgpack(bytes) {
+  const r = new Reader(bytes, "MessagePack");
+  return r.done(unpackValue(r));
+}
+
+// ---------------------------------------------------------------------------
+// CBOR (RFC 8949)
+// Dates use tag 1 (epoch seconds), BigInts tags 2 and 3 (bignums) and Maps
+// tag 259 (a map with keys of any type); tag 0 date strings are read too.
+
+const TAG_DATE_STRING = 0;
+const TAG_DATE_EPOCH = 1;
+const TAG_POSITIVE_BIGNUM = 2;
+const TAG_NEGATIVE_BIGNUM = 3;
+const TAG_MAP = 259;
+
+function writeHead(w, major, n) {
+  const type = major << 5;
+  if (n < 24) return w.u8(type | n);
+  if (n < 0x100) {
+    w.u8(type | 24);
+    return w.u8(n);
+  }
+  if (n < 0x10000) {
+    w.u8(type | 25);
+    return w.u16(n);
+  }
+  if (n < 0x100000000) {
+    w.u8(type | 26);
+    return w.u32(n);
+  }
+  w.u8(type | 27);
+  return w.u64(n);
+}
+
+function writeValue(w, value) {
+  if (value === null || invalidDate(value)) return w.u8(0xf6);
+  if (value === undefined) return w.u8(0xf7);
+  if (value === false) return w.u8(0xf4);
+  if (value === true) return w.u8(0xf5);
+  if (typeof value === "number") {
+    if (Number.isSafeInteger(value) && !Object.is(value, -0)) {
+      return value >= 0 ? writeHead(w, 0, value) : writeHead(w, 1, -1 - value);
+    }
+    w.u8(0xfb);
+    return w.f64(value);
+  }
+  if (typeof value === "string") {
+    const bytes = textEncoder.encode(value);
+    writeHead(w, 3, bytes.length);
+    return w.raw(bytes);
+  }
+  if (typeof value === "bigint") {
+    const negative = value < 0n;
+    writeHead(w, 6, negative ? TAG_NEGATIVE_BIGNUM : TAG_POSITIVE_BIGNUM);
+    let magnitude = negative ? -1n - value : value;
+    const bytes = [];
+    do {
+      bytes.unshift(Number(magnitude & 0xffn));
+      magnitude >>= 8n;
+    } while (magnitude > 0n);
+    writeHead(w, 2, bytes.length);
+    return w.raw(bytes);
+  }
+  if (typeof value !== "object") {
+    throw new TypeError(`Can't serialize a ${typeof value} as CBOR`);
+  }
+  if (value instanceof Date) {
+    writeHead(w, 6, TAG_DATE_EPOCH);
+    w.u8(0xfb);
+    return w.f64(value.getTime() / 1000);
+  }
+  if (isBinary(value)) {
+    const bytes = asBytes(value);
+    writeHead(w, 2, bytes.length);
+    return w.raw(bytes);
+  }
+  if (value instanceof Map) {
+    writeHead(w, 6, TAG_MAP);
+    writeHead(w, 5, value.size);
+    for (const [key, item] of value) {
+      writeValue(w, key);
+      writeValue(w, item);
+    }
+    return;
+  }
+  if (Array.isArray(value)) {
+    writeHead(w, 4, value.length);
+    for (const item of value) writeValue(w, item);
+    return;
+  }
+  if (typeof value.toJSON === "function") return writeValue(w, value.toJSON());
+  const entries = entriesOf(value);
+  writeHead(w, 5, entries.length);
+  for (const [key, item] of entries) {
+    writeValue(w, key);
+    writeValue(w, item);
+  }
+}
+
+// The argument of an item head; indefinite lengths are never written here
+function readArgument(r, info) {
+  if (info < 24) return info;
+  if (info === 24) return r.u8();
+  if (info === 25) return r.u16();
+  if (info === 26) return r.u32();
+  if (info === 27) return r.u64();
+  if (info === 31) throw new Error("Indefinite-length CBOR items are not supported");
+  throw new Error(`Invalid CBOR additional information ${info}`);
+}
+
+function readValue(r) {
+  const initial = r.u8();
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+
+  if (major === 7) {
+    switch (info) {
+      case 20: return false;
+      case 21: return true;
+      case 22: return null;
+      case 23: return undefined;
+      case 25: return r.f16();
+      case 26: return r.f32();
+      case 27: return r.f64();
+      default: throw new Error(`Unsupported CBOR simple value ${info}`);
+    }
+  }
+
+  const n = readArgument(r, info);
+  switch (major) {
+    case 0: return n;
+    case 1: return typeof n === "bigint" ? -1n - n : -1 - n;
+    case 2: return Buffer.from(r.take(n));
+    case 3: return r.text(n);
+    case 4: {
+      const array = new Array(n);
+      for (let i = 0; i < n; i++) array[i] = readValue(r);
+      return array;
+    }
+    case 5: {
+      const object = {};
+      for (let i = 0; i < n; i++) {
+        const key = readValue(r);
+        setKey(object, String(key), readValue(r));
+      }
+      return object;
+    }
+    default: return readTagged(r, n);
+  }
+}
+
+function readTagged(r, tag) {
+  if (tag === TAG_MAP) {
+    const initial = r.u8();
+    if (initial >> 5 !== 5) throw new Error("CBOR tag 259 must wrap a map");
+    const size = readArgument(r, initial & 0x1f);
+    const map = new Map();
+    for (let i = 0; i < size; i++) {
+      const key = readValue(r);
+      map.set(key, readValue(r));
+    }
+    return map;
+  }
+  const value = readValue(r);
+  switch (tag) {
+    case TAG_DATE_STRING: return new Date(value);
+    case TAG_DATE_EPOCH: return new Date(Math.round(Number(value) * 1000));
+    case TAG_POSITIVE_BIGNUM:
+    case TAG_NEGATIVE_BIGNUM: {
+      let magnitude = 0n;
+      for (const byte of value) magnitude = (magnitude << 8n) | BigInt(byte);
+      return tag === TAG_POSITIVE_BIGNUM ? magnitude : -1n - magnitude;
+    }
+    default: return value;
+  }
+}
+
+/**
+ * Encode a value as CBOR
+ * @param {*} value - Value to encode
+ * @returns {Uint8Array} Encoded bytes
+ */
+export function encodeCbor(value) {
+  const w = new Writer();
+  writeValue(w, value);
+  return w.result();
+}
+
+/**
+ * Decode CBOR bytes
+ * @param {Uint8Array} bytes - Encoded bytes
+ * @returns {*} Decoded value
+ */
+export function decodeCbor(bytes) {
+  const r = new Reader(bytes, "CBOR");
+  return r.done(readValue(r));
+}
+
+// ---------------------------------------------------------------------------
+
+export const serializers = {
+  json: {
+    name: "json",
+    encode: (value) => JSON.stringify(value),
+    decode: (stored) => JSON.parse(stored),
+  },
+  msgpack: { name: "msgpack", encode: encodeMsgpack, decode: decodeMsgpack },
+  cbor: { name: "cbor", encode: encodeCbor, decode: decodeCbor },
+};
+
+/**
+ * The serializer for an option: a built-in's name, or a custom serializer
+ * @param {string|Object} serializer - 'json', 'msgpack', 'cbor' or { name, encode, decode }
+ * @returns {Object} Serializer
+ */
+export function resolveSerializer(serializer = "json") {
+  if (typeof serializer === "string") {
+    if (!serializers[serializer]) {
+      throw new Error(`Unknown serializer ${serializer}; use one of ${Object.keys(serializers).join(", ")} or pass your own`);
+    }
+    return serializers[serializer];
+  }
+  const { name, encode, decode } = serializer;
+  if (!name || typeof encode !== "function" || typeof decode !== "function") {
+    throw new Error("A serializer needs a name, encode(value) and decode(stored)");
+  }
+  if (serializers[name] && serializers[name] !== serializer) {
+    throw new Error(`Serializer name ${name} is taken by a built-in`);
+  }
+  return serializer;
+}
+
+/**
+ * Look up the serializer a row was written with by its marker
+ * @param {string|null} name - Stored marker; null means JSON
+ * @param {Object} current - The serializer in use, which may be custom
+ * @returns {Object} Serializer
+ */
+export function serializerNamed(name, current) {
+  if (name == null) return serializers.json;
+  if (current?.name === name) return current;
+  if (serializers[name]) return serializers[name];
+  throw new Error(`Stored with serializer ${name}, which this reader doesn't know; pass it as the serializer option`);
+}
+
+/**
+ * The marker stored with values a serializer wrote; JSON is left unmarked so
+ * rows from before serializers read the same way
+ * @param {Object} serializer - Serializer
+ * @returns {string|null} Marker
+ */
+export const serializerMarker = (serializer) => (serializer.name === "json" ? null : serializer.name);
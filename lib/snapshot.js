@@ -1,17 +1,28 @@
 import { Database } from "bun:sqlite";
 import { existsSync, mkdirSync } from "fs";
 import { dirname } from "path";
+import { tenantPath } from "./tenancy.js";
+import { resolveSerializer, serializerMarker, serializerNamed } from "./serializers.js";
 
 /**
  * Snapshot manager for event sourcing
  * Allows saving and restoring model state at specific points
  */
 export class SnapshotManager {
+  /**
+   * @param {Object} options - { dbName, init, noWAL, tenantId, serializer };
+   *   with a tenantId the snapshots live in that tenant's own database file.
+   *   serializer (json by default) is used for state and metadata, and is
+   *   recorded with each snapshot so older ones still restore.
+   */
   constructor(options = {}) {
     const {
-      dbName = "data/snapshots.sqlite",
       init = { create: true, strict: true },
+      tenantId = null,
     } = options;
+    const dbName = tenantPath(options.dbName ?? "data/snapshots.sqlite", tenantId);
+    this.tenantId = tenantId;
+    this.serializer = resolveSerializer(options.serializer);
 
     // Ensure directory exists
     const dbDir = dirname(dbName);
@@ -38,12 +49,16 @@ export class SnapshotManager {
     `,
       )
       .run();
+    const columns = this.db.query("PRAGMA table_info(snapshots)").all();
+    if (!columns.some((column) => column.name === "serializer")) {
+      this.db.exec("ALTER TABLE snapshots ADD COLUMN serializer TEXT");
+    }
 
     // Prepare queries
     this.queries = {
       saveSnapshot: this.db.prepare(`
-        INSERT OR REPLACE INTO snapshots (event_id, model_name, created_at, state, metadata)
-        VALUES ($eventId, $modelName, $createdAt, $state, $metadata)
+        INSERT OR REPLACE INTO snapshots (event_id, model_name, created_at, state, metadata, serializer)
+        VALUES ($eventId, $modelName, $createdAt, $state, $metadata, $serializer)
       `),
       getLatestSnapshot: this.db.prepare(`
         SELECT * FROM snapshots
@@ -56,7 +71,7 @@ export class SnapshotManager {
         WHERE model_name = $modelName AND event_id = $eventId
       `),
       listSnapshots: this.db.prepare(`
-        SELECT id, event_id, model_name, created_at, metadata
+        SELECT id, event_id, model_name, created_at, metadata, serializer
         FROM snapshots
         WHERE model_name = $modelName
         ORDER BY event_id DESC
@@ -90,8 +105,9 @@ export class SnapshotManager {
         eventId,
         modelName,
         createdAt: Date.now(),
-        state: JSON.stringify(state),
-        metadata: JSON.stringify(metadata),
+        state: this.serializer.encode(state),
+        metadata: this.serializer.encode(metadata),
+        serializer: serializerMarker(this.serializer),
       });
 
       return {
@@ -130,7 +146,7 @@ export class SnapshotManager {
         };
       }
 
-      const state = JSON.parse(snapshot.state);
+      const state = this.deserialize(snapshot.state, snapshot.serializer);
       await this.restoreModelState(model, state);
 
       return {
@@ -138,7 +154,7 @@ export class SnapshotManager {
         snapshotId: snapshot.id,
         eventId: snapshot.event_id,
         replayFrom: snapshot.event_id + 1,
-        metadata: JSON.parse(snapshot.metadata || "{}"),
+        metadata: snapshot.metadata ? this.deserialize(snapshot.metadata, snapshot.serializer) : {},
       };
     } catch (error) {
       return {
@@ -254,12 +270,22 @@ export class SnapshotManager {
         limit,
         offset,
       })
-      .map((snapshot) => ({
+      .map(({ serializer, ...snapshot }) => ({
         ...snapshot,
-        metadata: JSON.parse(snapshot.metadata || "{}"),
+        metadata: snapshot.metadata ? this.deserialize(snapshot.metadata, serializer) : {},
       }));
   }
 
+  /**
+   * Decode a stored value with the serializer named on its row
+   * @param {string|Uint8Array} stored - Stored state or metadata
+   * @param {string} name - The row's serializer marker
+   * @returns {*} Decoded value
+   */
+  deserialize(stored, name) {
+    return serializerNamed(name, this.serializer).decode(stored);
+  }
+
   /**
    * Delete a specific snapshot
    * @param {string} modelName - Identifier for the model
@@ -0,0 +1,151 @@
+/**
+ * Live subscription to the event queue
+ * Yields stored events in id order: first everything already in the queue from
+ * the starting id, then new events as they arrive. Rows are pulled from SQLite
+ * one batch at a time only when the consumer asks for more, so a slow consumer
+ * falls behind instead of buffering without bound.
+ */
+export class EventSubscription {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetch - (afterId, limit) => parsed rows with id > afterId
+   * @param {number} options.lastId - Id of the last event already seen
+   * @param {number} options.batchSize - Maximum rows held in memory at once
+   * @param {number} options.pollInterval - Milliseconds between checks for rows
+   *   written by other processes; 0 relies on in-process notifications only
+   * @param {Function} options.onClose - Called once when unsubscribed
+   */
+  constructor({ fetch, lastId = 0, batchSize = 100, pollInterval = 1000, onClose }) {
+    this.fetch = fetch;
+    this.lastId = lastId;
+    this.batchSize = batchSize;
+    this.pollInterval = pollInterval;
+    this.onClose = onClose;
+    this.buffer = [];
+    this.closed = false;
+    this._wake = null;
+    this._timer = null;
+    this._endPause = null;
+  }
+
+  /**
+   * Id of the last event handed out; persist it and pass `fromId: lastId + 1`
+   * to resume after a restart
+   */
+  get position() {
+    return this.lastId;
+  }
+
+  /**
+   * Async iterator protocol: resolves with the next matching event
+   * @returns {Promise<{value: Object, done: boolean}>}
+   */
+  async next() {
+    while (!this.closed) {
+      if (this.buffer.length) {
+        return { value: this.buffer.shift(), done: false };
+      }
+
+      const rows = this.fetch(this.lastId, this.batchSize);
+      if (rows.length) {
+        this.lastId = rows[rows.length - 1].id;
+        this.buffer.push(...rows);
+        continue;
+      }
+
+      await this._waitForEvents();
+    }
+    return { value: undefined, done: true };
+  }
+
+  /**
+   * Called by `for await` on break/throw
+   */
+  async return() {
+    this.unsubscribe();
+    return { value: undefined, done: true };
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Wake a consumer waiting for new events
+   */
+  notify() {
+    if (this._wake) {
+      const wake = this._wake;
+      this._wake = null;
+      clearTimeout(this._timer);
+      this._timer = null;
+      wake();
+    }
+  }
+
+  /**
+   * Stop the subscription; a pending `next()` resolves as done
+   */
+  unsubscribe() {
+    if (this.closed) return;
+    this.closed = true;
+    this.buffer = [];
+    this.notify();
+    if (this._endPause) this._endPause();
+    if (this.onClose) this.onClose(this);
+  }
+
+  /**
+   * Resolves after ms, or as soon as the subscription is closed; new events
+   * don't end it
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise<void>}
+   */
+  pause(ms) {
+    if (this.closed) return Promise.resolve();
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => this._endPause(), ms);
+      this._endPause = () => {
+        clearTimeout(timer);
+        this._endPause = null;
+        resolve();
+      };
+    });
+  }
+
+  _waitForEvents() {
+    return new Promise((resolve) => {
+      this._wake = resolve;
+      if (this.pollInterval > 0) {
+        this._timer = setTimeout(() => this.notify(), this.pollInterval);
+      }
+    });
+  }
+}
+
+/**
+ * Runs step() each time the subscription yields, until it is closed. A step
+ * that throws is passed to onError and retried after a pause that doubles from
+ * retryDelay up to maxRetryDelay, so a failing consumer keeps going without
+ * spinning.
+ * @param {EventSubscription} subscription - Subscription to follow
+ * @param {Function} step - Work to do when events arrive
+ * @param {Object} options - { onError, retryDelay, maxRetryDelay }
+ * @returns {Promise<void>} Resolves once the subscription is closed
+ */
+export async function followSubscription(subscription, step, { onError, retryDelay = 1000, maxRetryDelay = 30000 }) {
+  let delay = retryDelay;
+  for await (const event of subscription) {
+    while (!subscription.closed) {
+      try {
+        step();
+        delay = retryDelay;
+        break;
+      } catch (error) {
+        onError(error);
+        await subscription.pause(delay);
+        delay = Math.min(delay * 2, maxRetryDelay);
+      }
+    }
+  }
+}
@@ -0,0 +1,51 @@
+import { dirname, basename, join } from "path";
+
+// Tenant ids end up in SQL view names and file paths, so they are kept to
+// characters that are safe in both
+const TENANT_ID = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Throws unless tenantId is a usable tenant id: 1 to 64 letters, digits, `_` or `-`
+ * @param {string} tenantId - Tenant id
+ * @returns {string} The tenant id
+ */
+export function assertTenantId(tenantId) {
+  if (typeof tenantId !== "string" || !TENANT_ID.test(tenantId)) {
+    throw new Error(
+      `Invalid tenant id ${JSON.stringify(tenantId)}: use 1 to 64 letters, digits, _ or -`,
+    );
+  }
+  return tenantId;
+}
+
+/**
+ * Where a tenant's copy of a per-tenant store lives: the file moves into
+ * tenants/<tenantId>/ next to where it would otherwise be, e.g.
+ * data/snapshots.sqlite -> data/tenants/acme/snapshots.sqlite.
+ * Without a tenant, or for an in-memory database, the path is unchanged.
+ * @param {string} path - File or directory path of the shared store
+ * @param {string} tenantId - Tenant id, or null/undefined
+ * @returns {string} Path for the tenant
+ */
+export function tenantPath(path, tenantId) {
+  if (tenantId === null || tenantId === undefined || path === ":memory:") return path;
+  assertTenantId(tenantId);
+  return join(dirname(path), "tenants", tenantId, basename(path));
+}
+
+/**
+ * Creates (once per connection) a temporary view of a table holding only one
+ * tenant's rows, and returns its name
+ * @param {Database} db - Open connection
+ * @param {string} table - Table with a tenant_id column
+ * @param {string} tenantId - Tenant id
+ * @param {string} name - View name (default "<table>_tenant_<tenantId>")
+ * @returns {string} Quoted view name, ready to use in SQL
+ */
+export function tenantView(db, table, tenantId, name = `${table}_tenant_${tenantId}`) {
+  assertTenantId(tenantId);
+  db.exec(
+    `CREATE TEMP VIEW IF NOT EXISTS "${name}" AS SELECT * FROM main.${table} WHERE tenant_id = '${tenantId}'`,
+  );
+  return `"${name}"`;
+}
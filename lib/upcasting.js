@@ -0,0 +1,212 @@
+/**
+ * Upcaster registry for event sourcing
+ * Old events stay as they were stored; upcasters turn them into the current
+ * shape on the way out. Each upcaster is keyed by (cmd, fromVersion) and can
+ * transform data, rename the command, or expand one stored event into several.
+ */
+export class UpcasterRegistry {
+  constructor(options = {}) {
+    this.upcasters = new Map();
+    // Guards against a registry that upcasts in a circle
+    this.maxSteps = options.maxSteps || 100;
+  }
+
+  /**
+   * Register an upcaster for one command version
+   * @param {string} cmd - Stored command name
+   * @param {number} fromVersion - Version this upcaster reads
+   * @param {Function} upcast - (data, event) => new data; or, with expand, an
+   *   array of { cmd, version, data } events
+   * @param {Object} options - { toCmd, toVersion, expand }. toVersion defaults to
+   *   fromVersion + 1, or 1 when toCmd renames the command
+   * @returns {UpcasterRegistry} this, for chaining
+   */
+  register(cmd, fromVersion, upcast, options = {}) {
+    const key = keyOf(cmd, fromVersion);
+    if (this.upcasters.has(key)) {
+      throw new Error(`Upcaster for ${cmd} v${fromVersion} is already registered`);
+    }
+    const toCmd = options.toCmd || cmd;
+    this.upcasters.set(key, {
+      cmd,
+      fromVersion,
+      upcast,
+      expand: Boolean(options.expand),
+      toCmd,
+      toVersion: options.toVersion ?? (toCmd === cmd ? fromVersion + 1 : 1),
+    });
+    return this;
+  }
+
+  /**
+   * Rename a command without changing its data
+   * @returns {UpcasterRegistry} this, for chaining
+   */
+  rename(cmd, fromVersion, toCmd, toVersion = 1) {
+    return this.register(cmd, fromVersion, (data) => data, { toCmd, toVersion });
+  }
+
+  has(cmd, version) {
+    return this.upcasters.has(keyOf(cmd, version));
+  }
+
+  /**
+   * Upcast a stored event as far as the registry goes
+   * @param {Object} row - Event row with parsed data
+   * @returns {Array} Upcast events; one unless an upcaster expanded it. Events
+   *   that changed keep the row's id and carry upcastFrom: { cmd, version }
+   */
+  upcast(row) {
+    const done = [];
+    const queue = [{ event: row, steps: 0 }];
+
+    while (queue.length) {
+      const { event, steps } = queue.shift();
+      const upcaster = this.upcasters.get(keyOf(event.cmd, event.version));
+      if (!upcaster) {
+        done.push(event);
+        continue;
+      }
+      if (steps >= this.maxSteps) {
+        throw new Error(
+          `Upcasting ${row.cmd} v${row.version} did not finish after ${this.maxSteps} steps; check for a cycle`,
+        );
+      }
+
+      const upcastFrom = event.upcastFrom || { cmd: row.cmd, version: row.version };
+      const result = upcaster.upcast(event.data, event);
+
+      if (upcaster.expand) {
+        if (!Array.isArray(result)) {
+          throw new Error(`Expanding upcaster for ${upcaster.cmd} v${upcaster.fromVersion} must return an array`);
+        }
+        // Expanded events go back through the registry for their own command,
+        // ahead of anything still queued so the output stays in order
+        queue.unshift(
+          ...result.map((next) => ({
+            event: {
+              ...event,
+              cmd: next.cmd,
+              version: next.version ?? 1,
+              data: next.data ?? {},
+              upcastFrom,
+            },
+            steps: steps + 1,
+          })),
+        );
+      } else {
+        queue.unshift({
+          event: {
+            ...event,
+            cmd: upcaster.toCmd,
+            version: upcaster.toVersion,
+            data: result,
+            upcastFrom,
+          },
+          steps: steps + 1,
+        });
+      }
+    }
+
+    return done;
+  }
+
+  /**
+   * Report holes in each command's version chain
+   * @param {Object} options - { stored } an array of { cmd, version } actually in
+   *   the log (eventQueue.validateUpcasters passes this), to also report stored
+   *   versions the registry cannot bring up to date
+   * @returns {Object} { valid, gaps, stranded }
+   */
+  validate(options = {}) {
+    const versionsByCmd = new Map();
+    for (const { cmd, fromVersion } of this.upcasters.values()) {
+      if (!versionsByCmd.has(cmd)) versionsByCmd.set(cmd, new Set());
+      versionsByCmd.get(cmd).add(fromVersion);
+    }
+
+    // A registered v1 and v3 with no v2 means v2 events stop halfway
+    const gaps = [];
+    for (const [cmd, versions] of versionsByCmd) {
+      const sorted = [...versions].sort((a, b) => a - b);
+      const missing = [];
+      for (let v = sorted[0]; v < sorted[sorted.length - 1]; v++) {
+        if (!versions.has(v) && !this._leavesCmd(cmd, v)) missing.push(v);
+      }
+      if (missing.length) gaps.push({ cmd, missing });
+    }
+
+    // Stored events whose chain ends below the newest version of their command
+    const stranded = [];
+    for (const { cmd, version, count } of options.stored || []) {
+      if (!versionsByCmd.has(cmd)) continue;
+      const latest = this.latestVersion(cmd);
+      const endsAt = this._followSameCmd(cmd, version);
+      if (endsAt !== null && endsAt < latest) {
+        stranded.push({ cmd, version, count, stopsAt: endsAt, latest });
+      }
+    }
+
+    return { valid: gaps.length === 0 && stranded.length === 0, gaps, stranded };
+  }
+
+  /**
+   * Newest version of a command the registry knows about
+   */
+  latestVersion(cmd) {
+    let latest = 1;
+    for (const upcaster of this.upcasters.values()) {
+      if (upcaster.cmd === cmd) latest = Math.max(latest, upcaster.fromVersion);
+      if (upcaster.toCmd === cmd) latest = Math.max(latest, upcaster.toVersion);
+    }
+    return latest;
+  }
+
+  // Whether the version is one nobody upcasts into because an earlier upcaster
+  // renamed or expanded the command away
+  _leavesCmd(cmd, version) {
+    for (const upcaster of this.upcasters.values()) {
+      if (
+        upcaster.cmd === cmd &&
+        upcaster.fromVersion < version &&
+        (upcaster.expand || upcaster.toCmd !== cmd)
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Version a stored event ends on while it keeps its command; null if it is
+  // renamed or expanded along the way
+  _followSameCmd(cmd, version) {
+    let current = version;
+    for (let steps = 0; steps < this.maxSteps; steps++) {
+      const upcaster = this.upcasters.get(keyOf(cmd, current));
+      if (!upcaster) return current;
+      if (upcaster.expand || upcaster.toCmd !== cmd) return null;
+      current = upcaster.toVersion;
+    }
+    return current;
+  }
+
+  /**
+   * Build a registry from modelSetup's positional migrations, where
+   * migrations[cmd][i] upgraded version i + 1 to i + 2. Empty slots used to be
+   * skipped over, so they become pass-through steps.
+   * @param {Object} migrations - { cmd: [fn, ...] }
+   * @returns {UpcasterRegistry} Registry
+   */
+  static fromMigrations(migrations = {}) {
+    const registry = new UpcasterRegistry();
+    for (const [cmd, steps] of Object.entries(migrations)) {
+      for (let index = 0; index < steps.length; index++) {
+        const migrate = steps[index];
+        registry.register(cmd, index + 1, migrate ? (data) => migrate(data) : (data) => data);
+      }
+    }
+    return registry;
+  }
+}
+
+const keyOf = (cmd, version) => `${cmd}\u0000${version}`;
@@ -0,0 +1,136 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { initQueue, modelSetup, eventCallbacks, AccessPolicy, EventQueryEngine, BulkOperations } from "../index.js";
+import { readFileSync, rmSync } from "fs";
+
+describe("Read access control", () => {
+  const dbName = "tests/data/access-control.sqlite";
+  const exportPath = "tests/data/access-control-export.jsonl";
+  const model = modelSetup({ stub: true, default: () => "" });
+  const admin = { id: "root", roles: ["admin"] };
+  const agent = { id: "agent-7", roles: ["support"] };
+  const alice = { id: "alice", roles: ["customer"] };
+  let queue;
+  let policy;
+
+  const roles = {
+    admin: { cmds: "*" },
+    support: { cmds: ["orderPlaced", "orderShipped"] },
+    customer: { cmds: { orderPlaced: true, paymentTaken: (event) => event.ip !== "internal" }, users: "self" },
+  };
+  const ids = (rows) => rows.map((row) => row.id);
+
+  beforeEach(() => {
+    for (const suffix of ["", "-wal", "-shm"]) rmSync(dbName + suffix, { force: true });
+    queue = initQueue({ dbName });
+    policy = new AccessPolicy({ roles, audit: { dbName: ":memory:" } });
+    const store = (event) => queue.store(event, model, eventCallbacks.void);
+    store({ cmd: "orderPlaced", user: "alice", correlationId: "o-1", data: { total: 10 } }); // 1
+    store({ cmd: "paymentTaken", user: "alice", causationId: 1 }); // 2
+    store({ cmd: "orderShipped", user: "warehouse", causationId: 1 }); // 3
+    store({ cmd: "orderPlaced", user: "bob", correlationId: "o-2" }); // 4
+    store({ cmd: "paymentTaken", user: "alice", ip: "internal", correlationId: "o-2" }); // 5
+  });
+
+  afterEach(() => {
+    policy.close();
+    queue._db.close();
+    for (const suffix of ["", "-wal", "-shm"]) rmSync(dbName + suffix, { force: true });
+    rmSync(exportPath, { force: true });
+  });
+
+  test("roles allow commands, and row filters narrow them by user", () => {
+    const events = queue.getEventsAfter(0);
+    expect(ids(policy.filter(admin, events))).toEqual([1, 2, 3, 4, 5]);
+    expect(ids(policy.filter(agent, events))).toEqual([1, 3, 4]);
+    expect(ids(policy.filter(alice, events))).toEqual([1, 2]);
+    expect(policy.filter({ id: "x", roles: ["unknown"] }, events)).toEqual([]);
+    expect(ids(policy.filter({ id: "alice", roles: ["customer", "support"] }, events))).toEqual([1, 2, 3, 4]);
+    expect(() => policy.canRead({ id: "x" }, events[0])).toThrow("needs an id and an array of roles");
+  });
+
+  test("a queue view reads only what the principal may, and can't write", async () => {
+    const view = policy.forQueue(queue, alice);
+    expect(view.retrieveByID(1).data).toEqual({ total: 10 });
+    expect(view.retrieveByID(4)).toBeNull();
+    expect(ids(view.getTransaction("o-1"))).toEqual([1, 2]);
+    expect(ids(view.getChildEvents(1))).toEqual([2]);
+
+    const page = view.getByCorrelationIdPaginated("o-2", { limit: 10 });
+    expect(page).toMatchObject({ events: [], totalCount: null, hasMore: false });
+
+    const lineage = policy.forQueue(queue, agent).getEventLineage(3);
+    expect(lineage.parent.id).toBe(1);
+    expect(policy.forQueue(queue, alice).getEventLineage(3)).toBeNull();
+    expect(ids(view.getEventLineage(1).children)).toEqual([2]);
+
+    expect(ids(view.getEventsAfter(2, { limit: 1 }))).toEqual([]);
+    expect(ids(policy.forQueue(queue, agent).getEventsAfter(1, { limit: 1 }))).toEqual([3]);
+    expect(ids(policy.forQueue(queue, agent).getEventsAfter(0, { limit: 1 }))).toEqual([1]);
+
+    const streamed = [];
+    for await (const batch of view.streamEvents({ batchSize: 2 })) streamed.push(...ids(batch));
+    expect(streamed).toEqual([1, 2]);
+
+    expect(() => view.store({ cmd: "orderPlaced" }, model, eventCallbacks.void)).toThrow("read-only view");
+  });
+
+  test("query engine views check rows against the stored event", () => {
+    const engine = new EventQueryEngine(dbName);
+    const view = policy.forQueryEngine(engine, agent);
+    // getDescendantEvents returns rows without their user; the rule still applies
+    expect(ids(engine.getDescendantEvents(1))).toEqual([2, 3]);
+    expect(ids(view.getDescendantEvents(1))).toEqual([3]);
+    expect(ids(view.getRootEvents())).toEqual([1, 4]);
+    expect(ids(policy.forQueryEngine(engine, alice).getEventsByCorrelationId("o-2"))).toEqual([]);
+    expect(view.getEventInfluence(1)).toBe(2);
+    expect(policy.forQueryEngine(engine, alice).getEventInfluence(3)).toBe(0);
+    expect(view.generateEventReport).toBeUndefined();
+    engine.close();
+  });
+
+  test("bulk exports contain only readable events", async () => {
+    const bulk = policy.forBulkOperations(new BulkOperations(queue), agent);
+    expect(await bulk.exportToJSONL(exportPath)).toEqual({ success: true, totalExported: 3 });
+    // The export resolves before its write stream has flushed
+    let lines = [];
+    for (let tries = 0; tries < 100 && lines.length < 3; tries++) {
+      await Bun.sleep(10);
+      lines = readFileSync(exportPath, "utf8").split("\n").filter(Boolean);
+    }
+    expect(lines.map((line) => JSON.parse(line).id)).toEqual([1, 3, 4]);
+    await expect(bulk.migrateEvents((event) => event)).rejects.toThrow();
+    await expect(bulk.exportChainCheckpoints(exportPath)).rejects.toThrow(
+      "Chain checkpoints cover events the principal may not read",
+    );
+  });
+
+  test("every read is audited with what was returned and how much was withheld", () => {
+    let clock = 1000;
+    policy.close();
+    policy = new AccessPolicy({ roles, audit: { dbName: ":memory:" }, datetime: () => clock++ });
+    const view = policy.forQueue(queue, alice);
+    view.retrieveByID(1);
+    view.retrieveByID(4);
+    view.getTransaction("o-1");
+
+    expect(policy.auditLog()).toEqual([
+      expect.objectContaining({ read_at: 1002, method: "getTransaction", event_ids: [1, 2], denied: 1 }),
+      expect.objectContaining({ read_at: 1001, method: "retrieveByID", event_ids: [], denied: 1 }),
+      expect.objectContaining({
+        read_at: 1000,
+        principal_id: "alice",
+        roles: ["customer"],
+        source: "queue",
+        method: "retrieveByID",
+        event_ids: [1],
+      }),
+    ]);
+    expect(policy.auditLog({ eventId: 2 }).map((entry) => entry.method)).toEqual(["getTransaction"]);
+    expect(policy.auditLog({ principalId: "agent-7" })).toEqual([]);
+    expect(policy.auditLog({ since: 1001, limit: 1 })).toHaveLength(1);
+
+    const unaudited = new AccessPolicy({ roles, audit: false });
+    expect(unaudited.forQueue(queue, admin).retrieveByID(1).id).toBe(1);
+    expect(() => unaudited.auditLog()).toThrow("not enabled");
+  });
+});
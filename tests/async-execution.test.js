@@ -0,0 +1,156 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { initQueue, modelSetup } from "../index.js";
+
+const tick = (ms = 1) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Async model methods", () => {
+  let queue;
+  let log;
+  let model;
+
+  beforeEach(() => {
+    queue = initQueue({ dbName: ":memory:" });
+    log = [];
+    model = modelSetup({
+      stub: true,
+      default: () => "",
+    });
+    Object.assign(model, {
+      async slowWrite({ n, delay }) {
+        await tick(delay);
+        log.push(`write ${n}`);
+        return { n };
+      },
+      async failing() {
+        await tick();
+        throw new Error("payment gateway down");
+      },
+      _done(row, res) {
+        log.push(`done ${row.cmd}`);
+      },
+      _error(err) {
+        log.push(`model error ${err.error.message}`);
+      },
+    });
+  });
+
+  test("storeAsync awaits the handler and the callbacks", async () => {
+    const cb = {
+      async _default(res, row) {
+        await tick();
+        log.push(`cb ${res.n}`);
+      },
+      _error() {},
+    };
+
+    const result = await queue.storeAsync(
+      { cmd: "slowWrite", data: { n: 1, delay: 5 } },
+      model,
+      cb,
+    );
+
+    expect(result).toEqual({ n: 1 });
+    expect(log).toEqual(["write 1", "cb 1", "done slowWrite"]);
+  });
+
+  test("storeAsync routes rejections to cb._error and model._error", async () => {
+    const errors = [];
+    const cb = {
+      _default: () => log.push("should not run"),
+      _error: (err) => errors.push(err),
+    };
+
+    const result = await queue.storeAsync({ cmd: "failing" }, model, cb);
+
+    expect(result).toBeUndefined();
+    expect(errors).toHaveLength(1);
+    expect(errors[0].error.message).toBe("payment gateway down");
+    expect(errors[0].cmd).toBe("failing");
+    expect(errors[0].id).toBe(1);
+    expect(log).toEqual(["model error payment gateway down"]);
+  });
+
+  test("storeAsync reports rejected callbacks as errors", async () => {
+    const errors = [];
+    const cb = {
+      async _default() {
+        throw new Error("email failed");
+      },
+      _error: (err) => errors.push(err.error.message),
+    };
+
+    await queue.storeAsync({ cmd: "slowWrite", data: { n: 1 } }, model, cb);
+    expect(errors).toEqual(["email failed"]);
+  });
+
+  test("storeAsync still reports a missing command", async () => {
+    const errors = [];
+    await queue.storeAsync({}, model, { _default() {}, _error: (e) => errors.push(e) });
+    expect(errors[0].msg).toContain("No command given");
+  });
+
+  test("sync execute forwards async rejections to the error callbacks only", async () => {
+    const errors = [];
+    queue.store({ cmd: "failing" }, model, {
+      _default: () => log.push("should not run"),
+      _error: (err) => errors.push(err.error.message),
+    });
+
+    expect(errors).toEqual([]);
+    await tick(10);
+    expect(errors).toEqual(["payment gateway down"]);
+    expect(log).toEqual(["model error payment gateway down"]);
+  });
+
+  test("sync execute runs the success callback with an async handler's value", async () => {
+    const seen = [];
+    queue.store({ cmd: "slowWrite", data: { n: 2 } }, model, {
+      _default: (res) => seen.push(res),
+      _error() {},
+    });
+
+    expect(seen).toEqual([]);
+    await tick(10);
+    expect(seen).toEqual([{ n: 2 }]);
+    expect(log).toEqual(["write 2", "done slowWrite"]);
+  });
+
+  test("cycleThroughAsync replays in order with async handlers", async () => {
+    const silent = { _default() {}, _error() {} };
+    // Later events finish faster, so unawaited replay would reorder them
+    await queue.storeAsync({ cmd: "slowWrite", data: { n: 1, delay: 15 } }, model, silent);
+    await queue.storeAsync({ cmd: "slowWrite", data: { n: 2, delay: 5 } }, model, silent);
+    await queue.storeAsync({ cmd: "slowWrite", data: { n: 3, delay: 1 } }, model, silent);
+    log.length = 0;
+
+    let finished = false;
+    await queue.cycleThroughAsync(
+      model,
+      () => {
+        finished = true;
+      },
+      silent,
+    );
+
+    expect(finished).toBe(true);
+    expect(log.filter((entry) => entry.startsWith("write"))).toEqual([
+      "write 1",
+      "write 2",
+      "write 3",
+    ]);
+  });
+
+  test("cycleThroughAsync honours start and stop", async () => {
+    const silent = { _default() {}, _error() {} };
+    for (let n = 1; n <= 4; n++) {
+      await queue.storeAsync({ cmd: "slowWrite", data: { n } }, model, silent);
+    }
+    log.length = 0;
+
+    await queue.cycleThroughAsync(model, null, silent, { start: 2, stop: 4 });
+    expect(log.filter((entry) => entry.startsWith("write"))).toEqual([
+      "write 2",
+      "write 3",
+    ]);
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { initQueue, modelSetup, eventCallbacks } from "../index.js";
+import { rmSync, mkdirSync } from "fs";
+
+const accountTables = (db) => {
+  db.query(
+    "CREATE TABLE IF NOT EXISTS accounts (name TEXT PRIMARY KEY, balance INTEGER NOT NULL CHECK (balance >= 0))",
+  ).run();
+};
+
+const accountQueries = (db) => ({
+  open: db.query("INSERT INTO accounts (name, balance) VALUES ($name, 0)"),
+  adjust: db.query(
+    "UPDATE accounts SET balance = balance + $amount WHERE name = $name",
+  ),
+  balance: db.query("SELECT balance FROM accounts WHERE name = $name"),
+});
+
+const accountMethods = (queries) => ({
+  opened({ name }) {
+    queries.open.run({ name });
+  },
+  deposited({ name, amount }) {
+    queries.adjust.run({ name, amount });
+  },
+  withdrawn({ name, amount }) {
+    // The CHECK constraint throws on overdraft
+    queries.adjust.run({ name, amount: -amount });
+  },
+});
+
+const balanceOf = (model, name) => model._queries.balance.get({ name })?.balance;
+
+describe("Atomic store with a shared database", () => {
+  let queue;
+  let model;
+  let errors;
+  let cb;
+
+  beforeEach(() => {
+    queue = initQueue({ dbName: ":memory:" });
+    model = modelSetup({
+      db: queue._db,
+      tables: accountTables,
+      queries: accountQueries,
+      methods: accountMethods,
+      default: () => "",
+    });
+    errors = [];
+    cb = { _default() {}, _error: (err) => errors.push(err) };
+  });
+
+  test("commits the event and the model change together", () => {
+    queue.store({ cmd: "opened", data: { name: "a" } }, model, cb);
+    queue.store({ cmd: "deposited", data: { name: "a", amount: 5 } }, model, cb);
+
+    expect(balanceOf(model, "a")).toBe(5);
+    expect(queue._queries.getLastRow.get().id).toBe(2);
+    expect(errors).toEqual([]);
+  });
+
+  test("rolls the event back when the handler throws", () => {
+    queue.store({ cmd: "opened", data: { name: "a" } }, model, cb);
+    queue.store({ cmd: "withdrawn", data: { name: "a", amount: 5 } }, model, cb);
+
+    expect(queue._queries.getLastRow.get().id).toBe(1);
+    expect(balanceOf(model, "a")).toBe(0);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ cmd: "withdrawn", rolledBack: true });
+  });
+
+  test("runs callbacks only after the commit", () => {
+    const seen = [];
+    queue.store({ cmd: "opened", data: { name: "a" } }, model, {
+      _default: (res, row) => seen.push(queue.retrieveByID(row.id)?.cmd),
+      _error() {},
+    });
+    expect(seen).toEqual(["opened"]);
+  });
+
+  test("rejects async handlers without storing the event", () => {
+    model.slow = async () => {};
+    queue.store({ cmd: "slow" }, model, cb);
+
+    expect(queue._queries.getLastRow.get()).toBeNull();
+    expect(errors[0].error.message).toContain("must be synchronous");
+  });
+
+  test("storeAsync uses the same transaction", async () => {
+    await queue.storeAsync({ cmd: "opened", data: { name: "a" } }, model, cb);
+    await queue.storeAsync(
+      { cmd: "withdrawn", data: { name: "a", amount: 1 } },
+      model,
+      cb,
+    );
+
+    expect(queue._queries.getLastRow.get().id).toBe(1);
+    expect(errors[0].rolledBack).toBe(true);
+  });
+});
+
+describe("Model recovery", () => {
+  const dataDir = "tests/data";
+  const modelPath = `${dataDir}/test-recovery-model.sqlite`;
+  let queue;
+
+  const openModel = () =>
+    modelSetup({
+      dbName: modelPath,
+      trackApplied: true,
+      tables: accountTables,
+      queries: accountQueries,
+      methods: accountMethods,
+      default: () => "",
+    });
+
+  beforeEach(() => {
+    mkdirSync(dataDir, { recursive: true });
+    rmSync(modelPath, { force: true });
+    queue = initQueue({ dbName: ":memory:" });
+  });
+
+  afterEach(() => {
+    rmSync(modelPath, { force: true });
+  });
+
+  test("records the last applied event id", () => {
+    const model = openModel();
+    expect(model._lastApplied()).toBe(0);
+    queue.store({ cmd: "opened", data: { name: "a" } }, model, eventCallbacks.void);
+    queue.store(
+      { cmd: "deposited", data: { name: "a", amount: 3 } },
+      model,
+      eventCallbacks.void,
+    );
+    expect(model._lastApplied()).toBe(2);
+    model._db.close();
+  });
+
+  test("replays events the model missed before a restart", () => {
+    const model = openModel();
+    queue.store({ cmd: "opened", data: { name: "a" } }, model, eventCallbacks.void);
+    model._db.close();
+
+    // Stored while the model was unavailable, e.g. a crash after the append
+    const stub = modelSetup({ stub: true, default: () => "" });
+    queue.store({ cmd: "deposited", data: { name: "a", amount: 4 } }, stub, eventCallbacks.void);
+    queue.store({ cmd: "deposited", data: { name: "a", amount: 6 } }, stub, eventCallbacks.void);
+
+    const restarted = openModel();
+    expect(queue.recoverModel(restarted)).toEqual({
+      from: 1,
+      lastEventId: 3,
+      replayed: 2,
+    });
+    expect(balanceOf(restarted, "a")).toBe(10);
+    expect(queue.recoverModel(restarted).replayed).toBe(0);
+    restarted._db.close();
+  });
+
+  test("counts failed events as applied", () => {
+    const model = openModel();
+    queue.store({ cmd: "opened", data: { name: "a" } }, model, eventCallbacks.void);
+    queue.store(
+      { cmd: "withdrawn", data: { name: "a", amount: 1 } },
+      model,
+      eventCallbacks.void,
+    );
+    expect(model._lastApplied()).toBe(2);
+    expect(balanceOf(model, "a")).toBe(0);
+    model._db.close();
+  });
+
+  test("rejects async handlers, whose writes would land after the applied marker", async () => {
+    const model = openModel();
+    model.slowDeposit = async ({ name, amount }) => {
+      model._queries.adjust.run({ name, amount });
+    };
+    const errors = [];
+    const cb = { _default() {}, _error: (err) => errors.push(err) };
+    queue.store({ cmd: "opened", data: { name: "a" } }, model, cb);
+    queue.store({ cmd: "slowDeposit", data: { name: "a", amount: 2 } }, model, cb);
+    await queue.storeAsync({ cmd: "slowDeposit", data: { name: "a", amount: 3 } }, model, cb);
+
+    expect(errors.map((err) => err.error.message)).toEqual([
+      "slowDeposit returned a promise; handlers of a model with trackApplied must be synchronous",
+      "slowDeposit returned a promise; handlers of a model with trackApplied must be synchronous",
+    ]);
+    // The handler's writes were rolled back, and the failed events count as applied
+    expect(balanceOf(model, "a")).toBe(0);
+    expect(model._lastApplied()).toBe(3);
+    model._db.close();
+  });
+
+  test("requires trackApplied", () => {
+    const model = modelSetup({ stub: true, default: () => "" });
+    expect(() => queue.recoverModel(model)).toThrow("trackApplied");
+  });
+});
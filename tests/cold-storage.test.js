@@ -0,0 +1,171 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { initQueue, modelSetup, eventCallbacks } from "../index.js";
+import { existsSync, rmSync, writeFileSync } from "fs";
+
+describe("Cold storage", () => {
+  const dir = "tests/data/archive";
+  const model = modelSetup({ stub: true, default: () => "" });
+  let clock;
+  let queue;
+
+  const open = (options = {}) =>
+    initQueue({ dbName: ":memory:", datetime: () => clock, archive: { dir, segmentSize: 2 }, ...options });
+  const store = (event) => queue.store(event, model, eventCallbacks.void);
+  const hotIds = () => queue._db.query("SELECT id FROM queue ORDER BY id").all().map((row) => row.id);
+
+  beforeEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    clock = Date.parse("2024-01-01T00:00:00Z");
+    queue = open();
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Three old events and two recent ones
+  const storeHistory = () => {
+    store({ cmd: "orderPlaced", correlationId: "o-1", streamId: "order-1", data: { total: 10 } });
+    store({ cmd: "stockReserved", causationId: 1, streamId: "order-1" });
+    store({ cmd: "paymentTaken", causationId: 1, streamId: "order-1" });
+    clock = Date.parse("2024-06-01T00:00:00Z");
+    store({ cmd: "orderShipped", causationId: 1, streamId: "order-1" });
+    store({ cmd: "orderPlaced", correlationId: "o-2" });
+  };
+  const before = new Date("2024-03-01T00:00:00Z");
+
+  test("moves old events into checksummed segments and keeps the rest hot", () => {
+    storeHistory();
+    const { archived, segments } = queue.archiveEvents({ before });
+
+    expect(archived).toBe(3);
+    expect(segments.map(({ first_id, last_id, event_count }) => [first_id, last_id, event_count])).toEqual([
+      [1, 2, 2],
+      [3, 3, 1],
+    ]);
+    expect(existsSync(`${dir}/events-1-2.jsonl.gz`)).toBe(true);
+    expect(hotIds()).toEqual([4, 5]);
+    expect(queue.archiveEvents({ before })).toEqual({ archived: 0, segments: [] });
+  });
+
+  test("archived events are still read by id, lineage and replay", () => {
+    storeHistory();
+    queue.archiveEvents({ before });
+
+    expect(queue.retrieveByID(1)).toMatchObject({ cmd: "orderPlaced", data: { total: 10 }, correlation_id: "o-1" });
+    expect(queue.getEventLineage(2).parent.cmd).toBe("orderPlaced");
+    expect(queue.getChildEvents(1).map((row) => row.id)).toEqual([2, 3, 4]);
+
+    const seen = [];
+    queue.cycleThrough(model, () => {}, { _default: (res, row) => seen.push(row.id), _error() {} });
+    expect(seen).toEqual([1, 2, 3, 4, 5]);
+
+    seen.length = 0;
+    queue.cycleThrough(model, () => {}, { _default: (res, row) => seen.push(row.id), _error() {} }, { start: 3, stop: 5 });
+    expect(seen).toEqual([3, 4]);
+  });
+
+  test("getEventsAfter and replayAsOf include archived events", () => {
+    storeHistory();
+    queue.archiveEvents({ before });
+
+    expect(queue.getEventsAfter(0).map((row) => row.id)).toEqual([1, 2, 3, 4, 5]);
+    expect(queue.getEventsAfter(1, { limit: 3 }).map((row) => row.id)).toEqual([2, 3, 4]);
+    expect(queue.getEventsAfter(0, { limit: 1 })[0]).toMatchObject({ cmd: "orderPlaced", data: { total: 10 } });
+
+    const asOf = (time) => queue.replayAsOf(modelSetup({ stub: true, default: () => "" }), time);
+    expect(asOf(Date.parse("2024-02-01T00:00:00Z"))).toMatchObject({ lastEventId: 3, count: 3 });
+    expect(asOf(clock)).toMatchObject({ lastEventId: 5, count: 5 });
+  });
+
+  test("ids and stream versions carry on after archiving", () => {
+    store({ cmd: "opened", streamId: "account-1" });
+    store({ cmd: "credited", streamId: "account-1" });
+    queue.archiveEvents({ before: clock + 1 });
+
+    expect(queue.getStreamVersion("account-1")).toBe(2);
+    expect(() => store({ cmd: "credited", streamId: "account-1", expectedVersion: 0 })).toThrow();
+    store({ cmd: "credited", streamId: "account-1", expectedVersion: 2 });
+    expect(hotIds()).toEqual([3]);
+  });
+
+  test("verifyArchive reports missing and altered segments", () => {
+    storeHistory();
+    queue.archiveEvents({ before });
+    expect(queue.verifyArchive().valid).toBe(true);
+
+    writeFileSync(`${dir}/events-1-2.jsonl.gz`, "tampered");
+    rmSync(`${dir}/events-3-3.jsonl.gz`);
+    expect(queue.verifyArchive().segments.map(({ valid, reason }) => [valid, reason])).toEqual([
+      [false, "checksum-mismatch"],
+      [false, "missing-file"],
+    ]);
+    expect(() => queue.retrieveByID(1)).toThrow("does not match its checksum");
+  });
+
+  test("restoring a segment puts its events back unchanged", () => {
+    storeHistory();
+    const original = queue.retrieveByID(2);
+    const [segment] = queue.archiveEvents({ before }).segments;
+
+    expect(queue.restoreArchiveSegment(segment.id)).toEqual({ restored: 2, firstId: 1, lastId: 2 });
+    expect(existsSync(segment.path)).toBe(false);
+    expect(queue.listArchiveSegments()).toHaveLength(1);
+    expect(hotIds()).toEqual([1, 2, 4, 5]);
+    expect(queue.retrieveByID(2)).toEqual(original);
+  });
+
+  test("segments keep data and metadata as the exact text stored", () => {
+    storeHistory();
+    // Text written by another tool: spacing, big integers and escapes don't
+    // survive a JSON.parse / JSON.stringify round trip
+    queue._db
+      .query("UPDATE queue SET data = $data WHERE id = 1")
+      .run({ data: '{"total": 12345678901234567890, "note": "caf\\u00e9"}' });
+    const text = () => queue._db.query("SELECT data, metadata FROM queue WHERE id = 1").get();
+    const edited = text();
+
+    const [segment] = queue.archiveEvents({ before }).segments;
+    queue.restoreArchiveSegment(segment.id);
+    expect(text()).toEqual(edited);
+  });
+
+  test("the hash chain verifies across archived and hot events", () => {
+    queue = open({ hashChain: { key: "secret" } });
+    storeHistory();
+    queue.archiveEvents({ before });
+    store({ cmd: "orderPlaced", correlationId: "o-3" });
+
+    expect(queue.verifyChain()).toMatchObject({ valid: true, checked: 6 });
+    expect(queue.verifyChain({ fromId: 4 })).toMatchObject({ valid: true, checked: 3 });
+  });
+
+  test("a reset queue forgets its archived events", () => {
+    const dbName = "tests/data/cold-storage.sqlite";
+    rmSync(dbName, { force: true });
+    queue = open({ dbName });
+    storeHistory();
+    queue.archiveEvents({ before });
+    queue._db.close();
+
+    queue = open({ dbName, reset: true });
+    store({ cmd: "orderPlaced", correlationId: "o-3" });
+    const seen = [];
+    queue.cycleThrough(model, () => {}, { _default: (res, row) => seen.push(row.correlation_id), _error() {} });
+    expect(seen).toEqual(["o-3"]);
+    expect(queue.listArchiveSegments()).toEqual([]);
+    queue._db.close();
+    rmSync(dbName, { force: true });
+  });
+
+  test("is managed from the unscoped queue only, and must be enabled", () => {
+    store({ cmd: "x", tenantId: "acme" });
+    clock += 1000;
+    queue.archiveEvents({ before: clock });
+    const acme = queue.forTenant("acme");
+    expect(acme.retrieveByID(1).cmd).toBe("x");
+    expect(queue.forTenant("globex").retrieveByID(1)).toBeNull();
+    expect(() => acme.archiveEvents({ before: clock })).toThrow("unscoped queue");
+    expect(() => initQueue({ dbName: ":memory:" }).archiveEvents({ olderThanDays: 30 })).toThrow("not enabled");
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { initQueue, modelSetup, eventCallbacks, CryptoShredder, FieldEncryptor, BulkOperations } from "../index.js";
+import { readFileSync, rmSync } from "fs";
+
+describe("Field-level encryption", () => {
+  const exportPath = "tests/data/field-encryption-export.jsonl";
+  const model = modelSetup({ stub: true, default: () => "" });
+  const user = { userId: "u-1", name: "Ada", email: "ada@example.com", phone: "555-0100" };
+  let shredder;
+  let queue;
+
+  const open = (options = {}) =>
+    initQueue({
+      dbName: ":memory:",
+      encryption: { shredder, fields: { userCreated: ["email", "phone"] }, ...options },
+    });
+  const stored = (id) => JSON.parse(queue._db.query("SELECT data FROM queue WHERE id = $id").get({ id }).data);
+
+  beforeEach(() => {
+    shredder = new CryptoShredder(":memory:");
+    queue = open();
+  });
+
+  test("encrypts the listed fields with the subject's key and leaves the rest", () => {
+    queue.store({ cmd: "userCreated", data: user }, model, eventCallbacks.void);
+    queue.store({ cmd: "userRenamed", data: { userId: "u-1", email: "kept@example.com" } }, model, eventCallbacks.void);
+
+    const row = stored(1);
+    expect(row).toMatchObject({ userId: "u-1", name: "Ada" });
+    expect(row.email.$encrypted).toMatchObject({ keyId: "user-key-u-1" });
+    expect(JSON.stringify(row)).not.toContain("ada@example.com");
+    expect(JSON.stringify(row)).not.toContain("555-0100");
+    expect(stored(2).email).toBe("kept@example.com");
+  });
+
+  test("execute, retrieveByID, cycleThrough and storeBulk see plaintext", () => {
+    const executed = [];
+    const cb = { _default: (res, row) => executed.push(row.data), _error() {} };
+    queue.store({ cmd: "userCreated", data: user }, model, cb);
+    queue.storeBulk([{ cmd: "userCreated", data: { ...user, userId: "u-2" } }], model, cb);
+
+    expect(executed).toEqual([user, { ...user, userId: "u-2" }]);
+    expect(stored(2).email.$encrypted.keyId).toBe("user-key-u-2");
+    expect(queue.retrieveByID(1).data).toEqual(user);
+    expect(queue.getEventsAfter(0).map((row) => row.data.phone)).toEqual(["555-0100", "555-0100"]);
+
+    const replayed = [];
+    queue.cycleThrough(model, () => {}, { _default: (res, row) => replayed.push(row.data), _error() {} });
+    expect(replayed).toEqual(executed);
+  });
+
+  test("after deleteUserData the fields replay as the tombstone", async () => {
+    queue = open({ tombstone: null });
+    queue.store({ cmd: "userCreated", data: user }, model, eventCallbacks.void);
+    queue.store({ cmd: "userCreated", data: { ...user, userId: "u-2" } }, model, eventCallbacks.void);
+    await shredder.deleteUserData("u-1");
+
+    const replayed = [];
+    queue.cycleThrough(model, () => {}, { _default: (res, row) => replayed.push(row.data), _error() {} });
+    expect(replayed).toEqual([
+      { userId: "u-1", name: "Ada", email: null, phone: null },
+      { ...user, userId: "u-2" },
+    ]);
+    const defaults = new FieldEncryptor({ shredder, fields: { userCreated: ["email"] } });
+    expect(defaults.decrypt("userCreated", stored(1)).email).toBe("[deleted]");
+  });
+
+  test("storing an event for a shredded user goes to the error callback", async () => {
+    await shredder.generateUserKey("u-1");
+    await shredder.deleteUserData("u-1");
+
+    // No new personal data for a subject that has been shredded
+    const errors = [];
+    const cb = { _default() {}, _error: (err) => errors.push(err) };
+    expect(queue.store({ cmd: "userCreated", data: user }, model, cb)).toBeUndefined();
+    expect(errors).toMatchObject([{ cmd: "userCreated", priority: 2, msg: expect.stringContaining("has been deleted") }]);
+    expect(queue._db.query("SELECT COUNT(*) AS n FROM queue").get().n).toBe(0);
+
+    // The same with a model sharing the queue's database
+    const atomic = modelSetup({ db: queue._db, default: () => "" });
+    errors.length = 0;
+    expect(queue.store({ cmd: "userCreated", data: user }, atomic, cb)).toBeUndefined();
+    expect(errors).toHaveLength(1);
+  });
+
+  test("tampered ciphertext throws instead of reading as deleted", () => {
+    queue.store({ cmd: "userCreated", data: user }, model, eventCallbacks.void);
+    const row = stored(1);
+    row.email.$encrypted.encrypted = "00" + row.email.$encrypted.encrypted.slice(2);
+    queue._db.query("UPDATE queue SET data = $data WHERE id = 1").run({ data: JSON.stringify(row) });
+    expect(() => queue.retrieveByID(1)).toThrow("Could not decrypt email of a userCreated event");
+  });
+
+  test("other subjects, missing subjects and null fields", () => {
+    queue = open({ fields: { orderPlaced: { fields: ["address"], subject: "customerId" } } });
+    queue.store({ cmd: "orderPlaced", data: { customerId: 7, address: "1 Main St" } }, model, eventCallbacks.void);
+    queue.store({ cmd: "orderPlaced", data: { customerId: 7, address: null } }, model, eventCallbacks.void);
+    expect(stored(1).address.$encrypted.keyId).toBe("user-key-7");
+    expect(stored(2).address).toBeNull();
+    const errors = [];
+    queue.store({ cmd: "orderPlaced", data: { address: "2 Main St" } }, model, { _error: (err) => errors.push(err.msg) });
+    expect(errors).toEqual(["orderPlaced encrypts address but has no data.customerId to key them by"]);
+  });
+
+  test("pending events hold the fields encrypted until they run", async () => {
+    queue.storeWhen(
+      { cmd: "userCreated", data: user, correlationId: "s-1", waitFor: { all: [{ pattern: "verified", correlationId: "s-1" }] } },
+      model,
+      eventCallbacks.void,
+    );
+    expect(queue._db.query("SELECT event_data FROM pending_events").get().event_data).not.toContain("ada@example.com");
+
+    queue.store({ cmd: "verified", correlationId: "s-1" }, model, eventCallbacks.void);
+    await Bun.sleep(10);
+    queue.executeReadyEvents(model, eventCallbacks.void);
+    expect(queue.getEventsAfter(0).find((row) => row.cmd === "userCreated").data).toEqual(user);
+  });
+
+  test("raw exports keep the ciphertext, plain ones decrypt", async () => {
+    queue.store({ cmd: "userCreated", data: user }, model, eventCallbacks.void);
+    const exported = async (options) => {
+      await new BulkOperations(queue).exportToJSONL(exportPath, options);
+      await Bun.sleep(10);
+      return JSON.parse(readFileSync(exportPath, "utf8")).data;
+    };
+    expect((await exported()).email).toBe("ada@example.com");
+    expect((await exported({ raw: true })).email).toHaveProperty("$encrypted");
+    rmSync(exportPath, { force: true });
+  });
+});
@@ -0,0 +1,241 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import {
+  initQueue,
+  BulkOperations,
+  ChainVerifier,
+  hashEventRow,
+  RegulatoryAuditTrail,
+  verifyCheckpointSignature,
+} from "../index.js";
+import { existsSync, rmSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { generateKeyPairSync } from "crypto";
+import { Database } from "bun:sqlite";
+import { createTestModel } from "./helpers/test-model.js";
+import { createSilentEventCallbacks } from "./helpers/test-helpers.js";
+
+describe("Hash-chained event log", () => {
+  let queue;
+  let model;
+  let cb;
+
+  const storeN = (n, q = queue) => {
+    for (let i = 1; i <= n; i++) {
+      q.store({ cmd: "tick", data: { i } }, model, cb);
+    }
+  };
+
+  const tamper = (sql, params = {}) => queue._db.query(sql).run(params);
+
+  beforeEach(() => {
+    queue = initQueue({
+      dbName: ":memory:",
+      hashChain: { key: "audit-secret", checkpointEvery: 4 },
+    });
+    model = createTestModel();
+    cb = createSilentEventCallbacks();
+  });
+
+  test("links each row to the previous row's hash", () => {
+    storeN(3);
+    const rows = queue._db
+      .query("SELECT id, hash, prev_hash FROM queue ORDER BY id")
+      .all();
+    expect(rows[0].prev_hash).toBeNull();
+    expect(rows[1].prev_hash).toBe(rows[0].hash);
+    expect(rows[2].prev_hash).toBe(rows[1].hash);
+    expect(queue.verifyChain()).toEqual({
+      valid: true,
+      checked: 3,
+      lastVerifiedId: 3,
+      firstBroken: null,
+    });
+  });
+
+  test("does not change the shape of stored rows", () => {
+    let seen;
+    queue.store({ cmd: "tick" }, model, { _default: (res, row) => (seen = row), _error() {} });
+    expect(seen.hash).toBeUndefined();
+    expect(queue.retrieveByID(1).prev_hash).toBeUndefined();
+  });
+
+  test("reports an edited row", () => {
+    storeN(5);
+    tamper(`UPDATE queue SET data = '{"i":99}' WHERE id = 3`);
+    const result = queue.verifyChain();
+    expect(result.valid).toBe(false);
+    expect(result.firstBroken).toEqual({ id: 3, reason: "hash-mismatch" });
+    expect(result.lastVerifiedId).toBe(2);
+  });
+
+  test("reports a deleted row at the next link", () => {
+    storeN(5);
+    tamper("DELETE FROM queue WHERE id = 2");
+    expect(queue.verifyChain().firstBroken).toEqual({
+      id: 3,
+      reason: "prev-hash-mismatch",
+    });
+  });
+
+  test("catches a rewritten chain through the signed checkpoint", () => {
+    storeN(6);
+    // Edit row 2 and recompute every hash after it, as a careful forger would
+    tamper(`UPDATE queue SET data = '{"i":99}' WHERE id = 2`);
+    const rows = queue._db.query("SELECT * FROM queue ORDER BY id").all();
+    let prev = null;
+    for (const row of rows) {
+      const hash = hashEventRow(row, prev);
+      tamper("UPDATE queue SET hash = $hash, prev_hash = $prev WHERE id = $id", {
+        hash,
+        prev,
+        id: row.id,
+      });
+      prev = hash;
+    }
+
+    expect(queue.verifyChain().firstBroken).toEqual({
+      id: 4,
+      reason: "checkpoint-mismatch",
+      checkpointId: 1,
+    });
+  });
+
+  test("reports truncated history through a dangling checkpoint", () => {
+    storeN(5);
+    tamper("DELETE FROM queue WHERE id >= 4");
+    expect(queue.verifyChain().firstBroken).toMatchObject({
+      id: 4,
+      reason: "missing-event",
+    });
+  });
+
+  test("signs periodic checkpoints with HMAC", () => {
+    storeN(9);
+    const checkpoints = queue.getChainCheckpoints();
+    expect(checkpoints.map((c) => c.event_id)).toEqual([4, 8]);
+    expect(checkpoints[0].algorithm).toBe("hmac-sha256");
+    expect(verifyCheckpointSignature(checkpoints[0], "audit-secret")).toBe(true);
+    expect(verifyCheckpointSignature(checkpoints[0], "wrong")).toBe(false);
+    expect(queue.verifyChain({ key: "wrong" }).firstBroken).toMatchObject({
+      id: 4,
+      reason: "bad-signature",
+    });
+  });
+
+  test("creates a checkpoint on demand", () => {
+    storeN(2);
+    const checkpoint = queue.createChainCheckpoint();
+    expect(checkpoint.event_id).toBe(2);
+    expect(queue.verifyChain().valid).toBe(true);
+  });
+
+  test("verifies a sub-range against the preceding hash", () => {
+    storeN(6);
+    tamper(`UPDATE queue SET user = 'mallory' WHERE id = 2`);
+    expect(queue.verifyChain({ fromId: 3, toId: 6 }).valid).toBe(true);
+    expect(queue.verifyChain({ fromId: 1, toId: 3 }).firstBroken.id).toBe(2);
+  });
+
+  test("chains storeBulk and stream appends", () => {
+    queue.storeBulk([{ cmd: "a" }, { cmd: "b", causationId: "1" }]);
+    queue.store({ cmd: "c", streamId: "s-1", expectedVersion: 0 }, model, cb);
+    expect(queue.verifyChain()).toMatchObject({ valid: true, checked: 3 });
+  });
+
+  test("rolls back the event when chaining fails", () => {
+    storeN(3);
+    tamper("DROP TABLE chain_checkpoints");
+    expect(() => storeN(1)).toThrow();
+    expect(queue._queries.getLastRow.get().id).toBe(3);
+  });
+
+  test("is off unless asked for", () => {
+    const plain = initQueue({ dbName: ":memory:" });
+    expect(plain.isHashChained()).toBe(false);
+    expect(() => plain.verifyChain()).toThrow("not enabled");
+    const columns = plain._db.query("PRAGMA table_info(queue)").all().map((c) => c.name);
+    expect(columns).not.toContain("hash");
+  });
+
+  describe("with files", () => {
+    const dataDir = "tests/data";
+    const dbPath = `${dataDir}/test-hash-chain.sqlite`;
+    const keyPath = `${dataDir}/test-hash-chain.pem`;
+    const eventsPath = `${dataDir}/test-hash-chain-events.jsonl`;
+    const checkpointsPath = `${dataDir}/test-hash-chain-checkpoints.jsonl`;
+    const files = [dbPath, keyPath, eventsPath, checkpointsPath];
+
+    beforeEach(() => {
+      if (!existsSync(dataDir)) mkdirSync(dataDir, { recursive: true });
+      files.forEach((file) => existsSync(file) && rmSync(file));
+    });
+
+    afterEach(() => {
+      files.forEach((file) => existsSync(file) && rmSync(file));
+    });
+
+    test("starts the chain after rows stored before it was enabled", () => {
+      storeN(2, initQueue({ dbName: dbPath }));
+      const chained = initQueue({ dbName: dbPath, hashChain: true });
+      storeN(2, chained);
+      expect(chained.verifyChain()).toMatchObject({ valid: true, checked: 2 });
+      expect(chained.createChainCheckpoint()).toMatchObject({
+        event_id: 4,
+        signature: null,
+      });
+    });
+
+    test("starts a fresh chain when the queue is reset", () => {
+      const hashChain = { key: "audit-secret", checkpointEvery: 4 };
+      storeN(4, initQueue({ dbName: dbPath, hashChain }));
+      const reset = initQueue({ dbName: dbPath, hashChain, reset: true });
+      storeN(2, reset);
+      expect(reset.getChainCheckpoints()).toEqual([]);
+      expect(reset.verifyChain()).toMatchObject({ valid: true, checked: 2 });
+    });
+
+    test("signs with an Ed25519 key file", () => {
+      const { privateKey, publicKey } = generateKeyPairSync("ed25519");
+      writeFileSync(keyPath, privateKey.export({ type: "pkcs8", format: "pem" }));
+      const signed = initQueue({
+        dbName: ":memory:",
+        hashChain: { keyFile: keyPath, checkpointEvery: 2 },
+      });
+      storeN(2, signed);
+
+      const [checkpoint] = signed.getChainCheckpoints();
+      expect(checkpoint.algorithm).toBe("ed25519");
+      expect(verifyCheckpointSignature(checkpoint, publicKey)).toBe(true);
+      expect(signed.verifyChain({ key: publicKey }).valid).toBe(true);
+    });
+
+    test("exports rows and checkpoints an auditor can verify", async () => {
+      storeN(5);
+      const bulk = new BulkOperations(queue);
+      await bulk.exportToJSONL(eventsPath, { includeChain: true });
+      await bulk.exportChainCheckpoints(checkpointsPath);
+      await Bun.sleep(10);
+
+      const read = (file) =>
+        readFileSync(file, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+      const verifier = new ChainVerifier({
+        checkpoints: read(checkpointsPath),
+        key: "audit-secret",
+      });
+      read(eventsPath).forEach((row) => verifier.check(row));
+      expect(verifier.result()).toMatchObject({ valid: true, checked: 5 });
+    });
+  });
+
+  test("feeds the regulatory audit trail integrity check", async () => {
+    storeN(3);
+    tamper(`UPDATE queue SET cmd = 'forged' WHERE id = 2`);
+    const auditTrail = new RegulatoryAuditTrail(new Database(":memory:"), {
+      eventQueue: queue,
+    });
+
+    const integrity = await auditTrail._checkDataIntegrity([]);
+    expect(integrity.consistency).toBe(false);
+    expect(integrity.hashChain.firstBroken.id).toBe(2);
+    expect(integrity.issues[0].type).toBe("hash-chain");
+  });
+});
@@ -0,0 +1,168 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { initQueue, modelSetup, eventCallbacks } from "../index.js";
+import { rmSync, mkdirSync } from "fs";
+
+const countingModel = (calls) => {
+  const model = modelSetup({ stub: true, default: () => "" });
+  model.paymentReceived = (data) => {
+    calls.push(data.amount);
+    return { credited: data.amount };
+  };
+  return model;
+};
+
+const payment = (key, amount = 10) => ({
+  cmd: "paymentReceived",
+  data: { amount },
+  idempotencyKey: key,
+});
+
+describe("Idempotency keys", () => {
+  let queue;
+  let calls;
+  let model;
+
+  beforeEach(() => {
+    queue = initQueue({ dbName: ":memory:" });
+    calls = [];
+    model = countingModel(calls);
+  });
+
+  const eventCount = () => queue._db.query("SELECT COUNT(*) AS n FROM queue").get().n;
+
+  test("a repeated key returns the original row without running the model again", () => {
+    const first = queue.store(payment("evt_1"), model, eventCallbacks.void);
+    expect(first).toEqual({ credited: 10 });
+
+    const called = [];
+    const repeat = queue.store(payment("evt_1", 99), model, {
+      _default: () => called.push("default"),
+      _error: () => called.push("error"),
+    });
+
+    expect(repeat).toMatchObject({
+      id: 1,
+      cmd: "paymentReceived",
+      data: { amount: 10 },
+      duplicate: true,
+    });
+    expect(calls).toEqual([10]);
+    expect(called).toEqual([]);
+    expect(eventCount()).toBe(1);
+  });
+
+  test("storeAsync deduplicates the same way", async () => {
+    await queue.storeAsync(payment("evt_1"), model, eventCallbacks.void);
+    const repeat = await queue.storeAsync(payment("evt_1"), model, eventCallbacks.void);
+    expect(repeat.duplicate).toBe(true);
+    expect(calls).toEqual([10]);
+  });
+
+  test("events without a key are never deduplicated", () => {
+    queue.store(payment(undefined), model, eventCallbacks.void);
+    queue.store(payment(undefined), model, eventCallbacks.void);
+    expect(eventCount()).toBe(2);
+  });
+
+  test("an expired key can be used again", async () => {
+    const shortLived = initQueue({ dbName: ":memory:", idempotency: { ttl: 20 } });
+    shortLived.store(payment("evt_1"), model, eventCallbacks.void);
+    await Bun.sleep(30);
+
+    expect(shortLived.findByIdempotencyKey("evt_1")).toBeNull();
+    const again = shortLived.store(payment("evt_1", 5), model, eventCallbacks.void);
+    expect(again).toEqual({ credited: 5 });
+    expect(shortLived.findByIdempotencyKey("evt_1").id).toBe(2);
+  });
+
+  test("pruneIdempotencyKeys removes only expired keys", async () => {
+    const shortLived = initQueue({ dbName: ":memory:", idempotency: { ttl: 20 } });
+    shortLived.store(payment("old"), model, eventCallbacks.void);
+    await Bun.sleep(30);
+    shortLived.store(payment("new"), model, eventCallbacks.void);
+
+    expect(shortLived.pruneIdempotencyKeys()).toBe(1);
+    expect(shortLived.findByIdempotencyKey("new")).not.toBeNull();
+  });
+
+  test("a null ttl keeps keys forever", () => {
+    const forever = initQueue({ dbName: ":memory:", idempotency: { ttl: null } });
+    forever.store(payment("evt_1"), model, eventCallbacks.void);
+    const { expires_at } = forever._db.query("SELECT expires_at FROM idempotency_keys").get();
+    expect(expires_at).toBeNull();
+  });
+
+  test("storeBulk skips keys already stored, including within the batch", () => {
+    queue.store(payment("evt_1"), model, eventCallbacks.void);
+    const results = queue.storeBulk([payment("evt_1"), payment("evt_2"), payment("evt_2")]);
+
+    expect(results.map(({ row }) => [row.id, Boolean(row.duplicate)])).toEqual([
+      [1, true],
+      [2, false],
+      [2, true],
+    ]);
+    expect(eventCount()).toBe(2);
+  });
+
+  test("a key is not claimed when its event fails to store", () => {
+    const errors = [];
+    const cb = { _default() {}, _error: (err) => errors.push(err) };
+    queue.store({ cmd: "opened", streamId: "s1" }, model, cb);
+
+    expect(() =>
+      queue.store({ ...payment("evt_1"), streamId: "s1", expectedVersion: 0 }, model, cb),
+    ).toThrow();
+    expect(queue.findByIdempotencyKey("evt_1")).toBeNull();
+  });
+
+  test("atomic models return the original row on a repeat", () => {
+    const atomic = initQueue({ dbName: ":memory:" });
+    const shared = modelSetup({
+      db: atomic._db,
+      tables(db) {
+        db.query("CREATE TABLE IF NOT EXISTS balances (amount INTEGER)").run();
+      },
+      queries(db) {
+        return { credit: db.query("INSERT INTO balances (amount) VALUES ($amount)") };
+      },
+      methods(queries) {
+        return {
+          paymentReceived({ amount }) {
+            queries.credit.run({ amount });
+            return amount;
+          },
+        };
+      },
+    });
+
+    expect(atomic.store(payment("evt_1"), shared, eventCallbacks.void)).toBe(10);
+    expect(atomic.store(payment("evt_1"), shared, eventCallbacks.void).duplicate).toBe(true);
+    expect(atomic._db.query("SELECT COUNT(*) AS n FROM balances").get().n).toBe(1);
+  });
+
+  describe("across restarts", () => {
+    const dbName = "tests/data/test-idempotency.sqlite";
+
+    beforeEach(() => {
+      mkdirSync("tests/data", { recursive: true });
+      rmSync(dbName, { force: true });
+    });
+
+    afterEach(() => {
+      for (const suffix of ["", "-wal", "-shm"]) {
+        rmSync(dbName + suffix, { force: true });
+      }
+    });
+
+    test("keys persist in the events database", () => {
+      const before = initQueue({ dbName });
+      before.store(payment("evt_1"), model, eventCallbacks.void);
+      before._db.close();
+
+      const after = initQueue({ dbName });
+      expect(after.store(payment("evt_1"), model, eventCallbacks.void).duplicate).toBe(true);
+      expect(calls).toEqual([10]);
+      after._db.close();
+    });
+  });
+});
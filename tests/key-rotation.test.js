@@ -0,0 +1,203 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { initQueue, modelSetup, eventCallbacks, CryptoShredder } from "../index.js";
+import { Database } from "bun:sqlite";
+import { createCipheriv, randomBytes } from "crypto";
+import { rmSync, writeFileSync } from "fs";
+
+describe("CryptoShredder envelope encryption and key rotation", () => {
+  const keyDb = "tests/data/rotation-keys.sqlite";
+  const keyFile = "tests/data/rotation-master.key";
+  const archiveDir = "tests/data/rotation-archive";
+  const masterKey = randomBytes(32);
+  const model = modelSetup({ stub: true, default: () => "" });
+
+  const storedKeys = () =>
+    new Database(keyDb).query("SELECT key_id, version, key_data, master_key_id FROM data_keys ORDER BY version").all();
+
+  const cleanup = () => {
+    for (const path of [keyDb, `${keyDb}-wal`, `${keyDb}-shm`, keyFile]) rmSync(path, { force: true });
+    rmSync(archiveDir, { recursive: true, force: true });
+    delete process.env.EVENTLITE_MASTER_KEY;
+  };
+  beforeEach(cleanup);
+  afterEach(cleanup);
+
+  test("data keys are stored wrapped by the master key", () => {
+    const shredder = new CryptoShredder(keyDb, { masterKey });
+    const keyId = shredder.ensureUserKey("u-1");
+    const secret = shredder.encrypt({ ssn: "123-45-6789" }, keyId);
+
+    const [row] = storedKeys();
+    expect(row.master_key_id).toMatch(/^[0-9a-f]{16}$/);
+    expect(row.key_data.length).toBe(12 + 16 + 32);
+
+    expect(() => new CryptoShredder(keyDb).decrypt(secret)).toThrow("is wrapped; pass the master key");
+    expect(() => new CryptoShredder(keyDb, { masterKey: randomBytes(32) }).decrypt(secret)).toThrow(
+      "not the one given",
+    );
+    expect(new CryptoShredder(keyDb, { masterKey: masterKey.toString("hex") }).decrypt(secret)).toEqual({
+      ssn: "123-45-6789",
+    });
+  });
+
+  test("the master key can come from an environment variable or a key file", () => {
+    const shredder = new CryptoShredder(keyDb, { masterKey });
+    const secret = shredder.encrypt("x", shredder.ensureUserKey("u-1"));
+
+    process.env.EVENTLITE_MASTER_KEY = masterKey.toString("base64");
+    expect(new CryptoShredder(keyDb).decrypt(secret)).toBe("x");
+    delete process.env.EVENTLITE_MASTER_KEY;
+
+    writeFileSync(keyFile, masterKey);
+    expect(new CryptoShredder(keyDb, { masterKeyFile: keyFile }).decrypt(secret)).toBe("x");
+    writeFileSync(keyFile, masterKey.toString("hex") + "\n");
+    expect(new CryptoShredder(keyDb, { masterKeyFile: keyFile }).decrypt(secret)).toBe("x");
+
+    expect(() => new CryptoShredder(keyDb, { masterKey: "too-short" })).toThrow("must be 32 bytes");
+  });
+
+  test("keys from before versioning are migrated and wrapped", () => {
+    // The old layout: one raw key per user in encryption_keys
+    const rawKey = randomBytes(32);
+    const legacy = new Database(keyDb, { create: true });
+    legacy.exec("CREATE TABLE encryption_keys (key_id TEXT PRIMARY KEY, key_data BLOB NOT NULL, created_at INTEGER, deleted_at INTEGER)");
+    legacy.query("INSERT INTO encryption_keys (key_id, key_data) VALUES ('user-key-u-1', ?)").run(rawKey);
+    legacy.close();
+    const iv = randomBytes(16);
+    const cipher = createCipheriv("aes-256-gcm", rawKey, iv);
+    const encrypted = cipher.update(JSON.stringify({ old: true }), "utf8", "hex") + cipher.final("hex");
+    const oldSecret = { encrypted, iv: iv.toString("hex"), authTag: cipher.getAuthTag().toString("hex"), keyId: "user-key-u-1" };
+
+    const shredder = new CryptoShredder(keyDb, { masterKey });
+    expect(shredder.decrypt(oldSecret)).toEqual({ old: true });
+    expect(storedKeys()).toMatchObject([{ key_id: "user-key-u-1", version: 1 }]);
+    expect(storedKeys()[0].master_key_id).not.toBeNull();
+    shredder.db.close();
+
+    // The old table is kept, renamed, and the migration doesn't run again
+    const db = new Database(keyDb);
+    const tables = db.query("SELECT name FROM sqlite_master WHERE name LIKE 'encryption_keys%'").all();
+    expect(tables.map((table) => table.name)).toEqual(["encryption_keys_legacy"]);
+    expect(Buffer.from(db.query("SELECT key_data FROM encryption_keys_legacy").get().key_data)).toEqual(rawKey);
+    db.close();
+    expect(new CryptoShredder(keyDb, { masterKey }).decrypt(oldSecret)).toEqual({ old: true });
+  });
+
+  test("a migration that fails part way leaves the old keys where they were", () => {
+    const legacy = new Database(keyDb, { create: true });
+    legacy.exec("CREATE TABLE encryption_keys (key_id TEXT PRIMARY KEY, key_data BLOB NOT NULL, created_at INTEGER, deleted_at INTEGER)");
+    legacy.query("INSERT INTO encryption_keys (key_id, key_data) VALUES ('user-key-u-1', ?)").run(randomBytes(32));
+    // A table already named encryption_keys_legacy makes the rename fail
+    legacy.exec("CREATE TABLE encryption_keys_legacy (key_id TEXT)");
+    legacy.close();
+
+    expect(() => new CryptoShredder(keyDb, { masterKey })).toThrow();
+    const db = new Database(keyDb);
+    expect(db.query("SELECT key_id FROM encryption_keys").all()).toEqual([{ key_id: "user-key-u-1" }]);
+    expect(db.query("SELECT COUNT(*) AS n FROM data_keys").get().n).toBe(0);
+    db.close();
+  });
+
+  test("rotating a user's key starts a new version and old ciphertexts still decrypt", async () => {
+    const shredder = new CryptoShredder(keyDb, { masterKey });
+    const keyId = await shredder.generateUserKey("u-1");
+    expect(await shredder.generateUserKey("u-1")).toBe(keyId);
+    const before = shredder.encrypt({ n: 1 }, keyId);
+
+    expect(await shredder.rotateUserKey("u-1")).toEqual({ keyId, version: 2 });
+    const after = shredder.encrypt({ n: 2 }, keyId);
+    expect([before.version, after.version]).toEqual([1, 2]);
+    expect(shredder.decrypt(before)).toEqual({ n: 1 });
+    expect(shredder.reencrypt(after)).toBeNull();
+    expect(shredder.decrypt(shredder.reencrypt(before))).toEqual({ n: 1 });
+
+    await shredder.deleteUserData("u-1");
+    expect([shredder.decrypt(before), shredder.decrypt(after)]).toEqual([null, null]);
+    await expect(shredder.rotateUserKey("u-1")).rejects.toThrow("has been deleted");
+  });
+
+  test("rotating the master key re-wraps data keys without touching ciphertexts", async () => {
+    const shredder = new CryptoShredder(keyDb, { masterKey });
+    const secret = shredder.encrypt({ n: 1 }, shredder.ensureUserKey("u-1"));
+    shredder.ensureUserKey("u-2");
+    const newMasterKey = randomBytes(32);
+
+    const { rewrapped, masterKeyId } = await shredder.rotateMasterKey(newMasterKey);
+    expect(rewrapped).toBe(2);
+    expect(storedKeys().every((row) => row.master_key_id === masterKeyId)).toBe(true);
+    expect(shredder.decrypt(secret)).toEqual({ n: 1 });
+    expect(new CryptoShredder(keyDb, { masterKey: newMasterKey }).decrypt(secret)).toEqual({ n: 1 });
+    expect(() => new CryptoShredder(keyDb, { masterKey }).decrypt(secret)).toThrow("not the one given");
+  });
+
+  test("the queue's re-encryption job moves encrypted fields to the newest key", async () => {
+    const shredder = new CryptoShredder(keyDb, { masterKey });
+    const queue = initQueue({ dbName: ":memory:", encryption: { shredder, fields: { userCreated: ["email"] } } });
+    for (let i = 0; i < 5; i++) {
+      queue.store({ cmd: "userCreated", data: { userId: "u-1", email: `a${i}@example.com` } }, model, eventCallbacks.void);
+      queue.store({ cmd: "loggedIn", data: { userId: "u-1" } }, model, eventCallbacks.void);
+    }
+    await shredder.rotateUserKey("u-1");
+
+    const versions = () =>
+      queue._db
+        .query("SELECT data FROM queue WHERE cmd = 'userCreated'")
+        .all()
+        .map((row) => JSON.parse(row.data).email.$encrypted.version);
+    expect(versions()).toEqual([1, 1, 1, 1, 1]);
+
+    const first = queue.reencryptFields({ batchSize: 3 });
+    expect(first).toEqual({ scanned: 3, reencrypted: 3, lastId: 5, done: false });
+    const rest = queue.reencryptFields({ batchSize: 3, afterId: first.lastId });
+    expect(rest).toMatchObject({ scanned: 2, reencrypted: 2, done: true });
+    expect(versions()).toEqual([2, 2, 2, 2, 2]);
+    expect(queue.reencryptFields()).toMatchObject({ reencrypted: 0, done: true });
+
+    expect(await shredder.retireOldKeyVersions("u-1")).toBe(1);
+    expect(queue.getEventsAfter(0).filter((row) => row.cmd === "userCreated").map((row) => row.data.email)).toEqual(
+      [0, 1, 2, 3, 4].map((i) => `a${i}@example.com`),
+    );
+
+    expect(() => initQueue({ dbName: ":memory:" }).reencryptFields()).toThrow("not enabled");
+    const chained = initQueue({ dbName: ":memory:", hashChain: true, encryption: { shredder, fields: { userCreated: ["email"] } } });
+    expect(() => chained.reencryptFields()).toThrow("break the hash chain");
+  });
+  test("old key versions aren't retired while archived or pending events still use them", async () => {
+    const shredder = new CryptoShredder(keyDb, { masterKey });
+    let clock = 1000;
+    const queue = initQueue({
+      dbName: ":memory:",
+      datetime: () => clock,
+      archive: { dir: archiveDir },
+      encryption: { shredder, fields: { userCreated: ["email"] } },
+    });
+    const created = (email) => ({ cmd: "userCreated", data: { userId: "u-1", email } });
+    queue.store(created("archived@example.com"), model, eventCallbacks.void);
+    clock = 3000;
+    queue.archiveEvents({ before: 2000 });
+    queue.store(created("hot@example.com"), model, eventCallbacks.void);
+    queue.storeWhen(
+      { ...created("pending@example.com"), correlationId: "c-1", waitFor: { all: [{ pattern: "verified", correlationId: "c-1" }] } },
+      model,
+      eventCallbacks.void,
+    );
+    await shredder.rotateUserKey("u-1");
+
+    // Re-encryption moves the hot event but not the archived or pending ones
+    expect(queue.reencryptFields()).toMatchObject({ reencrypted: 1, done: true });
+    expect(queue.keyVersionsInUse("user-key-u-1")).toEqual([1, 2]);
+    await expect(shredder.retireOldKeyVersions("u-1")).rejects.toThrow("user-key-u-1 v1 still encrypts stored events");
+    expect(shredder.hasKey("user-key-u-1", 1)).toBe(true);
+
+    // Once the pending event runs and the segment is restored and re-encrypted, v1 can go
+    queue.store({ cmd: "verified", correlationId: "c-1" }, model, eventCallbacks.void);
+    queue.checkAllPendingEvents();
+    queue.executeReadyEvents(model, eventCallbacks.void);
+    queue.restoreArchiveSegment(queue.listArchiveSegments()[0].id);
+    expect(queue.reencryptFields()).toMatchObject({ reencrypted: 1, done: true });
+    expect(queue.keyVersionsInUse("user-key-u-1")).toEqual([2]);
+    expect(await shredder.retireOldKeyVersions("u-1")).toBe(1);
+    const emails = queue.getEventsAfter(0).filter((row) => row.cmd === "userCreated").map((row) => row.data.email);
+    expect(emails).toEqual(["archived@example.com", "hot@example.com", "pending@example.com"]);
+  });
+});
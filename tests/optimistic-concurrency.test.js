@@ -0,0 +1,230 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { initQueue, ConcurrencyError } from "../index.js";
+import { Database } from "bun:sqlite";
+import { rmSync, mkdirSync } from "fs";
+import { createTestModel } from "./helpers/test-model.js";
+
+describe("Optimistic concurrency on streams", () => {
+  let queue;
+  let model;
+  let errors;
+  let cb;
+
+  beforeEach(() => {
+    queue = initQueue({ dbName: ":memory:" });
+    model = createTestModel();
+    errors = [];
+    cb = {
+      _default: () => {},
+      _error: (err) => errors.push(err),
+    };
+  });
+
+  test("assigns sequential stream versions", () => {
+    queue.store({ cmd: "orderPlaced", streamId: "order-1" }, model, cb);
+    queue.store({ cmd: "orderPaid", streamId: "order-1" }, model, cb);
+    queue.store({ cmd: "orderPlaced", streamId: "order-2" }, model, cb);
+
+    expect(queue.retrieveByID(1).stream_version).toBe(1);
+    expect(queue.retrieveByID(2).stream_version).toBe(2);
+    expect(queue.retrieveByID(3).stream_version).toBe(1);
+    expect(queue.getStreamVersion("order-1")).toBe(2);
+    expect(queue.getStreamVersion("unknown")).toBe(0);
+  });
+
+  test("leaves stream columns empty for events without a stream", () => {
+    queue.store({ cmd: "ping" }, model, cb);
+    const row = queue.retrieveByID(1);
+    expect(row.stream_id).toBeNull();
+    expect(row.stream_version).toBeNull();
+  });
+
+  test("accepts an append whose expected version matches", () => {
+    queue.store(
+      { cmd: "orderPlaced", streamId: "order-1", expectedVersion: 0 },
+      model,
+      cb,
+    );
+    queue.store(
+      { cmd: "orderPaid", streamId: "order-1", expectedVersion: 1 },
+      model,
+      cb,
+    );
+    expect(queue.getStreamVersion("order-1")).toBe(2);
+    expect(errors).toHaveLength(0);
+  });
+
+  test("rejects a stale expected version through cb._error and a throw", () => {
+    queue.store({ cmd: "orderPlaced", streamId: "order-1" }, model, cb);
+    queue.store({ cmd: "orderPaid", streamId: "order-1" }, model, cb);
+
+    let thrown;
+    try {
+      queue.store(
+        { cmd: "orderCancelled", streamId: "order-1", expectedVersion: 1 },
+        model,
+        cb,
+      );
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown).toBeInstanceOf(ConcurrencyError);
+    expect(thrown.streamId).toBe("order-1");
+    expect(thrown.expectedVersion).toBe(1);
+    expect(thrown.actualVersion).toBe(2);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].error).toBe(thrown);
+    expect(queue._queries.getLastRow.get().cmd).toBe("orderPaid");
+  });
+
+  test("rejects for async callers", async () => {
+    queue.store({ cmd: "orderPlaced", streamId: "order-1" }, model, cb);
+    const attempt = async () =>
+      queue.store(
+        { cmd: "orderPlaced", streamId: "order-1", expectedVersion: 0 },
+        model,
+        cb,
+      );
+    await expect(attempt()).rejects.toBeInstanceOf(ConcurrencyError);
+  });
+
+  test("does not execute the model on conflict", () => {
+    let executed = 0;
+    const countingModel = createTestModel({
+      default: () => {
+        executed++;
+        return "";
+      },
+    });
+    queue.store({ cmd: "a", streamId: "s" }, countingModel, cb);
+    expect(() =>
+      queue.store(
+        { cmd: "b", streamId: "s", expectedVersion: 0 },
+        countingModel,
+        cb,
+      ),
+    ).toThrow(ConcurrencyError);
+    expect(executed).toBe(1);
+  });
+
+  test("passes stream info to model methods", () => {
+    let seen;
+    const streamModel = createTestModel({
+      default: (data, meta) => {
+        seen = meta;
+        return "";
+      },
+    });
+    queue.store({ cmd: "orderPlaced", streamId: "order-9" }, streamModel, cb);
+    expect(seen.streamId).toBe("order-9");
+    expect(seen.streamVersion).toBe(1);
+  });
+
+  test("storeBulk assigns versions and rolls back on conflict", () => {
+    queue.storeBulk([
+      { cmd: "a", streamId: "s" },
+      { cmd: "b", streamId: "s" },
+    ]);
+    expect(queue.getStreamVersion("s")).toBe(2);
+
+    expect(() =>
+      queue.storeBulk([
+        { cmd: "c", streamId: "s", expectedVersion: 2 },
+        { cmd: "d", streamId: "s", expectedVersion: 2 },
+      ]),
+    ).toThrow(ConcurrencyError);
+    expect(queue.getStreamVersion("s")).toBe(2);
+    expect(queue._queries.getLastRow.get().id).toBe(2);
+  });
+
+  test("storeBulk names the stream that conflicted, not the first in the batch", () => {
+    queue.storeBulk([{ cmd: "a", streamId: "s-1" }, { cmd: "a", streamId: "s-2" }]);
+
+    let thrown;
+    try {
+      queue.storeBulk([
+        { cmd: "b", streamId: "s-1", expectedVersion: 1 },
+        { cmd: "b", streamId: "s-2", expectedVersion: 0 },
+      ]);
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown).toMatchObject({ streamId: "s-2", expectedVersion: 0, actualVersion: 1 });
+
+    // Another writer taking s-2's next version between the read and the insert
+    queue._db.exec(`
+      CREATE TRIGGER racing_writer BEFORE INSERT ON queue WHEN NEW.stream_id = 's-2'
+      BEGIN
+        INSERT INTO queue (datetime, cmd, stream_id, stream_version) VALUES (0, 'raced', 's-2', NEW.stream_version);
+      END
+    `);
+    thrown = null;
+    try {
+      queue.storeBulk([
+        { cmd: "b", streamId: "s-1", expectedVersion: 1 },
+        { cmd: "b", streamId: "s-2", expectedVersion: 1 },
+      ]);
+    } catch (error) {
+      thrown = error;
+    }
+    expect(thrown).toBeInstanceOf(ConcurrencyError);
+    expect(thrown).toMatchObject({ streamId: "s-2", expectedVersion: 1 });
+    expect(queue.getStreamVersion("s-1")).toBe(1);
+  });
+
+  test("filters transactions and streams by stream id", async () => {
+    const correlationId = "checkout-1";
+    queue.store({ cmd: "cartClosed", correlationId, streamId: "cart-1" }, model, cb);
+    queue.store({ cmd: "orderPlaced", correlationId, streamId: "order-1" }, model, cb);
+    queue.store({ cmd: "orderPaid", correlationId, streamId: "order-1" }, model, cb);
+
+    expect(queue.getTransaction(correlationId)).toHaveLength(3);
+    const orderEvents = queue.getTransaction(correlationId, { streamId: "order-1" });
+    expect(orderEvents.map((e) => e.cmd)).toEqual(["orderPlaced", "orderPaid"]);
+
+    const streamed = [];
+    for await (const batch of queue.streamEvents({ streamId: "order-1" })) {
+      streamed.push(...batch);
+    }
+    expect(streamed.map((e) => e.stream_version)).toEqual([1, 2]);
+  });
+
+  test("detects a conflicting writer on another connection", () => {
+    const dbPath = "tests/data/test-concurrency.sqlite";
+    mkdirSync("tests/data", { recursive: true });
+    rmSync(dbPath, { force: true });
+
+    const first = initQueue({ dbName: dbPath });
+    const second = initQueue({ dbName: dbPath });
+
+    first.store({ cmd: "a", streamId: "s", expectedVersion: 0 }, model, cb);
+    expect(() =>
+      second.store({ cmd: "b", streamId: "s", expectedVersion: 0 }, model, cb),
+    ).toThrow(ConcurrencyError);
+
+    rmSync(dbPath);
+  });
+
+  test("upgrades an existing queue table without stream columns", () => {
+    const dbPath = "tests/data/test-concurrency-legacy.sqlite";
+    mkdirSync("tests/data", { recursive: true });
+    rmSync(dbPath, { force: true });
+
+    const legacy = new Database(dbPath, { create: true });
+    legacy.exec(
+      "CREATE TABLE queue ( id INTEGER PRIMARY KEY AUTOINCREMENT, version INTEGER DEFAULT 1, datetime INTEGER NOT NULL, user TEXT, ip TEXT, cmd TEXT NOT NULL, data TEXT, correlation_id TEXT, causation_id INTEGER, metadata TEXT)",
+    );
+    legacy.exec(
+      "INSERT INTO queue (datetime, cmd, data) VALUES (1, 'legacy', '{}')",
+    );
+    legacy.close();
+
+    const upgraded = initQueue({ dbName: dbPath });
+    expect(upgraded.retrieveByID(1).stream_id).toBeNull();
+    upgraded.store({ cmd: "modern", streamId: "s" }, model, cb);
+    expect(upgraded.getStreamVersion("s")).toBe(1);
+
+    rmSync(dbPath);
+  });
+});
@@ -0,0 +1,230 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { initQueue, modelSetup, eventCallbacks, OutboxDispatcher } from "../index.js";
+
+describe("Transactional outbox", () => {
+  let queue;
+  let model;
+
+  beforeEach(() => {
+    queue = initQueue({ dbName: ":memory:", outbox: true });
+    model = modelSetup({ stub: true, default: () => "" });
+  });
+
+  const entries = () => queue._db.query("SELECT * FROM outbox ORDER BY id").all();
+
+  describe("writing entries", () => {
+    test("each stored event gets an entry named after its cmd", () => {
+      queue.store({ cmd: "userRegistered", data: { email: "a@b.c" } }, model, eventCallbacks.void);
+      expect(entries()).toMatchObject([
+        { event_id: 1, topic: "userRegistered", payload: null, status: "pending", attempts: 0 },
+      ]);
+    });
+
+    test("cmds limits which events get an entry", () => {
+      const limited = initQueue({ dbName: ":memory:", outbox: { cmds: ["userRegistered"] } });
+      limited.store({ cmd: "userRegistered" }, model, eventCallbacks.void);
+      limited.store({ cmd: "pageViewed" }, model, eventCallbacks.void);
+      expect(limited._db.query("SELECT topic FROM outbox").all()).toEqual([{ topic: "userRegistered" }]);
+    });
+
+    test("events can carry explicit messages", () => {
+      queue.store(
+        {
+          cmd: "orderPlaced",
+          data: { orderId: 7 },
+          outbox: [{ topic: "sendEmail", payload: { template: "receipt", orderId: 7 } }],
+        },
+        model,
+        eventCallbacks.void,
+      );
+      expect(entries().map((e) => [e.topic, e.payload])).toEqual([
+        ["orderPlaced", null],
+        ["sendEmail", JSON.stringify({ template: "receipt", orderId: 7 })],
+      ]);
+    });
+
+    test("an entry is rolled back with its event", () => {
+      const atomic = initQueue({ dbName: ":memory:", outbox: true });
+      const shared = modelSetup({
+        db: atomic._db,
+        methods() {
+          return {
+            failing() {
+              throw new Error("handler failed");
+            },
+          };
+        },
+      });
+      atomic.store({ cmd: "failing" }, shared, eventCallbacks.void);
+      expect(atomic._db.query("SELECT COUNT(*) AS n FROM outbox").get().n).toBe(0);
+    });
+
+    test("storeBulk writes entries in the batch transaction", () => {
+      queue.storeBulk([
+        { cmd: "a" },
+        { cmd: "b", outbox: [{ topic: "notify" }] },
+      ]);
+      expect(entries().map((e) => [e.event_id, e.topic])).toEqual([
+        [1, "a"],
+        [2, "b"],
+        [2, "notify"],
+      ]);
+    });
+
+    test("replay does not write entries", () => {
+      queue.store({ cmd: "a" }, model, eventCallbacks.void);
+      queue.cycleThrough(model, () => {}, eventCallbacks.void);
+      expect(entries()).toHaveLength(1);
+    });
+
+    test("messages without the outbox option are an error", () => {
+      const plain = initQueue({ dbName: ":memory:" });
+      expect(() =>
+        plain.store({ cmd: "a", outbox: [{ topic: "x" }] }, model, eventCallbacks.void),
+      ).toThrow("outbox is not enabled");
+      expect(() => new OutboxDispatcher({ eventQueue: plain })).toThrow("no outbox");
+    });
+  });
+
+  describe("OutboxDispatcher", () => {
+    test("delivers entries to their handlers with the event", async () => {
+      const delivered = [];
+      const dispatcher = new OutboxDispatcher({
+        eventQueue: queue,
+        handlers: {
+          userRegistered: (event, entry) => delivered.push([event.data.email, entry.attempts]),
+          _default: (event, entry) => delivered.push([entry.topic, entry.payload]),
+        },
+      });
+      queue.store(
+        { cmd: "userRegistered", data: { email: "a@b.c" }, outbox: [{ topic: "audit", payload: { level: 1 } }] },
+        model,
+        eventCallbacks.void,
+      );
+
+      expect(await dispatcher.dispatch()).toEqual({ delivered: 2, retried: 0, failed: 0 });
+      expect(delivered).toEqual([
+        ["a@b.c", 1],
+        ["audit", { level: 1 }],
+      ]);
+      expect(dispatcher.getStatus()).toMatchObject({ pending: 0, delivered: 2, failed: 0 });
+      expect(await dispatcher.dispatch()).toEqual({ delivered: 0, retried: 0, failed: 0 });
+    });
+
+    test("retries with backoff and marks an entry failed after maxAttempts", async () => {
+      let calls = 0;
+      const dispatcher = new OutboxDispatcher({
+        eventQueue: queue,
+        maxAttempts: 3,
+        retryDelay: 0,
+        handlers: {
+          flaky: () => {
+            calls++;
+            throw new Error("smtp down");
+          },
+        },
+      });
+      queue.store({ cmd: "flaky" }, model, eventCallbacks.void);
+
+      expect(await dispatcher.dispatch()).toEqual({ delivered: 0, retried: 2, failed: 1 });
+      expect(calls).toBe(3);
+      expect(dispatcher.get(1)).toMatchObject({ status: "failed", attempts: 3, lastError: "smtp down" });
+    });
+
+    test("waits out the retry delay", async () => {
+      let calls = 0;
+      const dispatcher = new OutboxDispatcher({
+        eventQueue: queue,
+        retryDelay: 60000,
+        handlers: {
+          flaky: () => {
+            calls++;
+            throw new Error("later");
+          },
+        },
+      });
+      queue.store({ cmd: "flaky" }, model, eventCallbacks.void);
+
+      await dispatcher.dispatch();
+      await dispatcher.dispatch();
+      expect(calls).toBe(1);
+      expect(dispatcher.get(1).nextAttemptAt).toBeGreaterThan(Date.now() + 50000);
+    });
+
+    test("leaves topics it has no handler for", async () => {
+      const dispatcher = new OutboxDispatcher({ eventQueue: queue, handlers: { handled() {} } });
+      queue.store({ cmd: "handled" }, model, eventCallbacks.void);
+      queue.store({ cmd: "other" }, model, eventCallbacks.void);
+
+      await dispatcher.dispatch();
+      expect(dispatcher.list({ status: "pending" }).map((e) => e.topic)).toEqual(["other"]);
+    });
+
+    test("an entry whose delivery was interrupted is delivered again after its lease", async () => {
+      queue.store({ cmd: "email" }, model, eventCallbacks.void);
+      const crashed = new OutboxDispatcher({ eventQueue: queue, leaseMs: 20, handlers: { email() {} } });
+      // Claim the entry as a dispatcher would, then "crash" before delivering
+      crashed.queries.claimDue.all({ now: Date.now(), leaseUntil: Date.now() + 20, all: 1, topics: "[]", limit: 10 });
+
+      const sent = [];
+      const survivor = new OutboxDispatcher({ eventQueue: queue, handlers: { email: (event) => sent.push(event.id) } });
+      await survivor.dispatch();
+      expect(sent).toEqual([]);
+
+      await Bun.sleep(30);
+      await survivor.dispatch();
+      expect(sent).toEqual([1]);
+    });
+
+    test("failed entries can be replayed by hand", async () => {
+      let fail = true;
+      const dispatcher = new OutboxDispatcher({
+        eventQueue: queue,
+        maxAttempts: 1,
+        handlers: {
+          webhook() {
+            if (fail) throw new Error("503");
+          },
+          other() {
+            throw new Error("nope");
+          },
+        },
+      });
+      queue.store({ cmd: "webhook" }, model, eventCallbacks.void);
+      queue.store({ cmd: "other" }, model, eventCallbacks.void);
+      await dispatcher.dispatch();
+      expect(dispatcher.getStatus()).toMatchObject({ failed: 2 });
+
+      fail = false;
+      expect(dispatcher.retryFailed({ topic: "webhook" })).toBe(1);
+      await dispatcher.dispatch();
+      expect(dispatcher.get(1)).toMatchObject({ status: "delivered", attempts: 1, lastError: null });
+
+      expect(dispatcher.retry(2)).toMatchObject({ status: "pending", attempts: 0 });
+      expect(dispatcher.retry(99)).toBeNull();
+    });
+
+    test("purgeDelivered removes delivered entries only", async () => {
+      const dispatcher = new OutboxDispatcher({ eventQueue: queue, handlers: { done() {} } });
+      queue.store({ cmd: "done" }, model, eventCallbacks.void);
+      queue.store({ cmd: "waiting" }, model, eventCallbacks.void);
+      await dispatcher.dispatch();
+
+      expect(dispatcher.purgeDelivered()).toBe(1);
+      expect(dispatcher.list().map((e) => e.topic)).toEqual(["waiting"]);
+    });
+
+    test("start polls until stopped", async () => {
+      const sent = [];
+      const dispatcher = new OutboxDispatcher({ eventQueue: queue, handlers: { ping: (event) => sent.push(event.id) } });
+      dispatcher.start({ pollInterval: 5 });
+      queue.store({ cmd: "ping" }, model, eventCallbacks.void);
+      await Bun.sleep(30);
+      await dispatcher.stop();
+
+      queue.store({ cmd: "ping" }, model, eventCallbacks.void);
+      await Bun.sleep(20);
+      expect(sent).toEqual([1]);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { PartitionedQueue, modelSetup, eventCallbacks } from "../index.js";
+import { existsSync, rmSync, statSync } from "fs";
+
+describe("PartitionedQueue", () => {
+  const dir = "tests/data/partitions";
+  const model = modelSetup({ stub: true, default: () => "" });
+  let clock;
+  let opened;
+
+  const open = (options = {}) => {
+    const queue = new PartitionedQueue({ dir, now: () => clock, ...options });
+    opened.push(queue);
+    return queue;
+  };
+  const store = (queue, event) => queue.store(event, model, eventCallbacks.void);
+
+  beforeEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+    clock = Date.parse("2024-01-15T12:00:00Z");
+    opened = [];
+  });
+
+  afterEach(() => {
+    for (const queue of opened) {
+      try {
+        queue.close();
+      } catch {}
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("by month", () => {
+    test("routes writes to the month's file with globally increasing ids", () => {
+      const queue = open();
+      store(queue, { cmd: "a" });
+      clock = Date.parse("2024-02-01T00:00:00Z");
+      store(queue, { cmd: "b" });
+      store(queue, { cmd: "c" });
+
+      expect(existsSync(`${dir}/2024-01.sqlite`)).toBe(true);
+      expect(queue.listPartitions().map(({ name, eventCount, firstId, lastId }) => [name, eventCount, firstId, lastId])).toEqual([
+        ["2024-01", 1, 1, 1],
+        ["2024-02", 2, 2, 3],
+      ]);
+      expect(queue.getEventsAfter(0).map((row) => row.cmd)).toEqual(["a", "b", "c"]);
+      expect(queue.retrieveByID(1).cmd).toBe("a");
+    });
+
+    test("streams continue across months", () => {
+      const queue = open();
+      store(queue, { cmd: "opened", streamId: "account-1", expectedVersion: 0 });
+      clock = Date.parse("2024-02-01T00:00:00Z");
+      store(queue, { cmd: "credited", streamId: "account-1", expectedVersion: 1 });
+
+      expect(queue.getStreamVersion("account-1")).toBe(2);
+      expect(() => store(queue, { cmd: "credited", streamId: "account-1", expectedVersion: 1 })).toThrow(
+        "expected version 1",
+      );
+    });
+
+    test("events inherit correlation ids from causes in other partitions", () => {
+      const queue = open();
+      store(queue, { cmd: "orderPlaced", correlationId: "o-1" });
+      clock = Date.parse("2024-02-01T00:00:00Z");
+      store(queue, { cmd: "orderShipped", causationId: 1 });
+      expect(queue.getTransaction("o-1").map((row) => row.cmd)).toEqual(["orderPlaced", "orderShipped"]);
+    });
+
+    test("idempotency keys are honoured across partitions", () => {
+      const queue = open();
+      store(queue, { cmd: "charge", idempotencyKey: "k-1" });
+      clock = Date.parse("2024-02-01T00:00:00Z");
+      expect(store(queue, { cmd: "charge", idempotencyKey: "k-1" })).toMatchObject({ id: 1, duplicate: true });
+      expect(queue.getEventsAfter(0)).toHaveLength(1);
+    });
+
+    test("the routing scheme can't change once created", () => {
+      open().close();
+      expect(() => open({ partitionBy: "stream" })).toThrow("was created with partitionBy month");
+    });
+  });
+
+  describe("by stream", () => {
+    test("keeps a stream in one partition and reads back in global id order", async () => {
+      const queue = open({ partitionBy: "stream", partitions: 4 });
+      for (let i = 0; i < 12; i++) {
+        store(queue, { cmd: `e${i}`, streamId: `s-${i % 6}` });
+      }
+
+      const partitions = queue.listPartitions();
+      expect(partitions.length).toBeGreaterThan(1);
+      expect(partitions.reduce((sum, p) => sum + p.eventCount, 0)).toBe(12);
+      expect(queue.partitionFor({ streamId: "s-1" })).toBe(queue.partitionFor({ streamId: "s-1" }));
+
+      const ids = queue.getEventsAfter(0).map((row) => row.id);
+      expect(ids).toEqual([...Array(12).keys()].map((i) => i + 1));
+
+      const streamed = [];
+      for await (const batch of queue.streamEvents({ batchSize: 5 })) {
+        expect(batch.length).toBeLessThanOrEqual(5);
+        streamed.push(...batch.map((row) => row.id));
+      }
+      expect(streamed).toEqual(ids);
+    });
+
+    test("cycleThrough replays every partition in global id order", () => {
+      const queue = open({ partitionBy: "stream", partitions: 4 });
+      for (let i = 0; i < 10; i++) {
+        store(queue, { cmd: "tick", streamId: `s-${i}`, data: { i } });
+      }
+      const seen = [];
+      let done = false;
+      queue.cycleThrough(model, () => (done = true), {
+        _default: (res, row) => seen.push(row.data.i),
+        _error() {},
+      }, { start: 3, stop: 9 });
+      expect(seen).toEqual([2, 3, 4, 5, 6, 7]);
+      expect(done).toBe(true);
+    });
+
+    test("storeBulk groups events by partition and keeps their order", () => {
+      const queue = open({ partitionBy: "stream", partitions: 4 });
+      const results = queue.storeBulk([1, 2, 3, 4, 5].map((n) => ({ cmd: "n", streamId: `s-${n}`, data: { n } })));
+      expect(results.map(({ row }) => row.data.n)).toEqual([1, 2, 3, 4, 5]);
+      expect(queue.getEventsAfter(0)).toHaveLength(5);
+    });
+  });
+
+  describe("sealing and archiving", () => {
+    test("a sealed partition stays readable but takes no writes", () => {
+      const queue = open();
+      store(queue, { cmd: "a", correlationId: "c-1" });
+      clock = Date.parse("2024-02-01T00:00:00Z");
+
+      expect(() => queue.seal("2024-02")).toThrow("No partition");
+      store(queue, { cmd: "b", correlationId: "c-1" });
+      expect(() => queue.seal("2024-02")).toThrow("still being written to");
+
+      expect(queue.seal("2024-01")).toMatchObject({ status: "sealed", eventCount: 1 });
+      expect(statSync(`${dir}/2024-01.sqlite`).mode & 0o222).toBe(0);
+      expect(queue.getTransaction("c-1").map((row) => row.cmd)).toEqual(["a", "b"]);
+
+      clock = Date.parse("2024-01-20T00:00:00Z");
+      expect(() => store(queue, { cmd: "late" })).toThrow("Partition 2024-01 is sealed");
+    });
+
+    test("an archived partition moves out and is still read", () => {
+      const queue = open();
+      store(queue, { cmd: "a" });
+      clock = Date.parse("2024-02-01T00:00:00Z");
+      store(queue, { cmd: "b" });
+
+      expect(() => queue.archive("2024-01")).toThrow("seal it before archiving");
+      queue.seal("2024-01");
+      expect(queue.archive("2024-01")).toMatchObject({
+        status: "archived",
+        path: `${dir}/archive/2024-01.sqlite`,
+        eventCount: 1,
+      });
+      expect(existsSync(`${dir}/2024-01.sqlite`)).toBe(false);
+      queue.close();
+
+      const reopened = open();
+      expect(reopened.getEventsAfter(0).map((row) => row.cmd)).toEqual(["a", "b"]);
+      store(reopened, { cmd: "c" });
+      expect(reopened.retrieveByID(3).cmd).toBe("c");
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { initQueue, modelSetup, eventCallbacks, BulkOperations, FileStorageManager, ConcurrencyError } from "../index.js";
+import { readFileSync, rmSync } from "fs";
+
+describe("Payload compression and offloading", () => {
+  const filesDir = "tests/data/payload-files";
+  const exportPath = "tests/data/payload-export.jsonl";
+  const model = modelSetup({ stub: true, default: () => "" });
+  const reading = { x: 1.5, samples: Array.from({ length: 400 }, (_, i) => i % 7) };
+  let storage;
+
+  const stored = (queue, id) =>
+    queue._db.query("SELECT data, metadata, payload, payload_encoding FROM queue WHERE id = $id").get({ id });
+
+  beforeEach(() => {
+    rmSync(filesDir, { recursive: true, force: true });
+    storage = new FileStorageManager({ baseDir: filesDir });
+  });
+
+  afterEach(() => {
+    storage.close();
+    rmSync(filesDir, { recursive: true, force: true });
+    rmSync(exportPath, { force: true });
+  });
+
+  test("compresses the payloads of chosen cmds into the payload column", () => {
+    const queue = initQueue({ dbName: ":memory:", payloads: { compress: { cmds: ["telemetry"] } } });
+    queue.store({ cmd: "telemetry", data: reading, metadata: { device: "d-1" } }, model, eventCallbacks.void);
+    queue.store({ cmd: "orderPlaced", data: reading }, model, eventCallbacks.void);
+
+    const row = stored(queue, 1);
+    expect(row).toMatchObject({ data: null, metadata: null, payload_encoding: "gzip" });
+    expect(row.payload.length).toBeLessThan(JSON.stringify(reading).length);
+    expect(stored(queue, 2)).toMatchObject({ data: JSON.stringify(reading), payload_encoding: null });
+
+    const event = queue.retrieveByID(1);
+    expect(event).toMatchObject({ cmd: "telemetry", data: reading, metadata: { device: "d-1" } });
+    expect(event).not.toHaveProperty("payload");
+  });
+
+  test("compresses any payload over a size threshold, with zstd if asked", () => {
+    const queue = initQueue({ dbName: ":memory:", payloads: { compress: { minSize: 500, codec: "zstd" } } });
+    queue.storeBulk([
+      { cmd: "small", data: { n: 1 } },
+      { cmd: "large", data: reading },
+    ]);
+    expect(stored(queue, 1).payload_encoding).toBeNull();
+    expect(stored(queue, 2).payload_encoding).toBe("zstd");
+    expect(queue.getEventsAfter(0).map((row) => row.data)).toEqual([{ n: 1 }, reading]);
+    expect(() => initQueue({ dbName: ":memory:", payloads: { compress: { codec: "lz4" } } })).toThrow(
+      "Unknown payload codec lz4",
+    );
+  });
+
+  test("offloads large payloads to file storage with a reference in the row", () => {
+    const queue = initQueue({ dbName: ":memory:", payloads: { offload: { minSize: 500, storage } } });
+    queue.store({ cmd: "upload", data: reading }, model, eventCallbacks.void);
+
+    const row = stored(queue, 1);
+    expect(row.payload_encoding).toBe("file");
+    const reference = JSON.parse(Buffer.from(row.payload).toString());
+    expect(storage.getFileSync(reference.fileId)).toBeDefined();
+    expect(queue.retrieveByID(1).data).toEqual(reading);
+
+    // Without the storage the row can't be read back
+    const blind = initQueue({ dbName: ":memory:" });
+    blind._db.query("INSERT INTO queue (datetime, cmd, payload, payload_encoding) VALUES (1, 'upload', $payload, 'file')").run({
+      payload: row.payload,
+    });
+    expect(() => blind.retrieveByID(1)).toThrow("pass payloads.offload.storage");
+  });
+
+  test("a write that doesn't commit leaves no offloaded file behind", () => {
+    const queue = initQueue({ dbName: ":memory:", payloads: { offload: { minSize: 500, storage } } });
+    const upload = (n, extra) => ({ cmd: "upload", data: { ...reading, n }, streamId: "s-1", ...extra });
+    const files = () => storage.db.query("SELECT file_path FROM file_metadata").all();
+    const filesOnDisk = () => new Bun.Glob("**/*.payload").scanSync(filesDir).toArray().length;
+    queue.store(upload(1, { expectedVersion: 0 }), model, eventCallbacks.void);
+    expect(files()).toHaveLength(1);
+
+    // A stream conflict on store
+    expect(() => queue.store(upload(2, { expectedVersion: 0 }), model, eventCallbacks.void)).toThrow(ConcurrencyError);
+    // A batch whose second event conflicts rolls back the first one's file too
+    expect(() => queue.storeBulk([upload(3, { streamId: "s-2" }), upload(4, { expectedVersion: 0 })])).toThrow(ConcurrencyError);
+    // A handler that throws on a model sharing the connection
+    const shared = modelSetup({ db: queue._db, methods: () => ({ upload() { throw new Error("nope"); } }), default: () => "" });
+    queue.store(upload(5), shared, { _error() {} });
+    // The same content as a stored row keeps the file that row needs
+    expect(() => queue.storeBulk([{ cmd: "upload", data: { ...reading, n: 1 } }, upload(6, { expectedVersion: 0 })])).toThrow(
+      ConcurrencyError,
+    );
+
+    expect(files()).toHaveLength(1);
+    expect(filesOnDisk()).toBe(1);
+    expect(queue.retrieveByID(1).data).toEqual({ ...reading, n: 1 });
+  });
+
+  test("encoded payloads read back through execute, replay, streams and exports", async () => {
+    const queue = initQueue({
+      dbName: ":memory:",
+      hashChain: { key: "secret" },
+      payloads: { compress: { cmds: ["telemetry"] }, offload: { minSize: 2000, storage } },
+    });
+    const executed = [];
+    const cb = { _default: (res, row) => executed.push(row.data), _error() {} };
+    queue.store({ cmd: "telemetry", data: { n: 1 } }, model, cb);
+    queue.store({ cmd: "upload", data: { blob: "x".repeat(3000) } }, model, cb);
+    queue.store({ cmd: "plain", data: { n: 3 } }, model, cb);
+    expect(stored(queue, 2).payload_encoding).toBe("file");
+    expect(executed.map((data) => Object.keys(data))).toEqual([["n"], ["blob"], ["n"]]);
+
+    const replayed = [];
+    queue.cycleThrough(model, () => {}, { _default: (res, row) => replayed.push(row.data), _error() {} });
+    expect(replayed).toEqual(executed);
+
+    const streamed = [];
+    for await (const batch of queue.streamEvents()) streamed.push(...batch.map((row) => row.data));
+    expect(streamed).toEqual(executed);
+
+    await new BulkOperations(queue).exportToJSONL(exportPath);
+    await Bun.sleep(10);
+    const exported = readFileSync(exportPath, "utf8").trim().split("\n").map((line) => JSON.parse(line).data);
+    expect(exported).toEqual(executed);
+
+    // Hashes cover the payload, not its encoding
+    expect(queue.verifyChain()).toMatchObject({ valid: true, checked: 3 });
+  });
+});
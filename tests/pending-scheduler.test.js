@@ -0,0 +1,142 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { initQueue, modelSetup, eventCallbacks } from "../index.js";
+
+describe("Pending event scheduler", () => {
+  let queue;
+  let model;
+
+  beforeEach(() => {
+    queue = initQueue({ dbName: ":memory:" });
+    model = modelSetup({ stub: true, default: () => "" });
+  });
+
+  afterEach(() => queue.stopScheduler());
+
+  const rows = () =>
+    queue._db
+      .query("SELECT id, cmd, data, correlation_id, causation_id FROM queue ORDER BY id")
+      .all()
+      .map((row) => ({ ...row, data: JSON.parse(row.data) }));
+
+  const status = (id) =>
+    queue._db.query("SELECT status FROM pending_events WHERE id = $id").get({ id }).status;
+
+  test("executes a pending event once its conditions are met", async () => {
+    queue.startScheduler({ model, callbacks: eventCallbacks.void, interval: 60000 });
+    const { pendingEventId } = queue.storeWhen(
+      { cmd: "ship", correlationId: "o-1", waitFor: { all: [{ pattern: "paid", correlationId: "o-1" }] } },
+      model,
+      eventCallbacks.void,
+    );
+
+    queue.store({ cmd: "paid", correlationId: "o-1" }, model, eventCallbacks.void);
+    await Bun.sleep(10);
+
+    expect(rows().map((r) => r.cmd)).toEqual(["paid", "ship"]);
+    expect(status(pendingEventId)).toBe("executed");
+  });
+
+  test("executes a pending event whose conditions were already met", async () => {
+    queue.store({ cmd: "paid", correlationId: "o-1" }, model, eventCallbacks.void);
+    queue.startScheduler({ model, interval: 60000 });
+    queue.storeWhen(
+      { cmd: "ship", correlationId: "o-1", waitFor: { all: [{ pattern: "paid", correlationId: "o-1" }] } },
+      model,
+      eventCallbacks.void,
+    );
+    await Bun.sleep(10);
+    expect(rows().map((r) => r.cmd)).toEqual(["paid", "ship"]);
+  });
+
+  test("expires timed-out events and stores the expiry and the onTimeout fallback", async () => {
+    queue.store({ cmd: "orderPlaced", correlationId: "o-1" }, model, eventCallbacks.void);
+    const { pendingEventId } = queue.storeWhen(
+      {
+        cmd: "ship",
+        data: { orderId: 1 },
+        causationId: 1,
+        waitFor: { all: [{ pattern: "paid", correlationId: "o-1" }] },
+        timeout: 5,
+        onTimeout: { cmd: "cancelOrder", data: { orderId: 1 } },
+      },
+      model,
+      eventCallbacks.void,
+    );
+    queue.startScheduler({ model, interval: 10 });
+    await Bun.sleep(40);
+
+    expect(status(pendingEventId)).toBe("expired");
+    const [, expired, fallback] = rows();
+    expect(expired).toMatchObject({
+      cmd: "pendingEventExpired",
+      correlation_id: "o-1",
+      causation_id: 1,
+      data: { pendingEventId, cmd: "ship", data: { orderId: 1 } },
+    });
+    expect(fallback).toMatchObject({
+      cmd: "cancelOrder",
+      correlation_id: "o-1",
+      causation_id: expired.id,
+      data: { orderId: 1 },
+    });
+    expect(rows()).toHaveLength(3);
+  });
+
+  test("expirePendingEvents records expiries when given a model, once", async () => {
+    queue.storeWhen(
+      { cmd: "ship", correlationId: "o-1", waitFor: { all: [{ pattern: "paid" }] }, timeout: 1 },
+      model,
+      eventCallbacks.void,
+    );
+    await Bun.sleep(5);
+
+    expect(queue.expirePendingEvents(model, eventCallbacks.void)).toHaveLength(1);
+    expect(queue.expirePendingEvents(model, eventCallbacks.void)).toHaveLength(0);
+    expect(rows().map((r) => r.cmd)).toEqual(["pendingEventExpired"]);
+  });
+
+  test("without a model or scheduler, expiry and cancellation store nothing", async () => {
+    const { pendingEventId } = queue.storeWhen(
+      { cmd: "ship", waitFor: { all: [{ pattern: "paid" }] }, timeout: 1 },
+      model,
+      eventCallbacks.void,
+    );
+    const other = queue.storeWhen({ cmd: "ship", waitFor: { all: [{ pattern: "paid" }] } }, model, eventCallbacks.void);
+    await Bun.sleep(5);
+
+    expect(queue.expirePendingEvents().map((e) => e.id)).toEqual([pendingEventId]);
+    expect(queue.cancelPendingEvent(other.pendingEventId)).toBe(true);
+    expect(rows()).toEqual([]);
+  });
+
+  test("cancellations are stored while the scheduler runs", () => {
+    queue.startScheduler({ model, interval: 60000 });
+    const { pendingEventId } = queue.storeWhen(
+      { cmd: "ship", correlationId: "o-1", waitFor: { all: [{ pattern: "paid" }] } },
+      model,
+      eventCallbacks.void,
+    );
+
+    expect(queue.cancelPendingEvent(pendingEventId)).toBe(true);
+    expect(queue.cancelPendingEvent(pendingEventId)).toBe(false);
+    expect(rows()).toMatchObject([
+      { cmd: "pendingEventCancelled", correlation_id: "o-1", data: { pendingEventId, cmd: "ship" } },
+    ]);
+  });
+
+  test("stopScheduler stops automatic execution", async () => {
+    queue.startScheduler({ model, interval: 5 });
+    queue.stopScheduler();
+    queue.storeWhen({ cmd: "ship", waitFor: { all: [{ pattern: "paid" }] } }, model, eventCallbacks.void);
+    queue.store({ cmd: "paid" }, model, eventCallbacks.void);
+    await Bun.sleep(20);
+    expect(rows().map((r) => r.cmd)).toEqual(["paid"]);
+  });
+
+  test("needs a model, and onTimeout needs a cmd", () => {
+    expect(() => queue.startScheduler()).toThrow("needs a model");
+    expect(() =>
+      queue.storeWhen({ cmd: "ship", waitFor: { all: [{ pattern: "paid" }] }, onTimeout: {} }, model),
+    ).toThrow("onTimeout needs a cmd");
+  });
+});
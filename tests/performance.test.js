@@ -297,4 +297,44 @@ test("Event-driven background jobs", async () => {
   expect(jobData.userName).toBe("Alice");
 
   jobQueue.stop();
-});
\ No newline at end of file
+});
+test("Wait condition checks stay flat as pending events grow", async () => {
+  const model = modelSetup({ stub: true, default: () => "" });
+
+  // Stores 200 events against pendingCount pending events, each waiting on its
+  // own correlation id, and counts the condition evaluations they trigger
+  const countEvaluations = async (pendingCount) => {
+    const eventQueue = initQueue({ dbName: ":memory:" });
+    for (let i = 0; i < pendingCount; i++) {
+      eventQueue.storeWhen({
+        cmd: "shipOrder",
+        correlationId: `order-${i}`,
+        waitFor: { all: [{ pattern: "paymentReceived", correlationId: `order-${i}` }] },
+      }, model, eventCallbacks.void);
+    }
+
+    let evaluations = 0;
+    const evaluate = eventQueue._evaluateCondition;
+    eventQueue._evaluateCondition = function (...args) {
+      evaluations++;
+      return evaluate.apply(this, args);
+    };
+    for (let i = 0; i < 200; i++) {
+      eventQueue.store({ cmd: "paymentReceived", correlationId: `order-${i}` }, model, eventCallbacks.void);
+      // Timers run in order, so the check store() deferred has run once this resolves
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    const ready = eventQueue._db
+      .query("SELECT COUNT(*) AS n FROM pending_events WHERE status = 'ready'")
+      .get().n;
+    expect(ready).toBe(200);
+    eventQueue._db.close();
+    return evaluations;
+  };
+
+  // The trigger index means each store only evaluates the condition it can satisfy;
+  // a full rescan would evaluate every pending event's condition on every store
+  expect(await countEvaluations(200)).toBe(200);
+  expect(await countEvaluations(5000)).toBe(200);
+});
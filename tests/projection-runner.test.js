@@ -0,0 +1,213 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import {
+  initQueue,
+  modelSetup,
+  initSnapshots,
+  initProjections,
+  ProjectionRunner,
+  eventCallbacks,
+} from "../index.js";
+
+const counterModel = (options = {}) =>
+  modelSetup({
+    dbName: ":memory:",
+    tables(db) {
+      db.query(
+        "CREATE TABLE IF NOT EXISTS counters (name TEXT PRIMARY KEY, value INTEGER NOT NULL)",
+      ).run();
+    },
+    queries(db) {
+      return {
+        bump: db.query(
+          "INSERT INTO counters (name, value) VALUES ($name, 1) ON CONFLICT(name) DO UPDATE SET value = value + 1",
+        ),
+        read: db.query("SELECT value FROM counters WHERE name = $name"),
+      };
+    },
+    methods(queries) {
+      return {
+        increment({ name }) {
+          queries.bump.run({ name });
+        },
+      };
+    },
+    default: () => "",
+    ...options,
+  });
+
+const valueOf = (model, name) =>
+  model._queries.read.get({ name })?.value ?? 0;
+
+describe("ProjectionRunner", () => {
+  let queue;
+  let runner;
+
+  const storeIncrements = (n, name = "a") => {
+    for (let i = 0; i < n; i++) {
+      queue.store(
+        { cmd: "increment", data: { name } },
+        modelSetup({ stub: true, default: () => "" }),
+        eventCallbacks.void,
+      );
+    }
+  };
+
+  beforeEach(() => {
+    queue = initQueue({ dbName: ":memory:" });
+    runner = initProjections({ eventQueue: queue, dbName: ":memory:", batchSize: 3 });
+  });
+
+  afterEach(async () => {
+    await runner.close();
+  });
+
+  test("requires an event queue", () => {
+    expect(() => new ProjectionRunner({ dbName: ":memory:" })).toThrow();
+  });
+
+  test("catches registered projections up and records checkpoints", () => {
+    const first = counterModel();
+    const second = counterModel();
+    runner.register("first", first).register("second", second);
+    storeIncrements(7);
+
+    expect(runner.catchUp()).toEqual({ first: 7, second: 7 });
+    expect(valueOf(first, "a")).toBe(7);
+    expect(valueOf(second, "a")).toBe(7);
+    expect(runner.getCheckpoint("first")).toBe(7);
+  });
+
+  test("only applies events after the checkpoint", () => {
+    const model = counterModel();
+    runner.register("counts", model);
+    storeIncrements(2);
+    runner.catchUp();
+    storeIncrements(3);
+
+    expect(runner.catchUp("counts")).toEqual({ counts: 3 });
+    expect(valueOf(model, "a")).toBe(5);
+  });
+
+  test("resumes from a persisted checkpoint after restart", () => {
+    runner.queries.saveCheckpoint.run({ name: "counts", lastEventId: 4, updatedAt: 0 });
+    const model = counterModel();
+    runner.register("counts", model);
+    storeIncrements(6);
+
+    runner.catchUp();
+    expect(valueOf(model, "a")).toBe(2);
+  });
+
+  test("rejects duplicate and unknown projection names", () => {
+    runner.register("counts", counterModel());
+    expect(() => runner.register("counts", counterModel())).toThrow();
+    expect(() => runner.catchUp("missing")).toThrow("Unknown projection");
+  });
+
+  test("follows new events after start", async () => {
+    const model = counterModel();
+    runner.register("counts", model);
+    storeIncrements(2);
+
+    await runner.start({ pollInterval: 0 });
+    expect(valueOf(model, "a")).toBe(2);
+
+    storeIncrements(2);
+    await Bun.sleep(10);
+    expect(valueOf(model, "a")).toBe(4);
+
+    await runner.stop();
+    storeIncrements(1);
+    await Bun.sleep(10);
+    expect(valueOf(model, "a")).toBe(4);
+  });
+
+  test("reports a failing catch-up and retries it while following", async () => {
+    const errors = [];
+    await runner.close();
+    runner = initProjections({ eventQueue: queue, dbName: ":memory:", onError: (error) => errors.push(error.message) });
+    const model = counterModel();
+    let broken = true;
+    const increment = model.increment;
+    model.increment = (data) => {
+      if (broken) throw new Error("projection store offline");
+      return increment(data);
+    };
+    // Callbacks that rethrow make handler errors stop the catch-up
+    runner.register("counts", model, { callbacks: { _default() {}, _error: ({ error }) => { throw error; } } });
+
+    await runner.start({ pollInterval: 0, retryDelay: 5, maxRetryDelay: 10 });
+    storeIncrements(1);
+    await Bun.sleep(20);
+    expect(errors.length).toBeGreaterThan(1);
+    expect(errors[0]).toBe("projection store offline");
+    expect(runner.getCheckpoint("counts")).toBe(0);
+
+    broken = false;
+    await Bun.sleep(100);
+    expect(valueOf(model, "a")).toBe(1);
+    expect(runner.getCheckpoint("counts")).toBe(1);
+  });
+
+  test("rebuilds one projection from zero without touching others", async () => {
+    const rebuilt = counterModel();
+    const untouched = counterModel();
+    runner.register("rebuilt", rebuilt).register("untouched", untouched);
+    storeIncrements(4);
+    runner.catchUp();
+
+    // Corrupt state the rebuild should discard
+    rebuilt._db.query("UPDATE counters SET value = 100").run();
+    untouched._db.query("UPDATE counters SET value = 50").run();
+
+    const result = await runner.rebuild("rebuilt");
+    expect(result).toMatchObject({ success: true, fromSnapshot: false, replayFrom: 1, applied: 4 });
+    expect(valueOf(rebuilt, "a")).toBe(4);
+    expect(valueOf(untouched, "a")).toBe(50);
+    expect(runner.getCheckpoint("untouched")).toBe(4);
+  });
+
+  test("won't empty the event log when rebuilding a model that shares its database", async () => {
+    const shared = counterModel({ db: queue._db });
+    runner.register("shared", shared);
+    storeIncrements(2);
+    runner.catchUp();
+
+    await expect(runner.rebuild("shared")).rejects.toThrow("shares the event database");
+    expect(queue.getEventsAfter(0)).toHaveLength(2);
+    expect(valueOf(shared, "a")).toBe(2);
+
+    // With its own reset the rebuild goes ahead and the events stay
+    const other = counterModel({ db: queue._db });
+    runner.register("other", other, { reset: (model) => model._db.query("DELETE FROM counters").run() });
+    expect(await runner.rebuild("other")).toMatchObject({ success: true, applied: 2 });
+    expect(queue.getEventsAfter(0)).toHaveLength(2);
+    expect(valueOf(other, "a")).toBe(2);
+  });
+
+  test("seeds a rebuild from the latest snapshot", async () => {
+    const snapshots = initSnapshots({ dbName: ":memory:" });
+    const model = counterModel();
+    runner.register("counts", model);
+    storeIncrements(3);
+    runner.catchUp();
+    await snapshots.createSnapshot("counts", 3, model);
+    storeIncrements(2);
+
+    const result = await runner.rebuild("counts", { snapshots });
+    expect(result).toMatchObject({ fromSnapshot: true, replayFrom: 4, applied: 2 });
+    expect(valueOf(model, "a")).toBe(5);
+    snapshots.close();
+  });
+
+  test("reports checkpoint and lag per projection", () => {
+    runner.register("counts", counterModel());
+    storeIncrements(5);
+    runner.catchUp();
+    storeIncrements(2);
+
+    expect(runner.getStatus()).toEqual([
+      { name: "counts", checkpoint: 5, lag: 2, rebuilding: false },
+    ]);
+  });
+});
@@ -0,0 +1,164 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { initQueue, modelSetup, eventCallbacks } from "../index.js";
+
+describe("Reactors", () => {
+  let queue;
+  let model;
+  let errors;
+  let cb;
+
+  beforeEach(() => {
+    queue = initQueue({ dbName: ":memory:" });
+    model = modelSetup({ stub: true, default: () => "" });
+    errors = [];
+    cb = { _default() {}, _error: (err) => errors.push(err) };
+  });
+
+  const rows = () =>
+    queue._db
+      .query("SELECT id, cmd, user, causation_id, correlation_id FROM queue ORDER BY id")
+      .all();
+
+  test("stores returned events with causation and correlation set", () => {
+    queue.on("orderPlaced", (event) => ({
+      cmd: "paymentRequested",
+      data: { orderId: event.data.orderId },
+    }));
+    queue.store({ cmd: "orderPlaced", user: "ada", data: { orderId: 7 } }, model, cb);
+
+    const [order, payment] = rows();
+    expect(payment).toEqual({
+      id: 2,
+      cmd: "paymentRequested",
+      user: "ada",
+      causation_id: 1,
+      correlation_id: order.correlation_id,
+    });
+    expect(queue.retrieveByID(2).data).toEqual({ orderId: 7 });
+  });
+
+  test("follows a chain of reactions and accepts arrays", () => {
+    queue.on("a", () => [{ cmd: "b" }, { cmd: "c" }]);
+    queue.on("b", () => ({ cmd: "d" }));
+    queue.on("c", () => null);
+    queue.store({ cmd: "a" }, model, cb);
+
+    expect(rows().map((r) => [r.cmd, r.causation_id])).toEqual([
+      ["a", null],
+      ["b", 1],
+      ["d", 2],
+      ["c", 1],
+    ]);
+    expect(errors).toEqual([]);
+  });
+
+  test("runs the model for follow-up events", () => {
+    const seen = [];
+    model.shipped = (data, meta) => seen.push(meta.causationId);
+    queue.on("packed", () => ({ cmd: "shipped" }));
+    queue.store({ cmd: "packed" }, model, cb);
+    expect(seen).toEqual([1]);
+  });
+
+  test("stops a cycle and reports it", () => {
+    queue.on("ping", () => ({ cmd: "pong" }));
+    queue.on("pong", () => ({ cmd: "ping" }));
+    queue.store({ cmd: "ping" }, model, cb);
+
+    expect(rows().map((r) => r.cmd)).toEqual(["ping", "pong"]);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].msg).toContain("Reaction cycle: ping -> pong -> ping");
+    expect(errors[0].reactionChain).toEqual(["ping", "pong"]);
+  });
+
+  test("allowCycles lets a bounded loop run, up to maxDepth", () => {
+    const looping = initQueue({ dbName: ":memory:", reactors: { allowCycles: true, maxDepth: 3 } });
+    looping.on("tick", (event) => ({ cmd: "tick", data: { n: event.data.n + 1 } }));
+    looping.store({ cmd: "tick", data: { n: 0 } }, model, cb);
+
+    expect(looping._db.query("SELECT COUNT(*) AS n FROM queue").get().n).toBe(4);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].msg).toContain("exceeds the maximum depth of 3");
+  });
+
+  test("a throwing reactor is reported and the others still run", () => {
+    queue.on("a", () => {
+      throw new Error("reactor broke");
+    });
+    queue.on("a", () => ({ cmd: "b" }));
+    queue.store({ cmd: "a" }, model, cb);
+
+    expect(errors.map((e) => e.error.message)).toEqual(["reactor broke"]);
+    expect(rows().map((r) => r.cmd)).toEqual(["a", "b"]);
+  });
+
+  test("never runs during replay", () => {
+    let reactions = 0;
+    queue.store({ cmd: "a" }, model, cb);
+    queue.on("a", () => {
+      reactions++;
+      return { cmd: "b" };
+    });
+
+    queue.cycleThrough(model, () => {}, eventCallbacks.void);
+    queue.execute(queue.retrieveByID(1), model, eventCallbacks.void);
+    expect(reactions).toBe(0);
+    expect(rows()).toHaveLength(1);
+  });
+
+  test("off removes a reactor", () => {
+    const off = queue.on("a", () => ({ cmd: "b" }));
+    off();
+    queue.store({ cmd: "a" }, model, cb);
+    expect(rows()).toHaveLength(1);
+  });
+
+  test("storeAsync awaits async reactors and their follow-ups", async () => {
+    queue.on("a", async () => {
+      await Bun.sleep(1);
+      return { cmd: "b" };
+    });
+    queue.on("b", async () => ({ cmd: "c" }));
+    await queue.storeAsync({ cmd: "a" }, model, cb);
+    expect(rows().map((r) => [r.cmd, r.causation_id])).toEqual([
+      ["a", null],
+      ["b", 1],
+      ["c", 2],
+    ]);
+  });
+
+  test("store() stores an async reactor's events once it resolves", async () => {
+    queue.on("a", async () => ({ cmd: "b" }));
+    queue.store({ cmd: "a" }, model, cb);
+    expect(rows()).toHaveLength(1);
+    await Bun.sleep(5);
+    expect(rows().map((r) => r.cmd)).toEqual(["a", "b"]);
+  });
+
+  test("reacts after the commit for models sharing the connection", () => {
+    const atomic = initQueue({ dbName: ":memory:" });
+    const shared = modelSetup({
+      db: atomic._db,
+      methods() {
+        return {
+          failing() {
+            throw new Error("rolled back");
+          },
+          fine() {
+            return "ok";
+          },
+          logged() {},
+        };
+      },
+    });
+    atomic.on("failing", () => ({ cmd: "fine" }));
+    atomic.on("fine", () => ({ cmd: "logged" }));
+
+    atomic.store({ cmd: "failing" }, shared, cb);
+    atomic.store({ cmd: "fine" }, shared, cb);
+    expect(atomic._db.query("SELECT cmd, causation_id FROM queue ORDER BY id").all()).toEqual([
+      { cmd: "fine", causation_id: null },
+      { cmd: "logged", causation_id: 1 },
+    ]);
+  });
+});
@@ -0,0 +1,296 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { initQueue, modelSetup, eventCallbacks, SagaManager, SchemaRegistry } from "../index.js";
+import { rmSync, mkdirSync } from "fs";
+
+// Order fulfilment: reserve stock, then take payment; release the stock if
+// payment fails or doesn't arrive in time
+const orderSaga = {
+  startsOn: ["orderPlaced"],
+  initialState: (event) => ({ orderId: event.data.orderId, step: "placed" }),
+  handlers: {
+    orderPlaced(state, event, ctx) {
+      ctx.emit({ cmd: "reserveStock", data: { orderId: state.orderId } });
+      ctx.timeout("stock", 60000);
+      return { ...state, step: "reserving" };
+    },
+    stockReserved(state, event, ctx) {
+      ctx.clearTimeout("stock");
+      ctx.compensateWith({ cmd: "releaseStock", data: { orderId: state.orderId } });
+      ctx.emit({ cmd: "takePayment", data: { orderId: state.orderId } });
+      ctx.timeout("payment", 60000);
+      return { ...state, step: "paying" };
+    },
+    paymentTaken(state, event, ctx) {
+      ctx.complete();
+      return { ...state, step: "done" };
+    },
+    paymentFailed(state, event, ctx) {
+      ctx.fail(`Payment declined: ${event.data.reason}`);
+    },
+  },
+};
+
+describe("SagaManager", () => {
+  let queue;
+  let sagas;
+  const model = modelSetup({ stub: true, default: () => "" });
+
+  const store = (cmd, correlationId, data = {}) =>
+    queue.store({ cmd, correlationId, data }, model, eventCallbacks.void);
+
+  const cmds = (correlationId) =>
+    queue.getTransaction(correlationId).map((row) => row.cmd);
+
+  beforeEach(() => {
+    queue = initQueue({ dbName: ":memory:" });
+    sagas = new SagaManager({ eventQueue: queue }).define("order", orderSaga);
+  });
+
+  test("runs a workflow to completion, emitting commands along the way", () => {
+    store("orderPlaced", "o-1", { orderId: 1 });
+    sagas.catchUp();
+
+    const saga = sagas.find("order", "o-1");
+    expect(saga).toMatchObject({ status: "running", state: { orderId: 1, step: "reserving" } });
+    expect(saga.timeouts.map((t) => t.name)).toEqual(["stock"]);
+    expect(cmds("o-1")).toEqual(["orderPlaced", "reserveStock"]);
+
+    store("stockReserved", "o-1");
+    sagas.catchUp();
+    store("paymentTaken", "o-1");
+    sagas.catchUp();
+
+    expect(sagas.find("order", "o-1")).toMatchObject({
+      status: "completed",
+      state: { step: "done" },
+      timeouts: [],
+    });
+    expect(cmds("o-1")).toEqual([
+      "orderPlaced",
+      "reserveStock",
+      "stockReserved",
+      "takePayment",
+      "paymentTaken",
+    ]);
+  });
+
+  test("emitted events are caused by the event that triggered the step", () => {
+    store("orderPlaced", "o-1", { orderId: 1 });
+    sagas.catchUp();
+    const [placed, reserve] = queue.getTransaction("o-1");
+    expect(reserve.causation_id).toBe(placed.id);
+    expect(reserve.metadata).toMatchObject({ saga: "order", sagaId: 1 });
+  });
+
+  test("a failed step stores compensating events and marks the saga failed", () => {
+    store("orderPlaced", "o-1", { orderId: 1 });
+    store("stockReserved", "o-1");
+    store("paymentFailed", "o-1", { reason: "card expired" });
+    sagas.catchUp();
+
+    expect(sagas.find("order", "o-1")).toMatchObject({
+      status: "failed",
+      error: "Payment declined: card expired",
+      timeouts: [],
+    });
+    expect(cmds("o-1").slice(-1)).toEqual(["releaseStock"]);
+  });
+
+  test("a follow-up the queue refuses fails the step and compensates", () => {
+    const errors = [];
+    queue = initQueue({
+      dbName: ":memory:",
+      schemas: new SchemaRegistry().register("takePayment", 1, { type: "object", required: ["amount"] }),
+    });
+    sagas = new SagaManager({ eventQueue: queue, callbacks: { _error: (err) => errors.push(err.cmd) } }).define(
+      "order",
+      orderSaga,
+    );
+    store("orderPlaced", "o-1", { orderId: 1 });
+    store("stockReserved", "o-1");
+    sagas.catchUp();
+
+    const saga = sagas.find("order", "o-1");
+    expect(saga).toMatchObject({ status: "failed", state: { step: "paying" }, timeouts: [] });
+    expect(saga.error).toStartWith("takePayment was not stored:");
+    expect(errors).toEqual(["takePayment"]);
+    expect(cmds("o-1")).toEqual(["orderPlaced", "stockReserved", "reserveStock", "releaseStock"]);
+  });
+
+  test("a throwing handler fails the saga without applying that step", () => {
+    sagas.define("fragile", {
+      startsOn: ["jobStarted"],
+      handlers: {
+        jobStarted(state, event, ctx) {
+          ctx.compensateWith({ cmd: "undoStart" });
+        },
+        jobStep(state, event, ctx) {
+          ctx.emit({ cmd: "neverStored" });
+          throw new Error("step broke");
+        },
+      },
+    });
+    store("jobStarted", "j-1");
+    store("jobStep", "j-1");
+    sagas.catchUp();
+
+    expect(sagas.find("fragile", "j-1")).toMatchObject({ status: "failed", error: "step broke" });
+    expect(cmds("j-1")).toEqual(["jobStarted", "jobStep", "undoStart"]);
+  });
+
+  test("an expired timeout fails the saga and compensates", () => {
+    store("orderPlaced", "o-1", { orderId: 1 });
+    store("stockReserved", "o-1");
+    sagas.catchUp();
+
+    expect(sagas.checkTimeouts(Date.now() + 1000)).toBe(0);
+    expect(sagas.checkTimeouts(Date.now() + 61000)).toBe(1);
+    expect(sagas.find("order", "o-1")).toMatchObject({
+      status: "failed",
+      error: "Step payment timed out",
+    });
+    expect(cmds("o-1").slice(-1)).toEqual(["releaseStock"]);
+  });
+
+  test("a timeout handler can recover instead of failing", () => {
+    sagas.define("reminder", {
+      startsOn: ["invoiceSent"],
+      initialState: () => ({ reminders: 0 }),
+      handlers: {
+        invoiceSent(state, event, ctx) {
+          ctx.timeout("due", 1000);
+        },
+      },
+      timeouts: {
+        due(state, ctx) {
+          ctx.emit({ cmd: "reminderSent" });
+          return { reminders: state.reminders + 1 };
+        },
+      },
+    });
+    store("invoiceSent", "i-1");
+    sagas.catchUp();
+    sagas.checkTimeouts(Date.now() + 2000);
+
+    expect(sagas.find("reminder", "i-1")).toMatchObject({ status: "running", state: { reminders: 1 } });
+    expect(cmds("i-1")).toEqual(["invoiceSent", "reminderSent"]);
+  });
+
+  test("events for finished or unknown sagas are ignored", () => {
+    store("paymentTaken", "nobody");
+    store("orderPlaced", "o-1", { orderId: 1 });
+    store("paymentFailed", "o-1", { reason: "x" });
+    store("stockReserved", "o-1");
+    sagas.catchUp();
+
+    expect(sagas.find("order", "nobody")).toBeNull();
+    expect(sagas.find("order", "o-1").status).toBe("failed");
+    expect(cmds("o-1")).not.toContain("takePayment");
+  });
+
+  test("inspection lists running and failed sagas", () => {
+    store("orderPlaced", "o-1", { orderId: 1 });
+    store("orderPlaced", "o-2", { orderId: 2 });
+    store("paymentFailed", "o-2", { reason: "x" });
+    sagas.catchUp();
+
+    expect(sagas.list({ status: "running" }).map((s) => s.correlationId)).toEqual(["o-1"]);
+    expect(sagas.list({ status: "failed" }).map((s) => s.correlationId)).toEqual(["o-2"]);
+    expect(sagas.getStatus()).toEqual({ order: { running: 1, completed: 0, failed: 1 } });
+  });
+
+  test("abort fails a running saga by hand", () => {
+    store("orderPlaced", "o-1", { orderId: 1 });
+    store("stockReserved", "o-1");
+    sagas.catchUp();
+    const { id } = sagas.find("order", "o-1");
+
+    expect(sagas.abort(id, "customer cancelled")).toMatchObject({
+      status: "failed",
+      error: "customer cancelled",
+    });
+    expect(cmds("o-1").slice(-1)).toEqual(["releaseStock"]);
+    expect(sagas.abort(id)).toBeNull();
+  });
+
+  test("start follows new events until stopped", async () => {
+    await sagas.start({ pollInterval: 10 });
+    store("orderPlaced", "o-1", { orderId: 1 });
+    await Bun.sleep(30);
+    await sagas.stop();
+    expect(sagas.find("order", "o-1").state.step).toBe("reserving");
+  });
+
+  test("start reports a failing catch-up and retries it", async () => {
+    const errors = [];
+    let broken = true;
+    const flaky = modelSetup({ stub: true, default: () => "" });
+    flaky.reserveStock = () => {
+      if (broken) throw new Error("inventory offline");
+    };
+    // Callbacks that rethrow make the emitted event's failure stop the catch-up
+    sagas = new SagaManager({
+      eventQueue: queue,
+      model: flaky,
+      callbacks: { _default() {}, _error: ({ error }) => { throw error; } },
+      onError: (error) => errors.push(error.message),
+    }).define("order", orderSaga);
+
+    await sagas.start({ pollInterval: 10, retryDelay: 5, maxRetryDelay: 10 });
+    store("orderPlaced", "o-1", { orderId: 1 });
+    await Bun.sleep(30);
+    expect(errors[0]).toBe("inventory offline");
+    expect(sagas.find("order", "o-1")).toBeNull();
+
+    broken = false;
+    await Bun.sleep(100);
+    await sagas.stop();
+    expect(sagas.find("order", "o-1").state.step).toBe("reserving");
+    expect(cmds("o-1")).toEqual(["orderPlaced", "reserveStock"]);
+  });
+
+  describe("persistence", () => {
+    const dbName = "tests/data/test-sagas.sqlite";
+
+    beforeEach(() => {
+      mkdirSync("tests/data", { recursive: true });
+      rmSync(dbName, { force: true });
+    });
+
+    afterEach(() => {
+      for (const suffix of ["", "-wal", "-shm"]) {
+        rmSync(dbName + suffix, { force: true });
+      }
+    });
+
+    test("resumes from its checkpoint and state after a restart", () => {
+      const first = initQueue({ dbName });
+      first.store({ cmd: "orderPlaced", correlationId: "o-1", data: { orderId: 1 } }, model, eventCallbacks.void);
+      new SagaManager({ eventQueue: first }).define("order", orderSaga).catchUp();
+      first.store({ cmd: "stockReserved", correlationId: "o-1" }, model, eventCallbacks.void);
+      first._db.close();
+
+      const second = initQueue({ dbName });
+      const resumed = new SagaManager({ eventQueue: second }).define("order", orderSaga);
+      expect(resumed.catchUp()).toBe(2); // stockReserved, then the reserveStock it emitted
+      expect(resumed.find("order", "o-1").state.step).toBe("paying");
+      expect(second.getTransaction("o-1").filter((row) => row.cmd === "reserveStock")).toHaveLength(1);
+      second._db.close();
+    });
+
+    test("starts over when the queue is reset", () => {
+      const first = initQueue({ dbName });
+      first.store({ cmd: "orderPlaced", correlationId: "o-1", data: { orderId: 1 } }, model, eventCallbacks.void);
+      new SagaManager({ eventQueue: first }).define("order", orderSaga).catchUp();
+      first._db.close();
+
+      const reset = initQueue({ dbName, reset: true });
+      const fresh = new SagaManager({ eventQueue: reset }).define("order", orderSaga);
+      expect(fresh.find("order", "o-1")).toBeNull();
+      reset.store({ cmd: "orderPlaced", correlationId: "o-1", data: { orderId: 1 } }, model, eventCallbacks.void);
+      expect(fresh.catchUp()).toBe(2); // orderPlaced, then the reserveStock it emitted
+      expect(fresh.find("order", "o-1").state.step).toBe("reserving");
+      reset._db.close();
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import {
+  initQueue,
+  modelSetup,
+  eventCallbacks,
+  SchemaRegistry,
+  SchemaValidationError,
+} from "../index.js";
+
+const userCreatedV2 = {
+  type: "object",
+  required: ["name", "email"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string", minLength: 1 },
+    email: { type: "string", format: "email" },
+    age: { type: "integer", minimum: 0 },
+    roles: { type: "array", items: { enum: ["admin", "member"] }, uniqueItems: true },
+  },
+};
+
+describe("SchemaRegistry", () => {
+  let schemas;
+
+  beforeEach(() => {
+    schemas = new SchemaRegistry().register("userCreated", 2, userCreatedV2);
+  });
+
+  test("accepts a valid payload", () => {
+    expect(
+      schemas.validate("userCreated", 2, { name: "Ada", email: "ada@example.com", roles: ["admin"] }),
+    ).toEqual([]);
+  });
+
+  test("reports every problem with a path", () => {
+    const errors = schemas.validate("userCreated", 2, {
+      name: "",
+      age: 1.5,
+      roles: ["admin", "owner", "admin"],
+      extra: true,
+    });
+    expect(errors.map((e) => [e.path, e.keyword])).toEqual([
+      ["email", "required"],
+      ["name", "minLength"],
+      ["age", "type"],
+      ["roles", "uniqueItems"],
+      ["roles[1]", "enum"],
+      ["extra", "additionalProperties"],
+    ]);
+  });
+
+  test("only checks the version a schema was registered for", () => {
+    expect(schemas.validate("userCreated", 1, { anything: true })).toEqual([]);
+  });
+
+  test("requireSchema rejects commands without one", () => {
+    const strict = new SchemaRegistry({ requireSchema: true });
+    expect(strict.validate("unknown", 1, {})[0].keyword).toBe("schema");
+  });
+
+  test("supports nested objects and combinators", () => {
+    const registry = new SchemaRegistry().register("paid", 1, {
+      type: "object",
+      properties: {
+        amount: { type: "number", exclusiveMinimum: 0, multipleOf: 0.5 },
+        method: {
+          oneOf: [
+            { type: "object", required: ["card"], properties: { card: { type: "string", pattern: "^\\d{4}$" } } },
+            { type: "object", required: ["iban"] },
+          ],
+        },
+        note: { anyOf: [{ type: "string" }, { type: "null" }] },
+        status: { not: { const: "void" } },
+      },
+    });
+    expect(registry.validate("paid", 1, { amount: 2.5, method: { card: "1234" }, note: null })).toEqual([]);
+    const errors = registry.validate("paid", 1, {
+      amount: 0,
+      method: { card: "1234", iban: "x" },
+      note: 3,
+      status: "void",
+    });
+    expect(errors.map((e) => [e.path, e.keyword])).toEqual([
+      ["amount", "exclusiveMinimum"],
+      ["method", "oneOf"],
+      ["note", "anyOf"],
+      ["status", "not"],
+    ]);
+  });
+
+  test("assert throws a SchemaValidationError", () => {
+    expect(() => schemas.assert("userCreated", 2, {})).toThrow(SchemaValidationError);
+  });
+});
+
+describe("Schema enforcement in the event queue", () => {
+  let queue;
+  let errors;
+  let cb;
+  const model = modelSetup({ stub: true, default: () => "" });
+
+  beforeEach(() => {
+    queue = initQueue({
+      dbName: ":memory:",
+      schemas: new SchemaRegistry().register("userCreated", 2, userCreatedV2),
+    });
+    errors = [];
+    cb = { _default() {}, _error: (err) => errors.push(err) };
+  });
+
+  const lastId = () => queue._queries.getLastRow.get()?.id ?? 0;
+
+  test("store() rejects an invalid payload before writing it", () => {
+    queue.store({ cmd: "userCreated", version: 2, data: { name: "Ada" } }, model, cb);
+
+    expect(lastId()).toBe(0);
+    expect(errors).toHaveLength(1);
+    expect(errors[0].error).toBeInstanceOf(SchemaValidationError);
+    expect(errors[0]).toMatchObject({ cmd: "userCreated", version: 2 });
+    expect(errors[0].validationErrors).toEqual([
+      { path: "email", keyword: "required", message: "is required" },
+    ]);
+  });
+
+  test("store() writes a valid payload", () => {
+    queue.store(
+      { cmd: "userCreated", version: 2, data: { name: "Ada", email: "ada@example.com" } },
+      model,
+      cb,
+    );
+    expect(lastId()).toBe(1);
+    expect(errors).toEqual([]);
+  });
+
+  test("storeBulk() rejects the whole batch and reports each bad event", () => {
+    let thrown;
+    try {
+      queue.storeBulk(
+        [
+          { cmd: "userCreated", version: 2, data: { name: "Ada", email: "ada@example.com" } },
+          { cmd: "userCreated", version: 2, data: { name: "Bob" } },
+          { cmd: "userCreated", version: 2, data: { email: "nope" } },
+        ],
+        model,
+        cb,
+      );
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown).toBeInstanceOf(SchemaValidationError);
+    expect(thrown.index).toBe(1);
+    expect(thrown.failures.map((f) => f.index)).toEqual([1, 2]);
+    expect(errors.map((e) => e.index)).toEqual([1, 2]);
+    expect(lastId()).toBe(0);
+  });
+
+  test("validateHistory() reports stored events that fail their schema", () => {
+    const legacy = initQueue({ dbName: ":memory:" });
+    legacy.store({ cmd: "userCreated", version: 2, data: { name: "Ada", email: "ada@example.com" } }, model, eventCallbacks.void);
+    legacy.store({ cmd: "userCreated", version: 2, data: { name: "Bob" } }, model, eventCallbacks.void);
+    legacy.store({ cmd: "userCreated", version: 1, data: {} }, model, eventCallbacks.void);
+
+    const schemas = new SchemaRegistry().register("userCreated", 2, userCreatedV2);
+    const report = legacy.validateHistory({}, schemas);
+    expect(report).toMatchObject({ valid: false, checked: 3, failed: 1 });
+    expect(report.failures[0]).toMatchObject({ id: 2, cmd: "userCreated", version: 2 });
+
+    expect(legacy.validateHistory({ fromId: 3 }, schemas).valid).toBe(true);
+    expect(() => legacy.validateHistory()).toThrow("No schema registry");
+  });
+});
@@ -0,0 +1,192 @@
+import { describe, test, expect, afterEach } from "bun:test";
+import {
+  initQueue,
+  modelSetup,
+  eventCallbacks,
+  initSnapshots,
+  serializers,
+  resolveSerializer,
+  encodeMsgpack,
+  decodeMsgpack,
+  encodeCbor,
+  decodeCbor,
+} from "../index.js";
+import { rmSync } from "fs";
+
+describe("Serializers", () => {
+  const model = modelSetup({ stub: true, default: () => "" });
+  const dbName = "tests/data/serializers.sqlite";
+  const typed = {
+    at: new Date("2024-05-01T12:30:00.250Z"),
+    balance: 12345678901234567890n,
+    debt: -42n,
+    tags: new Map([["priority", 1], [2, ["a", "b"]]]),
+    blob: Buffer.from([0, 1, 2, 254, 255]),
+    nested: { ok: true, none: null, n: -1.5, big: 2 ** 40, text: "héllo ✓" },
+  };
+
+  afterEach(() => {
+    for (const suffix of ["", "-wal", "-shm"]) rmSync(dbName + suffix, { force: true });
+  });
+
+  test("MessagePack and CBOR round-trip the types JSON loses", () => {
+    for (const [encode, decode] of [
+      [encodeMsgpack, decodeMsgpack],
+      [encodeCbor, decodeCbor],
+    ]) {
+      const bytes = encode(typed);
+      expect(bytes).toBeInstanceOf(Uint8Array);
+      expect(decode(bytes)).toEqual(typed);
+      expect(decode(encode([NaN, -0, Infinity, "", []]))).toEqual([NaN, -0, Infinity, "", []]);
+      expect(() => decode(bytes.subarray(0, bytes.length - 1))).toThrow("Unexpected end");
+    }
+    // Well-known encodings, so other implementations can read them
+    expect(Buffer.from(encodeMsgpack({ a: 1 })).toString("hex")).toBe("81a16101");
+    expect(Buffer.from(encodeCbor({ a: 1 })).toString("hex")).toBe("a1616101");
+  });
+
+  test("a queue keeps types through store, retrieval, replay, streams and bulk", async () => {
+    for (const serializer of ["msgpack", "cbor"]) {
+      const queue = initQueue({ dbName: ":memory:", serializer });
+      const executed = [];
+      const cb = { _default: (res, row) => executed.push(row.data), _error() {} };
+      queue.store({ cmd: "ledger", data: typed, metadata: { at: typed.at } }, model, cb);
+      queue.storeBulk([{ cmd: "ledger", data: typed }]);
+
+      expect(executed).toEqual([typed]);
+      expect(queue.retrieveByID(1)).toMatchObject({ data: typed, metadata: { at: typed.at } });
+      expect(queue.retrieveByID(1)).not.toHaveProperty("serializer");
+      expect(queue.getEventsAfter(0).map((event) => event.data)).toEqual([typed, typed]);
+
+      const replayed = [];
+      queue.cycleThrough(model, () => {}, { _default: (res, event) => replayed.push(event.data), _error() {} });
+      expect(replayed).toEqual([typed, typed]);
+
+      const streamed = [];
+      for await (const batch of queue.streamEvents()) streamed.push(...batch.map((event) => event.data));
+      expect(streamed).toEqual([typed, typed]);
+
+      const stored = queue._db.query("SELECT data, serializer FROM queue WHERE id = 2").get();
+      expect(stored.data).toBeInstanceOf(Uint8Array);
+      expect(stored.serializer).toBe(serializer);
+    }
+  });
+
+  test("rows keep their own serializer, so old JSON rows still read after switching", () => {
+    const queue = initQueue({ dbName });
+    queue.store({ cmd: "before", data: { n: 1 } }, model, eventCallbacks.void);
+
+    // Reopen the same database with MessagePack
+    const switched = initQueue({ dbName, serializer: "msgpack" });
+    switched.store({ cmd: "after", data: { at: typed.at } }, model, eventCallbacks.void);
+
+    expect(switched.getEventsAfter(0).map((event) => event.data)).toEqual([{ n: 1 }, { at: typed.at }]);
+    expect(switched._db.query("SELECT serializer FROM queue ORDER BY id").all()).toEqual([
+      { serializer: null },
+      { serializer: "msgpack" },
+    ]);
+    // Built-in markers are known to every reader, whatever its own serializer
+    expect(queue.retrieveByID(2).data).toEqual({ at: typed.at });
+    queue._db.close();
+    switched._db.close();
+  });
+
+  test("custom serializers are checked and must be passed to read their rows", () => {
+    const reversed = {
+      name: "reversed-json",
+      encode: (value) => [...JSON.stringify(value)].reverse().join(""),
+      decode: (stored) => JSON.parse([...stored].reverse().join("")),
+    };
+    const queue = initQueue({ dbName, serializer: reversed });
+    queue.store({ cmd: "x", data: { n: 1 } }, model, eventCallbacks.void);
+    expect(queue.retrieveByID(1).data).toEqual({ n: 1 });
+    expect(queue._db.query("SELECT data FROM queue").get().data).toBe('}1:"n"{');
+
+    const plain = initQueue({ dbName });
+    expect(() => plain.retrieveByID(1)).toThrow("Stored with serializer reversed-json");
+    queue._db.close();
+    plain._db.close();
+    expect(() => initQueue({ dbName: ":memory:", serializer: "yaml" })).toThrow("Unknown serializer yaml");
+    expect(() => resolveSerializer({ name: "json", encode() {}, decode() {} })).toThrow("taken by a built-in");
+    expect(resolveSerializer("cbor")).toBe(serializers.cbor);
+  });
+
+  test("pending events are stored with the queue's serializer", async () => {
+    const queue = initQueue({ dbName: ":memory:", serializer: "cbor" });
+    queue.storeWhen(
+      { cmd: "settle", data: typed, correlationId: "o-1", waitFor: { all: [{ pattern: "paid", correlationId: "o-1" }] } },
+      model,
+      eventCallbacks.void,
+    );
+    expect(queue._db.query("SELECT serializer FROM pending_events").get().serializer).toBe("cbor");
+
+    queue.store({ cmd: "paid", correlationId: "o-1" }, model, eventCallbacks.void);
+    await Bun.sleep(10);
+    queue.executeReadyEvents(model, eventCallbacks.void);
+    const settled = queue.getEventsAfter(0).find((event) => event.cmd === "settle");
+    expect(settled.data).toEqual(typed);
+  });
+
+  test("payload compression works on serialized bytes", () => {
+    const queue = initQueue({ dbName: ":memory:", serializer: "msgpack", payloads: { compress: { cmds: ["ledger"] } } });
+    queue.store({ cmd: "ledger", data: typed, metadata: { source: "import" } }, model, eventCallbacks.void);
+    expect(queue._db.query("SELECT data, payload_encoding FROM queue").get()).toEqual({
+      data: null,
+      payload_encoding: "gzip",
+    });
+    expect(queue.retrieveByID(1)).toMatchObject({ data: typed, metadata: { source: "import" } });
+  });
+
+  test("hash chains and archive segments cover binary rows", () => {
+    const dir = "tests/data/serializer-archive";
+    let clock = 1000;
+    const queue = initQueue({
+      dbName: ":memory:",
+      serializer: "msgpack",
+      hashChain: { key: "secret" },
+      archive: { dir },
+      datetime: () => clock,
+    });
+    queue.store({ cmd: "ledger", data: typed }, model, eventCallbacks.void);
+    clock = 5000;
+    queue.store({ cmd: "ledger", data: { n: 2n } }, model, eventCallbacks.void);
+
+    const [segment] = queue.archiveEvents({ before: 2000 }).segments;
+    expect(queue.retrieveByID(1).data).toEqual(typed);
+    expect(queue.verifyChain()).toMatchObject({ valid: true, checked: 2 });
+    queue.restoreArchiveSegment(segment.id);
+    expect(queue._db.query("SELECT data FROM queue WHERE id = 1").get().data).toEqual(encodeMsgpack(typed));
+    expect(queue.verifyChain()).toMatchObject({ valid: true, checked: 2 });
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("snapshots keep binary state with a binary serializer", async () => {
+    const files = () =>
+      modelSetup({
+        dbName: ":memory:",
+        tables(db) {
+          db.query("CREATE TABLE files (id INTEGER PRIMARY KEY, body BLOB, added INTEGER)").run();
+        },
+        queries: () => ({}),
+        methods: () => ({}),
+      });
+    const source = files();
+    source._db.query("INSERT INTO files (body, added) VALUES ($body, $added)").run({ body: typed.blob, added: 7 });
+
+    const snapshots = initSnapshots({ dbName: ":memory:", serializer: "msgpack" });
+    await snapshots.createSnapshot("files", 3, source, { taken: typed.at });
+    expect(snapshots.listSnapshots("files")[0].metadata).toEqual({ taken: typed.at });
+
+    const target = files();
+    const restored = await snapshots.restoreSnapshot("files", 3, target);
+    expect(restored).toMatchObject({ success: true, replayFrom: 4, metadata: { taken: typed.at } });
+    expect(Buffer.from(target._db.query("SELECT body FROM files").get().body)).toEqual(typed.blob);
+
+    // A JSON manager still restores it from the row's marker
+    const reader = initSnapshots({ dbName: ":memory:" });
+    reader.db = snapshots.db;
+    reader.queries = snapshots.queries;
+    expect((await reader.restoreSnapshot("files", 3, files())).success).toBe(true);
+    snapshots.close();
+  });
+});
@@ -0,0 +1,139 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { initQueue, EventSubscription } from "../index.js";
+import { existsSync, rmSync, mkdirSync } from "fs";
+import { createTestModel } from "./helpers/test-model.js";
+import { createSilentEventCallbacks } from "./helpers/test-helpers.js";
+
+describe("Event subscriptions", () => {
+  let queue;
+  let model;
+  let cb;
+  let subscription;
+
+  beforeEach(() => {
+    queue = initQueue({ dbName: ":memory:" });
+    model = createTestModel();
+    cb = createSilentEventCallbacks();
+  });
+
+  afterEach(() => {
+    if (subscription) subscription.unsubscribe();
+    subscription = null;
+  });
+
+  const take = async (sub, n) => {
+    const events = [];
+    for await (const event of sub) {
+      events.push(event);
+      if (events.length === n) break;
+    }
+    return events;
+  };
+
+  test("returns an async iterable subscription", () => {
+    subscription = queue.subscribe();
+    expect(subscription).toBeInstanceOf(EventSubscription);
+    expect(typeof subscription[Symbol.asyncIterator]).toBe("function");
+  });
+
+  test("catches up from fromId before going live", async () => {
+    queue.store({ cmd: "first" }, model, cb);
+    queue.store({ cmd: "second" }, model, cb);
+    queue.store({ cmd: "third" }, model, cb);
+
+    subscription = queue.subscribe({ fromId: 2, pollInterval: 0 });
+    const pending = take(subscription, 3);
+    setTimeout(() => queue.store({ cmd: "fourth" }, model, cb), 5);
+
+    const events = await pending;
+    expect(events.map((e) => e.cmd)).toEqual(["second", "third", "fourth"]);
+    expect(events[0].data).toEqual({});
+  });
+
+  test("starts after the current last event by default", async () => {
+    queue.store({ cmd: "old" }, model, cb);
+    subscription = queue.subscribe({ pollInterval: 0 });
+    const pending = take(subscription, 1);
+    queue.store({ cmd: "new" }, model, cb);
+    const [event] = await pending;
+    expect(event.cmd).toBe("new");
+  });
+
+  test("filters by cmd, correlationId and user", async () => {
+    subscription = queue.subscribe({
+      cmd: "orderPlaced",
+      user: "alice",
+      correlationId: "c1",
+      fromId: 1,
+      pollInterval: 0,
+    });
+    queue.store({ cmd: "orderPlaced", user: "bob", correlationId: "c1" }, model, cb);
+    queue.store({ cmd: "orderPaid", user: "alice", correlationId: "c1" }, model, cb);
+    queue.store({ cmd: "orderPlaced", user: "alice", correlationId: "c2" }, model, cb);
+    queue.store({ cmd: "orderPlaced", user: "alice", correlationId: "c1" }, model, cb);
+
+    const [event] = await take(subscription, 1);
+    expect(event.id).toBe(4);
+  });
+
+  test("is woken by storeBulk", async () => {
+    subscription = queue.subscribe({ pollInterval: 0 });
+    const pending = take(subscription, 2);
+    queue.storeBulk([{ cmd: "a" }, { cmd: "b" }]);
+    const events = await pending;
+    expect(events.map((e) => e.cmd)).toEqual(["a", "b"]);
+  });
+
+  test("unsubscribe ends a waiting iterator", async () => {
+    subscription = queue.subscribe({ pollInterval: 0 });
+    const pending = subscription.next();
+    subscription.unsubscribe();
+    expect(await pending).toEqual({ value: undefined, done: true });
+  });
+
+  test("pause ends on unsubscribe but not on new events", async () => {
+    subscription = queue.subscribe({ pollInterval: 0 });
+    let ended = false;
+    const pause = subscription.pause(60000).then(() => (ended = true));
+    queue.store({ cmd: "a" }, model, cb);
+    await Bun.sleep(5);
+    expect(ended).toBe(false);
+    subscription.unsubscribe();
+    await pause;
+    expect(ended).toBe(true);
+  });
+
+  test("breaking out of for await unsubscribes", async () => {
+    subscription = queue.subscribe({ fromId: 1, pollInterval: 0 });
+    queue.store({ cmd: "a" }, model, cb);
+    await take(subscription, 1);
+    expect(subscription.closed).toBe(true);
+  });
+
+  test("holds at most one batch in memory", async () => {
+    for (let i = 0; i < 25; i++) {
+      queue.store({ cmd: "tick", data: { i } }, model, cb);
+    }
+    subscription = queue.subscribe({ fromId: 1, batchSize: 10, pollInterval: 0 });
+    await subscription.next();
+    expect(subscription.buffer.length).toBe(9);
+    expect(subscription.position).toBe(10);
+  });
+
+  test("tails events written by another connection by polling", async () => {
+    const dbPath = "tests/data/test-subscription.sqlite";
+    if (!existsSync("tests/data")) mkdirSync("tests/data", { recursive: true });
+    if (existsSync(dbPath)) rmSync(dbPath);
+
+    const writer = initQueue({ dbName: dbPath });
+    const reader = initQueue({ dbName: dbPath });
+
+    subscription = reader.subscribe({ pollInterval: 10 });
+    const pending = take(subscription, 1);
+    writer.store({ cmd: "fromWriter" }, model, cb);
+
+    const [event] = await pending;
+    expect(event.cmd).toBe("fromWriter");
+    rmSync(dbPath);
+  });
+});
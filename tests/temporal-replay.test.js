@@ -0,0 +1,131 @@
+import { describe, test, expect, beforeEach } from "bun:test";
+import { initQueue, modelSetup, eventCallbacks } from "../index.js";
+
+const ledgerModel = () =>
+  modelSetup({
+    dbName: ":memory:",
+    tables(db) {
+      db.query("CREATE TABLE entries (id INTEGER PRIMARY KEY, amount INTEGER)").run();
+    },
+    queries(db) {
+      return {
+        add: db.query("INSERT INTO entries (amount) VALUES ($amount)"),
+        total: db.query("SELECT COALESCE(SUM(amount), 0) AS total FROM entries"),
+      };
+    },
+    methods(queries) {
+      return {
+        credited({ amount }) {
+          queries.add.run({ amount });
+        },
+      };
+    },
+    default: () => "",
+  });
+
+const totalOf = (model) => model._queries.total.get().total;
+
+describe("Time-based replay", () => {
+  let now;
+  let queue;
+
+  const storeAt = (time, amount) => {
+    now = time;
+    queue.store(
+      { cmd: "credited", data: { amount } },
+      modelSetup({ stub: true, default: () => "" }),
+      eventCallbacks.void,
+    );
+  };
+
+  const replay = (options) => {
+    const model = ledgerModel();
+    queue.cycleThrough(model, () => {}, eventCallbacks.void, options);
+    return totalOf(model);
+  };
+
+  describe("with millisecond timestamps", () => {
+    beforeEach(() => {
+      queue = initQueue({ dbName: ":memory:", datetime: () => now });
+      storeAt(Date.parse("2026-01-15T00:00:00Z"), 1);
+      storeAt(Date.parse("2026-02-15T00:00:00Z"), 10);
+      storeAt(Date.parse("2026-03-01T00:00:00Z"), 100);
+      storeAt(Date.parse("2026-03-15T00:00:00Z"), 1000);
+    });
+
+    test("still treats bare numbers as event ids", () => {
+      expect(replay({ start: 2, stop: 4 })).toBe(110);
+      expect(replay({ start: 0, stop: null })).toBe(1111);
+    });
+
+    test("stops before an ISO string time", () => {
+      expect(replay({ start: 0, stop: "2026-03-01" })).toBe(11);
+    });
+
+    test("accepts Date objects for start and stop", () => {
+      expect(
+        replay({
+          start: new Date("2026-02-01T00:00:00Z"),
+          stop: new Date("2026-03-10T00:00:00Z"),
+        }),
+      ).toBe(110);
+    });
+
+    test("accepts tagged epoch times and ids", () => {
+      expect(
+        replay({
+          start: { time: Date.parse("2026-02-15T00:00:00Z") },
+          stop: { id: 4 },
+        }),
+      ).toBe(110);
+    });
+
+    test("rejects unparseable times", () => {
+      expect(() => replay({ start: 0, stop: "not a date" })).toThrow(
+        "Invalid time",
+      );
+    });
+
+    test("replayAsOf includes events at exactly that moment", () => {
+      const model = ledgerModel();
+      const result = queue.replayAsOf(model, "2026-03-01T00:00:00Z");
+      expect(totalOf(model)).toBe(111);
+      expect(result).toEqual({
+        asOf: Date.parse("2026-03-01T00:00:00Z"),
+        lastEventId: 3,
+        count: 3,
+      });
+    });
+
+    test("replayAsOf before any event leaves the model empty", () => {
+      const model = ledgerModel();
+      const result = queue.replayAsOf(model, new Date("2025-01-01"));
+      expect(totalOf(model)).toBe(0);
+      expect(result.lastEventId).toBe(0);
+    });
+
+    test("replayAsOf refuses an event id", () => {
+      expect(() => queue.replayAsOf(ledgerModel(), { id: 3 })).toThrow();
+    });
+  });
+
+  describe("with second timestamps", () => {
+    beforeEach(() => {
+      queue = initQueue({ dbName: ":memory:", datetime: () => now });
+      storeAt(Date.parse("2026-01-15T00:00:00Z") / 1000, 1);
+      storeAt(Date.parse("2026-03-15T00:00:00Z") / 1000, 10);
+    });
+
+    test("converts Date bounds to seconds", () => {
+      expect(replay({ start: 0, stop: new Date("2026-02-01") })).toBe(1);
+    });
+  });
+
+  test("timeUnit overrides the inferred unit", () => {
+    // Small values would otherwise be read as seconds
+    queue = initQueue({ dbName: ":memory:", datetime: () => now, timeUnit: "ms" });
+    storeAt(5000, 1);
+    expect(replay({ start: 0, stop: "1970-01-01T00:00:10Z" })).toBe(1);
+    expect(replay({ start: 0, stop: "1970-01-01T00:00:04Z" })).toBe(0);
+  });
+});
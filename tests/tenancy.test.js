@@ -0,0 +1,187 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import {
+  initQueue,
+  modelSetup,
+  eventCallbacks,
+  EventQueryEngine,
+  SnapshotManager,
+  PrivacyManager,
+  tenantPath,
+} from "../index.js";
+import { existsSync, rmSync } from "fs";
+
+describe("Multi-tenancy", () => {
+  let queue;
+  let acme;
+  let globex;
+  const model = modelSetup({ stub: true, default: () => "" });
+
+  beforeEach(() => {
+    queue = initQueue({ dbName: ":memory:" });
+    acme = queue.forTenant("acme");
+    globex = queue.forTenant("globex");
+  });
+
+  const store = (handle, event) => handle.store(event, model, eventCallbacks.void);
+
+  describe("scoped handles", () => {
+    test("stamp their tenant on every event they store", () => {
+      store(acme, { cmd: "orderPlaced", correlationId: "c-1" });
+      store(queue, { cmd: "orderPlaced", correlationId: "c-1", tenantId: "globex" });
+      store(queue, { cmd: "systemStarted" });
+
+      expect(queue.getEventsAfter(0).map((row) => [row.cmd, row.tenant_id])).toEqual([
+        ["orderPlaced", "acme"],
+        ["orderPlaced", "globex"],
+        ["systemStarted", null],
+      ]);
+      expect(acme.tenantId).toBe("acme");
+      expect(queue.tenantId).toBeNull();
+    });
+
+    test("can't read another tenant's rows through any query method", async () => {
+      store(acme, { cmd: "orderPlaced", user: "ann", correlationId: "c-1", streamId: "order-1" });
+      store(globex, { cmd: "orderPlaced", user: "ann", correlationId: "c-1", streamId: "order-1" });
+      const theirs = queue.getEventsAfter(0).find((row) => row.tenant_id === "globex");
+
+      expect(acme.retrieveByID(theirs.id)).toBeNull();
+      expect(acme.getTransaction("c-1")).toHaveLength(1);
+      expect(acme.getByCorrelationIdPaginated("c-1").events).toHaveLength(1);
+      expect(acme.getEventsByUserPaginated("ann").events).toHaveLength(1);
+      expect(acme.getEventsByCmdPaginated("orderPlaced").totalCount).toBe(1);
+      expect(acme.getEventsAfter(0).map((row) => row.tenant_id)).toEqual(["acme"]);
+      const streamed = [];
+      for await (const batch of acme.streamEvents({ streamId: "order-1" })) streamed.push(...batch);
+      expect(streamed.map((row) => row.tenant_id)).toEqual(["acme"]);
+
+      // The unscoped queue sees everything
+      expect(queue.getTransaction("c-1")).toHaveLength(2);
+    });
+
+    test("refuse to write for another tenant", () => {
+      expect(() => store(acme, { cmd: "x", tenantId: "globex" })).toThrow("scoped to tenant acme");
+      expect(() => acme.storeBulk([{ cmd: "x", tenantId: "globex" }])).toThrow("scoped to tenant acme");
+      expect(() => acme.forTenant("globex")).toThrow("already scoped");
+      expect(queue.getEventsAfter(0)).toHaveLength(0);
+    });
+
+    test("tenant ids are checked", () => {
+      expect(() => queue.forTenant("acme'; DROP TABLE queue; --")).toThrow("Invalid tenant id");
+      expect(() => store(queue, { cmd: "x", tenantId: "" })).toThrow("Invalid tenant id");
+      expect(() => initQueue({ dbName: ":memory:", tenantId: "a/b" })).toThrow("Invalid tenant id");
+    });
+
+    test("initQueue({ tenantId }) opens a scoped handle", () => {
+      const scoped = initQueue({ dbName: ":memory:", tenantId: "acme" });
+      store(scoped, { cmd: "x" });
+      expect(scoped.retrieveByID(1).tenant_id).toBe("acme");
+    });
+  });
+
+  test("storeBulk stamps tenants and keeps them apart", () => {
+    queue.storeBulk([{ cmd: "a", tenantId: "acme" }, { cmd: "b" }]);
+    globex.storeBulk([{ cmd: "c" }]);
+    expect(queue.getEventsAfter(0).map((row) => row.tenant_id)).toEqual(["acme", null, "globex"]);
+    expect(globex.getEventsAfter(0).map((row) => row.cmd)).toEqual(["c"]);
+  });
+
+  test("each tenant has its own idempotency keys", () => {
+    const first = acme._appendEvent({ cmd: "charge", idempotencyKey: "k-1" }, eventCallbacks.void);
+    const other = globex._appendEvent({ cmd: "charge", idempotencyKey: "k-1" }, eventCallbacks.void);
+    expect(other.id).not.toBe(first.id);
+    expect(acme._appendEvent({ cmd: "charge", idempotencyKey: "k-1" }, eventCallbacks.void)).toMatchObject({
+      id: first.id,
+      duplicate: true,
+    });
+    expect(globex.findByIdempotencyKey("k-1").id).toBe(other.id);
+    expect(queue.findByIdempotencyKey("k-1")).toBeNull();
+  });
+
+  test("each tenant has its own stream versions", () => {
+    store(acme, { cmd: "opened", streamId: "account-1", expectedVersion: 0 });
+    store(globex, { cmd: "opened", streamId: "account-1", expectedVersion: 0 });
+    store(acme, { cmd: "credited", streamId: "account-1", expectedVersion: 1 });
+
+    expect(acme.getStreamVersion("account-1")).toBe(2);
+    expect(globex.getStreamVersion("account-1")).toBe(1);
+    expect(queue.getStreamVersion("account-1")).toBe(0);
+    expect(queue.getStreamVersion("account-1", "acme")).toBe(2);
+  });
+
+  test("pending events only count events of their own tenant", () => {
+    const { pendingEventId } = acme.storeWhen(
+      { cmd: "ship", correlationId: "o-1", waitFor: { all: [{ pattern: "paid", correlationId: "o-1" }] } },
+      model,
+      eventCallbacks.void,
+    );
+    store(globex, { cmd: "paid", correlationId: "o-1" });
+    acme.checkAllPendingEvents();
+    expect(acme._queries.getPendingEventById.get({ id: pendingEventId }).status).toBe("pending");
+    expect(acme.getPendingEventsByCorrelation("o-1")).toHaveLength(1);
+    expect(globex.getPendingEventsByCorrelation("o-1")).toHaveLength(0);
+
+    store(acme, { cmd: "paid", correlationId: "o-1" });
+    acme.checkAllPendingEvents();
+    expect(acme._queries.getPendingEventById.get({ id: pendingEventId }).status).toBe("ready");
+    acme.executeReadyEvents(model, eventCallbacks.void);
+    expect(acme.getTransaction("o-1").map((row) => row.cmd)).toEqual(["paid", "ship"]);
+    expect(globex.getTransaction("o-1").map((row) => row.cmd)).toEqual(["paid"]);
+  });
+
+  test("the hash chain covers every tenant and is verified unscoped", () => {
+    const chained = initQueue({ dbName: ":memory:", hashChain: { key: "secret" } });
+    store(chained.forTenant("acme"), { cmd: "a" });
+    store(chained, { cmd: "b" });
+    expect(chained.verifyChain()).toMatchObject({ valid: true, checked: 2 });
+    expect(() => chained.forTenant("acme").verifyChain()).toThrow("covers every tenant");
+  });
+
+  describe("per-tenant stores", () => {
+    const dbName = "tests/data/test-tenancy.sqlite";
+
+    afterEach(() => {
+      for (const suffix of ["", "-wal", "-shm"]) {
+        if (existsSync(dbName + suffix)) rmSync(dbName + suffix);
+      }
+      rmSync("tests/data/tenants", { recursive: true, force: true });
+    });
+
+    test("tenantPath moves a store into the tenant's directory", () => {
+      expect(tenantPath("data/snapshots.sqlite", "acme")).toBe("data/tenants/acme/snapshots.sqlite");
+      expect(tenantPath("data/snapshots.sqlite", null)).toBe("data/snapshots.sqlite");
+      expect(tenantPath(":memory:", "acme")).toBe(":memory:");
+    });
+
+    test("EventQueryEngine sees only the tenant's events", () => {
+      const fileQueue = initQueue({ dbName });
+      store(fileQueue.forTenant("acme"), { cmd: "root", correlationId: "c-1" });
+      store(fileQueue.forTenant("globex"), { cmd: "root", correlationId: "c-1" });
+
+      const engine = new EventQueryEngine(dbName, { tenantId: "acme" });
+      expect(engine.getRootEvents().map((row) => row.tenant_id)).toEqual(["acme"]);
+      expect(engine.getEventsByCorrelationId("c-1")).toHaveLength(1);
+      engine.close();
+
+      const everything = new EventQueryEngine(dbName);
+      expect(everything.getRootEvents()).toHaveLength(2);
+      everything.close();
+      fileQueue._db.close();
+    });
+
+    test("snapshots and privacy data live in the tenant's own files", () => {
+      const snapshots = new SnapshotManager({ dbName: "tests/data/snapshots.sqlite", tenantId: "acme" });
+      expect(existsSync("tests/data/tenants/acme/snapshots.sqlite")).toBe(true);
+      snapshots.close();
+
+      const privacy = new PrivacyManager({
+        keyDbPath: "tests/data/keys.sqlite",
+        personalDbPath: "tests/data/personal.sqlite",
+        exportDir: "tests/data/exports",
+        eventQueue: acme,
+      });
+      expect(privacy.tenantId).toBe("acme");
+      expect(privacy.options.keyDbPath).toBe("tests/data/tenants/acme/keys.sqlite");
+      expect(existsSync("tests/data/tenants/acme/exports")).toBe(true);
+    });
+  });
+});
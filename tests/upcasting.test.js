@@ -0,0 +1,275 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import {
+  initQueue,
+  modelSetup,
+  eventCallbacks,
+  UpcasterRegistry,
+  BulkOperations,
+} from "../index.js";
+import { existsSync, rmSync, mkdirSync, readFileSync } from "fs";
+
+const recordingModel = (seen) => {
+  const model = modelSetup({ stub: true, default: () => "" });
+  for (const cmd of ["itemAdded", "itemDeleted", "orderPlaced", "cartClosed", "bad"]) {
+    model[cmd] = (data, meta) => {
+      seen.push({ cmd, version: meta.version, data, upcastFrom: meta.upcastFrom });
+      return cmd;
+    };
+  }
+  return model;
+};
+
+describe("UpcasterRegistry", () => {
+  test("chains data upcasters by version", () => {
+    const registry = new UpcasterRegistry()
+      .register("userRegistered", 1, (data) => ({ ...data, email: null }))
+      .register("userRegistered", 2, ({ name, ...rest }) => ({ ...rest, fullName: name }));
+
+    const [event] = registry.upcast({
+      id: 7,
+      cmd: "userRegistered",
+      version: 1,
+      data: { name: "Ada" },
+    });
+    expect(event).toEqual({
+      id: 7,
+      cmd: "userRegistered",
+      version: 3,
+      data: { email: null, fullName: "Ada" },
+      upcastFrom: { cmd: "userRegistered", version: 1 },
+    });
+  });
+
+  test("starts from the stored version", () => {
+    const registry = new UpcasterRegistry()
+      .register("a", 1, (data) => ({ ...data, one: true }))
+      .register("a", 2, (data) => ({ ...data, two: true }));
+    const [event] = registry.upcast({ cmd: "a", version: 2, data: {} });
+    expect(event.data).toEqual({ two: true });
+  });
+
+  test("leaves unknown events untouched", () => {
+    const row = { cmd: "other", version: 1, data: { x: 1 } };
+    expect(new UpcasterRegistry().upcast(row)).toEqual([row]);
+  });
+
+  test("renames a command and continues with its own chain", () => {
+    const registry = new UpcasterRegistry()
+      .rename("signup", 1, "userRegistered")
+      .register("userRegistered", 1, (data) => ({ ...data, email: null }));
+    const [event] = registry.upcast({ cmd: "signup", version: 1, data: {} });
+    expect(event).toMatchObject({
+      cmd: "userRegistered",
+      version: 2,
+      data: { email: null },
+      upcastFrom: { cmd: "signup", version: 1 },
+    });
+  });
+
+  test("expands one event into several, in order", () => {
+    const registry = new UpcasterRegistry()
+      .register(
+        "orderPlacedAndPaid",
+        1,
+        ({ orderId, amount }) => [
+          { cmd: "orderPlaced", data: { orderId } },
+          { cmd: "paymentTaken", data: { orderId, amount } },
+        ],
+        { expand: true },
+      )
+      .register("orderPlaced", 1, (data) => ({ ...data, channel: "web" }));
+
+    const events = registry.upcast({ id: 3, cmd: "orderPlacedAndPaid", version: 1, data: { orderId: 9, amount: 5 } });
+    expect(events.map((e) => [e.id, e.cmd, e.version])).toEqual([
+      [3, "orderPlaced", 2],
+      [3, "paymentTaken", 1],
+    ]);
+    expect(events[0].data).toEqual({ orderId: 9, channel: "web" });
+  });
+
+  test("stops a cycle instead of looping forever", () => {
+    const registry = new UpcasterRegistry({ maxSteps: 5 })
+      .rename("a", 1, "b")
+      .rename("b", 1, "a");
+    expect(() => registry.upcast({ cmd: "a", version: 1, data: {} })).toThrow("cycle");
+  });
+
+  test("rejects a duplicate registration", () => {
+    const registry = new UpcasterRegistry().register("a", 1, (d) => d);
+    expect(() => registry.register("a", 1, (d) => d)).toThrow("already registered");
+  });
+
+  test("reports gaps in a version chain", () => {
+    const registry = new UpcasterRegistry()
+      .register("a", 1, (d) => d)
+      .register("a", 3, (d) => d)
+      .register("b", 1, (d) => d);
+    expect(registry.validate()).toEqual({
+      valid: false,
+      gaps: [{ cmd: "a", missing: [2] }],
+      stranded: [],
+    });
+  });
+
+  test("converts positional migrations, keeping empty slots as pass-through", () => {
+    const registry = UpcasterRegistry.fromMigrations({
+      a: [(d) => ({ ...d, v2: true }), null, (d) => ({ ...d, v4: true })],
+    });
+    const [event] = registry.upcast({ cmd: "a", version: 1, data: {} });
+    expect(event).toMatchObject({ version: 4, data: { v2: true, v4: true } });
+  });
+});
+
+describe("Upcasting in the event queue", () => {
+  let queue;
+  let seen;
+  const registry = () =>
+    new UpcasterRegistry()
+      .register("itemAdded", 1, ({ price, ...rest }) => ({ ...rest, priceCents: price * 100 }))
+      .rename("itemRemoved", 1, "itemDeleted")
+      .register(
+        "cartCheckedOut",
+        1,
+        ({ cartId }) => [
+          { cmd: "orderPlaced", data: { cartId } },
+          { cmd: "cartClosed", data: { cartId } },
+        ],
+        { expand: true },
+      );
+
+  const storeRaw = (event) =>
+    queue.store(event, modelSetup({ stub: true, default: () => "" }), eventCallbacks.void);
+
+  beforeEach(() => {
+    queue = initQueue({ dbName: ":memory:", upcasters: registry() });
+    seen = [];
+  });
+
+  test("execute hands handlers the upcast event", () => {
+    const results = queue.store(
+      { cmd: "cartCheckedOut", data: { cartId: 1 } },
+      recordingModel(seen),
+      eventCallbacks.void,
+    );
+    expect(results).toEqual(["orderPlaced", "cartClosed"]);
+    expect(seen.map((e) => e.cmd)).toEqual(["orderPlaced", "cartClosed"]);
+    expect(seen[0].upcastFrom).toEqual({ cmd: "cartCheckedOut", version: 1 });
+  });
+
+  test("calls callbacks per upcast event", () => {
+    const called = [];
+    queue.store({ cmd: "itemRemoved", data: {} }, recordingModel(seen), {
+      itemDeleted: (res, row) => called.push(row.cmd),
+      _default: (res, row) => called.push(`default ${row.cmd}`),
+      _error() {},
+    });
+    expect(called).toEqual(["itemDeleted"]);
+  });
+
+  test("cycleThrough replays old events in their current shape", () => {
+    storeRaw({ cmd: "itemAdded", data: { sku: "x", price: 2 } });
+    storeRaw({ cmd: "itemRemoved", data: { sku: "x" } });
+
+    queue.cycleThrough(recordingModel(seen), () => {}, eventCallbacks.void);
+    expect(seen).toEqual([
+      { cmd: "itemAdded", version: 2, data: { sku: "x", priceCents: 200 }, upcastFrom: { cmd: "itemAdded", version: 1 } },
+      { cmd: "itemDeleted", version: 1, data: { sku: "x" }, upcastFrom: { cmd: "itemRemoved", version: 1 } },
+    ]);
+  });
+
+  test("retrieveByID upcasts and shows expansions", () => {
+    storeRaw({ cmd: "itemAdded", data: { price: 1 } });
+    storeRaw({ cmd: "cartCheckedOut", data: { cartId: 4 } });
+
+    expect(queue.retrieveByID(1)).toMatchObject({ version: 2, data: { priceCents: 100 } });
+    const expanded = queue.retrieveByID(2);
+    expect(expanded.cmd).toBe("cartCheckedOut");
+    expect(expanded.expandsTo.map((e) => e.cmd)).toEqual(["orderPlaced", "cartClosed"]);
+  });
+
+  test("streamEvents upcasts unless raw", async () => {
+    storeRaw({ cmd: "cartCheckedOut", data: { cartId: 4 } });
+    storeRaw({ cmd: "itemRemoved", data: {} });
+
+    const collect = async (options) => {
+      const cmds = [];
+      for await (const batch of queue.streamEvents(options)) {
+        cmds.push(...batch.map((e) => e.cmd));
+      }
+      return cmds;
+    };
+    expect(await collect({})).toEqual(["orderPlaced", "cartClosed", "itemDeleted"]);
+    expect(await collect({ raw: true })).toEqual(["cartCheckedOut", "itemRemoved"]);
+  });
+
+  test("model migrations still apply through the registry", () => {
+    const model = recordingModel(seen);
+    model._upcasters = UpcasterRegistry.fromMigrations({
+      itemDeleted: [(data) => ({ ...data, migrated: true })],
+    });
+    queue.store({ cmd: "itemRemoved", data: {} }, model, eventCallbacks.void);
+    expect(seen[0]).toMatchObject({ cmd: "itemDeleted", version: 2, data: { migrated: true } });
+  });
+
+  test("reports an upcaster that throws through the error callbacks", () => {
+    const errors = [];
+    const failing = initQueue({
+      dbName: ":memory:",
+      upcasters: new UpcasterRegistry().register("bad", 1, () => {
+        throw new Error("cannot upcast");
+      }),
+    });
+    failing.store({ cmd: "bad" }, recordingModel(seen), {
+      _default() {},
+      _error: (err) => errors.push(err.error.message),
+    });
+    expect(errors).toEqual(["cannot upcast"]);
+    expect(seen).toEqual([]);
+  });
+
+  test("validateUpcasters reports stored versions left behind by a gap", () => {
+    const gappy = initQueue({
+      dbName: ":memory:",
+      upcasters: new UpcasterRegistry()
+        .register("a", 1, (d) => d)
+        .register("a", 3, (d) => d),
+    });
+    const stub = modelSetup({ stub: true, default: () => "" });
+    gappy.store({ cmd: "a", version: 2 }, stub, eventCallbacks.void);
+    gappy.store({ cmd: "a", version: 2 }, stub, eventCallbacks.void);
+
+    expect(gappy.validateUpcasters()).toEqual({
+      valid: false,
+      gaps: [{ cmd: "a", missing: [2] }],
+      stranded: [{ cmd: "a", version: 2, count: 2, stopsAt: 2, latest: 4 }],
+    });
+    expect(() => initQueue({ dbName: ":memory:" }).validateUpcasters()).toThrow();
+  });
+
+  describe("exports", () => {
+    const path = "tests/data/test-upcasting-export.jsonl";
+
+    beforeEach(() => {
+      if (!existsSync("tests/data")) mkdirSync("tests/data", { recursive: true });
+    });
+
+    afterEach(() => {
+      if (existsSync(path)) rmSync(path);
+    });
+
+    test("exportToJSONL writes upcast events, or stored ones with raw", async () => {
+      storeRaw({ cmd: "itemRemoved", data: {} });
+      const bulk = new BulkOperations(queue);
+      const read = () =>
+        readFileSync(path, "utf8").trim().split("\n").map((line) => JSON.parse(line).cmd);
+
+      await bulk.exportToJSONL(path);
+      await Bun.sleep(10);
+      expect(read()).toEqual(["itemDeleted"]);
+
+      await bulk.exportToJSONL(path, { raw: true });
+      await Bun.sleep(10);
+      expect(read()).toEqual(["itemRemoved"]);
+    });
+  });
+});
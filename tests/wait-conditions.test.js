@@ -1,6 +1,8 @@
 import { test, expect, beforeEach } from "bun:test";
 import { initQueue, eventCallbacks } from "../lib/event-source.js";
 import { modelSetup } from "../lib/model.js";
+import { Database } from "bun:sqlite";
+import { existsSync, rmSync } from "fs";
 
 let eventQueue;
 let testModel;
@@ -473,4 +475,278 @@ test("Wait Conditions > should not execute cancelled events even when conditions
   
   const executedEvents = eventQueue.executeReadyEvents(testModel, eventCallbacks.void);
   expect(executedEvents.length).toBe(0);
-});
\ No newline at end of file
+});
+test("Wait Conditions > should match by cmd across correlation ids", async () => {
+  const waitResult = eventQueue.storeWhen({
+    cmd: 'reopenStore',
+    data: {},
+    waitFor: {
+      all: [{ pattern: 'inventoryChecked', minCount: 2 }]
+    }
+  }, testModel, eventCallbacks.void);
+
+  eventQueue.store({ cmd: 'inventoryChecked', data: { orderId: 1 }, correlationId: 'a' }, testModel, eventCallbacks.void);
+  expect(eventQueue.checkAllPendingEvents().length).toBe(0);
+
+  eventQueue.store({ cmd: 'inventoryChecked', data: { orderId: 2 }, correlationId: 'b' }, testModel, eventCallbacks.void);
+  const readyEvents = eventQueue.checkAllPendingEvents();
+  expect(readyEvents.map(e => e.id)).toEqual([waitResult.pendingEventId]);
+});
+
+test("Wait Conditions > should match by user, time window and metadata", async () => {
+  const since = Date.now();
+  eventQueue.store({ cmd: 'loginFailed', user: 'ada', data: {} }, testModel, eventCallbacks.void);
+
+  eventQueue.storeWhen({
+    cmd: 'lockAccount',
+    data: { user: 'ada' },
+    waitFor: {
+      count: { pattern: 'loginFailed', user: 'ada', after: since - 1, count: 2, metadata: { source: 'web' } }
+    }
+  }, testModel, eventCallbacks.void);
+
+  // Wrong user, wrong source, and too old don't count
+  eventQueue.store({ cmd: 'loginFailed', user: 'bob', data: {}, metadata: { source: 'web' } }, testModel, eventCallbacks.void);
+  eventQueue.store({ cmd: 'loginFailed', user: 'ada', data: {}, metadata: { source: 'api' } }, testModel, eventCallbacks.void);
+  eventQueue.store({ cmd: 'loginFailed', user: 'ada', data: {}, metadata: { source: 'web' } }, testModel, eventCallbacks.void);
+  expect(eventQueue.checkAllPendingEvents().length).toBe(0);
+
+  eventQueue.store({ cmd: 'loginFailed', user: 'ada', data: {}, metadata: { source: 'web' } }, testModel, eventCallbacks.void);
+  expect(eventQueue.checkAllPendingEvents().length).toBe(1);
+
+  // within counts events from the last so many ms; before is an upper bound
+  const recent = eventQueue.storeWhen({
+    cmd: 'alert',
+    data: {},
+    waitFor: { count: { pattern: 'loginFailed', within: 60000, count: 5 } }
+  }, testModel, eventCallbacks.void);
+  const earlier = eventQueue.storeWhen({
+    cmd: 'alert',
+    data: {},
+    waitFor: { all: [{ pattern: 'loginFailed', before: since }] }
+  }, testModel, eventCallbacks.void);
+  const ready = eventQueue.checkAllPendingEvents().map(e => e.id);
+  expect(ready).toContain(recent.pendingEventId);
+  expect(ready).not.toContain(earlier.pendingEventId);
+});
+
+// Runs the where operator cases against a queue, which may store its rows
+// compressed or with another serializer
+const checkWhereOperators = (eventQueue) => {
+  const wait = (where) => eventQueue.storeWhen({
+    cmd: 'shipOrder',
+    data: {},
+    waitFor: { all: [{ pattern: 'orderPlaced', where }] }
+  }, testModel, eventCallbacks.void).pendingEventId;
+
+  const ids = {
+    inList: wait({ region: { $in: ['eu', 'uk'] } }),
+    notInList: wait({ region: { $nin: ['eu', 'uk'] } }),
+    hasCoupon: wait({ coupon: { $exists: true } }),
+    noCoupon: wait({ coupon: { $exists: false }, 'customer.tier': 'gold' }),
+    regex: wait({ email: { $regex: '@example\\.com$' } }),
+    regexObject: wait({ customer: { name: /^ADA/i } }),
+    nested: wait({ customer: { tier: 'gold', visits: { $gte: 3 } } }),
+    boolean: wait({ customer: { verified: true } }),
+  };
+
+  eventQueue.store({
+    cmd: 'orderPlaced',
+    data: {
+      region: 'eu',
+      email: 'ada@example.org',
+      customer: { name: 'Ada', tier: 'silver', visits: 5, verified: false },
+    },
+  }, testModel, eventCallbacks.void);
+
+  const ready = () => new Set(eventQueue.checkAllPendingEvents().map(e => e.id));
+  expect(ready()).toEqual(new Set([ids.inList, ids.regexObject]));
+
+  eventQueue.store({
+    cmd: 'orderPlaced',
+    data: {
+      region: 'us',
+      coupon: null,
+      email: 'bob@example.com',
+      customer: { name: 'Bob', tier: 'gold', visits: 3, verified: true },
+    },
+  }, testModel, eventCallbacks.void);
+
+  expect(ready()).toEqual(
+    new Set([ids.inList, ids.regexObject, ids.notInList, ids.hasCoupon, ids.regex, ids.nested, ids.boolean]),
+  );
+  expect(ready().has(ids.noCoupon)).toBe(false);
+
+  const bySource = eventQueue.storeWhen({
+    cmd: 'shipOrder',
+    data: {},
+    waitFor: { all: [{ pattern: 'orderPlaced', metadata: { source: 'web' }, where: { region: { $ne: 'fr' } } }] }
+  }, testModel, eventCallbacks.void).pendingEventId;
+  eventQueue.store({ cmd: 'orderPlaced', data: { region: 'fr' }, metadata: { source: 'web' } }, testModel, eventCallbacks.void);
+  eventQueue.store({ cmd: 'orderPlaced', data: { region: 'de' }, metadata: { source: 'api' } }, testModel, eventCallbacks.void);
+  expect(ready().has(bySource)).toBe(false);
+  eventQueue.store({ cmd: 'orderPlaced', data: { region: 'de' }, metadata: { source: 'web' } }, testModel, eventCallbacks.void);
+  expect(ready().has(bySource)).toBe(true);
+};
+
+test("Wait Conditions > should support $in, $nin, $exists, $regex and nested paths", () => {
+  checkWhereOperators(eventQueue);
+});
+
+test("Wait Conditions > should match where and metadata filters on compressed events", () => {
+  checkWhereOperators(initQueue({ dbName: ":memory:", payloads: { compress: { cmds: ['orderPlaced'] } } }));
+});
+
+test("Wait Conditions > should match where and metadata filters on msgpack and cbor events", () => {
+  checkWhereOperators(initQueue({ dbName: ":memory:", serializer: 'msgpack' }));
+  checkWhereOperators(initQueue({ dbName: ":memory:", serializer: 'cbor' }));
+});
+
+test("Wait Conditions > should match booleans the same on plain and compressed rows", () => {
+  // Rows of 200 bytes or more are compressed and filtered in JS; SQLite reads true as 1
+  const queue = initQueue({ dbName: ":memory:", payloads: { compress: { minSize: 200 } } });
+  const wait = (where) => queue.storeWhen({
+    cmd: 'shipOrder',
+    waitFor: { count: { pattern: 'flagged', where, count: 2 } },
+  }, testModel, eventCallbacks.void).pendingEventId;
+  const ids = [wait({ flag: true }), wait({ flag: { $in: [true] } }), wait({ flag: { $ne: 1 } })];
+
+  queue.store({ cmd: 'flagged', data: { flag: 1 } }, testModel, eventCallbacks.void);
+  queue.store({ cmd: 'flagged', data: { flag: 1, notes: 'x'.repeat(300) } }, testModel, eventCallbacks.void);
+  expect(queue._db.query("SELECT payload_encoding FROM queue ORDER BY id").all().map(r => r.payload_encoding)).toEqual([null, 'gzip']);
+
+  expect(queue.checkAllPendingEvents().map(e => e.id).sort()).toEqual(ids.slice(0, 2).sort());
+});
+
+test("Wait Conditions > should reject unknown where operators", () => {
+  expect(() => eventQueue.storeWhen({
+    cmd: 'shipOrder',
+    waitFor: { all: [{ pattern: 'orderPlaced', where: { amount: { $between: [1, 2] } } }] }
+  }, testModel, eventCallbacks.void)).toThrow("Unknown where operator $between on amount");
+  expect(eventQueue.checkAllPendingEvents().length).toBe(0);
+});
+
+test("Wait Conditions > should index conditions stored before the trigger columns existed", async () => {
+  const dbName = "tests/data/test-wait-conditions-legacy.sqlite";
+  if (existsSync(dbName)) rmSync(dbName);
+  const legacy = new Database(dbName, { create: true });
+  legacy.exec(`
+    CREATE TABLE pending_events (id INTEGER PRIMARY KEY AUTOINCREMENT, event_data TEXT NOT NULL, wait_conditions TEXT NOT NULL, created_at INTEGER NOT NULL, expires_at INTEGER, correlation_id TEXT, status TEXT DEFAULT 'pending');
+    CREATE TABLE wait_conditions (id INTEGER PRIMARY KEY AUTOINCREMENT, pending_event_id INTEGER NOT NULL, condition_type TEXT NOT NULL, condition_data TEXT NOT NULL, satisfied BOOLEAN DEFAULT FALSE);
+    INSERT INTO pending_events (event_data, wait_conditions, created_at, correlation_id) VALUES ('{"cmd":"ship","data":{}}', '{"all":[{"pattern":"paid","correlationId":"o-1"}]}', 1, 'o-1');
+    INSERT INTO wait_conditions (pending_event_id, condition_type, condition_data) VALUES (1, 'all_condition', '{"pattern":"paid","correlationId":"o-1","index":0}');
+  `);
+  legacy.close();
+
+  const queue = initQueue({ dbName });
+  expect(queue._db.query("SELECT trigger_cmd, trigger_correlation_id FROM wait_conditions").all())
+    .toEqual([{ trigger_cmd: 'paid', trigger_correlation_id: 'o-1' }]);
+
+  queue.store({ cmd: 'paid', correlationId: 'o-1' }, testModel, eventCallbacks.void);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  expect(queue._db.query("SELECT status FROM pending_events").get().status).toBe('ready');
+  queue._db.close();
+  rmSync(dbName);
+});
+
+test("Wait Conditions > should evaluate nested all/any/count trees", async () => {
+  const correlationId = "contract-1";
+  const approval = (cmd, data = {}) =>
+    eventQueue.store({ cmd, data, correlationId }, testModel, eventCallbacks.void);
+
+  // Legal must approve, and either the CEO or two managers
+  const { pendingEventId } = eventQueue.storeWhen({
+    cmd: 'signContract',
+    correlationId,
+    waitFor: {
+      all: [
+        { pattern: 'legalApproved', correlationId },
+        {
+          any: [
+            { pattern: 'ceoApproved', correlationId },
+            { count: { pattern: 'managerApproved', correlationId, count: 2 } },
+          ],
+        },
+      ],
+    },
+  }, testModel, eventCallbacks.void);
+
+  expect(eventQueue._db.query("SELECT condition_type, json_extract(condition_data, '$.path') AS path FROM wait_conditions ORDER BY id").all())
+    .toEqual([
+      { condition_type: 'all_condition', path: 'all.0' },
+      { condition_type: 'any_condition', path: 'all.1.any.0' },
+      { condition_type: 'count_condition', path: 'all.1.any.1.count' },
+    ]);
+
+  approval('managerApproved');
+  approval('legalApproved');
+  expect(eventQueue.checkAllPendingEvents().length).toBe(0);
+
+  approval('managerApproved');
+  expect(eventQueue.checkAllPendingEvents().map(e => e.id)).toEqual([pendingEventId]);
+});
+
+test("Wait Conditions > should support not conditions", async () => {
+  const waitFor = (correlationId) => ({
+    all: [{ pattern: 'paymentReceived', correlationId }],
+    not: { pattern: 'orderCancelled', correlationId },
+  });
+  const kept = eventQueue.storeWhen({ cmd: 'ship', correlationId: 'o-1', waitFor: waitFor('o-1') }, testModel, eventCallbacks.void);
+  const cancelled = eventQueue.storeWhen({ cmd: 'ship', correlationId: 'o-2', waitFor: waitFor('o-2') }, testModel, eventCallbacks.void);
+
+  eventQueue.store({ cmd: 'orderCancelled', correlationId: 'o-2' }, testModel, eventCallbacks.void);
+  eventQueue.store({ cmd: 'paymentReceived', correlationId: 'o-1' }, testModel, eventCallbacks.void);
+  eventQueue.store({ cmd: 'paymentReceived', correlationId: 'o-2' }, testModel, eventCallbacks.void);
+
+  const ready = eventQueue.checkAllPendingEvents().map(e => e.id);
+  expect(ready).toEqual([kept.pendingEventId]);
+  expect(ready).not.toContain(cancelled.pendingEventId);
+
+  // not can wrap a whole subtree
+  const either = eventQueue.storeWhen({
+    cmd: 'escalate',
+    waitFor: {
+      all: [{ pattern: 'ticketOpened', correlationId: 't-1' }],
+      not: { any: [{ pattern: 'ticketClosed', correlationId: 't-1' }, { pattern: 'ticketAnswered', correlationId: 't-1' }] },
+    },
+  }, testModel, eventCallbacks.void);
+  eventQueue.store({ cmd: 'ticketAnswered', correlationId: 't-1' }, testModel, eventCallbacks.void);
+  eventQueue.store({ cmd: 'ticketOpened', correlationId: 't-1' }, testModel, eventCallbacks.void);
+  expect(eventQueue.checkAllPendingEvents().map(e => e.id)).not.toContain(either.pendingEventId);
+});
+
+test("Wait Conditions > should hold a nested sequence step until the steps before it are met", async () => {
+  const correlationId = "nested-sequence";
+  const { pendingEventId } = eventQueue.storeWhen({
+    cmd: 'publish',
+    correlationId,
+    waitFor: {
+      any: [
+        { pattern: 'override', correlationId },
+        { sequence: [{ pattern: 'drafted', correlationId }, { pattern: 'reviewed', correlationId }] },
+      ],
+    },
+  }, testModel, eventCallbacks.void);
+
+  // The second step arriving first stays pending, and isn't counted yet
+  eventQueue.store({ cmd: 'reviewed', correlationId }, testModel, eventCallbacks.void);
+  expect(eventQueue.checkAllPendingEvents()).toEqual([]);
+  const satisfied = eventQueue._db
+    .query("SELECT COUNT(*) AS n FROM wait_conditions WHERE pending_event_id = $id AND satisfied")
+    .get({ id: pendingEventId });
+  expect(satisfied.n).toBe(0);
+
+  // Once the first step is met, the earlier reviewed counts
+  eventQueue.store({ cmd: 'drafted', correlationId }, testModel, eventCallbacks.void);
+  expect(eventQueue.checkAllPendingEvents().map(e => e.id)).toEqual([pendingEventId]);
+});
+
+test("Wait Conditions > should reject malformed condition trees", () => {
+  const storeWith = (waitFor) => () =>
+    eventQueue.storeWhen({ cmd: 'x', waitFor }, testModel, eventCallbacks.void);
+
+  expect(storeWith({ not: [{ pattern: 'a' }] })).toThrow("not at not takes a single condition");
+  expect(storeWith({ all: { pattern: 'a' } })).toThrow("all at all takes an array of conditions");
+  expect(storeWith({ sequence: [{ any: [{ pattern: 'a' }] }] })).toThrow("Steps of the sequence at sequence must be single conditions");
+  expect(storeWith({ all: [{ any: [{ pattern: 'a', where: { n: { $near: 1 } } }] }] })).toThrow("Unknown where operator $near");
+});